@@ -0,0 +1,38 @@
+// components/DocumentSelect.js
+// Agreement picker backed by the registry in lib/documents.json.
+// Agreements whose pages have not been ingested yet are listed but disabled.
+
+import { useEffect, useState } from "react";
+import { DOCUMENTS } from "../lib/documents";
+
+export default function DocumentSelect({ value, onChange, disabled, style }) {
+  const [available, setAvailable] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetch("/api/documents", { signal: controller.signal })
+      .then((r) => (r.ok ? r.json() : null))
+      .then((body) => {
+        if (body?.documents) setAvailable(new Set(body.documents.filter((d) => d.available).map((d) => d.id)));
+      })
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label="Agreement"
+      style={{ fontSize: 13, padding: "4px 6px", borderRadius: 6, border: "1px solid #d1d5db", ...style }}
+    >
+      {DOCUMENTS.map((d) => (
+        <option key={d.id} value={d.id} disabled={available ? !available.has(d.id) : false}>
+          {d.shortTitle}
+          {available && !available.has(d.id) ? " (not loaded)" : ""}
+        </option>
+      ))}
+    </select>
+  );
+}
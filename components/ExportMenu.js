@@ -0,0 +1,31 @@
+// components/ExportMenu.js
+// Download links for /api/export: a whole conversation, or one answer when messageIndex is set.
+
+const FORMATS = [
+  ["md", "Markdown"],
+  ["pdf", "PDF"],
+  ["docx", "DOCX"],
+];
+
+export function exportHref(conversationId, format, messageIndex) {
+  const params = new URLSearchParams({ conversationId, format });
+  if (messageIndex !== undefined && messageIndex !== null) params.set("message", String(messageIndex));
+  return `/api/export?${params}`;
+}
+
+export default function ExportMenu({ conversationId, messageIndex, label = "Export", style }) {
+  if (!conversationId) return null;
+  return (
+    <span style={{ fontSize: 12, color: "#6b7280", ...style }}>
+      {label}:{" "}
+      {FORMATS.map(([format, name], i) => (
+        <span key={format}>
+          {i > 0 && " · "}
+          <a href={exportHref(conversationId, format, messageIndex)} download>
+            {name}
+          </a>
+        </span>
+      ))}
+    </span>
+  );
+}
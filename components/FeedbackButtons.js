@@ -0,0 +1,122 @@
+// components/FeedbackButtons.js
+// Thumbs up/down under an answer, saved through /api/feedback. A thumbs-down opens an optional
+// correction note ("the cap is in Article XXIII(B)(2), page 132"); reviewers see both at /admin.
+// `labels` overrides the English strings (the embed passes its locale's).
+
+import { useState } from "react";
+
+export const FEEDBACK_LABELS = {
+  helpful: "Helpful",
+  notHelpful: "Not helpful",
+  notePlaceholder: "What was wrong? The correct answer or page helps us fix it.",
+  sendNote: "Send",
+  skipNote: "Skip",
+  thanks: "Thanks for the feedback.",
+  feedbackError: "Could not save your feedback.",
+};
+
+async function postFeedback(body) {
+  const r = await fetch("/api/feedback", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) throw new Error((await r.json().catch(() => ({}))).result || `HTTP ${r.status}`);
+}
+
+const thumbStyle = (active) => ({
+  border: "1px solid",
+  borderColor: active ? "var(--cba-primary, #2563eb)" : "#d1d5db",
+  background: active ? "var(--cba-soft, #eff6ff)" : "#fff",
+  borderRadius: 6,
+  padding: "1px 7px",
+  cursor: "pointer",
+  fontSize: 13,
+  lineHeight: 1.4,
+});
+
+export default function FeedbackButtons({ conversationId, messageIndex, labels, style }) {
+  const l = { ...FEEDBACK_LABELS, ...labels };
+  const [rating, setRating] = useState(null);
+  const [note, setNote] = useState("");
+  const [noteOpen, setNoteOpen] = useState(false);
+  const [status, setStatus] = useState(""); // "", "saved" or an error message
+  if (!conversationId || messageIndex === undefined) return null;
+
+  const send = async (next, text = "") => {
+    setStatus("");
+    try {
+      await postFeedback({ conversationId, messageIndex, rating: next, note: text });
+      setStatus("saved");
+    } catch (e) {
+      console.error(e);
+      setStatus(l.feedbackError);
+    }
+  };
+
+  const rate = (next) => {
+    setRating(next);
+    setNoteOpen(next === "down");
+    send(next);
+  };
+
+  const sendNote = (e) => {
+    e.preventDefault();
+    setNoteOpen(false);
+    send("down", note);
+  };
+
+  return (
+    <div style={{ fontSize: 12, color: "#6b7280", marginTop: 6, ...style }}>
+      <span style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+        <button
+          type="button"
+          onClick={() => rate("up")}
+          aria-pressed={rating === "up"}
+          aria-label={l.helpful}
+          title={l.helpful}
+          style={thumbStyle(rating === "up")}
+        >
+          👍
+        </button>
+        <button
+          type="button"
+          onClick={() => rate("down")}
+          aria-pressed={rating === "down"}
+          aria-label={l.notHelpful}
+          title={l.notHelpful}
+          style={thumbStyle(rating === "down")}
+        >
+          👎
+        </button>
+        {status && !noteOpen && (
+          <span role="status" style={{ color: status === "saved" ? "#15803d" : "#b91c1c" }}>
+            {status === "saved" ? l.thanks : status}
+          </span>
+        )}
+      </span>
+      {noteOpen && (
+        <form onSubmit={sendNote} style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 6 }}>
+          <textarea
+            autoFocus
+            rows={2}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={2000}
+            placeholder={l.notePlaceholder}
+            aria-label={l.notePlaceholder}
+            style={{ width: "100%", boxSizing: "border-box", fontSize: 13, padding: 6, borderRadius: 6, border: "1px solid #d1d5db" }}
+          />
+          <span style={{ display: "flex", gap: 6, justifyContent: "flex-end" }}>
+            <button type="button" onClick={() => setNoteOpen(false)} style={{ fontSize: 12 }}>
+              {l.skipNote}
+            </button>
+            <button type="submit" disabled={!note.trim()} style={{ fontSize: 12 }}>
+              {l.sendNote}
+            </button>
+          </span>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+// components/GlossaryTerm.js
+// A defined term in an answer: dotted underline, with its CBA definition and page link
+// shown on hover, keyboard focus or tap. Terms are found by lib/glossaryMarkdown.js;
+// useGlossary() fetches a document's terms from /api/glossary once per page load.
+
+import { useEffect, useId, useMemo, useState } from "react";
+import { viewerHref } from "../lib/viewerLinks";
+
+const cache = new Map();
+
+function fetchGlossary(documentId) {
+  if (!cache.has(documentId)) {
+    cache.set(
+      documentId,
+      fetch(`/api/glossary?documentId=${encodeURIComponent(documentId)}`)
+        .then((r) => (r.ok ? r.json() : { terms: [] }))
+        .then((body) => body.terms || [])
+        .catch(() => [])
+    );
+  }
+  return cache.get(documentId);
+}
+
+// { terms, byTerm } for a document; empty until loaded (or when it has no glossary).
+export function useGlossary(documentId) {
+  const [terms, setTerms] = useState([]);
+  useEffect(() => {
+    let live = true;
+    setTerms([]);
+    if (documentId) fetchGlossary(documentId).then((t) => live && setTerms(t));
+    return () => {
+      live = false;
+    };
+  }, [documentId]);
+  const byTerm = useMemo(() => new Map(terms.map((t) => [t.term, t])), [terms]);
+  return { terms, byTerm };
+}
+
+/**
+ * `entry` is a glossary term ({ term, definition, page, label }). The page link opens the
+ * in-app viewer; pass `onOpenPage({ page, quote, documentId })` to handle it in place instead.
+ */
+export default function GlossaryTerm({ entry, documentId, onOpenPage, children }) {
+  const [open, setOpen] = useState(false);
+  const id = useId();
+  if (!entry) return <span>{children}</span>;
+
+  const href = viewerHref(entry.page, entry.term, documentId);
+  return (
+    <span
+      style={{ position: "relative" }}
+      onMouseEnter={() => setOpen(true)}
+      onMouseLeave={() => setOpen(false)}
+    >
+      <span
+        role="button"
+        tabIndex={0}
+        aria-describedby={open ? id : undefined}
+        aria-expanded={open}
+        onClick={() => setOpen((v) => !v)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            setOpen((v) => !v);
+          } else if (e.key === "Escape") setOpen(false);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={(e) => {
+          if (!e.currentTarget.parentNode.contains(e.relatedTarget)) setOpen(false);
+        }}
+        style={{ textDecoration: "underline dotted", textUnderlineOffset: 3, cursor: "help" }}
+      >
+        {children}
+      </span>
+      {open && (
+        <span
+          id={id}
+          role="tooltip"
+          style={{
+            position: "absolute",
+            left: 0,
+            top: "100%",
+            zIndex: 20,
+            display: "block",
+            width: "min(300px, 70vw)",
+            marginTop: 4,
+            padding: "8px 10px",
+            background: "#fff",
+            color: "#111827",
+            border: "1px solid #e5e7eb",
+            borderRadius: 8,
+            boxShadow: "0 4px 14px rgba(0,0,0,0.15)",
+            fontSize: 13,
+            lineHeight: 1.4,
+            fontWeight: 400,
+            whiteSpace: "normal",
+            textAlign: "left",
+          }}
+        >
+          <b>{entry.term}</b>
+          <span style={{ display: "block", marginTop: 4 }}>{entry.definition}</span>
+          <a
+            href={href}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(e) => {
+              if (!onOpenPage) return;
+              e.preventDefault();
+              setOpen(false);
+              onOpenPage({ page: entry.page, quote: entry.term, documentId });
+            }}
+            style={{ display: "block", marginTop: 6, color: "var(--cba-primary, #2563eb)" }}
+          >
+            {entry.label ? `${entry.label} · ` : ""}PDF page {entry.page}
+          </a>
+        </span>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,194 @@
+// components/PdfViewer.js
+// Renders one page of the CBA with pdf.js and highlights a quoted passage on it.
+// pdfjs-dist is loaded on the client only (it needs a browser canvas and worker).
+
+import { useEffect, useRef, useState } from "react";
+import { PDF_HREF } from "../lib/viewerLinks";
+
+const norm = (s) =>
+  String(s || "")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/\u00A0/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import("pdfjs-dist/build/pdf").then((pdfjs) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = new URL(
+        "pdfjs-dist/build/pdf.worker.min.js",
+        import.meta.url
+      ).toString();
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+const docCache = new Map();
+function loadDocument(pdfjs, src) {
+  if (!docCache.has(src)) docCache.set(src, pdfjs.getDocument(src).promise);
+  return docCache.get(src);
+}
+
+// Indexes of text items covering the quote (or its longest findable prefix).
+function matchItems(items, quote) {
+  const q = norm(quote).replace(/…|\.\.\./g, " ").replace(/\s+/g, " ");
+  if (!q) return [];
+
+  let joined = "";
+  const spans = [];
+  items.forEach((it, i) => {
+    const t = norm(it.str);
+    if (!t) return;
+    if (joined) joined += " ";
+    spans.push({ i, from: joined.length, to: joined.length + t.length });
+    joined += t;
+  });
+
+  for (let len = q.length; len >= Math.min(40, q.length); len = Math.floor(len * 0.75)) {
+    const at = joined.indexOf(q.slice(0, len).trim());
+    if (at === -1) continue;
+    const end = at + len;
+    return spans.filter((s) => s.to > at && s.from < end).map((s) => s.i);
+  }
+  return [];
+}
+
+export default function PdfViewer({ page = 1, quote = "", src = PDF_HREF, onPageChange }) {
+  const canvasRef = useRef(null);
+  const [numPages, setNumPages] = useState(null);
+  const [current, setCurrent] = useState(page);
+  const [boxes, setBoxes] = useState([]);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [status, setStatus] = useState("Loading the CBA…");
+  const containerRef = useRef(null);
+
+  useEffect(() => setCurrent(page), [page]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+
+    (async () => {
+      try {
+        setStatus("Loading the CBA…");
+        const pdfjs = await loadPdfjs();
+        const doc = await loadDocument(pdfjs, src);
+        if (cancelled) return;
+        setNumPages(doc.numPages);
+
+        const pageNum = Math.min(Math.max(1, current), doc.numPages);
+        const pdfPage = await doc.getPage(pageNum);
+        const width = containerRef.current?.clientWidth || 600;
+        const base = pdfPage.getViewport({ scale: 1 });
+        const viewport = pdfPage.getViewport({ scale: width / base.width });
+
+        const canvas = canvasRef.current;
+        if (!canvas || cancelled) return;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+        canvas.style.width = `${viewport.width}px`;
+        canvas.style.height = `${viewport.height}px`;
+        setSize({ width: viewport.width, height: viewport.height });
+
+        const ctx = canvas.getContext("2d");
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        renderTask = pdfPage.render({ canvasContext: ctx, viewport });
+        await renderTask.promise;
+        if (cancelled) return;
+
+        const { items } = await pdfPage.getTextContent();
+        const hits = pageNum === page && quote ? matchItems(items, quote) : [];
+        setBoxes(
+          hits.map((i) => {
+            const it = items[i];
+            const tx = pdfjs.Util.transform(viewport.transform, it.transform);
+            const h = Math.hypot(tx[2], tx[3]);
+            return { left: tx[4], top: tx[5] - h, width: it.width * viewport.scale, height: h };
+          })
+        );
+        setStatus(quote && pageNum === page && !hits.length ? "Quote not located on this page." : "");
+      } catch (err) {
+        if (!cancelled && err?.name !== "RenderingCancelledException") {
+          console.error(err);
+          setStatus("Could not load the PDF.");
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [src, current, page, quote]);
+
+  const go = (n) => {
+    const next = Math.min(Math.max(1, n), numPages || n);
+    setCurrent(next);
+    onPageChange?.(next);
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", height: "100%", minHeight: 0 }}>
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          padding: "6px 8px",
+          borderBottom: "1px solid #e5e7eb",
+          fontSize: 13,
+          flexShrink: 0,
+        }}
+      >
+        <button type="button" onClick={() => go(current - 1)} disabled={current <= 1}>
+          ‹ Prev
+        </button>
+        <span>
+          Page{" "}
+          <input
+            type="number"
+            min={1}
+            max={numPages || undefined}
+            value={current}
+            onChange={(e) => go(Number(e.target.value) || 1)}
+            style={{ width: 56 }}
+          />{" "}
+          {numPages ? `of ${numPages}` : ""}
+        </span>
+        <button type="button" onClick={() => go(current + 1)} disabled={numPages && current >= numPages}>
+          Next ›
+        </button>
+        <a href={`${src}#page=${current}`} target="_blank" rel="noopener noreferrer" style={{ marginLeft: "auto" }}>
+          Open PDF
+        </a>
+      </div>
+      {status && <div style={{ fontSize: 12, color: "#6b7280", padding: "4px 8px" }}>{status}</div>}
+      <div ref={containerRef} style={{ flex: 1, minHeight: 0, overflow: "auto", background: "#f3f4f6" }}>
+        <div style={{ position: "relative", width: size.width || "100%", margin: "0 auto" }}>
+          <canvas ref={canvasRef} style={{ display: "block", background: "#fff" }} />
+          {boxes.map((b, i) => (
+            <div
+              key={i}
+              style={{
+                position: "absolute",
+                left: b.left,
+                top: b.top,
+                width: b.width,
+                height: b.height,
+                background: "rgba(255, 224, 102, 0.45)",
+                outline: "1px solid rgba(241, 196, 15, 0.9)",
+                pointerEvents: "none",
+              }}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+// components/ServiceTimeForm.js
+// Service time form for the embed (/api/tools/service-time): days per season in,
+// credited service, Super Two status and arbitration / free agency years out.
+// Source links call onOpenSource({ page, quote, documentId }) so the host can show the cited page.
+
+import { useState } from "react";
+
+const STATUS_LABEL = {
+  "pre-arbitration": "Pre-arbitration",
+  "super-two-candidate": "Super Two if in top 22%",
+  "super-two": "Arbitration (Super Two)",
+  arbitration: "Arbitration",
+  "free-agency": "Free agent",
+};
+
+const input = { width: 64, padding: "4px 6px", fontSize: 13, boxSizing: "border-box" };
+const cell = { padding: "4px 6px", borderBottom: "1px solid #f3f4f6", textAlign: "left" };
+const smallButton = {
+  background: "transparent",
+  border: "1px solid #d1d5db",
+  borderRadius: 6,
+  padding: "2px 8px",
+  fontSize: 12,
+  cursor: "pointer",
+};
+
+function newSeason(year) {
+  return { year: String(year), days: "", optionedDays: "" };
+}
+
+export default function ServiceTimeForm({ onOpenSource }) {
+  const thisYear = new Date().getFullYear();
+  const [seasons, setSeasons] = useState([newSeason(thisYear - 1)]);
+  const [cutoff, setCutoff] = useState("");
+  const [project, setProject] = useState(true);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const update = (i, field, value) => setSeasons((rows) => rows.map((r, j) => (j === i ? { ...r, [field]: value } : r)));
+
+  const addSeason = () =>
+    setSeasons((rows) => [...rows, newSeason((Number(rows[rows.length - 1]?.year) || thisYear - 1) + 1)]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const r = await fetch("/api/tools/service-time", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          seasons: seasons.map((s) => ({
+            year: Number(s.year),
+            days: Number(s.days || 0),
+            optionedDays: Number(s.optionedDays || 0),
+          })),
+          superTwoCutoff: cutoff.trim() || undefined,
+          projectFullSeasons: project,
+        }),
+      });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.result || `HTTP ${r.status}`);
+      setResult(data);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const source = (name) => {
+    const s = result?.sources?.[name];
+    if (!s) return null;
+    return (
+      <a
+        href={s.href}
+        onClick={(e) => {
+          if (!onOpenSource || !s.page) return;
+          e.preventDefault();
+          onOpenSource({ page: s.page, quote: s.quote, documentId: result.documentId });
+        }}
+        style={{ fontSize: 12 }}
+      >
+        {s.label}, p. {s.page}
+      </a>
+    );
+  };
+
+  return (
+    <div style={{ padding: 14, fontSize: 14, color: "var(--cba-ink, #222)" }}>
+      <p style={{ marginTop: 0, color: "#555", fontSize: 13 }}>
+        Enter the days spent on the Active List or Injured List in each season. 172 days is one year of service.
+      </p>
+      <form onSubmit={onSubmit}>
+        <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr>
+              <th style={cell}>Season</th>
+              <th style={cell}>Days</th>
+              <th style={cell}>Days optioned</th>
+              <th style={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {seasons.map((s, i) => (
+              <tr key={i}>
+                <td style={cell}>
+                  <input
+                    value={s.year}
+                    onChange={(e) => update(i, "year", e.target.value)}
+                    inputMode="numeric"
+                    aria-label="Season"
+                    style={input}
+                  />
+                </td>
+                <td style={cell}>
+                  <input
+                    value={s.days}
+                    onChange={(e) => update(i, "days", e.target.value)}
+                    inputMode="numeric"
+                    placeholder="0–172"
+                    aria-label={`Days in ${s.year}`}
+                    style={input}
+                  />
+                </td>
+                <td style={cell}>
+                  <input
+                    value={s.optionedDays}
+                    onChange={(e) => update(i, "optionedDays", e.target.value)}
+                    inputMode="numeric"
+                    placeholder="0"
+                    aria-label={`Days optioned in ${s.year}`}
+                    style={input}
+                  />
+                </td>
+                <td style={cell}>
+                  {seasons.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setSeasons((rows) => rows.filter((_, j) => j !== i))}
+                      style={smallButton}
+                      aria-label={`Remove ${s.year}`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button type="button" onClick={addSeason} style={{ ...smallButton, marginTop: 6 }}>
+          + Season
+        </button>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center", margin: "12px 0" }}>
+          <label style={{ fontSize: 13 }}>
+            Super Two cutoff{" "}
+            <input value={cutoff} onChange={(e) => setCutoff(e.target.value)} placeholder="e.g. 2.116" style={input} />
+          </label>
+          <label style={{ fontSize: 13 }}>
+            <input type="checkbox" checked={project} onChange={(e) => setProject(e.target.checked)} /> Project full
+            seasons
+          </label>
+        </div>
+        <button
+          type="submit"
+          disabled={busy}
+          style={{
+            background: "var(--cba-ink, #222)",
+            color: "var(--cba-accent, #ffe066)",
+            border: "none",
+            borderRadius: 8,
+            padding: "8px 18px",
+            fontWeight: 600,
+            cursor: busy ? "default" : "pointer",
+          }}
+        >
+          {busy ? "Calculating…" : "Calculate"}
+        </button>
+      </form>
+
+      {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+
+      {result && (
+        <div style={{ marginTop: 16 }}>
+          <p style={{ margin: "0 0 6px" }}>
+            <b>Service: {result.service.label}</b> ({result.service.years} years, {result.service.days} days) {source("fullYear")}
+          </p>
+          {result.superTwo && (
+            <p style={{ margin: "0 0 6px" }}>
+              <b>Super Two after {result.superTwo.afterSeason}:</b>{" "}
+              {result.superTwo.eligible ? "eligible" : result.superTwo.eligible === false ? "not eligible" : "depends on cutoff"}{" "}
+              — {result.superTwo.reason} {source("superTwo")}
+            </p>
+          )}
+          <p style={{ margin: "0 0 6px" }}>
+            <b>Arbitration years:</b> {result.arbitrationYears.length ? result.arbitrationYears.join(", ") : "none yet"}{" "}
+            {source("arbitration")}
+          </p>
+          <p style={{ margin: "0 0 10px" }}>
+            <b>Free agency:</b>{" "}
+            {result.freeAgency ? `after the ${result.freeAgency.afterSeason} season (${result.freeAgency.service})` : "not reached"}{" "}
+            {source("freeAgency")}
+          </p>
+          <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 13 }}>
+            <thead>
+              <tr>
+                <th style={cell}>Season</th>
+                <th style={cell}>Credited</th>
+                <th style={cell}>Service</th>
+                <th style={cell}>Following offseason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.seasons.map((s) => (
+                <tr key={s.year} style={{ color: s.projected ? "#6b7280" : undefined }}>
+                  <td style={cell}>
+                    {s.year}
+                    {s.projected && " (projected)"}
+                  </td>
+                  <td style={cell}>{s.credited}</td>
+                  <td style={cell}>{s.service}</td>
+                  <td style={cell}>{STATUS_LABEL[s.status]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.notes.map((n) => (
+            <p key={n} style={{ fontSize: 12, color: "#6b7280", margin: "6px 0 0" }}>
+              {n}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
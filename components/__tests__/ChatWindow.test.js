@@ -0,0 +1,67 @@
+// components/__tests__/ChatWindow.test.js
+import { act, cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { embedStrings } from "../../lib/embedConfig";
+import ChatWindow from "../ChatWindow";
+import { mockChatApi } from "../chat/__tests__/mockApi";
+
+const t = embedStrings("en");
+let api;
+
+beforeEach(() => {
+  api = mockChatApi();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+Element.prototype.scrollIntoView = () => {};
+
+async function ask(text) {
+  const sent = api.calls.length;
+  const box = screen.getByRole("textbox");
+  fireEvent.change(box, { target: { value: text } });
+  fireEvent.keyDown(box, { key: "Enter" });
+  await waitFor(() => expect(api.calls).toHaveLength(sent + 1));
+  return api.last;
+}
+
+describe("ChatWindow", () => {
+  it("streams an answer and can stop the next one", async () => {
+    render(<ChatWindow />);
+
+    const stream = (await ask("What is the minimum salary?")).stream();
+    expect(screen.getByText(t("thinking"))).toBeTruthy();
+    expect(screen.getByRole("combobox", { name: "Agreement" }).disabled).toBe(true);
+
+    act(() => stream.send("delta", { text: "It is **$740,000**" }));
+    await screen.findByText("$740,000");
+    act(() => {
+      stream.send("done", { result: "It is **$740,000**.", messageIndex: 1 });
+      stream.close();
+    });
+    await screen.findByRole("button", { name: "Send" });
+
+    (await ask("And in 2026?")).stream();
+    fireEvent.click(screen.getByRole("button", { name: "Stop" }));
+    await screen.findByText("Stopped.");
+    expect(screen.getByRole("textbox").value).toBe("");
+  });
+
+  it("retries a question the server could not answer", async () => {
+    render(<ChatWindow />);
+
+    (await ask("Hi")).json({ result: "busy", code: "model_busy", retryable: true }, 503);
+    await screen.findByText(t("errorBusy"));
+    expect(screen.queryByText("Hi")).toBe(null);
+
+    fireEvent.click(screen.getByRole("button", { name: t("retry") }));
+    await waitFor(() => expect(api.calls).toHaveLength(2));
+    expect(api.last.body.message).toBe("Hi");
+    act(() => api.last.json({ result: "Hello." }));
+    await screen.findByText("Hello.");
+    expect(screen.queryByRole("alert")).toBe(null);
+  });
+});
@@ -0,0 +1,91 @@
+// components/chat/ChatInput.js
+// The question box. Enter sends, Shift+Enter starts a new line, and while an answer is
+// coming in the Send button becomes Stop. `children` (an agreement picker, export links, …)
+// sit next to the button; `stacked` puts them and the button on a row under a taller box.
+
+import { embedStrings } from "../../lib/embedConfig";
+import { MAX_MESSAGE_CHARS } from "../../lib/limits";
+import { themeVar } from "./theme";
+
+const english = embedStrings("en");
+
+const button = {
+  color: "#fff",
+  border: "none",
+  padding: "10px 16px",
+  borderRadius: 8,
+  cursor: "pointer",
+  fontSize: 14,
+};
+
+export default function ChatInput({
+  value,
+  onChange,
+  onSend,
+  onStop,
+  isTyping,
+  placeholder,
+  stacked = false,
+  children,
+  t = english,
+  style,
+}) {
+  const submit = (e) => {
+    e.preventDefault();
+    if (value.trim() && !isTyping) onSend(value.trim());
+  };
+
+  const action = isTyping ? (
+    <button type="button" onClick={onStop} style={{ ...button, background: "#b91c1c" }}>
+      {t("stop")}
+    </button>
+  ) : (
+    <button
+      type="submit"
+      disabled={!value.trim()}
+      style={{ ...button, background: value.trim() ? themeVar("primary") : "#d1d5db" }}
+    >
+      {t("send")}
+    </button>
+  );
+
+  return (
+    <form
+      onSubmit={submit}
+      style={{ display: "flex", flexDirection: stacked ? "column" : "row", gap: 8, padding: 12, background: "#fafafa", ...style }}
+    >
+      <textarea
+        rows={stacked ? 3 : 1}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && !e.shiftKey) submit(e);
+        }}
+        maxLength={MAX_MESSAGE_CHARS}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        style={{
+          flex: stacked ? "none" : 1,
+          minWidth: 0,
+          padding: "10px 14px",
+          border: "1px solid #d1d5db",
+          borderRadius: 8,
+          fontSize: 14,
+          fontFamily: "inherit",
+          resize: "none",
+        }}
+      />
+      {stacked ? (
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 12 }}>
+          {children}
+          {action}
+        </div>
+      ) : (
+        <>
+          {children}
+          {action}
+        </>
+      )}
+    </form>
+  );
+}
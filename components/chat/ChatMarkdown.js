@@ -0,0 +1,57 @@
+// components/chat/ChatMarkdown.js
+// An answer's markdown. Citation links go to the cited PDF page and defined terms are
+// underlined with their definitions (GlossaryTerm). With `onOpenCitation`, a citation or a
+// definition's page link is handed to the page ({ page, quote, documentId }, e.g. for a side
+// panel); without it, they open /viewer in a new tab.
+
+import { useMemo } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { documentIdFromHref, pdfPageFromHref, quoteForPage, viewerHref } from "../../lib/viewerLinks";
+import { remarkGlossary } from "../../lib/glossaryMarkdown";
+import GlossaryTerm from "../GlossaryTerm";
+
+const NO_TERMS = [];
+
+export default function ChatMarkdown({ children, citations, glossary, documentId, onOpenCitation }) {
+  const terms = glossary?.terms || NO_TERMS;
+  const glossaryPlugin = useMemo(() => [remarkGlossary, { terms }], [terms]);
+
+  return (
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, glossaryPlugin]}
+      components={{
+        span: ({ node, ...props }) => {
+          const term = props["data-glossary-term"];
+          if (!term) return <span {...props} />;
+          return (
+            <GlossaryTerm entry={glossary?.byTerm.get(term)} documentId={documentId} onOpenPage={onOpenCitation}>
+              {props.children}
+            </GlossaryTerm>
+          );
+        },
+        a: ({ node, href, ...props }) => {
+          const page = pdfPageFromHref(href);
+          if (!page) return <a {...props} href={href} target="_blank" rel="noopener noreferrer" />;
+          const cited = { page, quote: quoteForPage(citations, page), documentId: documentIdFromHref(href) };
+          if (!onOpenCitation) {
+            const to = viewerHref(cited.page, cited.quote, cited.documentId);
+            return <a {...props} href={to} target="_blank" rel="noopener noreferrer" />;
+          }
+          return (
+            <a
+              {...props}
+              href={href}
+              onClick={(e) => {
+                e.preventDefault();
+                onOpenCitation(cited);
+              }}
+            />
+          );
+        },
+      }}
+    >
+      {children}
+    </ReactMarkdown>
+  );
+}
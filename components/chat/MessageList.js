@@ -0,0 +1,146 @@
+// components/chat/MessageList.js
+// The transcript: question bubbles, answers through ChatMarkdown with the cached-answer note,
+// export links and feedback buttons, the typing note, and the last failure (from useChat)
+// with a Retry button when sending again may help. `empty` shows while there are no
+// messages (e.g. starter questions). Scrolls to the newest message.
+
+import { useEffect, useMemo, useRef } from "react";
+import { embedStrings } from "../../lib/embedConfig";
+import ExportMenu from "../ExportMenu";
+import FeedbackButtons, { FEEDBACK_LABELS } from "../FeedbackButtons";
+import { useGlossary } from "../GlossaryTerm";
+import ChatMarkdown from "./ChatMarkdown";
+import { themeVar } from "./theme";
+
+const english = embedStrings("en");
+
+// Strings for what chatErrorKind() reports; other kinds show the server's message.
+export const ERROR_KEYS = { busy: "errorBusy", timeout: "errorTimeout", network: "errorNetwork", failed: "error" };
+
+const bubble = {
+  padding: "10px 14px",
+  borderRadius: 12,
+  maxWidth: "90%",
+  fontSize: 14,
+  lineHeight: 1.5,
+  wordBreak: "break-word",
+};
+
+export default function MessageList({
+  messages,
+  isTyping,
+  failure,
+  onRetry,
+  conversationId,
+  documentId,
+  onOpenCitation,
+  empty,
+  t = english,
+  style,
+}) {
+  const endRef = useRef(null);
+  const glossary = useGlossary(documentId);
+  const feedbackLabels = useMemo(() => Object.fromEntries(Object.keys(FEEDBACK_LABELS).map((k) => [k, t(k)])), [t]);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages, isTyping, failure]);
+
+  const shown = messages.filter((m) => m.content || m.status);
+  const last = messages[messages.length - 1];
+
+  return (
+    <div
+      role="log"
+      aria-live="polite"
+      aria-relevant="additions"
+      style={{
+        flex: 1,
+        minHeight: 0,
+        overflowY: "auto",
+        display: "flex",
+        flexDirection: "column",
+        gap: 10,
+        padding: 16,
+        ...style,
+      }}
+    >
+      {!messages.length && empty}
+      {shown.map((m, i) =>
+        m.role === "user" ? (
+          <div
+            key={i}
+            style={{ ...bubble, alignSelf: "flex-end", background: themeVar("primary"), color: "#fff", whiteSpace: "pre-wrap" }}
+          >
+            {m.content}
+          </div>
+        ) : (
+          <div
+            key={i}
+            style={{
+              ...bubble,
+              alignSelf: "flex-start",
+              background: themeVar("surface"),
+              color: "#111827",
+              border: "1px solid #e5e7eb",
+            }}
+          >
+            <ChatMarkdown citations={m.citations} glossary={glossary} documentId={documentId} onOpenCitation={onOpenCitation}>
+              {m.content || t(m.status === "stopped" ? "stopped" : "noResponse")}
+            </ChatMarkdown>
+            {m.cached && (
+              <div style={{ fontSize: 12, color: "#6b7280" }} title={new Date(m.cached.at).toLocaleString()}>
+                {m.cached.match === "exact" ? t("cachedExact") : t("cachedSimilar", { question: m.cached.question })}
+              </div>
+            )}
+            {m.messageIndex !== undefined && (
+              <ExportMenu conversationId={conversationId} messageIndex={m.messageIndex} label={t("exportAnswer")} />
+            )}
+            <FeedbackButtons conversationId={conversationId} messageIndex={m.messageIndex} labels={feedbackLabels} />
+          </div>
+        )
+      )}
+      {isTyping && !last?.content && (
+        <div style={{ fontSize: 12, color: "#6b7280", fontStyle: "italic" }}>{t("thinking")}</div>
+      )}
+      {failure &&
+        (failure.kind === "limited" ? (
+          <div
+            role="status"
+            style={{
+              fontSize: 13,
+              color: "#7c5e00",
+              background: themeVar("soft"),
+              border: `1px solid ${themeVar("accent")}`,
+              borderRadius: 8,
+              padding: "8px 12px",
+            }}
+          >
+            {failure.message}
+          </div>
+        ) : (
+          <div role="alert" style={{ fontSize: 13, color: "#b91c1c" }}>
+            {ERROR_KEYS[failure.kind] ? t(ERROR_KEYS[failure.kind]) : failure.message}
+          </div>
+        ))}
+      {failure?.retryable && !isTyping && onRetry && (
+        <button
+          type="button"
+          onClick={onRetry}
+          style={{
+            alignSelf: "flex-start",
+            fontSize: 12,
+            padding: "4px 12px",
+            border: `1px solid ${themeVar("accent")}`,
+            borderRadius: 6,
+            background: "#fff",
+            cursor: "pointer",
+          }}
+        >
+          {t("retry")}
+        </button>
+      )}
+      <div ref={endRef} />
+    </div>
+  );
+}
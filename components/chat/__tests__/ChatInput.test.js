@@ -0,0 +1,57 @@
+// components/chat/__tests__/ChatInput.test.js
+import { useState } from "react";
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import ChatInput from "../ChatInput";
+
+afterEach(cleanup);
+
+function Box({ onSend = () => {}, onStop = () => {}, isTyping = false, initial = "" }) {
+  const [value, setValue] = useState(initial);
+  return <ChatInput value={value} onChange={setValue} onSend={onSend} onStop={onStop} isTyping={isTyping} placeholder="Ask" />;
+}
+
+const box = () => screen.getByRole("textbox", { name: "Ask" });
+
+describe("ChatInput", () => {
+  it("sends the trimmed question on Enter", () => {
+    const onSend = vi.fn();
+    render(<Box onSend={onSend} />);
+    fireEvent.change(box(), { target: { value: "  What is the minimum salary?  " } });
+    fireEvent.keyDown(box(), { key: "Enter" });
+    expect(onSend).toHaveBeenCalledWith("What is the minimum salary?");
+  });
+
+  it("does not send on Shift+Enter or an empty box", () => {
+    const onSend = vi.fn();
+    render(<Box onSend={onSend} />);
+    expect(screen.getByRole("button", { name: "Send" }).disabled).toBe(true);
+    fireEvent.keyDown(box(), { key: "Enter" });
+
+    fireEvent.change(box(), { target: { value: "Hi" } });
+    fireEvent.keyDown(box(), { key: "Enter", shiftKey: true });
+    expect(onSend).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole("button", { name: "Send" }));
+    expect(onSend).toHaveBeenCalledWith("Hi");
+  });
+
+  it("turns Send into Stop while an answer is coming in", () => {
+    const onSend = vi.fn();
+    const onStop = vi.fn();
+    render(<Box onSend={onSend} onStop={onStop} isTyping initial="Next question" />);
+    expect(screen.queryByRole("button", { name: "Send" })).toBe(null);
+
+    fireEvent.keyDown(box(), { key: "Enter" });
+    expect(onSend).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole("button", { name: "Stop" }));
+    expect(onStop).toHaveBeenCalledTimes(1);
+  });
+
+  it("uses the given strings", () => {
+    const t = (key) => ({ send: "Envoyer", stop: "Arrêter" })[key];
+    render(<ChatInput value="Bonjour" onChange={() => {}} onSend={() => {}} t={t} />);
+    expect(screen.getByRole("button", { name: "Envoyer" })).toBeTruthy();
+  });
+});
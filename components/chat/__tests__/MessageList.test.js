@@ -0,0 +1,110 @@
+// components/chat/__tests__/MessageList.test.js
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { embedStrings } from "../../../lib/embedConfig";
+import MessageList from "../MessageList";
+import { mockChatApi } from "./mockApi";
+
+const t = embedStrings("en");
+
+beforeEach(() => {
+  mockChatApi();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+// jsdom has no layout.
+Element.prototype.scrollIntoView = () => {};
+
+describe("MessageList", () => {
+  it("shows `empty` until there are messages", () => {
+    render(<MessageList messages={[]} empty={<p>Try a starter question</p>} />);
+    expect(screen.getByText("Try a starter question")).toBeTruthy();
+  });
+
+  it("renders questions and markdown answers with citation links", () => {
+    const onOpenCitation = vi.fn();
+    render(
+      <MessageList
+        messages={[
+          { role: "user", content: "What is the minimum salary?" },
+          {
+            role: "assistant",
+            content: "It is **$740,000** ([p. 12](/mlb-cba-2022.pdf#page=12)).",
+            citations: [{ page: 12, quote: "minimum salary" }],
+          },
+        ]}
+        onOpenCitation={onOpenCitation}
+      />
+    );
+    expect(screen.getByText("What is the minimum salary?")).toBeTruthy();
+    expect(screen.getByText("$740,000").tagName).toBe("STRONG");
+
+    fireEvent.click(screen.getByRole("link", { name: "p. 12" }));
+    expect(onOpenCitation).toHaveBeenCalledWith({ page: 12, quote: "minimum salary", documentId: "mlb-2022" });
+  });
+
+  it("shows the typing note until the answer starts", () => {
+    const question = { role: "user", content: "Hi" };
+    const { rerender } = render(<MessageList messages={[question, { role: "assistant", content: "" }]} isTyping />);
+    expect(screen.getByText(t("thinking"))).toBeTruthy();
+
+    rerender(<MessageList messages={[question, { role: "assistant", content: "Hel" }]} isTyping />);
+    expect(screen.queryByText(t("thinking"))).toBe(null);
+    expect(screen.getByText("Hel")).toBeTruthy();
+  });
+
+  it("marks stopped and empty answers", () => {
+    render(
+      <MessageList
+        messages={[
+          { role: "user", content: "One" },
+          { role: "assistant", content: "", status: "stopped" },
+          { role: "user", content: "Two" },
+          { role: "assistant", content: "", status: "empty" },
+        ]}
+      />
+    );
+    expect(screen.getByText("Stopped.").tagName).toBe("EM");
+    expect(screen.getByText(t("noResponse"))).toBeTruthy();
+  });
+
+  it("offers Retry for a retryable failure", () => {
+    const onRetry = vi.fn();
+    const failure = { kind: "busy", message: "busy", retryable: true, question: "Hi" };
+    const { rerender } = render(<MessageList messages={[]} failure={failure} onRetry={onRetry} />);
+    expect(screen.getByRole("alert").textContent).toBe(t("errorBusy"));
+
+    fireEvent.click(screen.getByRole("button", { name: t("retry") }));
+    expect(onRetry).toHaveBeenCalledTimes(1);
+
+    rerender(<MessageList messages={[]} failure={failure} onRetry={onRetry} isTyping />);
+    expect(screen.queryByRole("button", { name: t("retry") })).toBe(null);
+  });
+
+  it("shows the server's message for refusals and limits, without Retry when it won't help", () => {
+    const { rerender } = render(
+      <MessageList messages={[]} failure={{ kind: "refused", message: "That question is too long.", retryable: false }} onRetry={() => {}} />
+    );
+    expect(screen.getByRole("alert").textContent).toBe("That question is too long.");
+    expect(screen.queryByRole("button", { name: t("retry") })).toBe(null);
+
+    rerender(<MessageList messages={[]} failure={{ kind: "limited", message: "Too many questions.", retryable: true }} />);
+    expect(screen.getByRole("status").textContent).toBe("Too many questions.");
+  });
+
+  it("notes a cached answer", () => {
+    render(
+      <MessageList
+        messages={[
+          { role: "user", content: "Hi" },
+          { role: "assistant", content: "Hello.", cached: { match: "exact", at: "2024-01-01T00:00:00Z" } },
+        ]}
+      />
+    );
+    expect(screen.getByText(t("cachedExact"))).toBeTruthy();
+  });
+});
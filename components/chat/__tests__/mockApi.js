@@ -0,0 +1,48 @@
+// components/chat/__tests__/mockApi.js
+// A stand-in for fetch. Each POST to /api/chat waits in `calls` until the test answers it
+// with json() or stream(); aborting the request's signal fails the fetch, or the stream it
+// already returned, the way a browser does. /api/glossary has no terms; anything else is a 404.
+import { vi } from "vitest";
+
+const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+export function mockChatApi() {
+  const calls = [];
+
+  const fetch = vi.fn((url, { body, signal } = {}) => {
+    if (String(url).startsWith("/api/glossary")) return Promise.resolve(Response.json({ terms: [] }));
+    if (url !== "/api/chat") return Promise.resolve(Response.json({ result: "Not found" }, { status: 404 }));
+    return new Promise((resolve, reject) => {
+      let fail = reject;
+      signal?.addEventListener("abort", () => fail(abortError()));
+      calls.push({
+        body: JSON.parse(body),
+        signal,
+        json(payload, status = 200) {
+          resolve(Response.json(payload, { status }));
+        },
+        // Returns { send(event, payload), close() }.
+        stream() {
+          const encoder = new TextEncoder();
+          let controller;
+          const readable = new ReadableStream({ start: (c) => (controller = c) });
+          fail = (err) => controller.error(err);
+          resolve(new Response(readable, { headers: { "Content-Type": "text/event-stream" } }));
+          return {
+            send: (event, payload) => controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`)),
+            close: () => controller.close(),
+          };
+        },
+      });
+    });
+  });
+
+  vi.stubGlobal("fetch", fetch);
+  return {
+    fetch,
+    calls,
+    get last() {
+      return calls[calls.length - 1];
+    },
+  };
+}
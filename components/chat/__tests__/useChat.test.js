@@ -0,0 +1,204 @@
+// components/chat/__tests__/useChat.test.js
+import { act, cleanup, renderHook, waitFor } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import useChat from "../useChat";
+import { mockChatApi } from "./mockApi";
+
+let api;
+
+beforeEach(() => {
+  api = mockChatApi();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+// Sends `text` and waits for the request to reach the mocked API.
+async function ask(result, text) {
+  const sent = api.calls.length;
+  act(() => {
+    result.current.send(text);
+  });
+  await waitFor(() => expect(api.calls).toHaveLength(sent + 1));
+  return api.last;
+}
+
+describe("useChat", () => {
+  it("streams an answer into the last message", async () => {
+    const onMeta = vi.fn();
+    const onAnswer = vi.fn();
+    const { result } = renderHook(() => useChat({ documentId: "mlb-2022", onMeta, onAnswer }));
+
+    const call = await ask(result, "What is the minimum salary?");
+    expect(call.body).toMatchObject({ message: "What is the minimum salary?", documentId: "mlb-2022", stream: true });
+    expect(result.current.isTyping).toBe(true);
+
+    const stream = call.stream();
+    stream.send("meta", { threadId: "t1", conversationId: "c1", shareId: "s1" });
+    stream.send("delta", { text: "It is " });
+    await waitFor(() => expect(result.current.messages[1].content).toBe("It is "));
+    expect(result.current.threadId).toBe("t1");
+    expect(result.current.conversationId).toBe("c1");
+    expect(result.current.shareId).toBe("s1");
+    expect(onMeta).toHaveBeenCalledWith({ threadId: "t1", conversationId: "c1", shareId: "s1" });
+
+    stream.send("delta", { text: "$740,000." });
+    const done = { result: "It is $740,000. [p. 12]", threadId: "t1", citations: [{ page: 12 }], messageIndex: 1 };
+    stream.send("done", done);
+    stream.close();
+
+    await waitFor(() => expect(result.current.isTyping).toBe(false));
+    expect(result.current.messages).toEqual([
+      { role: "user", content: "What is the minimum salary?" },
+      { role: "assistant", content: done.result, citations: [{ page: 12 }], messageIndex: 1, cached: undefined },
+    ]);
+    expect(onAnswer).toHaveBeenCalledWith({ question: "What is the minimum salary?", data: done });
+  });
+
+  it("accepts a plain JSON answer", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    call.json({ result: "Hello.", citations: [] });
+    await waitFor(() => expect(result.current.isTyping).toBe(false));
+    expect(result.current.messages[1]).toMatchObject({ role: "assistant", content: "Hello." });
+  });
+
+  it("marks an answer stopped before it started", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    call.stream();
+
+    act(() => result.current.stop());
+    await waitFor(() => expect(result.current.isTyping).toBe(false));
+    expect(result.current.messages[1]).toEqual({ role: "assistant", content: "", status: "stopped" });
+    expect(result.current.failure).toBe(null);
+  });
+
+  it("keeps what had arrived when stopped mid-answer", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    const stream = call.stream();
+    stream.send("delta", { text: "Partial" });
+    await waitFor(() => expect(result.current.messages[1].content).toBe("Partial"));
+
+    act(() => result.current.stop());
+    await waitFor(() => expect(result.current.isTyping).toBe(false));
+    expect(result.current.messages[1]).toEqual({ role: "assistant", content: "Partial" });
+  });
+
+  it("takes a failed question out and retries it", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    call.json({ result: "The model is busy.", code: "model_busy", retryable: true }, 503);
+
+    await waitFor(() => expect(result.current.failure).not.toBe(null));
+    expect(result.current.failure).toMatchObject({ kind: "busy", retryable: true, question: "Hi" });
+    expect(result.current.messages).toEqual([]);
+    expect(result.current.isTyping).toBe(false);
+    expect(result.current.input).toBe("");
+
+    act(() => {
+      result.current.retry();
+    });
+    await waitFor(() => expect(api.calls).toHaveLength(2));
+    expect(api.last.body.message).toBe("Hi");
+    expect(result.current.failure).toBe(null);
+    api.last.json({ result: "Hello." });
+    await waitFor(() => expect(result.current.messages[1]?.content).toBe("Hello."));
+  });
+
+  it("reports a stream that breaks off", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    const stream = call.stream();
+    stream.send("delta", { text: "Par" });
+    stream.send("error", { result: "The model took too long.", code: "model_timeout", retryable: true });
+
+    await waitFor(() => expect(result.current.failure?.kind).toBe("timeout"));
+    expect(result.current.messages).toEqual([]);
+  });
+
+  it("puts a refused question back in the box", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    call.json({ result: "That question is too long.", code: "question_too_long", retryable: false }, 400);
+
+    await waitFor(() => expect(result.current.failure?.kind).toBe("refused"));
+    expect(result.current.failure.message).toBe("That question is too long.");
+    expect(result.current.input).toBe("Hi");
+    act(() => {
+      result.current.retry();
+    });
+    expect(api.calls).toHaveLength(1);
+  });
+
+  it("leaves a reset transcript alone when the abandoned answer ends", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    const stream = call.stream();
+    stream.send("meta", { threadId: "t1", conversationId: "c1" });
+    stream.send("delta", { text: "Par" });
+    await waitFor(() => expect(result.current.messages[1].content).toBe("Par"));
+
+    act(() => result.current.reset());
+    expect(call.signal.aborted).toBe(true);
+    expect(result.current.isTyping).toBe(false);
+    await act(() => new Promise((r) => setTimeout(r, 20)));
+    expect(result.current.messages).toEqual([]);
+    expect(result.current.threadId).toBe(null);
+    expect(result.current.conversationId).toBe(null);
+    expect(result.current.failure).toBe(null);
+
+    // The next question starts a new conversation.
+    const next = await ask(result, "Again");
+    expect(next.body).toMatchObject({ message: "Again", threadId: null, conversationId: null });
+    next.json({ result: "Answer." });
+    await waitFor(() => expect(result.current.isTyping).toBe(false));
+    expect(result.current.messages.map((m) => m.content)).toEqual(["Again", "Answer."]);
+  });
+
+  it("does not let an abandoned answer stop the next one", async () => {
+    const { result } = renderHook(() => useChat());
+    const first = await ask(result, "One");
+    first.stream();
+
+    act(() => result.current.reset());
+    await ask(result, "Two");
+    await act(() => new Promise((r) => setTimeout(r, 20)));
+    expect(result.current.isTyping).toBe(true);
+    expect(result.current.messages).toEqual([
+      { role: "user", content: "Two" },
+      { role: "assistant", content: "" },
+    ]);
+  });
+
+  it("shows a restored conversation even while an answer was streaming", async () => {
+    const { result } = renderHook(() => useChat());
+    const call = await ask(result, "Hi");
+    call.stream();
+
+    const convo = {
+      id: "c9",
+      shareId: "s9",
+      documentId: "mlb-2022",
+      messages: [
+        { role: "user", content: "Old question" },
+        { role: "assistant", content: "Old answer", citations: [] },
+      ],
+    };
+    act(() => result.current.restore(convo));
+    await act(() => new Promise((r) => setTimeout(r, 20)));
+
+    expect(result.current.isTyping).toBe(false);
+    expect(result.current.threadId).toBe(null);
+    expect(result.current.conversationId).toBe("c9");
+    expect(result.current.shareId).toBe("s9");
+    expect(result.current.messages).toEqual([
+      { role: "user", content: "Old question", citations: undefined, messageIndex: 0 },
+      { role: "assistant", content: "Old answer", citations: [], messageIndex: 1 },
+    ]);
+    expect(call.signal.aborted).toBe(true);
+  });
+});
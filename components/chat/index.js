@@ -0,0 +1,14 @@
+// components/chat/index.js
+// The chat UI shared by the home page (components/ChatWindow.js) and the embed (pages/embed.js):
+//   useChat            conversation state: transcript, thread, question box, send / stop / retry
+//   MessageList        the transcript, answers rendered by ChatMarkdown
+//   ChatMarkdown       answer markdown with citation links and glossary terms
+//   ChatInput          the question box with Send / Stop
+//   chatThemeStyle     colors and font as CSS custom properties for the chat's container
+// Components take `t` (embedStrings() from lib/embedConfig.js) for their text; English by default.
+
+export { default as useChat } from "./useChat";
+export { default as MessageList, ERROR_KEYS } from "./MessageList";
+export { default as ChatMarkdown } from "./ChatMarkdown";
+export { default as ChatInput } from "./ChatInput";
+export { DEFAULT_CHAT_THEME, chatThemeStyle, themeVar } from "./theme";
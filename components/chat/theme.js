@@ -0,0 +1,25 @@
+// components/chat/theme.js
+// Chat theming. Colors and the font are CSS custom properties (--cba-primary, …) set on the
+// element that holds the chat; the chat components, FeedbackButtons, GlossaryTerm and
+// ServiceTimeForm read them, falling back to DEFAULT_CHAT_THEME.
+//   <div style={chatThemeStyle({ primary: "#0a7", surface: "#fff" })}>…</div>
+
+export const DEFAULT_CHAT_THEME = {
+  primary: "#2563eb", // questions, Send, links
+  ink: "#222", // banners and headings
+  accent: "#ffe066", // borders and highlights
+  soft: "#fff8dc", // notices and chips
+  surface: "#e5e7eb", // answer bubbles
+  font: "inherit",
+};
+
+// `var(--cba-<name>, <default>)` for inline styles.
+export function themeVar(name) {
+  return `var(--cba-${name}, ${DEFAULT_CHAT_THEME[name]})`;
+}
+
+// The custom properties for `theme` (any subset of DEFAULT_CHAT_THEME), to spread into a style.
+export function chatThemeStyle(theme = {}) {
+  const merged = { ...DEFAULT_CHAT_THEME, ...theme };
+  return Object.fromEntries(Object.keys(DEFAULT_CHAT_THEME).map((k) => [`--cba-${k}`, merged[k]]));
+}
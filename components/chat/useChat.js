@@ -0,0 +1,154 @@
+// components/chat/useChat.js
+// Conversation state for a chat UI: the transcript, the agreement, the provider thread and
+// saved conversation behind it (with the shareId for its read-only link), the question box, and sending, stopping and retrying through
+// lib/chatClient.js. Answers stream into the last message as they arrive.
+//
+// A question that fails is taken back out of the transcript. `failure` then describes it:
+//   { kind, message, retryable, question }   (kind from chatErrorKind())
+// retry() sends it again; one that can't be retried as-is goes back into the question box.
+// An answer that ends empty is marked `status: "stopped"` (stopped by the reader) or "empty".
+// reset() and restore() abandon an answer in flight: nothing it does afterwards touches the
+// transcript they put in place.
+//
+// Options: documentId (the starting agreement), scope (sent with every question),
+// onMeta(meta) when the server names the conversation, onAnswer({ question, data }) per answer.
+
+import { useEffect, useRef, useState } from "react";
+import { askChat, chatErrorKind } from "../../lib/chatClient";
+import { DEFAULT_DOCUMENT_ID, getDocument } from "../../lib/documents";
+
+export default function useChat({ documentId: initialDocumentId = DEFAULT_DOCUMENT_ID, scope, onMeta, onAnswer } = {}) {
+  const [messages, setMessages] = useState([]);
+  const [documentId, setDocumentId] = useState(initialDocumentId);
+  const [threadId, setThreadId] = useState(null);
+  const [conversationId, setConversationId] = useState(null);
+  const [shareId, setShareId] = useState(null);
+  const [input, setInput] = useState("");
+  const [isTyping, setIsTyping] = useState(false);
+  const [failure, setFailure] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop any in-flight answer when the chat goes away.
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const patchLastAssistant = (patch) => {
+    setMessages((prev) => {
+      const last = prev[prev.length - 1];
+      if (last?.role !== "assistant") return prev;
+      return [...prev.slice(0, -1), { ...last, ...patch(last) }];
+    });
+  };
+
+  async function send(text = input.trim()) {
+    if (!text || isTyping) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    // False once reset() or restore() has replaced this request.
+    const current = () => abortRef.current === controller;
+    setMessages((prev) => [...prev, { role: "user", content: text }, { role: "assistant", content: "" }]);
+    setInput("");
+    setIsTyping(true);
+    setFailure(null);
+
+    let failed = false;
+    try {
+      const data = await askChat({
+        message: text,
+        threadId,
+        conversationId,
+        documentId,
+        scope,
+        signal: controller.signal,
+        onMeta: (meta) => {
+          if (!current()) return;
+          if (meta?.threadId) setThreadId(meta.threadId);
+          if (meta?.conversationId) setConversationId(meta.conversationId);
+          if (meta?.shareId) setShareId(meta.shareId);
+          onMeta?.(meta);
+        },
+        onDelta: (delta) => current() && patchLastAssistant((m) => ({ content: m.content + delta })),
+      });
+      if (!current()) return;
+      if (data?.threadId) setThreadId(data.threadId);
+      if (data?.shareId) setShareId(data.shareId);
+      if (data?.result) {
+        patchLastAssistant(() => ({
+          content: data.result,
+          citations: data.citations || [],
+          messageIndex: data.messageIndex,
+          cached: data.cached,
+        }));
+        onAnswer?.({ question: text, data });
+      }
+    } catch (e) {
+      if (current() && e?.name !== "AbortError") {
+        failed = true;
+        const kind = chatErrorKind(e);
+        if (kind === "failed") console.error(e);
+        setMessages((prev) => prev.slice(0, -2));
+        setFailure({ kind, message: e.message, retryable: Boolean(e.retryable), question: text });
+        if (!e.retryable) setInput(text);
+      }
+    } finally {
+      if (current()) {
+        if (!failed) {
+          patchLastAssistant((m) => (m.content ? {} : { status: controller.signal.aborted ? "stopped" : "empty" }));
+        }
+        abortRef.current = null;
+        setIsTyping(false);
+      }
+    }
+  }
+
+  const retry = () => failure?.retryable && send(failure.question);
+
+  const stop = () => abortRef.current?.abort();
+
+  // Stop the answer in flight and disown it.
+  const abandon = () => {
+    stop();
+    abortRef.current = null;
+    setIsTyping(false);
+  };
+
+  // A fresh conversation (the agreement stays).
+  const reset = () => {
+    abandon();
+    setMessages([]);
+    setThreadId(null);
+    setConversationId(null);
+    setShareId(null);
+    setFailure(null);
+  };
+
+  // Show a saved conversation (GET /api/conversations/:id) and continue it. The server keeps
+  // the provider thread behind it.
+  const restore = (convo) => {
+    abandon();
+    setMessages(convo.messages.map(({ role, content, citations }, i) => ({ role, content, citations, messageIndex: i })));
+    setThreadId(null);
+    setConversationId(convo.id);
+    setShareId(convo.shareId || null);
+    setFailure(null);
+    if (getDocument(convo.documentId)) setDocumentId(convo.documentId);
+  };
+
+  return {
+    messages,
+    documentId,
+    setDocumentId,
+    threadId,
+    conversationId,
+    shareId,
+    input,
+    setInput,
+    isTyping,
+    failure,
+    setFailure,
+    send,
+    retry,
+    stop,
+    reset,
+    restore,
+  };
+}
@@ -0,0 +1,96 @@
+// lib/__tests__/answerCache.test.js
+// @vitest-environment node
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { answerCacheConfig, clearAnswerCache, documentVersion, lookupAnswer, normalizeQuestion, storeAnswer } from "../answerCache";
+
+// The 2022 agreement's files, copied so they can be edited.
+let root;
+const savedDataDir = process.env.DATA_DIR;
+const documentId = "mlb-2022";
+const env = { ANSWER_CACHE: "memory" };
+const answer = { result: "$740,000 [p. 12]", citations: [] };
+const pagesFile = () => path.join(root, "public/mlb/cba_pages.json");
+
+beforeAll(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "cba-answers-"));
+  fs.mkdirSync(path.join(root, "public/mlb"), { recursive: true });
+  for (const f of ["cba_pages.json", "page_map.json"]) {
+    fs.copyFileSync(path.join(process.cwd(), "public/mlb", f), path.join(root, "public/mlb", f));
+  }
+  process.env.DATA_DIR = path.join(root, "data");
+});
+
+beforeEach(async () => {
+  vi.spyOn(process, "cwd").mockReturnValue(root);
+  await clearAnswerCache();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+afterAll(() => {
+  if (savedDataDir === undefined) delete process.env.DATA_DIR;
+  else process.env.DATA_DIR = savedDataDir;
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe("answerCacheConfig", () => {
+  it("defaults to a 24-hour memory cache and turns off at zero hours", () => {
+    expect(answerCacheConfig({})).toEqual({ mode: "memory", ttlMs: 24 * 3600000, similarity: 0 });
+    expect(answerCacheConfig({ ANSWER_CACHE_TTL_HOURS: "0" }).mode).toBe("off");
+    expect(answerCacheConfig({ ANSWER_CACHE_SIMILARITY: "3" }).similarity).toBe(1);
+  });
+});
+
+describe("answer cache", () => {
+  it("serves a repeated question, ignoring case and trailing punctuation", async () => {
+    expect(normalizeQuestion("  What is the MINIMUM salary?? ")).toBe("what is the minimum salary");
+    await storeAnswer("What is the minimum salary?", { documentId, env }, answer);
+    expect(await lookupAnswer("what is the minimum salary", { documentId, env })).toMatchObject({
+      answer,
+      match: "exact",
+      question: "What is the minimum salary?",
+    });
+  });
+
+  it("keeps scoped and unscoped answers apart", async () => {
+    const scope = { label: "Article VI", items: [{ start: 19, end: 40 }] };
+    await storeAnswer("What is the minimum salary?", { documentId, scope, env }, answer);
+    expect(await lookupAnswer("What is the minimum salary?", { documentId, env })).toBe(null);
+    expect(await lookupAnswer("What is the minimum salary?", { documentId, scope: { label: "Article VII" }, env })).toBe(null);
+    expect(await lookupAnswer("What is the minimum salary?", { documentId, scope, env })).toMatchObject({ answer });
+  });
+
+  it("starts over when the agreement's pages change", async () => {
+    const before = documentVersion(documentId);
+    await storeAnswer("What is the minimum salary?", { documentId, env }, answer);
+
+    const pages = JSON.parse(fs.readFileSync(pagesFile(), "utf8"));
+    pages[0].text += " Amended.";
+    fs.writeFileSync(pagesFile(), JSON.stringify(pages));
+
+    expect(documentVersion(documentId)).not.toBe(before);
+    expect(await lookupAnswer("What is the minimum salary?", { documentId, env })).toBe(null);
+  });
+
+  it("matches near-duplicates only with the same numbers", async () => {
+    const similar = { ...env, ANSWER_CACHE_SIMILARITY: "0.6" };
+    await storeAnswer("What's the CBT threshold for 2024?", { documentId, env: similar }, answer);
+    expect(await lookupAnswer("what is the 2024 CBT threshold", { documentId, env: similar })).toMatchObject({
+      match: "similar",
+      similarity: 1,
+    });
+    expect(await lookupAnswer("what is the 2025 CBT threshold", { documentId, env: similar })).toBe(null);
+    expect(await lookupAnswer("what is the 2024 CBT threshold", { documentId, env })).toBe(null);
+  });
+
+  it("stores nothing when off", async () => {
+    const off = { ANSWER_CACHE: "off" };
+    await storeAnswer("Hi", { documentId, env: off }, answer);
+    expect(await lookupAnswer("Hi", { documentId, env })).toBe(null);
+  });
+});
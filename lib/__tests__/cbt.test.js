@@ -0,0 +1,123 @@
+// lib/__tests__/cbt.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { calculateCbt, calculateForQuestion, CbtInputError, contractSalaries, parseCbtQuestion, ruleSource, taxForPayroll } from "../cbt";
+
+const M = 1e6;
+const taxes = (r) => r.brackets.map((b) => [b.amount / M, b.rate, b.tax / M]);
+
+describe("taxForPayroll", () => {
+  it("owes nothing at or under the Base Tax Threshold", () => {
+    expect(taxForPayroll(2024, 237 * M)).toMatchObject({ tier: "below", taxOwed: 0, brackets: [], draftPenalty: null });
+  });
+
+  it("adds the 12% surcharge above the First Surcharge Threshold", () => {
+    const r = taxForPayroll(2024, 265 * M, 1);
+    expect(r).toMatchObject({ tier: "first", payorStatus: "First-Time CBT Payor", taxOwed: 6_560_000, draftPenalty: null });
+    expect(taxes(r)).toEqual([
+      [20, 0.2, 4],
+      [8, 0.32, 2.56],
+    ]);
+  });
+
+  it("charges a First-Time Payor 42.5% above the Second Surcharge Threshold, others 45%", () => {
+    expect(taxes(taxForPayroll(2024, 280 * M, 1))[2]).toEqual([3, 0.625, 1.875]);
+    const repeat = taxForPayroll(2024, 280 * M, 2);
+    expect(taxes(repeat)).toEqual([
+      [20, 0.3, 6],
+      [20, 0.42, 8.4],
+      [3, 0.75, 2.25],
+    ]);
+    expect(repeat.taxOwed).toBe(16_650_000);
+  });
+
+  it("moves the draft pick back at the Second Surcharge Threshold", () => {
+    expect(taxForPayroll(2024, 277 * M - 1).draftPenalty).toBe(null);
+    expect(taxForPayroll(2024, 277 * M).draftPenalty).toMatchObject({ placesMovedBack: 10 });
+  });
+
+  it("taxes a third-time payor 50% plus the 60% top surcharge", () => {
+    const r = taxForPayroll(2024, 300 * M, 5);
+    expect(r).toMatchObject({ tier: "third", payorStatus: "Third-Time CBT Payor", taxOwed: 44_700_000 });
+    expect(r.brackets.at(-1)).toMatchObject({ from: 297 * M, to: null, rate: 1.1 });
+  });
+
+  it("only knows the 2022–2026 thresholds", () => {
+    expect(() => taxForPayroll(2027, 300 * M)).toThrow(CbtInputError);
+  });
+});
+
+describe("contractSalaries", () => {
+  it("spreads salary and Signing Bonus evenly over the Guaranteed Years", () => {
+    const r = contractSalaries({
+      player: "A",
+      seasons: [
+        { year: 2023, baseSalary: 10 * M },
+        { year: 2024, baseSalary: 30 * M, earnedBonus: 1 * M },
+        { year: 2025, baseSalary: 15 * M, guaranteed: false },
+      ],
+      signingBonus: 4 * M,
+    });
+    expect(r.aav).toBe(22 * M);
+    expect(r.seasons).toEqual([
+      { year: 2023, salary: 22 * M, basis: "AAV" },
+      { year: 2024, salary: 23 * M, basis: "AAV + earned bonus" },
+      { year: 2025, salary: 15 * M, basis: "Club Option Year" },
+    ]);
+    expect(r.sources.map((s) => s.label)).toContain("Article XXIII(E)(2)");
+  });
+
+  it("needs the Imputed Loan Interest Rate to value a deferral", () => {
+    const contract = { seasons: [{ year: 2024, baseSalary: 10 * M }], deferrals: [{ amount: 5 * M, paidIn: 2030 }] };
+    expect(() => contractSalaries(contract)).toThrow(/Imputed Loan Interest Rate/);
+    expect(contractSalaries(contract, { imputedLoanInterestRate: 0.04 }).seasons[0].salary).toBeLessThan(15 * M);
+  });
+});
+
+describe("calculateCbt", () => {
+  it("counts consecutive years over the Base Tax Threshold", () => {
+    const { years } = calculateCbt({
+      contracts: [],
+      otherPayroll: { 2023: 250 * M, 2024: 250 * M, 2025: 200 * M },
+      includeBenefits: false,
+    });
+    expect(years.map((y) => [y.year, y.tier, y.payorStatus])).toEqual([
+      [2023, "base", "First-Time CBT Payor"],
+      [2024, "base", "Second-Time CBT Payor"],
+      [2025, "below", null],
+    ]);
+  });
+
+  it("adds Player Benefit Costs to payroll", () => {
+    const [y] = calculateCbt({ contracts: [], otherPayroll: { 2024: 200 * M } }).years;
+    expect(y.actualClubPayroll).toBe(200 * M + 6904667 + 9228707 + 1666666.67);
+  });
+});
+
+describe("chat questions", () => {
+  it("reads a payroll question", () => {
+    expect(parseCbtQuestion("CBT on a $265 million payroll in 2024, third straight year over?")).toEqual({
+      kind: "payroll",
+      year: 2024,
+      yearAssumed: false,
+      payroll: 265 * M,
+      timesOver: 3,
+    });
+    expect(parseCbtQuestion("What is the minimum salary?")).toBe(null);
+  });
+
+  it("computes an AAV with a Signing Bonus", () => {
+    const { request, result } = calculateForQuestion("AAV of a 10-year, $300 million deal with a $20M signing bonus");
+    expect(request).toEqual({ kind: "aav", years: 10, total: 300 * M, signingBonus: 20 * M });
+    expect(result.aav).toBe(30 * M);
+  });
+});
+
+describe("ruleSource", () => {
+  it("finds every quoted rule on a page of Article XXIII", () => {
+    const s = ruleSource("thirdSurchargeRate");
+    expect(s.page).toBeGreaterThanOrEqual(129);
+    expect(s.page).toBeLessThanOrEqual(159);
+    expect(s.href).toMatch(new RegExp(`#page=${s.page}$`));
+  });
+});
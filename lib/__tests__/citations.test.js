@@ -0,0 +1,82 @@
+// lib/__tests__/citations.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { CITATION_STATUS, findQuotePages, parseCitations, verifyCitations } from "../citations";
+
+const pages = [
+  { page: 10, text: "ARTICLE VI—Salaries A. Minimum Salary The minimum salary for a Player shall be $720,000 in 2022." },
+  { page: 11, text: "and $740,000 in 2023. B. Other Terms Players in the Minor Leagues shall receive" },
+  { page: 12, text: "ARTICLE VII—Expenses A. Travel The Clubs shall pay “first class” travel for each Player." },
+];
+
+const pageMap = {
+  "Article VI": { title: "Salaries", start: 10, end: 11, sections: { A: { title: "Minimum Salary", start: 10, end: 11 } } },
+  "Article VII": { title: "Expenses", start: 12, end: 12, sections: {} },
+};
+
+const excerpt = (label, page, quote) => `ARTICLE: ${label} | PAGE: ${page}\nQUOTE: "${quote}"\n`;
+const verify = (text, opts) => verifyCitations(text, { documentId: "mlb-2022", pages, pageMap, ...opts });
+
+describe("findQuotePages", () => {
+  it("matches case, quotes and spacing loosely but wording exactly", () => {
+    expect(findQuotePages('the clubs shall pay "first class" travel', pages)).toEqual([12]);
+    expect(findQuotePages("The Clubs shall pay business class travel", pages)).toEqual([]);
+  });
+
+  it("follows an elided quote across a page break", () => {
+    expect(findQuotePages("shall be $720,000 in 2022 … and $740,000 in 2023", pages)).toEqual([10]);
+  });
+
+  it("ignores fragments too short to check", () => {
+    expect(findQuotePages("the … a", pages)).toEqual([]);
+  });
+});
+
+describe("verifyCitations", () => {
+  it("verifies a quote on the cited page", () => {
+    const [c] = verify(excerpt("Article VI(A)", 10, "The minimum salary for a Player shall be $720,000"));
+    expect(c).toMatchObject({ status: CITATION_STATUS.VERIFIED, page: 10, title: "Minimum Salary", sectionPath: ["A"] });
+    expect(c.href).toMatch(/#page=10$/);
+  });
+
+  it("rejects a quote that is not in the agreement", () => {
+    const [c] = verify(excerpt("Article VI(A)", 10, "The minimum salary for a Player shall be $1,000,000"));
+    expect(c.status).toBe(CITATION_STATUS.NOT_FOUND);
+    expect(c.foundOnPages).toEqual([]);
+    // Falls back to the section's page, not the model's.
+    expect(c.page).toBe(10);
+  });
+
+  it("moves a real quote to the page it is actually on", () => {
+    const [c] = verify(excerpt("Article VII", 10, "The Clubs shall pay first class travel"));
+    expect(c).toMatchObject({ status: CITATION_STATUS.WRONG_PAGE, citedPage: 10, page: 12, foundOnPages: [12] });
+  });
+
+  it("ignores a cited page outside the agreement", () => {
+    const [c] = verify("CBA (2022–2026), Article VII; Page 999");
+    expect(c).toMatchObject({ status: CITATION_STATUS.NO_QUOTE, citedPage: 999, page: 12 });
+  });
+
+  it("flags a citation outside the scope", () => {
+    const scope = { label: "Article VII", items: [{ start: 12, end: 12 }] };
+    const [inside, outside] = verify(
+      excerpt("Article VII", 12, "The Clubs shall pay first class travel") +
+        excerpt("Article VI(A)", 10, "The minimum salary for a Player shall be $720,000"),
+      { scope }
+    );
+    expect(inside.outOfScope).toBeUndefined();
+    expect(outside.outOfScope).toBe(true);
+  });
+});
+
+describe("parseCitations", () => {
+  it("reads excerpts and citation lines once per label", () => {
+    const text =
+      excerpt("Article VI(A)", "p. 10", "The minimum salary") +
+      "CBA (2022–2026), Article VI(A); Page 10\nMLB CBA (2022–2026), Article VII; Page 12";
+    expect(parseCitations(text)).toEqual([
+      { label: "Article VI(A)", citedPage: 10, quote: "The minimum salary" },
+      { label: "Article VII", citedPage: 12, quote: null },
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+// lib/__tests__/conversations.test.js
+// @vitest-environment node
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import {
+  appendMessage,
+  createConversation,
+  getConversation,
+  getSharedConversation,
+  ownerView,
+  sharedView,
+} from "../conversations";
+import { writeJSON } from "../storage";
+
+let dir;
+const savedDataDir = process.env.DATA_DIR;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "cba-conversations-"));
+  process.env.DATA_DIR = dir;
+});
+
+afterAll(() => {
+  if (savedDataDir === undefined) delete process.env.DATA_DIR;
+  else process.env.DATA_DIR = savedDataDir;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("share links", () => {
+  it("reach a conversation by its shareId only", () => {
+    const convo = createConversation({ documentId: "mlb-2022" });
+    expect(convo.shareId).toBeTruthy();
+    expect(convo.shareId).not.toBe(convo.id);
+
+    appendMessage(convo.id, { role: "user", content: "What is the minimum salary?" }, { threadId: "thread_1" });
+    expect(getSharedConversation(convo.shareId).messages).toHaveLength(1);
+    expect(getSharedConversation(convo.id)).toBe(null);
+    expect(getSharedConversation("../conversations")).toBe(null);
+  });
+
+  it("show the transcript without the conversation's keys or thread", () => {
+    const convo = appendMessage(createConversation().id, { role: "user", content: "Hi" }, { threadId: "thread_2" });
+    const shared = sharedView(getSharedConversation(convo.shareId));
+    expect(shared).toEqual({
+      title: "Hi",
+      documentId: null,
+      createdAt: convo.createdAt,
+      updatedAt: convo.updatedAt,
+      messages: convo.messages,
+    });
+  });
+});
+
+describe("ownerView", () => {
+  it("keeps the shareId and drops the provider thread", () => {
+    const convo = appendMessage(createConversation().id, { role: "user", content: "Hi" }, { threadId: "thread_3" });
+    const view = ownerView(getConversation(convo.id));
+    expect(view.id).toBe(convo.id);
+    expect(view.shareId).toBe(convo.shareId);
+    expect(view).not.toHaveProperty("threadId");
+  });
+
+  it("gives a conversation saved before share links existed a shareId", () => {
+    const id = "legacy-conversation-1";
+    writeJSON(path.join(dir, "conversations", `${id}.json`), {
+      id,
+      title: "Old",
+      threadId: "thread_4",
+      documentId: null,
+      createdAt: "2024-01-01T00:00:00.000Z",
+      updatedAt: "2024-01-01T00:00:00.000Z",
+      messages: [],
+    });
+    const { shareId } = ownerView(getConversation(id));
+    expect(shareId).toBeTruthy();
+    expect(getSharedConversation(shareId).id).toBe(id);
+    expect(getConversation(id).shareId).toBe(shareId);
+  });
+});
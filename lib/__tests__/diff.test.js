@@ -0,0 +1,169 @@
+// lib/__tests__/diff.test.js
+// @vitest-environment node
+// The two agreements here are small fixtures (fixtures/cba-2017, fixtures/cba-2022) in the
+// shape scripts/build_cba_pages.mjs and scripts/build_page_map.mjs produce.
+import { describe, expect, it, vi } from "vitest";
+import { DOCUMENTS } from "../documents";
+import {
+  alignNodes,
+  defaultVersions,
+  diffArticle,
+  DiffError,
+  diffSequences,
+  diffSummary,
+  diffText,
+  DiffUnavailableError,
+} from "../diff";
+
+vi.mock("../documents.json", () => {
+  const version = (id, dir, termYears) => ({
+    id,
+    title: `${termYears.join("–")} Test Agreement`,
+    shortTitle: `Test ${termYears.join("–")}`,
+    league: "MLB",
+    termYears,
+    pdfHref: `/test/${dir}.pdf`,
+    pagesPath: `lib/__tests__/fixtures/${dir}/cba_pages.json`,
+    pageMapPath: `lib/__tests__/fixtures/${dir}/page_map.json`,
+  });
+  return {
+    default: [
+      version("mlb-2022", "cba-2022", [2022, 2026]),
+      version("mlb-2017", "cba-2017", [2017, 2021]),
+      version("mlb-missing", "cba-missing", [2012, 2016]),
+    ],
+  };
+});
+
+describe("diffSequences", () => {
+  it("merges runs of equal, removed and added items", () => {
+    expect(diffSequences(["a", "b", "c", "d"], ["a", "x", "c", "d", "e"])).toEqual([
+      { type: "equal", items: ["a"] },
+      { type: "added", items: ["x"] },
+      { type: "removed", items: ["b"] },
+      { type: "equal", items: ["c", "d"] },
+      { type: "added", items: ["e"] },
+    ]);
+  });
+
+  it("compares by key and keeps the newer items", () => {
+    expect(diffSequences(["One."], ["one"], (s) => s.toLowerCase().replace(".", ""))).toEqual([
+      { type: "equal", items: ["one"] },
+    ]);
+  });
+});
+
+describe("diffText", () => {
+  it("marks the changed words of an edited sentence", () => {
+    const rows = diffText("The cap is $100. It applies yearly.", "The cap is $120. It applies yearly.");
+    expect(rows).toEqual([
+      {
+        type: "change",
+        removed: "The cap is $100.",
+        added: "The cap is $120.",
+        removedParts: [
+          { text: "The cap is", changed: false },
+          { text: "$100.", changed: true },
+        ],
+        addedParts: [
+          { text: "The cap is", changed: false },
+          { text: "$120.", changed: true },
+        ],
+      },
+      { type: "equal", text: "It applies yearly." },
+    ]);
+  });
+});
+
+describe("alignNodes", () => {
+  it("pairs same keys, follows renumbered titles and keeps removed entries in place", () => {
+    const from = {
+      "Article I": { title: "Intent" },
+      "Article II": { title: "Spring Training" },
+      "Article III": { title: "Old Rule" },
+    };
+    const to = {
+      "Article I": { title: "Intent and Purpose" },
+      "Article II": { title: "Scheduling" },
+      "Article III": { title: "Spring Training" },
+    };
+    const pairs = alignNodes(from, to).map((p) => [p.from?.key ?? null, p.to?.key ?? null]);
+    expect(pairs).toEqual([
+      ["Article I", "Article I"],
+      [null, "Article II"],
+      ["Article II", "Article III"],
+      ["Article III", null],
+    ]);
+  });
+
+  it("pairs a retitled entry left under the same key", () => {
+    const pairs = alignNodes({ A: { title: "Waivers" } }, { A: { title: "Outright Assignments" } });
+    expect(pairs.map((p) => [p.from?.key, p.to?.key])).toEqual([["A", "A"]]);
+  });
+});
+
+describe("diffSummary", () => {
+  it("lists every article with its status", () => {
+    const { from, to, articles } = diffSummary();
+    expect([from, to]).toEqual(["mlb-2017", "mlb-2022"]);
+    expect(articles.map((a) => [a.from?.key ?? null, a.to?.key ?? null, a.status])).toEqual([
+      ["Article I", "Article I", "unchanged"],
+      ["Article II", "Article II", "unchanged"],
+      ["Article III", "Article III", "modified"],
+      [null, "Article IV", "added"],
+      ["Article IV", "Article V", "unchanged"],
+      ["Attachment 3", null, "removed"],
+    ]);
+    expect(articles[4].from).toEqual({ key: "Article IV", title: "Spring Training", start: 3, end: 3, href: "/test/cba-2017.pdf#page=3" });
+  });
+
+  it("compares the newest loaded agreement with the one before it", () => {
+    expect(defaultVersions()).toEqual({ from: "mlb-2017", to: "mlb-2022" });
+    expect(diffSummary({ to: "mlb-2017", from: "mlb-2022" })).toMatchObject({ from: "mlb-2022", to: "mlb-2017" });
+    expect(() => diffSummary({ from: "mlb-2022" })).toThrow("Pick two different agreements to compare.");
+  });
+
+  it("says comparing is not available with only one version loaded", () => {
+    const only2022 = DOCUMENTS.filter((d) => d.id !== "mlb-2017");
+    expect(() => defaultVersions(only2022)).toThrow(DiffUnavailableError);
+    expect(() => defaultVersions(only2022)).toThrow(
+      "Comparing agreements is not available yet: no earlier version of the 2022–2026 Test Agreement has been loaded."
+    );
+    expect(() => defaultVersions([])).toThrow(/no agreement has been loaded/);
+  });
+
+  it("says when a version has not been loaded", () => {
+    expect(() => diffSummary({ from: "mlb-missing" })).toThrow(DiffError);
+    expect(() => diffSummary({ from: "mlb-missing" })).toThrow(/has not been loaded yet/);
+  });
+});
+
+describe("diffArticle", () => {
+  it("diffs an article section by section", () => {
+    const { article, sections } = diffArticle("III");
+    expect(article).toMatchObject({ key: "Article III", status: "modified" });
+    expect(sections.map((s) => [s.key, s.status])).toEqual([
+      ["", "unchanged"],
+      ["A", "modified"],
+      ["B", "unchanged"],
+      ["C", "added"],
+    ]);
+
+    const changes = sections[1].rows.filter((r) => r.type === "change");
+    expect(changes).toHaveLength(1);
+    expect(changes[0].removedParts.filter((p) => p.changed).map((p) => p.text)).toEqual(["$555,000"]);
+    expect(changes[0].addedParts.filter((p) => p.changed).map((p) => p.text)).toEqual(["$700,000"]);
+    expect(sections[2].rows).toEqual([{ type: "equal", text: "B. Payment Payment shall be made semi-monthly." }]);
+    expect(sections[3].rows.map((r) => r.added).join(" ")).toContain("rises each season with the cost of living.");
+  });
+
+  it("follows a renumbered article and finds removed ones by their old key", () => {
+    expect(diffArticle("Article V").article).toMatchObject({
+      status: "unchanged",
+      from: { key: "Article IV", title: "Spring Training" },
+      to: { key: "Article V" },
+    });
+    expect(diffArticle("attachment 3").article).toMatchObject({ key: "Attachment 3", status: "removed", to: null });
+    expect(() => diffArticle("XX")).toThrow(DiffError);
+  });
+});
@@ -0,0 +1,21 @@
+// lib/__tests__/documents.test.js
+// @vitest-environment node
+import fs from "fs";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import { DEFAULT_DOCUMENT_ID, DOCUMENTS, documentForHref, requireDocument, termLabel, UnknownDocumentError } from "../documents";
+
+describe("document registry", () => {
+  it.each(DOCUMENTS.map((d) => [d.id, d]))("has %s's files in the repo", (id, doc) => {
+    const files = [doc.pagesPath, doc.pageMapPath, path.join("public", doc.pdfHref)];
+    for (const f of files) expect(fs.existsSync(path.join(process.cwd(), f)), f).toBe(true);
+  });
+
+  it("looks documents up by id and PDF link", () => {
+    expect(DOCUMENTS.some((d) => d.id === DEFAULT_DOCUMENT_ID)).toBe(true);
+    expect(requireDocument().id).toBe(DEFAULT_DOCUMENT_ID);
+    expect(() => requireDocument("nba-2023")).toThrow(UnknownDocumentError);
+    expect(documentForHref("/mlb/MLB_CBA_2022.pdf#page=3").id).toBe("mlb-2022");
+    expect(termLabel(requireDocument("mlb-2022"))).toBe("2022–2026");
+  });
+});
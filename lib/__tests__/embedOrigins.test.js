@@ -0,0 +1,47 @@
+// lib/__tests__/embedOrigins.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { allowedEmbedOrigins, frameAncestors, isEmbedOriginAllowed, isEmbedRequestAllowed } from "../embedOrigins";
+
+const allowed = allowedEmbedOrigins({ EMBED_ALLOWED_ORIGINS: "https://team.example, https://*.league.example/" });
+const self = "https://cba.example";
+
+describe("isEmbedOriginAllowed", () => {
+  it("matches exact origins, subdomain patterns and the chat itself", () => {
+    expect(isEmbedOriginAllowed("https://team.example", allowed)).toBe(true);
+    expect(isEmbedOriginAllowed("https://news.league.example", allowed)).toBe(true);
+    expect(isEmbedOriginAllowed("http://news.league.example", allowed)).toBe(false);
+    expect(isEmbedOriginAllowed("https://league.example", allowed)).toBe(false);
+    expect(isEmbedOriginAllowed(self, allowed, { self })).toBe(true);
+    expect(isEmbedOriginAllowed("https://other.example", allowed, { self })).toBe(false);
+  });
+});
+
+describe("isEmbedRequestAllowed", () => {
+  it("checks the embedding page and the browser's Origin", () => {
+    expect(isEmbedRequestAllowed({ "x-embed-origin": "https://team.example", origin: self }, allowed, { self })).toBe(true);
+    expect(isEmbedRequestAllowed({ "x-embed-origin": "https://other.example", origin: self }, allowed, { self })).toBe(false);
+    expect(isEmbedRequestAllowed({ origin: self }, allowed, { self })).toBe(true);
+  });
+
+  it("refuses a page on another site that calls the API without X-Embed-Origin", () => {
+    expect(isEmbedRequestAllowed({ origin: "https://other.example" }, allowed, { self })).toBe(false);
+    expect(isEmbedRequestAllowed({ origin: "null" }, allowed, { self })).toBe(false);
+    expect(isEmbedRequestAllowed({ origin: "https://team.example" }, allowed, { self })).toBe(true);
+  });
+
+  it("lets requests from outside a browser through", () => {
+    expect(isEmbedRequestAllowed({}, allowed, { self })).toBe(true);
+  });
+
+  it("allows everything with *", () => {
+    expect(isEmbedRequestAllowed({ origin: "https://other.example" }, ["*"], { self })).toBe(true);
+  });
+});
+
+describe("frameAncestors", () => {
+  it("lists the chat and the allowed sites", () => {
+    expect(frameAncestors(allowed)).toBe("'self' https://team.example https://*.league.example");
+    expect(frameAncestors(["*"])).toBe("*");
+  });
+});
@@ -0,0 +1,100 @@
+// lib/__tests__/rateLimit.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { checkRateLimit, clientIp, createMemoryStore, requestOrigin } from "../rateLimit";
+
+const request = (headers = {}, remoteAddress = "203.0.113.7") => ({ headers, socket: { remoteAddress } });
+
+describe("clientIp", () => {
+  it("uses the connection's address unless proxies are trusted", () => {
+    const req = request({ "x-forwarded-for": "1.2.3.4", "x-real-ip": "5.6.7.8" });
+    expect(clientIp(req, {})).toBe("203.0.113.7");
+    expect(clientIp(req, { TRUST_PROXY: "0" })).toBe("203.0.113.7");
+  });
+
+  it("takes the address the trusted proxies saw, not what the caller claims", () => {
+    // The caller sent "X-Forwarded-For: 1.2.3.4"; the load balancer appended 198.51.100.9.
+    const req = request({ "x-forwarded-for": "1.2.3.4, 198.51.100.9" }, "10.0.0.2");
+    expect(clientIp(req, { TRUST_PROXY: "1" })).toBe("198.51.100.9");
+    // CDN in front of the load balancer.
+    const twice = request({ "x-forwarded-for": "1.2.3.4, 198.51.100.9, 172.16.0.5" }, "10.0.0.2");
+    expect(clientIp(twice, { TRUST_PROXY: "2" })).toBe("198.51.100.9");
+  });
+
+  it("trusts one proxy on Vercel unless told otherwise", () => {
+    const req = request({ "x-forwarded-for": "198.51.100.9" }, "10.0.0.2");
+    expect(clientIp(req, { VERCEL: "1" })).toBe("198.51.100.9");
+    expect(clientIp(req, { VERCEL: "1", TRUST_PROXY: "0" })).toBe("10.0.0.2");
+  });
+
+  it("falls back to the left-most address when there are fewer hops than proxies", () => {
+    expect(clientIp(request({}, "10.0.0.2"), { TRUST_PROXY: "1" })).toBe("10.0.0.2");
+    expect(clientIp(request({ "x-forwarded-for": "198.51.100.9" }, "10.0.0.2"), { TRUST_PROXY: "3" })).toBe("198.51.100.9");
+  });
+});
+
+describe("requestOrigin", () => {
+  it("prefers X-Embed-Origin, then Origin, then Referer", () => {
+    expect(requestOrigin(request({ "x-embed-origin": "https://team.example", origin: "https://cba.example" }))).toBe(
+      "https://team.example"
+    );
+    expect(requestOrigin(request({ referer: "https://team.example/roster?x=1" }))).toBe("https://team.example");
+    expect(requestOrigin(request())).toBe("direct");
+  });
+
+  it("ignores values that are not http(s) URLs", () => {
+    expect(requestOrigin(request({ "x-embed-origin": "not a url", origin: "https://cba.example" }))).toBe("https://cba.example");
+    expect(requestOrigin(request({ origin: "null", referer: "file:///tmp/page.html" }))).toBe("direct");
+    expect(requestOrigin(request({ "x-embed-origin": "javascript:alert(1)" }))).toBe("direct");
+  });
+});
+
+describe("createMemoryStore", () => {
+  it("evicts the least recently set keys when full, even if they have not expired", async () => {
+    const store = createMemoryStore({ maxKeys: 3 });
+    await store.set("a", 1, 60000);
+    await store.set("b", 2, 60000);
+    await store.set("c", 3, 60000);
+    await store.set("a", 4, 60000);
+    await store.set("d", 5, 60000);
+    expect(await store.get("b")).toBe(null);
+    expect(await Promise.all(["a", "c", "d"].map((k) => store.get(k)))).toEqual([4, 3, 5]);
+  });
+
+  it("drops expired keys before live ones", async () => {
+    const store = createMemoryStore({ maxKeys: 2 });
+    await store.set("live", 1, 60000);
+    await store.set("stale", 2, -1);
+    await store.set("new", 3, 60000);
+    expect(await store.get("live")).toBe(1);
+    expect(await store.get("new")).toBe(3);
+  });
+});
+
+describe("checkRateLimit", () => {
+  const config = { ip: { burst: 2, perMinute: 1, daily: 0 }, origin: { burst: 0, perMinute: 0, daily: 0 } };
+
+  it("is not reset by a new X-Forwarded-For on every request", async () => {
+    const store = createMemoryStore();
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push((await checkRateLimit(request({ "x-forwarded-for": `1.2.3.${i}` }), { store, config })).allowed);
+    }
+    expect(results).toEqual([true, true, false]);
+  });
+
+  it("does not hold the chat's own pages to a per-site limit", async () => {
+    const store = createMemoryStore();
+    const perSite = { ip: { burst: 0, perMinute: 0, daily: 0 }, origin: { burst: 1, perMinute: 1, daily: 0 } };
+    const self = "https://cba.example";
+    const ask = (ip, headers) => checkRateLimit(request(headers, ip), { store, config: perSite, self });
+
+    for (const ip of ["203.0.113.1", "203.0.113.2", "203.0.113.3"]) {
+      expect((await ask(ip, { origin: self })).allowed).toBe(true);
+    }
+    // An embed on a partner site is sent from the chat's origin but counts against the partner.
+    const embed = { origin: self, "x-embed-origin": "https://team.example" };
+    expect((await ask("203.0.113.4", embed)).allowed).toBe(true);
+    expect((await ask("203.0.113.5", embed)).allowed).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+// lib/__tests__/retrieval.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { buildIndex, makeSnippet, normalizeText, searchPages, tokenize } from "../retrieval";
+
+const pages = [
+  { page: 1, text: "Table of contents. Article I Recognition. Article II Scope." },
+  { page: 2, text: "The minimum salary shall be $740,000 in 2023. The minimum salary rises each year." },
+  { page: 3, text: "Salary arbitration is available to players with three years of service." },
+  {
+    page: 4,
+    text:
+      "Players may elect free agency after six years. " +
+      "This long page mentions salary once among many other words about benefits, pensions, " +
+      "travel, meal money, spring training allowances, housing, uniforms and equipment.",
+  },
+];
+
+const index = buildIndex(pages);
+const ranked = (q, opts) => searchPages(q, { index, ...opts }).map((r) => r.page);
+
+describe("text normalization", () => {
+  it("undoes PDF hyphenation and smart quotes", () => {
+    expect(normalizeText("Con- tract “terms”  club’s")).toBe('Contract "terms" club\'s');
+  });
+
+  it("drops stopwords and possessives", () => {
+    expect(tokenize("What is the Club's minimum salary?")).toEqual(["club", "minimum", "salary"]);
+  });
+});
+
+describe("BM25 search", () => {
+  it("ranks the page where the terms are most frequent and rarest first", () => {
+    expect(ranked("minimum salary")).toEqual([2, 3, 4]);
+  });
+
+  it("favours a short page over a long one with the same term count", () => {
+    const [short, long] = searchPages("salary", { index }).filter((r) => r.page !== 2);
+    expect(short.page).toBe(3);
+    expect(long.page).toBe(4);
+    expect(short.score).toBeGreaterThan(long.score);
+  });
+
+  it("weights a rare term above a common one", () => {
+    expect(ranked("salary arbitration")[0]).toBe(3);
+    expect(ranked("salary free agency")[0]).toBe(4);
+  });
+
+  it("returns nothing for stopwords or unknown terms", () => {
+    expect(searchPages("what is the", { index })).toEqual([]);
+    expect(searchPages("quidditch", { index })).toEqual([]);
+  });
+
+  it("limits results to topN and to pages inside a scope", () => {
+    expect(ranked("salary", { topN: 1 })).toEqual([2]);
+    expect(ranked("salary", { scope: { items: [{ start: 3, end: 4 }] } })).toEqual([3, 4]);
+  });
+
+  it("snips a long page around the query terms", () => {
+    const text = `${"filler ".repeat(100)}minimum salary here ${"filler ".repeat(100)}`;
+    const snippet = makeSnippet(text, ["minimum", "salary"], 80);
+    expect(snippet).toContain("minimum salary");
+    expect(snippet.startsWith("…")).toBe(true);
+    expect(snippet.endsWith("…")).toBe(true);
+  });
+
+  it("finds the minimum salary in the 2022 agreement", () => {
+    const [top] = searchPages("minimum salary major league", { documentId: "mlb-2022", topN: 1 });
+    expect(top.text.toLowerCase()).toContain("minimum");
+    expect(top.snippet.length).toBeLessThanOrEqual(322);
+  });
+});
@@ -0,0 +1,74 @@
+// lib/__tests__/scope.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { describeScope, inScope, MAX_SCOPE_ITEMS, parseScope, ScopeError } from "../scope";
+import { searchPages } from "../retrieval";
+import { createToolbox } from "../tools";
+
+const documentId = "mlb-2022";
+
+describe("parseScope", () => {
+  it("resolves Articles, Sections, Attachments and page ranges", () => {
+    const scope = parseScope("XXIII(B); Attachment 46, pp. 10–12, 20", { documentId });
+    expect(scope.items).toEqual([
+      { label: "Article XXIII(B)", title: "Determination of Competitive Balance Tax", start: 131, end: 136 },
+      { label: "Attachment 46", title: "International Amateur Talent System", start: 332, end: 341 },
+      { label: "PDF pages 10–12", title: null, start: 10, end: 12 },
+      { label: "PDF page 20", title: null, start: 20, end: 20 },
+    ]);
+    expect(scope.label).toBe("Article XXIII(B), Attachment 46, PDF pages 10–12, PDF page 20");
+    expect(describeScope(scope)).toMatch(/^Article XXIII\(B\) \(Determination of Competitive Balance Tax, PDF pages 131–136\);/);
+  });
+
+  it("treats an empty scope as none and drops duplicates", () => {
+    expect(parseScope(undefined, { documentId })).toBe(null);
+    expect(parseScope([" ", ""], { documentId })).toBe(null);
+    expect(parseScope(["131-136", "pages 131-136"], { documentId }).items).toHaveLength(1);
+  });
+
+  it("refuses what it cannot resolve", () => {
+    expect(() => parseScope("Article XCIX", { documentId })).toThrow(ScopeError);
+    expect(() => parseScope("Article XXIII(Z)", { documentId })).toThrow(ScopeError);
+    expect(() => parseScope("12-10", { documentId })).toThrow(ScopeError);
+    expect(() => parseScope("99999", { documentId })).toThrow(/is not a page range/);
+    const many = Array.from({ length: MAX_SCOPE_ITEMS + 1 }, (_, i) => String(i + 1));
+    expect(() => parseScope(many, { documentId })).toThrow(`at most ${MAX_SCOPE_ITEMS}`);
+  });
+
+  it("checks pages against every item", () => {
+    const scope = parseScope("10-12, 20", { documentId });
+    expect([9, 10, 12, 13, 20].map((p) => inScope(p, scope))).toEqual([false, true, true, false, true]);
+    expect(inScope(9, null)).toBe(true);
+  });
+});
+
+describe("scope enforcement", () => {
+  const scope = parseScope("Article XXIII(B)", { documentId });
+
+  it("only retrieves pages inside the scope", () => {
+    const pages = searchPages("salary arbitration tax", { documentId, scope, topN: 10 }).map((r) => r.page);
+    expect(pages.length).toBeGreaterThan(0);
+    expect(pages.every((p) => p >= 131 && p <= 136)).toBe(true);
+  });
+
+  it("refuses get_page outside the scope and allows it inside", async () => {
+    const toolbox = createToolbox({ documentId, scope });
+    const [outside, inside] = await toolbox.execute([
+      { id: "1", name: "get_page", arguments: '{"page":15}' },
+      { id: "2", name: "get_page", arguments: '{"page":132}' },
+    ]);
+    expect(JSON.parse(outside.output)).toEqual({
+      error: `PDF page 15 is outside the question's scope (${describeScope(scope)}).`,
+    });
+    expect(JSON.parse(inside.output)).toMatchObject({ page: 132 });
+    expect(toolbox.used.map((u) => u.ok)).toEqual([false, true]);
+  });
+
+  it("only searches pages inside the scope", async () => {
+    const toolbox = createToolbox({ documentId, scope });
+    const [out] = await toolbox.execute([{ id: "1", name: "search_cba", arguments: '{"query":"tax","limit":20}' }]);
+    const { results } = JSON.parse(out.output);
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every((r) => r.page >= 131 && r.page <= 136)).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+// lib/__tests__/search.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { parseQuery, searchCba, SearchQueryError } from "../search";
+
+const pagesFor = (query, opts) => searchCba(query, { limit: 1000, ...opts }).results.map((r) => r.page);
+
+describe("parseQuery", () => {
+  it("splits OR-ed clauses of AND-ed words and phrases", () => {
+    expect(parseQuery('tender AND "non-tender" OR Super-Two,')).toEqual([
+      [
+        { text: "tender", phrase: false },
+        { text: "non-tender", phrase: true },
+      ],
+      [{ text: "super-two", phrase: false }],
+    ]);
+  });
+
+  it("rejects empty queries and unbalanced quotes", () => {
+    expect(() => parseQuery("  ")).toThrow(SearchQueryError);
+    expect(() => parseQuery('"qualifying offer')).toThrow("Unbalanced quotes");
+    expect(() => parseQuery('OR "" AND')).toThrow("no search terms");
+  });
+});
+
+describe("searchCba", () => {
+  it("matches a phrase only where its words are adjacent", () => {
+    const words = pagesFor("balance tax");
+    const phrase = pagesFor('"balance tax"');
+    expect(phrase.length).toBeGreaterThan(0);
+    expect(phrase.length).toBeLessThan(words.length);
+    expect(words).toEqual(expect.arrayContaining(phrase));
+    for (const r of searchCba('"balance tax"', { limit: 1000 }).results) {
+      expect(r.snippet.toLowerCase()).toMatch(/balance\s+tax/);
+    }
+  });
+
+  it("returns either side of OR", () => {
+    const superTwo = pagesFor('"super two"');
+    const offer = pagesFor('"qualifying offer"');
+    const either = pagesFor('"super two" OR "qualifying offer"');
+    expect(new Set(either)).toEqual(new Set([...superTwo, ...offer]));
+  });
+
+  it("matches words at word starts", () => {
+    expect(pagesFor("arbitrat")).toEqual(expect.arrayContaining(pagesFor("arbitration")));
+    expect(pagesFor("rbitration")).toEqual([]);
+  });
+
+  it("limits results to an Article", () => {
+    const all = pagesFor('"competitive balance tax"');
+    const inArticle = pagesFor('"competitive balance tax"', { article: "XXIII" });
+    expect(inArticle.length).toBeGreaterThan(0);
+    expect(inArticle.length).toBeLessThan(all.length);
+    expect(inArticle.every((p) => p >= 129 && p <= 159)).toBe(true);
+    expect(pagesFor('"competitive balance tax"', { article: "Article XXIII" })).toEqual(inArticle);
+    expect(() => searchCba("tax", { article: "XCIX" })).toThrow('Unknown article "XCIX"');
+  });
+
+  it("highlights the matches inside each snippet", () => {
+    const [first] = searchCba('"qualifying offer"').results;
+    expect(first.highlights.length).toBeGreaterThan(0);
+    for (const [a, b] of first.highlights) expect(first.snippet.slice(a, b).toLowerCase()).toBe("qualifying offer");
+    expect(first.label).toMatch(/^(Article|Attachment|Appendix) /);
+  });
+
+  it("pages through results by hit count", () => {
+    const { total, results } = searchCba("salary", { limit: 3 });
+    expect(total).toBeGreaterThan(3);
+    expect(results).toHaveLength(3);
+    expect(results[0].hits).toBeGreaterThanOrEqual(results[2].hits);
+    expect(searchCba("salary", { limit: 3, offset: 1 }).results[0]).toEqual(results[1]);
+  });
+});
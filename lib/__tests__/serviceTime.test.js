@@ -0,0 +1,126 @@
+// lib/__tests__/serviceTime.test.js
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import { calculateServiceTime, formatService, parseService, ruleSource, ServiceTimeInputError } from "../serviceTime";
+
+const run = (seasons, extra = {}) => calculateServiceTime({ seasons, projectFullSeasons: false, ...extra });
+
+describe("service time form", () => {
+  it("converts between days and years.days", () => {
+    expect(formatService(474)).toBe("2.130");
+    expect(formatService(172)).toBe("1.000");
+    expect(parseService("2.130")).toBe(474);
+    expect(parseService(15)).toBe(15);
+    expect(() => parseService("2.172")).toThrow(ServiceTimeInputError);
+  });
+});
+
+describe("calculateServiceTime", () => {
+  it("credits at most a full year per season and short options", () => {
+    const { seasons, service } = run([
+      { year: 2022, days: 186 },
+      { year: 2023, days: 150, optionedDays: 19 },
+      { year: 2024, days: 150, optionedDays: 20 },
+    ]);
+    expect(seasons.map((s) => s.credited)).toEqual([172, 169, 150]);
+    expect(service).toEqual({ totalDays: 491, years: 2, days: 147, label: "2.147" });
+  });
+
+  it("reaches arbitration at three years and free agency at six", () => {
+    const { seasons, arbitrationYears, freeAgency } = run(
+      [2019, 2020, 2021, 2022, 2023, 2024].map((year) => ({ year, days: 172 }))
+    );
+    expect(seasons.map((s) => s.status)).toEqual([
+      "pre-arbitration",
+      "super-two-candidate",
+      "arbitration",
+      "arbitration",
+      "arbitration",
+      "free-agency",
+    ]);
+    expect(arbitrationYears).toEqual([2022, 2023, 2024]);
+    expect(freeAgency).toEqual({ afterSeason: 2024, year: 2025, service: "6.000" });
+  });
+
+  it("needs 86 days in the season and the cutoff for Super Two", () => {
+    const base = [
+      { year: 2023, days: 172 },
+      { year: 2024, days: 86 },
+      { year: 2025, days: 86 },
+    ];
+    expect(run(base, { superTwoCutoff: "2.000" }).seasons[2]).toMatchObject({ service: "2.000", status: "super-two" });
+    expect(run(base, { superTwoCutoff: "2.001" }).seasons[2].status).toBe("pre-arbitration");
+    expect(run(base, { superTwoCutoff: "2.000" }).arbitrationYears).toEqual([2026]);
+
+    const unknown = run(base);
+    expect(unknown.seasons[2].status).toBe("super-two-candidate");
+    expect(unknown.superTwo.eligible).toBe(null);
+    expect(unknown.notes.join(" ")).toMatch(/top 22%/);
+
+    const thin = run(
+      [
+        { year: 2023, days: 172 },
+        { year: 2024, days: 100 },
+        { year: 2025, days: 85 },
+      ],
+      { superTwoCutoff: "2.000" }
+    );
+    expect(thin.seasons[2]).toMatchObject({ service: "2.013", status: "pre-arbitration" });
+    expect(thin.seasons[2].superTwo).toMatchObject({ eligible: false });
+    expect(thin.seasons[2].superTwo.reason).toMatch(/Only 85 days/);
+  });
+
+  it("summarizes Super Two from a later season that qualifies after an earlier one did not", () => {
+    const result = run(
+      [
+        { year: 2019, days: 172 },
+        { year: 2020, days: 172 },
+        { year: 2021, days: 100 },
+      ],
+      { superTwoCutoff: { 2020: "2.130", 2021: "2.090" } }
+    );
+    expect(result.seasons.map((s) => [s.service, s.status])).toEqual([
+      ["1.000", "pre-arbitration"],
+      ["2.000", "pre-arbitration"],
+      ["2.100", "super-two"],
+    ]);
+    expect(result.superTwo).toMatchObject({ afterSeason: 2021, service: "2.100", eligible: true, cutoff: "2.090" });
+    expect(result.arbitrationYears).toEqual([2022]);
+  });
+
+  it("keeps the first qualifying Super Two season in the summary", () => {
+    const result = run(
+      [
+        { year: 2019, days: 172 },
+        { year: 2020, days: 172 },
+        { year: 2021, days: 100 },
+      ],
+      { superTwoCutoff: { 2020: "2.000", 2021: "2.150" } }
+    );
+    expect(result.seasons.map((s) => s.status)).toEqual(["pre-arbitration", "super-two", "pre-arbitration"]);
+    expect(result.superTwo).toMatchObject({ afterSeason: 2020, eligible: true });
+  });
+
+  it("projects full seasons until free agency", () => {
+    const result = calculateServiceTime({ seasons: [{ year: 2024, days: 172 }] });
+    expect(result.freeAgency).toEqual({ afterSeason: 2029, year: 2030, service: "6.000" });
+    expect(result.seasons.filter((s) => s.projected)).toHaveLength(5);
+  });
+
+  it("rejects bad input", () => {
+    expect(() => calculateServiceTime({ seasons: [] })).toThrow(ServiceTimeInputError);
+    expect(() => run([{ year: 2024, days: 10 }, { year: 2024, days: 20 }])).toThrow(/listed twice/);
+    const twoYears = [
+      { year: 2023, days: 172 },
+      { year: 2024, days: 172 },
+    ];
+    expect(() => run(twoYears, { superTwoCutoff: "3.010" })).toThrow(/cutoff/);
+  });
+
+  it("cites each rule from its page in the agreement", () => {
+    const source = ruleSource("superTwoDays");
+    expect(source.label).toBe("Article VI(E)(1)");
+    expect(source.page).toBeGreaterThan(0);
+    expect(source.href).toContain(`#page=${source.page}`);
+  });
+});
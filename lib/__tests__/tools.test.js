@@ -0,0 +1,84 @@
+// lib/__tests__/tools.test.js
+// @vitest-environment node
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createToolbox, runTool, toolDefinitions, TOOL_NAMES } from "../tools";
+
+const run = (name, args, opts = { documentId: "mlb-2022" }) => {
+  const r = runTool(name, args, opts);
+  return { ...r, value: JSON.parse(r.output) };
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("tool definitions", () => {
+  it("describes every tool as an OpenAI function", () => {
+    expect(TOOL_NAMES).toEqual(["search_cba", "get_page", "resolve_article_page", "calculate_cbt", "calculate_service_time"]);
+    for (const def of toolDefinitions()) {
+      expect(def.type).toBe("function");
+      expect(def.function.description).toBeTruthy();
+      expect(def.function.parameters.type).toBe("object");
+    }
+  });
+});
+
+describe("runTool", () => {
+  it("returns page text with its Article", () => {
+    const { ok, value } = run("get_page", { page: 131 });
+    expect(ok).toBe(true);
+    expect(value).toMatchObject({ page: 131, label: expect.stringMatching(/^Article XXIII/) });
+    expect(value.text.length).toBeGreaterThan(100);
+  });
+
+  it("resolves an Article to its pages", () => {
+    const { value } = run("resolve_article_page", '{"label":"Article XXIII(B)"}');
+    expect(value).toMatchObject({ label: "Article XXIII(B)", href: expect.stringMatching(/#page=\d+$/) });
+    expect(value.end).toBeGreaterThanOrEqual(value.start);
+  });
+
+  it("searches, falling back to ranked pages when nothing matches every word", () => {
+    expect(run("search_cba", { query: '"qualifying offer"', limit: 2 }).value.results).toHaveLength(2);
+    const fallback = run("search_cba", { query: "qualifying offer zzzzqx" }).value;
+    expect(fallback.total).toBe(0);
+    expect(fallback.related.length).toBeGreaterThan(0);
+  });
+
+  it("runs the calculators", () => {
+    const cbt = run("calculate_cbt", { otherPayroll: { 2024: 250000000 }, includeBenefits: false }).value;
+    expect(cbt.years[0]).toMatchObject({ year: 2024, tier: "base" });
+    const service = run("calculate_service_time", { seasons: [{ year: 2024, days: 186 }] }).value;
+    expect(service.service.label).toBe("1.000");
+  });
+
+  it("hands the model's mistakes back as errors", () => {
+    expect(run("drop_tables", {})).toMatchObject({ ok: false, error: 'Unknown tool "drop_tables".' });
+    expect(run("get_page", "{page:")).toMatchObject({ ok: false, error: "Arguments are not valid JSON." });
+    expect(run("get_page", { page: 9999 }).error).toBe("There is no PDF page 9999.");
+    expect(run("search_cba", { query: '"open' }).error).toMatch(/Unbalanced quotes/);
+    expect(run("calculate_cbt", { years: [2030] }).error).toMatch(/thresholds for/);
+    expect(run("toString", {}).error).toBe('Unknown tool "toString".');
+  });
+
+  it("does not leak unexpected failures", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    expect(run("calculate_cbt", { contracts: [{ seasons: "2024" }] }).error).toBe("The tool failed.");
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe("createToolbox", () => {
+  it("answers each call by id and records what was used", async () => {
+    const toolbox = createToolbox({ documentId: "mlb-2022" });
+    const out = await toolbox.execute([
+      { id: "a", name: "resolve_article_page", arguments: '{"label":"Article VI"}' },
+      { id: "b", name: "nope", arguments: "{}" },
+    ]);
+    expect(out.map((o) => o.id)).toEqual(["a", "b"]);
+    expect(JSON.parse(out[0].output).label).toBe("Article VI");
+    expect(toolbox.used).toEqual([
+      { name: "resolve_article_page", arguments: { label: "Article VI" }, ok: true },
+      { name: "nope", arguments: {}, ok: false, error: 'Unknown tool "nope".' },
+    ]);
+  });
+});
@@ -0,0 +1,48 @@
+// lib/adminAuth.js
+// Password for the /admin pages and /api/admin routes: HTTP Basic auth against ADMIN_PASSWORD
+// (any user name). Without ADMIN_PASSWORD the admin area is switched off.
+// Used by middleware.js and the admin API routes, so it must stay free of Node-only imports.
+
+export const ADMIN_REALM = "CBA Assistant admin";
+
+// Compares every character so the time taken doesn't depend on where a guess goes wrong.
+function sameText(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+function basicPassword(authorization) {
+  const m = String(authorization || "").match(/^Basic\s+([A-Za-z0-9+/=]+)$/i);
+  if (!m) return null;
+  try {
+    const decoded = atob(m[1]);
+    return decoded.slice(decoded.indexOf(":") + 1);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check an Authorization header. Returns "ok", "denied" (missing or wrong password)
+ * or "disabled" (no ADMIN_PASSWORD configured).
+ */
+export function checkAdminAuth(authorization, env = process.env) {
+  const password = env.ADMIN_PASSWORD;
+  if (!password) return "disabled";
+  const given = basicPassword(authorization);
+  return given !== null && sameText(given, password) ? "ok" : "denied";
+}
+
+// For API routes: sends the 401/404 and returns false unless the request is authorized.
+export function requireAdmin(req, res) {
+  const status = checkAdminAuth(req.headers.authorization);
+  if (status === "ok") return true;
+  if (status === "disabled") {
+    res.status(404).json({ result: "The admin area is disabled. Set ADMIN_PASSWORD to enable it." });
+  } else {
+    res.setHeader("WWW-Authenticate", `Basic realm="${ADMIN_REALM}", charset="UTF-8"`);
+    res.status(401).json({ result: "Admin password required." });
+  }
+  return false;
+}
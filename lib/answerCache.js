@@ -0,0 +1,143 @@
+// lib/answerCache.js
+// Cached answers for repeated questions, so /api/chat can skip the model for them.
+// - Keyed on the normalized question, the agreement's version and the scope. The version is a
+//   hash of the document's cba_pages.json and page_map.json, so rebuilding either one starts a
+//   fresh cache for that agreement; clearAnswerCache() (DELETE /api/admin/cache) drops everything.
+// - Near-duplicates ("What's the CBT threshold for 2024" / "what is the 2024 CBT threshold?")
+//   can match too: set ANSWER_CACHE_SIMILARITY to a word-overlap threshold (0–1, e.g. 0.8).
+//   Questions with different numbers in them ("2024" vs "2025") never match each other.
+// - ANSWER_CACHE=memory (default, per server process), file (under DATA_DIR/answers) or off;
+//   ANSWER_CACHE_TTL_HOURS (24) is how long an answer is served.
+// Only a conversation's first question is looked up or stored: follow-ups depend on what came before.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { dataPath } from "./storage";
+import { requireDocument } from "./documents";
+import { normalizeText, tokenize } from "./retrieval";
+import { createFileStore, createMemoryStore } from "./rateLimit";
+
+const MAX_BUCKET_ENTRIES = 200;
+
+export function answerCacheConfig(env = process.env) {
+  const mode = (env.ANSWER_CACHE || "memory").toLowerCase();
+  const hours = env.ANSWER_CACHE_TTL_HOURS === undefined ? 24 : Number(env.ANSWER_CACHE_TTL_HOURS) || 0;
+  const similarity = Math.min(Math.max(Number(env.ANSWER_CACHE_SIMILARITY) || 0, 0), 1);
+  return { mode: hours > 0 ? mode : "off", ttlMs: hours * 3600000, similarity };
+}
+
+let store = null;
+
+function getStore(mode) {
+  if (!store) store = mode === "file" ? createFileStore({ dir: dataPath("answers") }) : createMemoryStore();
+  return store;
+}
+
+export async function clearAnswerCache() {
+  store = null;
+  fs.rmSync(dataPath("answers"), { recursive: true, force: true });
+}
+
+const versions = new Map(); // documentId -> { stamp, version }
+
+// Content hash of the agreement's pages and page map, recomputed only when the files change.
+export function documentVersion(documentId) {
+  const doc = requireDocument(documentId);
+  const files = [doc.pagesPath, doc.pageMapPath].map((p) => path.join(process.cwd(), p));
+  const stamp = files
+    .map((f) => {
+      try {
+        const s = fs.statSync(f);
+        return `${s.size}:${s.mtimeMs}`;
+      } catch {
+        return "-";
+      }
+    })
+    .join("|");
+  const known = versions.get(doc.id);
+  if (known?.stamp === stamp) return known.version;
+
+  const hash = crypto.createHash("sha256");
+  for (const f of files) {
+    try {
+      hash.update(fs.readFileSync(f));
+    } catch {
+      hash.update("-");
+    }
+  }
+  const version = hash.digest("hex").slice(0, 12);
+  versions.set(doc.id, { stamp, version });
+  return version;
+}
+
+export function normalizeQuestion(question) {
+  return normalizeText(question)
+    .toLowerCase()
+    .replace(/[?!.\s]+$/, "")
+    .trim();
+}
+
+function bucketKey(documentId, scope) {
+  return `answers|${documentId}|${documentVersion(documentId)}|${scope?.label || ""}`;
+}
+
+const numbersIn = (words) => words.filter((w) => /\d/.test(w)).sort().join(" ");
+
+function similarity(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (!setA.size || !setB.size) return 0;
+  let shared = 0;
+  for (const w of setA) if (setB.has(w)) shared += 1;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * A cached answer for `question`, or null. Returns
+ * { answer, at, match: "exact" | "similar", similarity, question } (question as first asked).
+ */
+export async function lookupAnswer(question, { documentId, scope, env = process.env } = {}) {
+  const { mode, similarity: threshold } = answerCacheConfig(env);
+  if (mode === "off") return null;
+  const entries = (await getStore(mode).get(bucketKey(documentId, scope))) || [];
+  const now = Date.now();
+  const live = entries.filter((e) => e.expiresAt > now);
+
+  const key = normalizeQuestion(question);
+  const exact = live.find((e) => e.key === key);
+  if (exact) return { answer: exact.answer, at: exact.at, match: "exact", similarity: 1, question: exact.question };
+  if (!threshold) return null;
+
+  const words = tokenize(key);
+  const numbers = numbersIn(words);
+  let best = null;
+  for (const e of live) {
+    if (numbersIn(e.words) !== numbers) continue;
+    const s = similarity(words, e.words);
+    if (s >= threshold && (!best || s > best.s)) best = { e, s };
+  }
+  if (!best) return null;
+  const { e, s } = best;
+  return { answer: e.answer, at: e.at, match: "similar", similarity: Number(s.toFixed(3)), question: e.question };
+}
+
+// Remember `answer` ({ result, citations, foundInScope, pages, calculation }) for `question`.
+export async function storeAnswer(question, { documentId, scope, env = process.env } = {}, answer) {
+  const { mode, ttlMs } = answerCacheConfig(env);
+  if (mode === "off") return;
+  const s = getStore(mode);
+  const bucket = bucketKey(documentId, scope);
+  const now = Date.now();
+  const key = normalizeQuestion(question);
+  const entries = ((await s.get(bucket)) || []).filter((e) => e.expiresAt > now && e.key !== key);
+  entries.push({
+    key,
+    words: tokenize(key),
+    question: String(question),
+    answer,
+    at: new Date(now).toISOString(),
+    expiresAt: now + ttlMs,
+  });
+  await s.set(bucket, entries.slice(-MAX_BUCKET_ENTRIES), ttlMs);
+}
@@ -0,0 +1,536 @@
+// lib/cbt.js
+// Deterministic Competitive Balance Tax calculator for the 2022–2026 Basic Agreement
+// (Article XXIII). No model involved: the figures below are transcribed from the agreement,
+// and every one carries the verbatim sentence it comes from, so its PDF page is looked up
+// in cba_pages.json (and can be re-verified) rather than hardcoded.
+//
+// Inputs are a Club's contracts (Base Salary by season, Signing Bonus, Option Buyout,
+// deferrals, earned bonuses) plus any other payroll; the output is, per Contract Year,
+// Actual Club Payroll, the threshold tier reached, tax owed by bracket and the Rule 4 Draft
+// penalty. Not modelled: in-season assignments, Split Contracts, option-year Valley
+// Charges and loans (Sections C(2), E(5)(d), E(7)).
+
+import { quoteSource } from "./citations";
+
+export const CBT_DOCUMENT_ID = "mlb-2022";
+
+export class CbtInputError extends Error {}
+
+// { value, label, quote } — `quote` must appear verbatim (after normalization) in the CBA.
+const RULES = {
+  baseThreshold: {
+    label: "Article XXIII(B)(2)",
+    quote: "The Base Tax Threshold shall be $230 million in the 2022 Contract Year",
+    value: { 2022: 230e6, 2023: 233e6, 2024: 237e6, 2025: 241e6, 2026: 244e6 },
+  },
+  firstSurchargeThreshold: {
+    label: "Article XXIII(B)(4)",
+    quote: "The First Surcharge Threshold shall be $250 million in the 2022 Contract Year",
+    value: { 2022: 250e6, 2023: 253e6, 2024: 257e6, 2025: 261e6, 2026: 264e6 },
+  },
+  secondSurchargeThreshold: {
+    label: "Article XXIII(B)(4)",
+    quote: "The Second Surcharge Threshold shall be $270 million in the 2022 Contract Year",
+    value: { 2022: 270e6, 2023: 273e6, 2024: 277e6, 2025: 281e6, 2026: 284e6 },
+  },
+  thirdSurchargeThreshold: {
+    label: "Article XXIII(B)(4)",
+    quote: "The Third Surcharge Threshold shall be $290 million in the 2022 Contract Year",
+    value: { 2022: 290e6, 2023: 293e6, 2024: 297e6, 2025: 301e6, 2026: 304e6 },
+  },
+  baseRateFirst: {
+    label: "Article XXIII(B)(3)",
+    quote: "20% if the Club did not exceed the Base Tax Threshold in the preceding Contract Year",
+    value: 0.2,
+  },
+  baseRateSecond: {
+    label: "Article XXIII(B)(3)",
+    quote: "30% if the Club exceeded the Base Tax Threshold in the preceding Contract Year",
+    value: 0.3,
+  },
+  baseRateThird: {
+    label: "Article XXIII(B)(3)",
+    quote: "50% if the Club exceeded the Base Tax Threshold in both of the two preceding Contract Years",
+    value: 0.5,
+  },
+  firstSurchargeRate: {
+    label: "Article XXIII(B)(4)",
+    quote: "shall pay a 12% surcharge rate, on top of the applicable Base Tax Rate",
+    value: 0.12,
+  },
+  secondSurchargeRate: {
+    label: "Article XXIII(B)(4)",
+    quote: "shall pay an additional 45% surcharge rate, on top of the applicable Base Tax Rate",
+    value: 0.45,
+  },
+  secondSurchargeRateFirstTime: {
+    label: "Article XXIII(B)(4)",
+    quote: "a First-Time CBT Payor Club shall be charged a 42.5% surcharge rate",
+    value: 0.425,
+  },
+  thirdSurchargeRate: {
+    label: "Article XXIII(B)(4)",
+    quote: "shall pay a 60% surcharge rate on top of the applicable Base Tax Rate",
+    value: 0.6,
+  },
+  draftPenalty: {
+    label: "Article XXIII(B)(4)",
+    quote: "shall have its highest available selection in the next Rule 4 Draft moved back ten places",
+    value: 10,
+  },
+  draftPenaltyTopSix: {
+    label: "Article XXIII(B)(4)",
+    quote: "shall not have its highest available selection moved back in the Draft if that selection is in the top six selections",
+    value: 6,
+  },
+  baseBenefits: {
+    label: "Article XXIII(D)(2)",
+    quote: "shall be $207,140,000 ($6,904,667 per Club)",
+    value: 6904667,
+  },
+  extendedBenefits: {
+    label: "Article XXIII(D)(2)",
+    quote: "shall be $276,861,210 ($9,228,707 per Club)",
+    value: 9228707,
+  },
+  preArbPool: {
+    label: "Article XXIII(C)(1)",
+    quote: "$1,666,666.67 per Club in each of the 2022",
+    value: 1666666.67,
+  },
+  aav: {
+    label: "Article XXIII(E)(2)",
+    quote: "shall be divided by the number of Guaranteed Years",
+  },
+  signingBonus: {
+    label: "Article XXIII(E)(3)",
+    quote: "shall be attributed, pro rata, over the Guaranteed Years of the Contract",
+  },
+  earnedBonus: {
+    label: "Article XXIII(E)(4)",
+    quote: "Potential bonuses shall not be included in the AAV calculation",
+  },
+  optionBuyout: {
+    label: "Article XXIII(E)(5)",
+    quote: "then such Option Buyout shall be deemed a Signing Bonus",
+  },
+  clubOption: {
+    label: "Article XXIII(E)(5)",
+    quote: "Club Option Years shall not be considered \"Guaranteed Years.\"",
+  },
+  deferredAttribution: {
+    label: "Article XXIII(E)(6)",
+    quote: "the Contract shall be treated as if the Deferred Compensation was attributed equally to each of the Guaranteed Years",
+  },
+  deferredPresentValue: {
+    label: "Article XXIII(E)(6)",
+    quote: "within one and one-half percentage points of the Imputed Loan Interest Rate",
+  },
+};
+
+export const CBT_YEARS = Object.keys(RULES.baseThreshold.value).map(Number);
+
+const cachedSources = new Map();
+
+/**
+ * Where a rule comes from: { label, page, quote, href }.
+ * The page is the one the quote is found on inside the label's page-map range.
+ */
+export function ruleSource(name) {
+  if (cachedSources.has(name)) return cachedSources.get(name);
+  const rule = RULES[name];
+  if (!rule) throw new Error(`Unknown CBT rule "${name}".`);
+  const source = quoteSource(rule, { documentId: CBT_DOCUMENT_ID });
+  cachedSources.set(name, source);
+  return source;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function money(n, name) {
+  const v = Number(n ?? 0);
+  if (!Number.isFinite(v) || v < 0) throw new CbtInputError(`${name} must be a non-negative amount.`);
+  return v;
+}
+
+/**
+ * Salary attributed to each season of one contract.
+ *
+ * contract: {
+ *   player, seasons: [{ year, baseSalary, guaranteed = true, exercised = true, earnedBonus = 0 }],
+ *   signingBonus = 0, optionBuyout = 0,
+ *   deferrals: [{ year, amount, paidIn, interestRate = 0 }]   // `year` omitted: spread over Guaranteed Years
+ * }
+ * options: { imputedLoanInterestRate } (required when a deferral is paid with interest off that rate)
+ *
+ * Returns { player, aav, guaranteedYears, seasons: [{ year, salary, basis }], sources }
+ */
+export function contractSalaries(contract, { imputedLoanInterestRate } = {}) {
+  const player = String(contract?.player || "Player").slice(0, 80);
+  const seasons = (contract?.seasons || []).map((s) => ({
+    year: Number(s.year),
+    baseSalary: money(s.baseSalary, `${player}'s ${s.year} Base Salary`),
+    guaranteed: s.guaranteed !== false,
+    exercised: s.exercised !== false,
+    earnedBonus: money(s.earnedBonus, `${player}'s ${s.year} earned bonus`),
+  }));
+  if (!seasons.length) throw new CbtInputError(`${player} has no seasons.`);
+  for (const s of seasons) {
+    if (!Number.isInteger(s.year)) throw new CbtInputError(`${player} has a season without a year.`);
+  }
+  if (new Set(seasons.map((s) => s.year)).size !== seasons.length) {
+    throw new CbtInputError(`${player} lists the same season twice.`);
+  }
+  seasons.sort((a, b) => a.year - b.year);
+
+  const sources = new Set();
+  const guaranteed = seasons.filter((s) => s.guaranteed);
+  const bonus =
+    money(contract.signingBonus, `${player}'s Signing Bonus`) + money(contract.optionBuyout, `${player}'s Option Buyout`);
+  if (contract.optionBuyout) sources.add("optionBuyout");
+  if (seasons.some((s) => !s.guaranteed)) sources.add("clubOption");
+
+  // Deferred Compensation at its present value, attributed to a season (or spread evenly).
+  const deferredBy = new Map();
+  for (const d of contract.deferrals || []) {
+    const amount = money(d.amount, `${player}'s deferral`);
+    const paidIn = Number(d.paidIn);
+    const attributed = d.year !== undefined && d.year !== null && d.year !== "" ? Number(d.year) : null;
+    const from = attributed ?? guaranteed[0]?.year ?? seasons[0].year;
+    if (!Number.isInteger(paidIn) || paidIn < from) {
+      throw new CbtInputError(`${player}'s deferral needs a payment year (paidIn) after the season it is for.`);
+    }
+    if (imputedLoanInterestRate === undefined || imputedLoanInterestRate === null || imputedLoanInterestRate === "") {
+      throw new CbtInputError(
+        "Deferred Compensation is valued with the Imputed Loan Interest Rate (the federal mid-term rate); " +
+          "enter it to include deferrals."
+      );
+    }
+    // Stated value when the interest is within 1.5 points of the imputed rate, else present value.
+    const stated = Number(d.interestRate || 0);
+    const imputed = Number(imputedLoanInterestRate);
+    const n = paidIn - from;
+    const value = Math.abs(stated - imputed) > 0.015 ? (amount * (1 + stated) ** n) / (1 + imputed) ** n : amount;
+    sources.add("deferredPresentValue");
+    if (attributed !== null) {
+      deferredBy.set(attributed, (deferredBy.get(attributed) || 0) + value);
+    } else {
+      sources.add("deferredAttribution");
+      const over = guaranteed.length ? guaranteed : seasons.slice(0, 1);
+      for (const s of over) deferredBy.set(s.year, (deferredBy.get(s.year) || 0) + value / over.length);
+    }
+  }
+
+  let aav = null;
+  if (guaranteed.length > 1) {
+    sources.add("aav");
+    if (bonus) sources.add("signingBonus");
+    const total =
+      guaranteed.reduce((sum, s) => sum + s.baseSalary + (deferredBy.get(s.year) || 0), 0) + bonus;
+    aav = total / guaranteed.length;
+  } else if (bonus) {
+    sources.add("signingBonus");
+  }
+
+  const out = seasons
+    .filter((s) => s.guaranteed || s.exercised)
+    .map((s) => {
+      let salary;
+      let basis;
+      if (s.guaranteed && aav !== null) {
+        salary = aav;
+        basis = "AAV";
+      } else if (s.guaranteed) {
+        // A single Guaranteed Year (or none) carries the whole Signing Bonus.
+        salary = s.baseSalary + bonus + (deferredBy.get(s.year) || 0);
+        basis = bonus ? "Base Salary + Signing Bonus" : "Base Salary";
+      } else {
+        salary = s.baseSalary + (deferredBy.get(s.year) || 0);
+        basis = "Club Option Year";
+      }
+      if (s.earnedBonus) {
+        salary += s.earnedBonus;
+        basis += " + earned bonus";
+        sources.add("earnedBonus");
+      }
+      return { year: s.year, salary: round2(salary), basis };
+    });
+
+  if (!guaranteed.length && bonus && out.length) {
+    out[0].salary = round2(out[0].salary + bonus);
+    out[0].basis += " + Signing Bonus";
+  }
+
+  return {
+    player,
+    aav: aav === null ? null : round2(aav),
+    guaranteedYears: guaranteed.length,
+    seasons: out,
+    sources: [...sources].map(ruleSource),
+  };
+}
+
+const TIERS = ["below", "base", "first", "second", "third"];
+const PAYOR = { 1: "First-Time CBT Payor", 2: "Second-Time CBT Payor", 3: "Third-Time CBT Payor" };
+
+/**
+ * Tax on one Contract Year's Actual Club Payroll.
+ * `timesOver` is 1 for a First-Time CBT Payor, 2 for Second-Time, 3 for Third-Time (or more).
+ * Returns { tier, taxOwed, brackets: [{ from, to, amount, rate, tax, sources }], draftPenalty, sources }
+ */
+export function taxForPayroll(year, payroll, timesOver = 1) {
+  if (!CBT_YEARS.includes(year)) {
+    throw new CbtInputError(`The 2022–2026 Basic Agreement sets thresholds for ${CBT_YEARS.join(", ")} only.`);
+  }
+  const base = RULES.baseThreshold.value[year];
+  const first = RULES.firstSurchargeThreshold.value[year];
+  const second = RULES.secondSurchargeThreshold.value[year];
+  const third = RULES.thirdSurchargeThreshold.value[year];
+  const thresholds = [
+    { name: "Base Tax Threshold", amount: base, source: ruleSource("baseThreshold") },
+    { name: "First Surcharge Threshold", amount: first, source: ruleSource("firstSurchargeThreshold") },
+    { name: "Second Surcharge Threshold", amount: second, source: ruleSource("secondSurchargeThreshold") },
+    { name: "Third Surcharge Threshold", amount: third, source: ruleSource("thirdSurchargeThreshold") },
+  ];
+
+  const tierIndex = thresholds.filter((t) => payroll > t.amount).length;
+  const tier = TIERS[tierIndex];
+  if (tierIndex === 0) {
+    return { tier, payorStatus: null, taxOwed: 0, brackets: [], thresholds, draftPenalty: null };
+  }
+
+  const n = Math.min(Math.max(timesOver, 1), 3);
+  const baseRule = ["baseRateFirst", "baseRateSecond", "baseRateThird"][n - 1];
+  const baseRate = RULES[baseRule].value;
+  const secondRule = n === 1 ? "secondSurchargeRateFirstTime" : "secondSurchargeRate";
+  const bands = [
+    { from: base, to: first, surcharge: null },
+    { from: first, to: second, surcharge: "firstSurchargeRate" },
+    { from: second, to: third, surcharge: secondRule },
+    { from: third, to: Infinity, surcharge: "thirdSurchargeRate" },
+  ];
+
+  const brackets = [];
+  for (const b of bands) {
+    if (payroll <= b.from) break;
+    const amount = Math.min(payroll, b.to) - b.from;
+    const rate = baseRate + (b.surcharge ? RULES[b.surcharge].value : 0);
+    brackets.push({
+      from: b.from,
+      to: Number.isFinite(b.to) ? b.to : null,
+      amount: round2(amount),
+      rate: Math.round(rate * 1000) / 1000,
+      tax: round2(amount * rate),
+      sources: [ruleSource(baseRule), ...(b.surcharge ? [ruleSource(b.surcharge)] : [])],
+    });
+  }
+
+  // The penalty applies "at or above" the Second Surcharge Threshold.
+  const draftPenalty =
+    payroll >= second
+      ? {
+          placesMovedBack: RULES.draftPenalty.value,
+          text:
+            "Highest available selection in the next Rule 4 Draft moves back ten places " +
+            "(the second-highest instead, if the highest is in the top six of the first round).",
+          sources: [ruleSource("draftPenalty"), ruleSource("draftPenaltyTopSix")],
+        }
+      : null;
+
+  return {
+    tier,
+    payorStatus: PAYOR[n],
+    taxOwed: round2(brackets.reduce((sum, b) => sum + b.tax, 0)),
+    brackets,
+    thresholds,
+    draftPenalty,
+  };
+}
+
+/**
+ * Whole-payroll calculation.
+ *
+ * input: {
+ *   contracts: [contract, ...]                 // see contractSalaries()
+ *   years?: [2024, 2025]                       // default: every CBT year a contract covers
+ *   otherPayroll?: { 2024: 120000000, ... }    // Salaries of players not entered
+ *   includeBenefits = true                     // Player Benefit Costs + Pre-Arbitration pool share
+ *   priorYearsOverBase = 0                     // consecutive Contract Years over the Base Tax Threshold before the first year
+ *   imputedLoanInterestRate?                   // e.g. 0.041, needed for deferrals
+ * }
+ *
+ * Returns { years: [{ year, actualClubPayroll, components, tier, payorStatus, taxOwed, brackets,
+ *   thresholds, draftPenalty }], contracts: [contractSalaries() results], sources }
+ */
+export function calculateCbt(input = {}) {
+  const list = Array.isArray(input.contracts) ? input.contracts : [];
+  const opts = { imputedLoanInterestRate: input.imputedLoanInterestRate };
+  const contracts = list.map((c) => contractSalaries(c, opts));
+
+  let years = Array.isArray(input.years) && input.years.length ? input.years.map(Number) : null;
+  if (!years) {
+    const covered = new Set();
+    for (const c of contracts) for (const s of c.seasons) if (CBT_YEARS.includes(s.year)) covered.add(s.year);
+    for (const y of Object.keys(input.otherPayroll || {})) if (CBT_YEARS.includes(Number(y))) covered.add(Number(y));
+    years = [...covered];
+  }
+  years = [...new Set(years)].sort((a, b) => a - b);
+  if (!years.length) throw new CbtInputError(`Enter at least one contract season in ${CBT_YEARS[0]}–${CBT_YEARS[CBT_YEARS.length - 1]}.`);
+  for (const y of years) {
+    if (!CBT_YEARS.includes(y)) {
+      throw new CbtInputError(`The 2022–2026 Basic Agreement sets thresholds for ${CBT_YEARS.join(", ")} only.`);
+    }
+  }
+
+  const includeBenefits = input.includeBenefits !== false;
+  let streak = Math.max(0, Math.floor(Number(input.priorYearsOverBase) || 0));
+  let lastYear = null;
+
+  const out = years.map((year) => {
+    // A gap between requested years breaks the consecutive-years count we can vouch for.
+    if (lastYear !== null && year !== lastYear + 1) streak = 0;
+    lastYear = year;
+
+    const salaries = [];
+    for (const c of contracts) {
+      const s = c.seasons.find((x) => x.year === year);
+      if (s) salaries.push({ player: c.player, salary: s.salary, basis: s.basis });
+    }
+    const other = money(input.otherPayroll?.[year], `Other payroll for ${year}`);
+    const components = {
+      salaries,
+      otherPayroll: other,
+      baseBenefits: includeBenefits ? RULES.baseBenefits.value : 0,
+      extendedBenefits: includeBenefits ? RULES.extendedBenefits.value : 0,
+      preArbPool: includeBenefits ? RULES.preArbPool.value : 0,
+    };
+    const actualClubPayroll = round2(
+      salaries.reduce((sum, s) => sum + s.salary, 0) +
+        other +
+        components.baseBenefits +
+        components.extendedBenefits +
+        components.preArbPool
+    );
+
+    const tax = taxForPayroll(year, actualClubPayroll, streak + 1);
+    streak = tax.tier === "below" ? 0 : streak + 1;
+    return { year, actualClubPayroll, components, ...tax };
+  });
+
+  const sources = includeBenefits
+    ? [ruleSource("baseBenefits"), ruleSource("extendedBenefits"), ruleSource("preArbPool")]
+    : [];
+  return {
+    documentId: CBT_DOCUMENT_ID,
+    years: out,
+    contracts,
+    sources,
+    notes: includeBenefits
+      ? [
+          "Extended Benefits use the 2022 per-Club figure, which is also the floor for later years; " +
+            "the actual 2023+ figure is set from the prior year's costs.",
+        ]
+      : [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Chat integration: spot CBT questions that carry enough numbers to calculate.
+
+const CBT_RX = /\b(competitive balance tax|cbt|luxury tax|surcharge|tax threshold|aav|average annual value)\b/i;
+
+function parseAmount(num, unit) {
+  const v = Number(String(num).replace(/,/g, ""));
+  if (!Number.isFinite(v)) return null;
+  if (/^(b|billion)/i.test(unit || "")) return v * 1e9;
+  if (/^(m|mm|mil|million)/i.test(unit || "")) return v * 1e6;
+  if (/^(k|thousand)/i.test(unit || "")) return v * 1e3;
+  return v < 1000 ? v * 1e6 : v; // "$265" in a payroll question means millions
+}
+
+const AMOUNT = String.raw`\$\s*([\d,]+(?:\.\d+)?)\s*(billion|million|mil|mm|m|thousand|k)?\b`;
+
+/**
+ * Extract a calculation from a chat question, or null when it is not a CBT question with numbers.
+ *   "$265 million payroll in 2024, third straight year over" -> { kind: "payroll", year, payroll, timesOver }
+ *   "AAV of a 10-year, $300 million deal with a $20M signing bonus" -> { kind: "aav", years, total, signingBonus }
+ */
+export function parseCbtQuestion(text) {
+  const q = String(text || "");
+  if (!CBT_RX.test(q)) return null;
+
+  const amounts = [...q.matchAll(new RegExp(AMOUNT, "gi"))].map((m) => ({
+    value: parseAmount(m[1], m[2]),
+    at: m.index,
+    end: m.index + m[0].length,
+  }));
+  if (!amounts.length) return null;
+
+  const term = q.match(/\b(\d{1,2})[-\s]?(?:year|yr)s?\b/i);
+  if (term && /\b(aav|average annual value|contract|deal|signing bonus)\b/i.test(q)) {
+    const bonusAt = q.search(/signing bonus/i);
+    // The amount right before or right after "signing bonus".
+    const bonus =
+      bonusAt >= 0
+        ? [...amounts].reverse().find((a) => a.end <= bonusAt && bonusAt - a.end < 25) ||
+          amounts.find((a) => a.at > bonusAt && a.at - bonusAt < 40)
+        : null;
+    const total = amounts.find((a) => a !== bonus);
+    if (total && (!bonus || total.value > bonus.value)) {
+      return { kind: "aav", years: Number(term[1]), total: total.value, signingBonus: bonus ? bonus.value : 0 };
+    }
+  }
+
+  const year = Number(q.match(/\b(202[2-6])\b/)?.[1]) || null;
+  let timesOver = 1;
+  if (/\b(third|3rd)[-\s]time\b|\b(third|three) (straight|consecutive)\b/i.test(q)) timesOver = 3;
+  else if (/\b(second|2nd)[-\s]time\b|\b(second|two) (straight|consecutive)\b|\brepeat\b/i.test(q)) timesOver = 2;
+  if (/\b(past|last|previous|prior) two (years|seasons)\b/i.test(q)) timesOver = 3;
+  else if (/\b(last|previous|prior) (year|season)\b/i.test(q) && timesOver === 1) timesOver = 2;
+
+  const payroll = Math.max(...amounts.map((a) => a.value));
+  if (payroll < 100e6) return null;
+  return { kind: "payroll", year: year || CBT_YEARS[CBT_YEARS.length - 1], yearAssumed: !year, payroll, timesOver };
+}
+
+const usd = (n) => `$${Math.round(n).toLocaleString("en-US")}`;
+const pct = (r) => `${Math.round(r * 1000) / 10}%`;
+const cite = (s) => `${s.label}, PDF page ${s.page}`;
+
+/**
+ * Run the calculator for a question. Returns { request, result, summary } or null.
+ * `summary` is plain text for the model's context (and the offline provider).
+ */
+export function calculateForQuestion(text) {
+  const request = parseCbtQuestion(text);
+  if (!request) return null;
+
+  if (request.kind === "aav") {
+    const perYear = (request.total - request.signingBonus) / request.years;
+    const seasons = Array.from({ length: request.years }, (_, i) => ({ year: 2022 + i, baseSalary: perYear }));
+    const result = contractSalaries({ player: "Contract", seasons, signingBonus: request.signingBonus });
+    const lines = [
+      `AAV of a ${request.years}-year contract totalling ${usd(request.total)}` +
+        (request.signingBonus ? ` (including a ${usd(request.signingBonus)} Signing Bonus)` : "") +
+        `: ${usd(result.aav)} per Guaranteed Year.`,
+      ...result.sources.map((s) => `Rule: ${cite(s)} — "${s.quote}"`),
+    ];
+    return { request, result, summary: lines.join("\n") };
+  }
+
+  const result = taxForPayroll(request.year, request.payroll, request.timesOver);
+  const lines = [
+    `${request.year} Contract Year, Actual Club Payroll ${usd(request.payroll)}` +
+      (request.yearAssumed ? " (year not given; assumed)" : "") +
+      `, ${result.payorStatus || "no CBT"}:`,
+  ];
+  for (const t of result.thresholds) lines.push(`- ${t.name}: ${usd(t.amount)} (${cite(t.source)})`);
+  for (const b of result.brackets) {
+    lines.push(
+      `- ${usd(b.amount)} over ${usd(b.from)} at ${pct(b.rate)} = ${usd(b.tax)} (${b.sources.map(cite).join("; ")})`
+    );
+  }
+  lines.push(`Tax owed: ${usd(result.taxOwed)}.`);
+  if (result.draftPenalty) lines.push(`Draft penalty: ${result.draftPenalty.text} (${cite(result.draftPenalty.sources[0])})`);
+  return { request, result, summary: lines.join("\n") };
+}
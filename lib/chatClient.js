@@ -0,0 +1,107 @@
+// lib/chatClient.js
+// Browser client for /api/chat in streaming mode.
+// Calls onMeta/onDelta as SSE events arrive and resolves with the final `done` payload.
+// Abort `signal` to stop the answer; the server cancels the model call when the connection drops.
+// Failures throw ChatRequestError with the HTTP status, the server's message and its error
+// `code` (lib/chatErrors.js), whether the request was refused up front or the stream broke off.
+// A connection that fails gets code "network". `retryable` says whether sending the question
+// again may help; chatErrorKind() sorts an error into what the UI should tell the reader.
+
+import { readSSE } from "./sse";
+import { hostOrigin } from "./embedHost";
+
+export class ChatRequestError extends Error {
+  constructor(message, { status, code, retryable = false, reason, retryAfter } = {}) {
+    super(message);
+    this.name = "ChatRequestError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * "refused" (a 4xx: show the server's message), "limited" (rate limit or quota), "busy",
+ * "timeout", "network" or "failed".
+ */
+export function chatErrorKind(err) {
+  if (err?.status === 429) return "limited";
+  if (err?.code === "network") return "network";
+  if (err?.code === "model_busy") return "busy";
+  if (err?.code === "model_timeout") return "timeout";
+  if (err?.status >= 400 && err.status < 500) return "refused";
+  return "failed";
+}
+
+const networkError = () => new ChatRequestError("Could not reach the server.", { code: "network", retryable: true });
+
+export async function askChat(options) {
+  try {
+    return await request(options);
+  } catch (err) {
+    // fetch and stream reads fail with a TypeError when the connection does.
+    if (!(err instanceof TypeError)) throw err;
+    throw networkError();
+  }
+}
+
+async function request({
+  message,
+  threadId,
+  conversationId,
+  documentId,
+  scope,
+  signal,
+  onMeta,
+  onDelta,
+  endpoint = "/api/chat",
+}) {
+  const origin = hostOrigin(); // lets the server rate limit and allowlist per embedding site
+  const res = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+      ...(origin && { "X-Embed-Origin": origin }),
+    },
+    body: JSON.stringify({ message, threadId, conversationId, documentId, scope: scope || undefined, stream: true }),
+    signal,
+  });
+
+  // Errors before the answer starts come back as plain JSON.
+  if (!(res.headers.get("content-type") || "").includes("text/event-stream")) {
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new ChatRequestError(body.result || `HTTP ${res.status}`, {
+        status: res.status,
+        code: body.code,
+        retryable: body.retryable ?? res.status >= 500,
+        reason: body.reason,
+        retryAfter: body.retryAfter ?? (Number(res.headers.get("Retry-After")) || undefined),
+      });
+    }
+    return res.json();
+  }
+
+  let done = null;
+  for await (const { event, data } of readSSE(res.body, { signal })) {
+    const payload = JSON.parse(data);
+    if (event === "meta") onMeta?.(payload);
+    else if (event === "delta") onDelta?.(payload.text);
+    else if (event === "done") done = payload;
+    else if (event === "error") {
+      throw new ChatRequestError(payload.result || "Stream error", {
+        status: payload.status,
+        code: payload.code,
+        retryable: payload.retryable ?? true,
+      });
+    }
+  }
+  // The connection closed before the answer was finished.
+  if (!done && !signal?.aborted) throw networkError();
+  return done;
+}
+
+export default askChat;
@@ -0,0 +1,50 @@
+// lib/chatErrors.js
+// The error contract of /api/chat. A request that fails gets an HTTP status and
+//   { result, code, retryable }
+// `result` is a message for people, `code` one of CHAT_ERRORS for programs, and `retryable`
+// says whether sending the same question again may work. Once a stream has started, the
+// same fields (plus `status`) arrive in its `error` event instead.
+
+export const CHAT_ERRORS = {
+  method_not_allowed: { status: 405, retryable: false, message: "Method not allowed" },
+  empty_question: { status: 400, retryable: false, message: "No question provided." },
+  question_too_long: { status: 400, retryable: false, message: "That question is too long." },
+  unknown_document: { status: 400, retryable: false, message: "Unknown agreement." },
+  invalid_scope: { status: 400, retryable: false, message: "That scope could not be found." },
+  origin_not_allowed: { status: 403, retryable: false, message: "This site is not allowed to embed the chat." },
+  rate_limited: { status: 429, retryable: true, message: "Too many questions. Please wait and try again." },
+  document_unavailable: { status: 503, retryable: false, message: "That agreement has not been loaded yet." },
+  not_configured: { status: 500, retryable: false, message: "The assistant is not configured." },
+  model_busy: { status: 503, retryable: true, message: "The assistant is busy right now. Please try again in a moment." },
+  model_unavailable: { status: 502, retryable: true, message: "The assistant is unavailable right now. Please try again." },
+  model_rejected: { status: 502, retryable: false, message: "The assistant could not take this question." },
+  model_timeout: { status: 504, retryable: true, message: "The answer took too long. Please try again." },
+  model_failed: { status: 502, retryable: true, message: "The assistant could not finish the answer. Please try again." },
+  internal: { status: 500, retryable: true, message: "Sorry—something went wrong. Please try again." },
+};
+
+// Errors thrown while answering, by lib/trace.js errorCategory().
+const CODE_FOR_CATEGORY = {
+  rate_limited: "model_busy",
+  upstream: "model_unavailable",
+  network: "model_unavailable",
+  upstream_request: "model_rejected",
+  quota: "model_rejected",
+  auth: "not_configured",
+  timeout: "model_timeout",
+  run_failed: "model_failed",
+  tools: "model_failed",
+};
+
+export function chatErrorCode(category) {
+  return CODE_FOR_CATEGORY[category] || "internal";
+}
+
+/**
+ * `{ status, body }` for `code`. `message` replaces the default text; `extra` adds or
+ * overrides body fields (e.g. `retryAfter`, or `retryable` for a daily quota).
+ */
+export function chatError(code, message, extra = {}) {
+  const { status, retryable, message: fallback } = CHAT_ERRORS[code] || CHAT_ERRORS.internal;
+  return { status, body: { result: message || fallback, code, retryable, ...extra } };
+}
@@ -0,0 +1,159 @@
+// lib/citations.js
+// Citation verification — the one place that parses, resolves and checks model citations.
+// - Parses LEGAL_EXCERPTS ("ARTICLE: … | PAGE: … QUOTE: "…"") and CITATION lines ("CBA (2022–2026), Article …; Page …").
+// - Resolves each citation to a PDF page: where the quote actually appears, else the section's
+//   page in public/mlb/page_map.json, else the model's page.
+// - Checks quotes for verbatim presence in public/mlb/cba_pages.json and flags misses.
+
+import { loadPages, normalizeText } from "./retrieval";
+import { getPageMap, parseCitationLabel, resolveNode } from "./resolvePageNumber";
+import { requireDocument } from "./documents";
+import { inScope } from "./scope";
+
+export { parseCitationLabel };
+
+// Verification outcomes for a single citation.
+export const CITATION_STATUS = {
+  VERIFIED: "verified", // quote found on the cited page
+  WRONG_PAGE: "wrong_page", // quote found, but on a different page than cited
+  NOT_FOUND: "not_found", // quote not found anywhere in the agreement
+  NO_QUOTE: "no_quote", // nothing to verify (CITATION line without a quote)
+};
+
+// Normalize for verbatim matching: same cleanup as retrieval, case- and quote-insensitive.
+function normQuote(s) {
+  return normalizeText(s)
+    .toLowerCase()
+    .replace(/["']/g, "")
+    .replace(/\s*([,.;:()])\s*/g, "$1");
+}
+
+const normalizedPages = new WeakMap();
+
+/**
+ * Find where a quote appears. Quotes may be elided with "…"/"...": every fragment
+ * must appear, in order, on the page (or across it and the next page).
+ * Returns the PDF page numbers containing the quote.
+ */
+export function findQuotePages(quote, pages) {
+  const fragments = String(quote || "")
+    .split(/…|\.\.\./)
+    .map(normQuote)
+    .filter((f) => f.length >= 8);
+  if (!fragments.length) return [];
+
+  if (!normalizedPages.has(pages)) normalizedPages.set(pages, pages.map((p) => normQuote(p.text)));
+  const texts = normalizedPages.get(pages);
+  const hits = [];
+  for (let i = 0; i < pages.length; i++) {
+    const hay = i + 1 < texts.length ? `${texts[i]} ${texts[i + 1]}` : texts[i];
+    let from = 0;
+    let ok = true;
+    for (const f of fragments) {
+      const at = hay.indexOf(f, from);
+      if (at === -1 || (from === 0 && at >= texts[i].length)) {
+        ok = false;
+        break;
+      }
+      from = at + f.length;
+    }
+    if (ok) hits.push(Number(pages[i].page));
+  }
+  return hits;
+}
+
+/**
+ * Where a known passage lives: { label, page, quote, href }. The page is the one the quote
+ * is found on inside the label's page-map range (else anywhere, else the range's start).
+ * Used by the calculators (lib/cbt.js, lib/serviceTime.js) to cite the rules they apply.
+ */
+export function quoteSource({ label, quote }, { documentId } = {}) {
+  const doc = requireDocument(documentId);
+  const node = resolveNode(label, { documentId: doc.id })?.node;
+  const found = findQuotePages(quote, loadPages(doc.id));
+  const page = found.find((p) => node && p >= node.start && p <= node.end) ?? found[0] ?? node?.start ?? null;
+  return { label, page, quote, href: page ? `${doc.pdfHref}#page=${page}` : null };
+}
+
+function pageNumber(raw) {
+  const m = String(raw || "").match(/\d+/);
+  return m ? Number(m[0]) : null;
+}
+
+// Pull { label, citedPage, quote } out of a model answer, LEGAL_EXCERPTS first.
+export function parseCitations(text) {
+  const out = [];
+  const src = String(text || "");
+
+  const excerptRx =
+    /ARTICLE:\s*(.+?)\s*\|\s*PAGE:\s*([^\n]*?)\s*(?:\n\s*)?QUOTE:\s*["“]([\s\S]*?)["”]\s*(?=\n|$)/gi;
+  let m;
+  while ((m = excerptRx.exec(src))) {
+    out.push({ label: m[1].trim(), citedPage: pageNumber(m[2]), quote: m[3].trim() });
+  }
+
+  const citationRx = /^\s*(?:[A-Z]{2,4}\s+)?CBA\s*\([^)]*\),\s*((?:Article|Appendix|Attachment)\s+[^;\n]+);\s*Page\s*([^\n]*)$/gim;
+  while ((m = citationRx.exec(src))) {
+    const label = m[1].trim();
+    if (out.some((c) => c.label === label)) continue;
+    out.push({ label, citedPage: pageNumber(m[2]), quote: null });
+  }
+
+  return out;
+}
+
+/**
+ * Parse, resolve and verify every citation in a model answer.
+ * Returns [{ label, articleLabel, sectionPath, title, citedPage, page, href, quote, status, foundOnPages }];
+ * with a `scope` (lib/scope.js), citations resolving to a page outside it also get `outOfScope: true`.
+ */
+export function verifyCitations(text, { documentId, pages, pageMap, scope } = {}) {
+  const parsed = parseCitations(text);
+  if (!parsed.length) return [];
+
+  const { pdfHref } = requireDocument(documentId);
+  const pageList = pages || loadPages(documentId);
+  const map = pageMap || getPageMap(documentId);
+
+  const lastPage = Math.max(0, ...pageList.map((p) => Number(p.page)));
+
+  return parsed.map(({ label, citedPage: rawPage, quote }) => {
+    const { articleLabel, sectionPath } = parseCitationLabel(label);
+    const citedPage = rawPage >= 1 && rawPage <= lastPage ? rawPage : null;
+    const resolved = resolveNode(label, { pageMap: map });
+    const mapPage = resolved?.node.start || null;
+    const inRange = (p) => resolved && p >= resolved.node.start && p <= resolved.node.end;
+
+    let status = CITATION_STATUS.NO_QUOTE;
+    let foundOnPages = [];
+    if (quote) {
+      foundOnPages = findQuotePages(quote, pageList);
+      if (!foundOnPages.length) status = CITATION_STATUS.NOT_FOUND;
+      else if (citedPage && foundOnPages.includes(citedPage)) status = CITATION_STATUS.VERIFIED;
+      else status = CITATION_STATUS.WRONG_PAGE;
+    }
+
+    const page =
+      status === CITATION_STATUS.VERIFIED
+        ? citedPage
+        : foundOnPages.length
+        ? foundOnPages.find(inRange) || foundOnPages[0]
+        : mapPage || citedPage || null;
+
+    return {
+      label,
+      articleLabel,
+      sectionPath,
+      title: resolved?.node.title || null,
+      citedPage: rawPage,
+      page,
+      href: page ? `${pdfHref}#page=${page}` : null,
+      quote,
+      status,
+      foundOnPages,
+      ...(scope && page && !inScope(page, scope) && { outOfScope: true }),
+    };
+  });
+}
+
+export default verifyCitations;
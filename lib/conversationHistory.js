@@ -0,0 +1,42 @@
+// lib/conversationHistory.js
+// Browser-side list of the conversations this browser started (IDs only; transcripts live on the server).
+
+const LIST_KEY = "mlbcba.conversations";
+const CURRENT_KEY = "mlbcba.currentConversation";
+
+function storage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // blocked in some third-party iframes
+  }
+}
+
+export function listConversationIds() {
+  try {
+    return JSON.parse(storage()?.getItem(LIST_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+export function rememberConversation(id) {
+  const s = storage();
+  if (!s || !id) return;
+  const ids = [id, ...listConversationIds().filter((x) => x !== id)].slice(0, 50);
+  s.setItem(LIST_KEY, JSON.stringify(ids));
+  s.setItem(CURRENT_KEY, id);
+}
+
+export function forgetCurrentConversation() {
+  storage()?.removeItem(CURRENT_KEY);
+}
+
+export function currentConversationId() {
+  return storage()?.getItem(CURRENT_KEY) || null;
+}
+
+// Read-only link to a conversation, from its shareId (not its ID, which can add to it).
+export function shareUrl(shareId) {
+  return typeof window !== "undefined" ? `${window.location.origin}/c/${shareId}` : `/c/${shareId}`;
+}
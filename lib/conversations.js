@@ -0,0 +1,107 @@
+// lib/conversations.js
+// Conversation persistence: one JSON file per conversation under DATA_DIR/conversations.
+// A conversation's ID is its write key: whoever holds it can ask more questions in it, so only
+// the browser that started it knows it. Share links (/c/<shareId>) use a second random ID that
+// can only read the transcript, through DATA_DIR/shares/<shareId>.json.
+// The provider thread behind a conversation never leaves the server (ownerView, sharedView).
+
+import crypto from "crypto";
+import { dataPath, readJSON, writeJSON } from "./storage";
+
+const ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+export function isConversationId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+function fileFor(id) {
+  if (!isConversationId(id)) throw new Error(`Invalid conversation id "${id}".`);
+  return dataPath("conversations", `${id}.json`);
+}
+
+function shareFileFor(shareId) {
+  if (!isConversationId(shareId)) throw new Error(`Invalid share id "${shareId}".`);
+  return dataPath("shares", `${shareId}.json`);
+}
+
+export function getConversation(id) {
+  if (!isConversationId(id)) return null;
+  return readJSON(fileFor(id));
+}
+
+// Give a conversation its share ID (conversations saved before share IDs existed get one late).
+function addShareId(convo) {
+  convo.shareId = crypto.randomUUID();
+  writeJSON(shareFileFor(convo.shareId), { conversationId: convo.id });
+  return convo;
+}
+
+export function createConversation({ threadId = null, documentId = null } = {}) {
+  const now = new Date().toISOString();
+  const convo = addShareId({
+    id: crypto.randomUUID(),
+    title: "",
+    threadId,
+    documentId,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+  });
+  writeJSON(fileFor(convo.id), convo);
+  return convo;
+}
+
+// The conversation a share link points at, or null.
+export function getSharedConversation(shareId) {
+  if (!isConversationId(shareId)) return null;
+  const link = readJSON(shareFileFor(shareId));
+  const convo = link && getConversation(link.conversationId);
+  return convo?.shareId === shareId ? convo : null;
+}
+
+// What the browser that owns a conversation gets back: everything but the provider thread.
+export function ownerView(convo) {
+  if (!convo.shareId) writeJSON(fileFor(convo.id), addShareId(convo));
+  const { threadId, ...rest } = convo;
+  return rest;
+}
+
+// What a share link shows: the transcript, without the keys to add to it.
+export function sharedView({ title, documentId, createdAt, updatedAt, messages }) {
+  return { title, documentId, createdAt, updatedAt, messages };
+}
+
+/**
+ * Append a message ({ role, content, documentId?, citations?, pages? }) and save.
+ * The first user message becomes the conversation title; the conversation remembers
+ * the agreement it last asked about.
+ */
+export function appendMessage(id, message, { threadId } = {}) {
+  const convo = getConversation(id);
+  if (!convo) throw new Error(`Conversation ${id} not found.`);
+  const now = new Date().toISOString();
+  convo.messages.push({ ...message, createdAt: now });
+  if (!convo.title && message.role === "user") convo.title = String(message.content).slice(0, 80);
+  if (threadId) convo.threadId = threadId;
+  if (message.documentId) convo.documentId = message.documentId;
+  if (!convo.shareId) addShareId(convo);
+  convo.updatedAt = now;
+  writeJSON(fileFor(id), convo);
+  return convo;
+}
+
+// Sidebar rows for the given IDs (unknown IDs are skipped), newest first.
+export function summarizeConversations(ids) {
+  return (ids || [])
+    .map(getConversation)
+    .filter(Boolean)
+    .map(({ id, title, documentId, createdAt, updatedAt, messages }) => ({
+      id,
+      title: title || "Untitled conversation",
+      documentId: documentId || null,
+      createdAt,
+      updatedAt,
+      messageCount: messages.length,
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
@@ -0,0 +1,421 @@
+// lib/diff.js
+// What changed between two versions of an agreement (by default the newest loaded one
+// against the loaded one before it in the same league).
+//
+// Articles, Appendices and Attachments are aligned across versions by key and title (the
+// same article can be renumbered, and attachments often are), then their sections the same
+// way. Each aligned pair is diffed sentence by sentence; a changed run of sentences is also
+// diffed word by word so the UI can mark exactly what was edited.
+//
+// Only the 2022–2026 MLB agreement is in the repo today, so there is no default comparison
+// and /diff says so (DiffUnavailableError) until an earlier version's PDF is extracted
+// (scripts/build_cba_pages.mjs, scripts/build_page_map.mjs) and registered. The diff itself
+// is tested on a two-version fixture (lib/__tests__/diff.test.js).
+
+import { loadPages, normalizeText, isDocumentAvailable } from "./retrieval";
+import { getPageMap } from "./resolvePageNumber";
+import { DOCUMENTS, requireDocument } from "./documents";
+
+export class DiffError extends Error {}
+
+// Fewer than two versions of an agreement are loaded, so there is nothing to compare.
+export class DiffUnavailableError extends DiffError {}
+
+// Longest changed run (in words per side) that still gets a word-level diff.
+const MAX_WORD_DIFF = 400;
+// Largest LCS table we build; beyond it the differing middle is reported as one edit.
+const MAX_CELLS = 4e6;
+
+const normTitle = (s) =>
+  normalizeText(s)
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+function titleSimilarity(a, b) {
+  const x = new Set(normTitle(a).split(" ").filter(Boolean));
+  const y = new Set(normTitle(b).split(" ").filter(Boolean));
+  if (!x.size || !y.size) return 0;
+  let common = 0;
+  for (const w of x) if (y.has(w)) common++;
+  return common / new Set([...x, ...y]).size;
+}
+
+/**
+ * Pair up two { key: node } maps.
+ * Same key with a similar title first, then identical titles under a new key (renumbered),
+ * then whatever is left under the same key (retitled). Returns [{ key, from, to }] in the
+ * newer version's order, with removed entries after the one that preceded them.
+ */
+export function alignNodes(fromNodes = {}, toNodes = {}) {
+  const pairs = new Map(); // toKey -> fromKey
+  const usedFrom = new Set();
+  const fromKeys = Object.keys(fromNodes);
+  const toKeys = Object.keys(toNodes);
+  const kindOf = (k) => k.split(" ")[0];
+
+  const pair = (toKey, fromKey) => {
+    pairs.set(toKey, fromKey);
+    usedFrom.add(fromKey);
+  };
+
+  for (const k of toKeys) {
+    if (fromNodes[k] && titleSimilarity(fromNodes[k].title, toNodes[k].title) >= 0.5) pair(k, k);
+  }
+  for (const k of toKeys) {
+    if (pairs.has(k)) continue;
+    const title = normTitle(toNodes[k].title);
+    const match = fromKeys.find(
+      (f) => !usedFrom.has(f) && kindOf(f) === kindOf(k) && normTitle(fromNodes[f].title) === title
+    );
+    if (match) pair(k, match);
+  }
+  for (const k of toKeys) {
+    if (!pairs.has(k) && fromNodes[k] && !usedFrom.has(k)) pair(k, k);
+  }
+
+  const out = toKeys.map((k) => ({
+    key: k,
+    from: pairs.has(k) ? { key: pairs.get(k), node: fromNodes[pairs.get(k)] } : null,
+    to: { key: k, node: toNodes[k] },
+  }));
+
+  // Removed entries go right after the aligned entry that preceded them in the old version.
+  let insertAt = 0;
+  for (const f of fromKeys) {
+    if (usedFrom.has(f)) {
+      const i = out.findIndex((p) => p.from?.key === f);
+      if (i >= 0) insertAt = i + 1;
+      continue;
+    }
+    out.splice(insertAt, 0, { key: f, from: { key: f, node: fromNodes[f] }, to: null });
+    insertAt++;
+  }
+  return out;
+}
+
+// Page text without the printed page number in the footer.
+function pageBody(pages, n) {
+  return normalizeText(pages[n - 1]?.text || "").replace(/\s*\d+\s*$/, "");
+}
+
+function findHeading(lower, title, from = 0) {
+  const needle = normalizeText(title).toLowerCase().slice(0, 30);
+  return needle ? lower.indexOf(needle, from) : -1;
+}
+
+/**
+ * Text of a page-map node: its pages joined, cut at its own heading and at the heading of
+ * `next` (the node that follows it at the same or a higher level) when that starts on our
+ * last page.
+ */
+function nodeText(pages, node, next) {
+  if (!node) return "";
+  const parts = [];
+  for (let p = node.start; p <= node.end; p++) parts.push(pageBody(pages, p));
+  const text = parts.join(" ");
+  const lower = text.toLowerCase();
+
+  let start = findHeading(lower.slice(0, parts[0].length + 1), node.title);
+  if (start < 0) start = 0;
+  let end = text.length;
+  if (next && next.start === node.end) {
+    const lastPageAt = text.length - parts[parts.length - 1].length;
+    const at = findHeading(lower, next.title, Math.max(start + 1, lastPageAt));
+    if (at > start) end = at;
+  }
+  // Keep a heading's "B." / "(3)" label with the heading rather than the text before it.
+  const label = /(?<!\S)(?:[A-Z]\.|\(\d+\))\s*$/;
+  const before = text.slice(0, start).match(label);
+  if (before) start = before.index;
+  return text.slice(start, end).replace(label, "").trim();
+}
+
+// Nodes in reading order with their depth, for "what comes next" lookups.
+function flatten(pageMap) {
+  const flat = [];
+  for (const top of Object.values(pageMap)) {
+    flat.push({ node: top, depth: 0 });
+    for (const sec of Object.values(top.sections || {})) {
+      flat.push({ node: sec, depth: 1 });
+      for (const sub of Object.values(sec.subsections || {})) flat.push({ node: sub, depth: 2 });
+    }
+  }
+  return flat;
+}
+
+function nextOf(flat, node) {
+  const i = flat.findIndex((f) => f.node === node);
+  if (i < 0) return null;
+  const depth = flat[i].depth;
+  return flat.slice(i + 1).find((f) => f.depth <= depth)?.node || null;
+}
+
+// Text of one page-map node, cut at its own heading and the next one (also used by lib/toc.js).
+export function sectionText(pages, pageMap, node) {
+  return nodeText(pages, node, nextOf(flatten(pageMap), node));
+}
+
+function splitSentences(text) {
+  return normalizeText(text)
+    .split(/(?<=[.;:])\s+/)
+    .filter(Boolean);
+}
+
+const sentenceKey = (s) => s.toLowerCase().replace(/[^a-z0-9$%]+/g, " ").trim();
+
+/**
+ * Longest-common-subsequence diff of two token lists.
+ * Returns [{ type: "equal" | "removed" | "added", items: [...] }] with runs merged.
+ */
+export function diffSequences(a, b, key = (x) => x) {
+  const ka = a.map(key);
+  const kb = b.map(key);
+  const runs = [];
+  const push = (type, item) => {
+    const last = runs[runs.length - 1];
+    if (last?.type === type) last.items.push(item);
+    else runs.push({ type, items: [item] });
+  };
+
+  // Common prefix and suffix need no table.
+  let head = 0;
+  while (head < a.length && head < b.length && ka[head] === kb[head]) head++;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    ka[a.length - 1 - tail] === kb[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+  for (let k = 0; k < head; k++) push("equal", b[k]);
+
+  const n = a.length - tail;
+  const m = b.length - tail;
+  if ((n - head + 1) * (m - head + 1) > MAX_CELLS) {
+    for (let k = head; k < n; k++) push("removed", a[k]);
+    for (let k = head; k < m; k++) push("added", b[k]);
+  } else {
+    const w = m - head + 1;
+    const dp = new Uint32Array((n - head + 1) * w);
+    const at = (i, j) => (i - head) * w + (j - head);
+    for (let i = n - 1; i >= head; i--) {
+      for (let j = m - 1; j >= head; j--) {
+        dp[at(i, j)] = ka[i] === kb[j] ? dp[at(i + 1, j + 1)] + 1 : Math.max(dp[at(i + 1, j)], dp[at(i, j + 1)]);
+      }
+    }
+    let i = head;
+    let j = head;
+    while (i < n || j < m) {
+      if (i < n && j < m && ka[i] === kb[j]) {
+        push("equal", b[j]);
+        i++;
+        j++;
+      } else if (j < m && (i === n || dp[at(i, j + 1)] >= dp[at(i + 1, j)])) {
+        push("added", b[j++]);
+      } else {
+        push("removed", a[i++]);
+      }
+    }
+  }
+
+  for (let k = b.length - tail; k < b.length; k++) push("equal", b[k]);
+  return runs;
+}
+
+// Word-level marks for one changed run: [{ text, changed }] per side.
+function wordDiff(removed, added) {
+  const a = removed.split(" ");
+  const b = added.split(" ");
+  if (!removed || !added || a.length > MAX_WORD_DIFF || b.length > MAX_WORD_DIFF) {
+    return {
+      removedParts: removed ? [{ text: removed, changed: true }] : [],
+      addedParts: added ? [{ text: added, changed: true }] : [],
+    };
+  }
+  const removedParts = [];
+  const addedParts = [];
+  for (const run of diffSequences(a, b, (w) => w.toLowerCase())) {
+    const text = run.items.join(" ");
+    if (run.type !== "added") removedParts.push({ text, changed: run.type === "removed" });
+    if (run.type !== "removed") addedParts.push({ text, changed: run.type === "added" });
+  }
+  return { removedParts, addedParts };
+}
+
+/**
+ * Side-by-side rows for two texts:
+ *   { type: "equal", text }
+ *   { type: "change", removed, added, removedParts, addedParts }
+ */
+export function diffText(oldText, newText) {
+  const runs = diffSequences(splitSentences(oldText), splitSentences(newText), sentenceKey);
+  const rows = [];
+  for (let k = 0; k < runs.length; k++) {
+    const run = runs[k];
+    if (run.type === "equal") {
+      rows.push({ type: "equal", text: run.items.join(" ") });
+      continue;
+    }
+    // A removed run followed by an added run (or vice versa) is one edit.
+    let removed = "";
+    let added = "";
+    while (k < runs.length && runs[k].type !== "equal") {
+      if (runs[k].type === "removed") removed += (removed ? " " : "") + runs[k].items.join(" ");
+      else added += (added ? " " : "") + runs[k].items.join(" ");
+      k++;
+    }
+    k--;
+    rows.push({ type: "change", removed, added, ...wordDiff(removed, added) });
+  }
+  return rows;
+}
+
+function side(doc, key, node) {
+  if (!node) return null;
+  return {
+    key,
+    title: node.title,
+    start: node.start,
+    end: node.end,
+    href: `${doc.pdfHref}#page=${node.start}`,
+  };
+}
+
+function statusOf(pair, rows) {
+  if (!pair.from) return "added";
+  if (!pair.to) return "removed";
+  return rows.some((r) => r.type === "change") ? "modified" : "unchanged";
+}
+
+function loadVersion(documentId) {
+  const doc = requireDocument(documentId);
+  if (!isDocumentAvailable(documentId)) {
+    throw new DiffError(
+      `The ${doc.title} has not been loaded yet. Run \`node scripts/build_cba_pages.mjs ${documentId}\` ` +
+        `and \`node scripts/build_page_map.mjs ${documentId}\` first.`
+    );
+  }
+  const pageMap = getPageMap(documentId);
+  return { doc, pages: loadPages(documentId), pageMap, flat: flatten(pageMap) };
+}
+
+/**
+ * The comparison made when none is asked for: the newest loaded agreement against the
+ * newest earlier one of the same league. Returns { from, to } document ids; throws
+ * DiffUnavailableError when no two versions of an agreement are loaded.
+ */
+export function defaultVersions(documents = DOCUMENTS) {
+  const loaded = documents
+    .filter((d) => isDocumentAvailable(d.id))
+    .sort((a, b) => b.termYears[0] - a.termYears[0]);
+  const to = loaded[0];
+  const from = to && loaded.find((d) => d !== to && d.league === to.league);
+  if (!from) {
+    const missing = to ? `no earlier version of the ${to.title} has been loaded` : "no agreement has been loaded";
+    throw new DiffUnavailableError(`Comparing agreements is not available yet: ${missing}.`);
+  }
+  return { from: from.id, to: to.id };
+}
+
+function pickVersions({ from, to }) {
+  const defaults = from && to ? null : defaultVersions();
+  const versions = { from: from || defaults.from, to: to || defaults.to };
+  if (versions.from === versions.to) throw new DiffError("Pick two different agreements to compare.");
+  return versions;
+}
+
+// "XXIII", "Article XXIII", "attachment 45" -> "Article XXIII" / "Attachment 45"
+export function articleKey(article) {
+  const s = String(article || "").trim();
+  const m = s.match(/^(article|appendix|attachment)\s+(\S+)$/i);
+  if (m) return `${m[1][0].toUpperCase()}${m[1].slice(1).toLowerCase()} ${m[2].toUpperCase()}`;
+  return `Article ${s.toUpperCase()}`;
+}
+
+/**
+ * Every Article/Appendix/Attachment with its change status (texts compared, not diffed).
+ * `versions` is { from, to } document ids; either one left out comes from defaultVersions().
+ * Returns { from, to, articles: [{ key, status, from, to }] }
+ */
+export function diffSummary(versions = {}) {
+  const { from, to } = pickVersions(versions);
+  const a = loadVersion(from);
+  const b = loadVersion(to);
+  const articles = alignNodes(a.pageMap, b.pageMap).map((pair) => {
+    let status;
+    if (!pair.from) status = "added";
+    else if (!pair.to) status = "removed";
+    else {
+      const oldKey = splitSentences(nodeText(a.pages, pair.from.node, nextOf(a.flat, pair.from.node))).map(sentenceKey);
+      const newKey = splitSentences(nodeText(b.pages, pair.to.node, nextOf(b.flat, pair.to.node))).map(sentenceKey);
+      status = oldKey.join("\n") === newKey.join("\n") ? "unchanged" : "modified";
+    }
+    return {
+      key: pair.key,
+      status,
+      from: side(a.doc, pair.from?.key, pair.from?.node),
+      to: side(b.doc, pair.to?.key, pair.to?.node),
+    };
+  });
+  return { from: a.doc.id, to: b.doc.id, articles };
+}
+
+/**
+ * Section-by-section diff of one article.
+ * Returns { from, to, article: { key, status, from, to }, sections: [{ key, status, from, to, rows }] }
+ * The article's text ahead of its first section (all of it, when it has none) is keyed "".
+ */
+export function diffArticle(article, versions = {}) {
+  const { from, to } = pickVersions(versions);
+  const a = loadVersion(from);
+  const b = loadVersion(to);
+  const key = articleKey(article);
+
+  const pair = alignNodes(a.pageMap, b.pageMap).find((p) => p.to?.key === key || (!p.to && p.from?.key === key));
+  if (!pair) throw new DiffError(`Unknown article "${article}".`);
+
+  const oldArt = pair.from?.node;
+  const newArt = pair.to?.node;
+  const hasSections = Object.keys(oldArt?.sections || {}).length || Object.keys(newArt?.sections || {}).length;
+
+  // Text ahead of the first section (or the whole article when it has none) is keyed "".
+  const intro = (art) => {
+    if (!art) return null;
+    const first = Object.values(art.sections || {})[0];
+    return { key: "", node: first ? { title: art.title, start: art.start, end: first.start, next: first } : art };
+  };
+  const sectionPairs = [
+    { key: "", from: intro(oldArt), to: intro(newArt) },
+    ...(hasSections ? alignNodes(oldArt?.sections, newArt?.sections) : []),
+  ];
+
+  const textOf = (v, n) => (n ? nodeText(v.pages, n.node, n.node.next || nextOf(v.flat, n.node)) : "");
+  const sections = sectionPairs.map((sp) => {
+    const rows = diffText(textOf(a, sp.from), textOf(b, sp.to));
+    return {
+      key: sp.key,
+      status: statusOf(sp, rows),
+      from: side(a.doc, sp.from?.key, sp.from?.node),
+      to: side(b.doc, sp.to?.key, sp.to?.node),
+      rows,
+    };
+  });
+
+  let status = statusOf(pair, []);
+  if (status === "unchanged" && sections.some((s) => s.status !== "unchanged")) status = "modified";
+
+  return {
+    from: a.doc.id,
+    to: b.doc.id,
+    article: {
+      key: pair.to?.key || pair.from.key,
+      status,
+      from: side(a.doc, pair.from?.key, oldArt),
+      to: side(b.doc, pair.to?.key, newArt),
+    },
+    sections,
+  };
+}
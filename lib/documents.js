@@ -0,0 +1,35 @@
+// lib/documents.js
+// Registry of the agreements the assistant can answer from (lib/documents.json).
+// An agreement is only registered once its PDF, cba_pages.json and page_map.json are
+// committed (lib/__tests__/documents.test.js checks this), so it is never listed before
+// it can be answered from. Browser-safe: no file access here; server code can still
+// check a document's files with isDocumentAvailable() in lib/retrieval.js.
+
+import registry from "./documents.json";
+
+export const DOCUMENTS = registry;
+export const DEFAULT_DOCUMENT_ID = "mlb-2022";
+
+export class UnknownDocumentError extends Error {}
+
+export function getDocument(id = DEFAULT_DOCUMENT_ID) {
+  return DOCUMENTS.find((d) => d.id === (id || DEFAULT_DOCUMENT_ID)) || null;
+}
+
+export function requireDocument(id) {
+  const doc = getDocument(id);
+  if (!doc) throw new UnknownDocumentError(`Unknown document "${id}".`);
+  return doc;
+}
+
+// "2022–2026" style label used in citation lines.
+export function termLabel(doc) {
+  const [from, to] = doc?.termYears || [];
+  return from && to && from !== to ? `${from}–${to}` : String(from || "");
+}
+
+// Document whose PDF a citation link points at ("/mlb/MLB_CBA_2022.pdf#page=3").
+export function documentForHref(href) {
+  const path = String(href || "").split("#")[0];
+  return DOCUMENTS.find((d) => d.pdfHref === path) || null;
+}
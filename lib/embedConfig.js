@@ -0,0 +1,236 @@
+// lib/embedConfig.js
+// Look and wording of the embedded chat (/embed), set per embedding site through query
+// params (widget.js passes its data-attributes through the same way):
+//   title, subtitle, accent, ink, primary, soft  (colors: "#ffe066" or "ffe066" or a CSS name)
+//   doc (document id), q (starter question; repeat it or separate with "|"), locale (en, fr, es)
+//   back, backLabel (link under the banner), widget=1 (opened by widget.js: adds a close button)
+//   scope (an Article/Section label from /toc: the question box starts with a question about it)
+// Browser-safe; unknown or malformed values fall back to the defaults.
+
+import { getDocument, DEFAULT_DOCUMENT_ID } from "./documents";
+
+export const EMBED_DEFAULTS = {
+  title: "MLB CBA Assistant",
+  subtitle: "by Mitch Leblanc",
+  owner: "Mitch Leblanc",
+  backUrl: "https://mitchleblanc.xyz",
+  backLabel: "",
+  colors: { accent: "#ffe066", ink: "#222", primary: "#2563eb", soft: "#fff8dc" },
+  documentId: DEFAULT_DOCUMENT_ID,
+  questions: [],
+  scope: "",
+  locale: "en",
+  widget: false,
+};
+
+const MAX_QUESTIONS = 6;
+
+export const EMBED_STRINGS = {
+  en: {
+    askAnything: "Ask anything about the {title}.",
+    back: "← Back to Website",
+    history: "History",
+    newChat: "New chat",
+    share: "Share",
+    shareCopied: "Share link copied.",
+    serviceTime: "Service time",
+    serviceTimeTitle: "Service time calculator",
+    pastConversations: "Past conversations",
+    noConversations: "No saved conversations yet.",
+    messages: "messages",
+    close: "Close",
+    closeChat: "Close chat",
+    tryAsking: "Try asking:",
+    askAboutScope: "What does {scope} provide?",
+    scopeOnly: "Only: {scope}",
+    clearScope: "Answer from the whole agreement",
+    limitTo: "Limit to…",
+    scopePlaceholder: "e.g. Article XXIII(B) or pp. 120–130",
+    apply: "Apply",
+    thinking: "Assistant is reviewing the CBA… One moment.",
+    placeholder: "Ask me about the {doc}…",
+    send: "Send",
+    stop: "Stop",
+    stopped: "_Stopped._",
+    noResponse: "No response from assistant.",
+    error: "Sorry—something went wrong. Please try again.",
+    errorBusy: "The assistant is busy right now. Please try again in a moment.",
+    errorTimeout: "The answer took too long. Please try again.",
+    errorNetwork: "Could not reach the server. Check your connection and try again.",
+    retry: "Retry",
+    loadError: "Could not load that conversation.",
+    exportAnswer: "Export answer",
+    cachedExact: "Saved answer to this question",
+    cachedSimilar: "Saved answer to “{question}”",
+    helpful: "Helpful",
+    notHelpful: "Not helpful",
+    notePlaceholder: "What was wrong? The correct answer or page helps us fix it.",
+    sendNote: "Send",
+    skipNote: "Skip",
+    thanks: "Thanks for the feedback.",
+    feedbackError: "Could not save your feedback.",
+    quoted: "Quoted:",
+    pdfPage: "PDF page",
+    disclaimer: "For informational purposes only. Always consult the official {doc} for legal certainty.",
+  },
+  fr: {
+    askAnything: "Posez vos questions sur : {title}.",
+    back: "← Retour au site",
+    history: "Historique",
+    newChat: "Nouvelle discussion",
+    share: "Partager",
+    shareCopied: "Lien de partage copié.",
+    serviceTime: "Temps de service",
+    serviceTimeTitle: "Calcul du temps de service",
+    pastConversations: "Discussions précédentes",
+    noConversations: "Aucune discussion enregistrée.",
+    messages: "messages",
+    close: "Fermer",
+    closeChat: "Fermer la discussion",
+    tryAsking: "Exemples de questions :",
+    askAboutScope: "Que prévoit {scope} ?",
+    scopeOnly: "Uniquement : {scope}",
+    clearScope: "Répondre à partir de toute la convention",
+    limitTo: "Limiter à…",
+    scopePlaceholder: "ex. Article XXIII(B) ou pp. 120–130",
+    apply: "Appliquer",
+    thinking: "L’assistant consulte la convention… Un instant.",
+    placeholder: "Une question sur : {doc}…",
+    send: "Envoyer",
+    stop: "Arrêter",
+    stopped: "_Arrêté._",
+    noResponse: "Aucune réponse de l’assistant.",
+    error: "Désolé, une erreur s’est produite. Veuillez réessayer.",
+    errorBusy: "L’assistant est très sollicité en ce moment. Réessayez dans un instant.",
+    errorTimeout: "La réponse a pris trop de temps. Veuillez réessayer.",
+    errorNetwork: "Impossible de joindre le serveur. Vérifiez votre connexion et réessayez.",
+    retry: "Réessayer",
+    loadError: "Impossible de charger cette discussion.",
+    exportAnswer: "Exporter la réponse",
+    cachedExact: "Réponse enregistrée à cette question",
+    cachedSimilar: "Réponse enregistrée à « {question} »",
+    helpful: "Utile",
+    notHelpful: "Pas utile",
+    notePlaceholder: "Qu’est-ce qui était faux ? La bonne réponse ou la bonne page nous aide à corriger.",
+    sendNote: "Envoyer",
+    skipNote: "Passer",
+    thanks: "Merci pour votre avis.",
+    feedbackError: "Impossible d’enregistrer votre avis.",
+    quoted: "Citation :",
+    pdfPage: "page PDF",
+    disclaimer: "À titre informatif seulement. Pour toute certitude juridique, consultez la version officielle : {doc}.",
+  },
+  es: {
+    askAnything: "Pregunte lo que quiera sobre: {title}.",
+    back: "← Volver al sitio",
+    history: "Historial",
+    newChat: "Nueva conversación",
+    share: "Compartir",
+    shareCopied: "Enlace copiado.",
+    serviceTime: "Tiempo de servicio",
+    serviceTimeTitle: "Calculadora de tiempo de servicio",
+    pastConversations: "Conversaciones anteriores",
+    noConversations: "Todavía no hay conversaciones guardadas.",
+    messages: "mensajes",
+    close: "Cerrar",
+    closeChat: "Cerrar el chat",
+    tryAsking: "Pruebe a preguntar:",
+    askAboutScope: "¿Qué establece {scope}?",
+    scopeOnly: "Solo: {scope}",
+    clearScope: "Responder con todo el convenio",
+    limitTo: "Limitar a…",
+    scopePlaceholder: "p. ej. Article XXIII(B) o pp. 120–130",
+    apply: "Aplicar",
+    thinking: "El asistente está revisando el convenio… Un momento.",
+    placeholder: "Pregúnteme sobre: {doc}…",
+    send: "Enviar",
+    stop: "Detener",
+    stopped: "_Detenido._",
+    noResponse: "El asistente no respondió.",
+    error: "Lo sentimos, algo salió mal. Inténtelo de nuevo.",
+    errorBusy: "El asistente está ocupado en este momento. Inténtelo de nuevo en un momento.",
+    errorTimeout: "La respuesta tardó demasiado. Inténtelo de nuevo.",
+    errorNetwork: "No se pudo conectar con el servidor. Compruebe su conexión e inténtelo de nuevo.",
+    retry: "Reintentar",
+    loadError: "No se pudo cargar esa conversación.",
+    exportAnswer: "Exportar respuesta",
+    cachedExact: "Respuesta guardada a esta pregunta",
+    cachedSimilar: "Respuesta guardada a «{question}»",
+    helpful: "Útil",
+    notHelpful: "No es útil",
+    notePlaceholder: "¿Qué estaba mal? La respuesta o la página correcta nos ayuda a corregirlo.",
+    sendNote: "Enviar",
+    skipNote: "Omitir",
+    thanks: "Gracias por su opinión.",
+    feedbackError: "No se pudo guardar su opinión.",
+    quoted: "Cita:",
+    pdfPage: "página PDF",
+    disclaimer: "Solo con fines informativos. Para tener certeza jurídica, consulte siempre la versión oficial: {doc}.",
+  },
+};
+
+// t("placeholder", { doc: "MLB CBA 2022–2026" }) in the config's locale, English as fallback.
+export function embedStrings(locale = "en") {
+  const table = EMBED_STRINGS[locale] || EMBED_STRINGS.en;
+  return (key, vars = {}) =>
+    (table[key] ?? EMBED_STRINGS.en[key] ?? key).replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m);
+}
+
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+
+function text(v, max) {
+  const s = String(first(v) ?? "").trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function color(v) {
+  const s = String(first(v) ?? "").trim();
+  if (/^#?(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(s)) return s.startsWith("#") ? s : `#${s}`;
+  if (/^[a-z]{3,20}$/i.test(s)) return s;
+  return null;
+}
+
+function httpUrl(v) {
+  try {
+    const url = new URL(String(first(v) ?? ""));
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// "Article XXIII(B)(3)", "Attachment 45" — nothing else.
+function sectionLabel(v) {
+  const s = text(v, 60);
+  return s && /^(?:article|appendix|attachment)\s+[\w()]+$/i.test(s) ? s : null;
+}
+
+// Router query (or any { key: string | string[] }) -> full config.
+export function parseEmbedConfig(query = {}) {
+  const d = EMBED_DEFAULTS;
+  const widget = ["1", "true"].includes(String(first(query.widget) ?? ""));
+  const questions = []
+    .concat(query.q ?? [])
+    .flatMap((q) => String(q).split("|"))
+    .map((q) => q.trim().slice(0, 200))
+    .filter(Boolean)
+    .slice(0, MAX_QUESTIONS);
+  const locale = String(first(query.locale) ?? "").toLowerCase().split(/[-_]/)[0];
+  const colors = {};
+  for (const [name, fallback] of Object.entries(d.colors)) colors[name] = color(query[name]) || fallback;
+
+  return {
+    title: text(query.title, 60) || d.title,
+    subtitle: query.subtitle !== undefined ? text(query.subtitle, 80) || "" : d.subtitle,
+    owner: d.owner,
+    // A partner's widget has no "back to website" link unless it asks for one.
+    backUrl: httpUrl(query.back) || (widget ? "" : d.backUrl),
+    backLabel: text(query.backLabel, 40) || d.backLabel,
+    colors,
+    documentId: getDocument(first(query.doc))?.id || d.documentId,
+    questions: questions.length ? questions : d.questions,
+    scope: sectionLabel(query.scope) || d.scope,
+    locale: EMBED_STRINGS[locale] ? locale : d.locale,
+    widget,
+  };
+}
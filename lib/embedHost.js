@@ -0,0 +1,29 @@
+// lib/embedHost.js
+// The page the chat is iframed into, and the postMessage events sent to it.
+// Every message is { source: "cba-chat", type, ...payload }:
+//   ready          — the chat has loaded
+//   answer         — { question, answer, citations, conversationId, documentId } after each reply
+//   request-close  — the widget's close button was pressed (widget.js hides the panel)
+// widget.js adds "open" and "close" itself when its panel is shown or hidden.
+
+export const MESSAGE_SOURCE = "cba-chat";
+
+// Origin of the embedding page, or null when not framed (or it can't be told).
+export function hostOrigin() {
+  if (typeof window === "undefined" || window.parent === window) return null;
+  try {
+    const ancestor = window.location.ancestorOrigins?.[0];
+    if (ancestor) return ancestor;
+    const fromWidget = new URLSearchParams(window.location.search).get("host");
+    if (fromWidget) return new URL(fromWidget).origin;
+    return new URL(document.referrer).origin;
+  } catch {
+    return null;
+  }
+}
+
+export function postToHost(type, payload = {}) {
+  const origin = hostOrigin();
+  if (!origin) return;
+  window.parent.postMessage({ source: MESSAGE_SOURCE, type, ...payload }, origin);
+}
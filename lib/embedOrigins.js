@@ -0,0 +1,54 @@
+// lib/embedOrigins.js
+// Which sites may embed the chat (iframe /embed, /embed-iframe or widget.js).
+// EMBED_ALLOWED_ORIGINS is a comma-separated list of origins; "https://*.example.com"
+// allows subdomains and "*" allows any site. The chat's own origin is always allowed.
+// Enforced twice: middleware.js sends it as CSP frame-ancestors for the embed pages, and
+// /api/chat refuses browser requests from other sites (isEmbedRequestAllowed), so it must
+// stay free of Node-only imports.
+
+export const DEFAULT_EMBED_ORIGINS = ["https://mitchleblanc.xyz", "https://www.mitchleblanc.xyz"];
+
+export function allowedEmbedOrigins(env = process.env) {
+  const raw = env.EMBED_ALLOWED_ORIGINS;
+  if (raw === undefined || raw.trim() === "") return DEFAULT_EMBED_ORIGINS;
+  return raw
+    .split(",")
+    .map((o) => o.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+function matches(origin, pattern) {
+  if (pattern === "*") return true;
+  const star = pattern.match(/^(https?):\/\/\*\.(.+)$/);
+  if (!star) return origin === pattern;
+  try {
+    const url = new URL(origin);
+    return url.protocol === `${star[1]}:` && url.host.endsWith(`.${star[2]}`);
+  } catch {
+    return false;
+  }
+}
+
+export function isEmbedOriginAllowed(origin, allowed = allowedEmbedOrigins(), { self } = {}) {
+  if (!origin) return true;
+  if (self && origin === self) return true;
+  return allowed.some((pattern) => matches(origin, pattern));
+}
+
+/**
+ * Whether the API may answer a request. The embed names the page it is framed in with
+ * X-Embed-Origin, and a browser names the page a request comes from in Origin (the chat's
+ * own pages, or another site calling the API directly); both must be allowed. Requests with
+ * neither come from outside a browser, where only the rate limits apply.
+ */
+export function isEmbedRequestAllowed(headers, allowed = allowedEmbedOrigins(), { self } = {}) {
+  return [headers["x-embed-origin"], headers.origin]
+    .filter(Boolean)
+    .every((origin) => isEmbedOriginAllowed(origin, allowed, { self }));
+}
+
+// CSP frame-ancestors value for the embed pages.
+export function frameAncestors(allowed = allowedEmbedOrigins()) {
+  if (allowed.includes("*")) return "*";
+  return ["'self'", ...allowed].join(" ");
+}
@@ -0,0 +1,219 @@
+// lib/exporters.js
+// Memo exports of a saved conversation (or one answer from it): Markdown, PDF and DOCX.
+// Every export carries the question, the answer, each citation with its resolved PDF page,
+// and the same disclaimer shown in the embed footer.
+
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { Document, Packer, Paragraph, TextRun, HeadingLevel, ExternalHyperlink } from "docx";
+import { getDocument } from "./documents";
+
+export const DISCLAIMER =
+  "For informational purposes only. Always consult the official agreement for legal certainty.";
+
+export const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  docx: {
+    contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx",
+  },
+};
+
+export class ExportError extends Error {}
+
+/**
+ * Question/answer pairs from a conversation.
+ * With `messageIndex`, only the answer at that index (and the question before it).
+ * `origin` makes citation links absolute so they work outside the app.
+ */
+export function buildMemo(convo, { messageIndex, origin = "" } = {}) {
+  const msgs = convo?.messages || [];
+  const items = [];
+  msgs.forEach((m, i) => {
+    if (m.role !== "assistant") return;
+    if (messageIndex !== undefined && i !== messageIndex) return;
+    const question = [...msgs.slice(0, i)].reverse().find((x) => x.role === "user")?.content || "";
+    const citations = (m.citations || []).map((c) => ({
+      label: c.label,
+      title: c.title || null,
+      page: c.page || null,
+      quote: c.quote || null,
+      status: c.status,
+      href: c.href ? `${origin}${c.href}` : null,
+    }));
+    const source = getDocument(m.documentId || convo.documentId)?.title || null;
+    items.push({ question, answer: m.content || "", source, citations });
+  });
+  if (!items.length) throw new ExportError("Nothing to export.");
+
+  return {
+    title: messageIndex !== undefined ? items[0].question.slice(0, 80) : convo.title || "CBA conversation",
+    exportedAt: new Date().toISOString(),
+    items,
+    disclaimer: DISCLAIMER,
+  };
+}
+
+// Answer text without Markdown syntax, for the PDF/DOCX body (citations are listed separately).
+export function plainText(md) {
+  return String(md || "")
+    .replace(/\s*—\s*\[Open page\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/(\*\*|__)(.*?)\1/g, "$2")
+    .replace(/(^|[^*])\*(?!\s)([^*]+)\*/g, "$1$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .trim();
+}
+
+function citationLine(c) {
+  const where = c.page ? `PDF page ${c.page}` : "page not found";
+  const title = c.title ? ` (${c.title})` : "";
+  const flag = c.outOfScope
+    ? " [outside the question's scope]"
+    : c.status === "not_found" || c.status === "wrong_page"
+    ? " [quote not verified]"
+    : "";
+  return `${c.label}${title} — ${where}${flag}`;
+}
+
+export function toMarkdown(memo) {
+  const out = [`# ${memo.title}`, "", `_Exported ${memo.exportedAt}_`, ""];
+  memo.items.forEach((it, i) => {
+    if (memo.items.length > 1) out.push(`## ${i + 1}. ${it.question}`, "");
+    else out.push(`**Question:** ${it.question}`, "");
+    if (it.source) out.push(`_Source: ${it.source}_`, "");
+    out.push(it.answer, "");
+    if (it.citations.length) {
+      out.push("**Citations**", "");
+      for (const c of it.citations) {
+        const line = citationLine(c);
+        out.push(c.href ? `- [${line}](${c.href})` : `- ${line}`);
+        if (c.quote) out.push(`  > ${c.quote}`);
+      }
+      out.push("");
+    }
+  });
+  out.push("---", "", `_${memo.disclaimer}_`, "");
+  return out.join("\n");
+}
+
+// pdf-lib's standard fonts only cover WinAnsi; map or drop anything else.
+function winAnsi(s) {
+  return String(s || "")
+    .replace(/[\u2010-\u2012]/g, "-")
+    .replace(/\u2264/g, "<=")
+    .replace(/\u2265/g, ">=")
+    .replace(/\u26A0\uFE0F?/g, "!")
+    .replace(/[^\x09\x0A\x20-\x7E\xA0-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC]/g, "");
+}
+
+export async function toPdf(memo) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const margin = 56;
+  const width = 612 - margin * 2;
+  let page = doc.addPage([612, 792]);
+  let y = 792 - margin;
+
+  const write = (text, { f = font, size = 11, color = rgb(0, 0, 0), gap = 4, indent = 0 } = {}) => {
+    for (const para of winAnsi(text).split("\n")) {
+      const words = para.split(/\s+/);
+      let line = "";
+      const flush = () => {
+        if (y < margin + size) {
+          page = doc.addPage([612, 792]);
+          y = 792 - margin;
+        }
+        page.drawText(line, { x: margin + indent, y, size, font: f, color });
+        y -= size + gap;
+        line = "";
+      };
+      for (const w of words) {
+        const next = line ? `${line} ${w}` : w;
+        if (f.widthOfTextAtSize(next, size) > width - indent && line) {
+          flush();
+          line = w;
+        } else {
+          line = next;
+        }
+      }
+      flush();
+    }
+  };
+
+  write(memo.title, { f: bold, size: 16, gap: 8 });
+  write(`Exported ${memo.exportedAt}`, { size: 9, color: rgb(0.4, 0.4, 0.4), gap: 12 });
+  memo.items.forEach((it, i) => {
+    write(`${memo.items.length > 1 ? `${i + 1}. ` : "Question: "}${it.question}`, { f: bold, size: 12, gap: 8 });
+    if (it.source) write(`Source: ${it.source}`, { size: 9, color: rgb(0.4, 0.4, 0.4), gap: 6 });
+    write(plainText(it.answer), { gap: 5 });
+    if (it.citations.length) {
+      y -= 6;
+      write("Citations", { f: bold, size: 11 });
+      for (const c of it.citations) {
+        write(`• ${citationLine(c)}`, { size: 10, indent: 8 });
+        if (c.quote) write(`“${c.quote}”`, { size: 9, indent: 20, color: rgb(0.3, 0.3, 0.3) });
+      }
+    }
+    y -= 12;
+  });
+  write(memo.disclaimer, { size: 9, color: rgb(0.4, 0.4, 0.4) });
+
+  return Buffer.from(await doc.save());
+}
+
+export async function toDocx(memo) {
+  const children = [
+    new Paragraph({ text: memo.title, heading: HeadingLevel.TITLE }),
+    new Paragraph({ children: [new TextRun({ text: `Exported ${memo.exportedAt}`, italics: true, size: 18 })] }),
+  ];
+
+  memo.items.forEach((it, i) => {
+    children.push(
+      new Paragraph({
+        text: `${memo.items.length > 1 ? `${i + 1}. ` : "Question: "}${it.question}`,
+        heading: HeadingLevel.HEADING_2,
+      })
+    );
+    if (it.source) {
+      children.push(new Paragraph({ children: [new TextRun({ text: `Source: ${it.source}`, italics: true, size: 18 })] }));
+    }
+    for (const para of plainText(it.answer).split(/\n{2,}/)) {
+      children.push(new Paragraph({ children: [new TextRun(para.replace(/\n/g, " "))] }));
+    }
+    if (it.citations.length) {
+      children.push(new Paragraph({ text: "Citations", heading: HeadingLevel.HEADING_3 }));
+      for (const c of it.citations) {
+        const text = citationLine(c);
+        children.push(
+          new Paragraph({
+            bullet: { level: 0 },
+            children: c.href
+              ? [new ExternalHyperlink({ link: c.href, children: [new TextRun({ text, style: "Hyperlink" })] })]
+              : [new TextRun(text)],
+          })
+        );
+        if (c.quote) {
+          children.push(
+            new Paragraph({ indent: { left: 720 }, children: [new TextRun({ text: `“${c.quote}”`, italics: true })] })
+          );
+        }
+      }
+    }
+  });
+
+  children.push(new Paragraph({ children: [new TextRun({ text: memo.disclaimer, italics: true, size: 18 })] }));
+
+  const doc = new Document({ creator: "CBA Assistant", title: memo.title, sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
+
+export async function renderMemo(memo, format) {
+  if (format === "md") return Buffer.from(toMarkdown(memo), "utf-8");
+  if (format === "pdf") return toPdf(memo);
+  if (format === "docx") return toDocx(memo);
+  throw new ExportError(`Unsupported format "${format}".`);
+}
@@ -0,0 +1,153 @@
+// lib/feedback.js
+// Thumbs up/down on answers, with an optional correction note. One JSON file per answer under
+// DATA_DIR/feedback (rating the same answer again replaces the earlier rating). The question,
+// answer, citations and thread ID are copied from the saved conversation, so a record still
+// makes sense as a regression case after the conversation moves on:
+//   { id, conversationId, shareId, messageIndex, threadId, documentId, rating: "up" | "down", note,
+//     question, answer, citations, scope, issues: { unresolved, unverified, outOfScope },
+//     createdAt, updatedAt }
+// `issues` counts citations whose page could not be found, whose quote was not found on the
+// cited page, and that fell outside the question's scope.
+
+import fs from "fs";
+import { dataPath, readJSON, writeJSON } from "./storage";
+import { getConversation, isConversationId } from "./conversations";
+import { CITATION_STATUS } from "./citations";
+
+export class FeedbackError extends Error {}
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const MAX_NOTE_CHARS = 2000;
+
+// Filters listFeedback() understands; `issue` picks records with at least one such citation.
+export const FEEDBACK_ISSUES = ["unresolved", "unverified", "outOfScope"];
+
+function fileFor(id) {
+  return dataPath("feedback", `${id}.json`);
+}
+
+const UNVERIFIED = [CITATION_STATUS.NOT_FOUND, CITATION_STATUS.WRONG_PAGE];
+
+export function citationIssues(citations = []) {
+  return {
+    unresolved: citations.filter((c) => !c.page).length,
+    unverified: citations.filter((c) => UNVERIFIED.includes(c.status)).length,
+    outOfScope: citations.filter((c) => c.outOfScope).length,
+  };
+}
+
+/**
+ * Rate the assistant message at `messageIndex` of a saved conversation.
+ * Throws FeedbackError for bad input or an answer that does not exist.
+ */
+export function saveFeedback({ conversationId, messageIndex, rating, note } = {}) {
+  if (!FEEDBACK_RATINGS.includes(rating)) throw new FeedbackError(`rating must be "up" or "down".`);
+  const text = String(note ?? "").trim();
+  if (text.length > MAX_NOTE_CHARS) {
+    throw new FeedbackError(`Notes are limited to ${MAX_NOTE_CHARS.toLocaleString("en-US")} characters.`);
+  }
+  const index = Number(messageIndex);
+  const convo = isConversationId(conversationId) ? getConversation(conversationId) : null;
+  const message = convo && Number.isInteger(index) ? convo.messages[index] : null;
+  if (message?.role !== "assistant") throw new FeedbackError("That answer was not found.");
+
+  const asked = [...convo.messages.slice(0, index)].reverse().find((m) => m.role === "user");
+  const id = `${convo.id}-${index}`;
+  const now = new Date().toISOString();
+  const citations = message.citations || [];
+  const record = {
+    id,
+    conversationId: convo.id,
+    shareId: convo.shareId || null,
+    messageIndex: index,
+    threadId: convo.threadId || null,
+    documentId: message.documentId || convo.documentId || null,
+    rating,
+    note: text,
+    question: asked?.content || "",
+    answer: message.content || "",
+    citations,
+    scope: asked?.scope || null,
+    issues: citationIssues(citations),
+    createdAt: readJSON(fileFor(id))?.createdAt || now,
+    updatedAt: now,
+  };
+  writeJSON(fileFor(id), record);
+  return record;
+}
+
+/**
+ * Saved feedback, newest first. Filters (all optional): { rating, documentId, issue, hasNote, q }.
+ */
+export function listFeedback({ rating, documentId, issue, hasNote, q } = {}) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dataPath("feedback")).filter((n) => n.endsWith(".json"));
+  } catch {
+    return [];
+  }
+  const needle = String(q || "").trim().toLowerCase();
+  return names
+    .map((n) => readJSON(dataPath("feedback", n)))
+    .filter(Boolean)
+    .filter((r) => !rating || r.rating === rating)
+    .filter((r) => !documentId || r.documentId === documentId)
+    .filter((r) => !issue || r.issues?.[issue] > 0)
+    .filter((r) => !hasNote || r.note)
+    .filter((r) => !needle || [r.question, r.answer, r.note].some((s) => String(s).toLowerCase().includes(needle)))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function feedbackToCsv(records) {
+  const header = [
+    "updatedAt", "rating", "documentId", "question", "answer", "note", "citations",
+    "unresolved", "unverified", "outOfScope", "conversationId", "messageIndex", "threadId",
+  ];
+  const rows = records.map((r) => [
+    r.updatedAt,
+    r.rating,
+    r.documentId,
+    r.question,
+    r.answer,
+    r.note,
+    r.citations.map((c) => `${c.label} p.${c.page ?? "?"} (${c.status})`).join("; "),
+    r.issues.unresolved,
+    r.issues.unverified,
+    r.issues.outOfScope,
+    r.conversationId,
+    r.messageIndex,
+    r.threadId,
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+}
+
+/**
+ * Records as a scripts/eval question set. Expected citations start as the answer's verified
+ * ones for a thumbs-up and empty for a thumbs-down; facts start empty. The note and the rated
+ * answer ride along (the runner ignores them) so whoever fills in the case can see what went wrong.
+ */
+export function feedbackToGolden(records) {
+  const documents = [...new Set(records.map((r) => r.documentId))];
+  if (documents.length > 1) throw new FeedbackError("Pick one agreement to export eval cases.");
+  return {
+    documentId: documents[0] || null,
+    questions: records.map((r) => ({
+      id: `feedback-${r.id}`,
+      question: r.question,
+      ...(r.scope && { scope: r.scope }),
+      citations:
+        r.rating === "up"
+          ? [...new Set(r.citations.filter((c) => c.status === CITATION_STATUS.VERIFIED).map((c) => c.label))]
+          : [],
+      facts: [],
+      rating: r.rating,
+      note: r.note,
+      answer: r.answer,
+    })),
+  };
+}
@@ -0,0 +1,63 @@
+// lib/glossary.js
+// Defined terms of a document (its glossary.json, built by scripts/build_glossary.mjs),
+// with the Article/Section each definition sits in and a link to its PDF page.
+
+import fs from "fs";
+import path from "path";
+import { requireDocument, DEFAULT_DOCUMENT_ID } from "./documents";
+import { labelForPage } from "./resolvePageNumber";
+
+function glossaryFile(documentId) {
+  return path.join(process.cwd(), requireDocument(documentId).glossaryPath);
+}
+
+export function isGlossaryAvailable(documentId = DEFAULT_DOCUMENT_ID) {
+  try {
+    return fs.existsSync(glossaryFile(documentId));
+  } catch {
+    return false;
+  }
+}
+
+const cachedGlossaries = new Map();
+
+/**
+ * Every term, sorted: [{ term, aliases, definition, page, label, href }].
+ * Read once per process; an unbuilt glossary is an empty list.
+ */
+export function loadGlossary(documentId = DEFAULT_DOCUMENT_ID) {
+  if (!cachedGlossaries.has(documentId)) {
+    const { pdfHref } = requireDocument(documentId);
+    let raw = [];
+    try {
+      raw = JSON.parse(fs.readFileSync(glossaryFile(documentId), "utf8"));
+    } catch {
+      raw = [];
+    }
+    cachedGlossaries.set(
+      documentId,
+      raw.map(({ term, aliases = [], definition, page }) => ({
+        term,
+        aliases,
+        definition,
+        page,
+        label: labelForPage(page, { documentId }),
+        href: `${pdfHref}#page=${page}`,
+      }))
+    );
+  }
+  return cachedGlossaries.get(documentId);
+}
+
+// Terms whose name, aliases or definition contain `q` (case-insensitive).
+export function searchGlossary(q, { documentId } = {}) {
+  const terms = loadGlossary(documentId);
+  const needle = String(q || "").trim().toLowerCase();
+  if (!needle) return terms;
+  return terms.filter(
+    (t) =>
+      t.term.toLowerCase().includes(needle) ||
+      t.aliases.some((a) => a.toLowerCase().includes(needle)) ||
+      t.definition.toLowerCase().includes(needle)
+  );
+}
@@ -0,0 +1,71 @@
+// lib/glossaryMarkdown.js
+// remark plugin that marks defined terms (lib/glossary.js entries) in an answer so the chat
+// UIs can underline them. Each match becomes <span data-glossary-term="Qualifying Offer">,
+// rendered by components/GlossaryTerm.js through ReactMarkdown's `span` component.
+// Matches are case-sensitive whole words, longest term first; links and code are left alone,
+// and by default only a term's first appearance in the answer is marked.
+// Browser-safe.
+
+const SKIP = new Set(["link", "linkReference", "inlineCode", "code", "html", "definition", "glossaryTerm"]);
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// { regex, byName } for a term list, or null when there is nothing to match.
+export function glossaryMatcher(terms = []) {
+  const byName = new Map();
+  for (const entry of terms) {
+    for (const name of [entry.term, ...(entry.aliases || [])]) {
+      if (name && !byName.has(name)) byName.set(name, entry);
+    }
+  }
+  if (!byName.size) return null;
+  const names = [...byName.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return { regex: new RegExp(`(?<![\\w-])(?:${names.join("|")})(?![\\w-])`, "g"), byName };
+}
+
+export function remarkGlossary({ terms, once = true } = {}) {
+  const matcher = glossaryMatcher(terms);
+
+  return (tree) => {
+    if (!matcher) return;
+    const seen = new Set();
+
+    const split = (value) => {
+      const out = [];
+      let at = 0;
+      for (const m of value.matchAll(matcher.regex)) {
+        const { term } = matcher.byName.get(m[0]);
+        if (once && seen.has(term)) continue;
+        seen.add(term);
+        if (m.index > at) out.push({ type: "text", value: value.slice(at, m.index) });
+        out.push({
+          type: "glossaryTerm",
+          data: { hName: "span", hProperties: { dataGlossaryTerm: term } },
+          children: [{ type: "text", value: m[0] }],
+        });
+        at = m.index + m[0].length;
+      }
+      if (!out.length) return null;
+      if (at < value.length) out.push({ type: "text", value: value.slice(at) });
+      return out;
+    };
+
+    const walk = (node) => {
+      if (!node.children || SKIP.has(node.type)) return;
+      const next = [];
+      for (const child of node.children) {
+        const parts = child.type === "text" ? split(child.value) : null;
+        if (parts) next.push(...parts);
+        else {
+          walk(child);
+          next.push(child);
+        }
+      }
+      node.children = next;
+    };
+
+    walk(tree);
+  };
+}
+
+export default remarkGlossary;
@@ -0,0 +1,5 @@
+// lib/limits.js
+// Request limits shared by the API and the chat UIs (browser-safe: no server imports).
+// NEXT_PUBLIC_MAX_MESSAGE_CHARS overrides the question length limit in both places.
+
+export const MAX_MESSAGE_CHARS = Number(process.env.NEXT_PUBLIC_MAX_MESSAGE_CHARS) || 2000;
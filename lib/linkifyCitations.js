@@ -1,66 +1,42 @@
 // lib/linkifyCitations.js
 // Deterministic page-linking:
-// - Ignore the model's page numbers completely.
-// - Use only Article start pages from public/mlb/page_map.json.
-// - Rewrite PAGE numbers + add <a> link, preserving any trailing text (e.g., QUOTE: ...).
+// - Ignore the model's page numbers; use the page lib/citations.js resolved and verified.
+// - Rewrite PAGE numbers + add a Markdown link, preserving any trailing text (e.g., QUOTE: ...).
+// - Flag quotes that could not be found on the cited page.
+// - Citations outside the question's scope keep their page but lose the link.
 
-import fs from "fs";
-import path from "path";
+import { verifyCitations, parseCitationLabel, CITATION_STATUS } from "./citations";
+import { requireDocument } from "./documents";
 
-// Normalize for simple matching
-function norm(s) {
-  return String(s || "")
-    .replace(/[\u2018\u2019]/g, "'")
-    .replace(/[\u201C\u201D]/g, '"')
-    .replace(/\u00A0/g, " ")
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
-}
-
-// Load the map once per invocation
-function loadPageMap() {
-  try {
-    const p = path.join(process.cwd(), "public", "mlb", "page_map.json");
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return {};
-  }
-}
-
-// Build: "VI" -> 25, "XXIII" -> 115, etc.
-function buildArticleStartIndex(pageMap) {
-  const idx = {};
-  const re = /^article\s+([ivxlcdm]+)\s*[\u2014-]/i; // "ARTICLE VI—Salaries" (em dash or hyphen)
-  for (const key of Object.keys(pageMap)) {
-    const entry = pageMap[key];
-    if (!entry || typeof entry.title !== "string") continue;
-    const title = norm(entry.title);
-    const m = title.match(re);
-    if (!m) continue;
-    const roman = (m[1] || "").toUpperCase();
-    const start = Number(entry.start);
-    if (!Number.isFinite(start)) continue;
-    if (!(roman in idx)) idx[roman] = start; // first win = article start
-  }
-  return idx;
-}
-
-function parseArticleRoman(label) {
-  if (!label) return null;
-  const m = label.match(/article\s+([ivxlcdm]+)/i);
-  return m ? (m[1] || "").toUpperCase() : null;
+function makeLink(pdfHref, page) {
+  return ` — [Open page](${pdfHref}#page=${page})`;
 }
 
-function makeLink(pdfHref, page) {
-  return ` — <a href="${pdfHref}#page=${page}" target="_blank" rel="noopener noreferrer">Open page</a>`;
+function flag(citation) {
+  if (citation?.outOfScope) return " ⚠ outside the selected scope";
+  if (citation?.status === CITATION_STATUS.NOT_FOUND) return " ⚠ quote not found in the CBA";
+  if (citation?.status === CITATION_STATUS.WRONG_PAGE) return " ⚠ quote not on cited page";
+  return "";
 }
 
-export function linkifyCitations(modelText, pdfHref = "/mlb/MLB_CBA_2022.pdf") {
+/**
+ * Rewrite citation page numbers in `modelText` against the agreement `documentId`.
+ * Pass `citations` from verifyCitations() to avoid verifying twice (or `scope` when not).
+ */
+export function linkifyCitations(modelText, { documentId, citations, scope } = {}) {
   if (typeof modelText !== "string" || !modelText.trim()) return modelText || "";
 
-  const map = loadPageMap();
-  const startIndex = buildArticleStartIndex(map);
+  const { pdfHref } = requireDocument(documentId);
+  const list = citations || verifyCitations(modelText, { documentId, scope });
+  const link = (c) => (c.outOfScope ? "" : makeLink(pdfHref, c.page));
+  const byLabel = (label) => {
+    const want = parseCitationLabel(label);
+    return (
+      list.find((c) => c.label === label.trim()) ||
+      list.find((c) => c.articleLabel && c.articleLabel === want.articleLabel) ||
+      null
+    );
+  };
 
   let text = modelText;
 
@@ -68,13 +44,13 @@ export function linkifyCitations(modelText, pdfHref = "/mlb/MLB_CBA_2022.pdf") {
   //    Example source lines to catch (we ignore the model's page number):
   //    CBA (2022–2026), Article VI(A)(1); Page 18 — Open page
   //    CBA (2022–2026), Article XXIII(B)(3); Page 158 — Open page
+  //    NBA CBA (2023), Article VII(2)(a); Page 12
   text = text.replace(
-    /^(\s*CBA\s*\([^)]*\),\s*Article\s+)([^;]+)(;[^\n]*)$/gim,
-    (m, prefix, label /* e.g., 'VI(A)(1)' */, _rest) => {
-      const roman = parseArticleRoman(`Article ${label}`);
-      const page = roman && startIndex[roman] ? startIndex[roman] : null;
-      if (page) {
-        return `${prefix}${label}; Page ${page}${makeLink(pdfHref, page)}`;
+    /^(\s*(?:[A-Z]{2,4}\s+)?CBA\s*\([^)]*\),\s*)((?:Article|Appendix|Attachment)\s+[^;\n]+)(;[^\n]*)$/gim,
+    (m, prefix, label /* e.g., 'Article VI(A)(1)' */, _rest) => {
+      const c = byLabel(label);
+      if (c?.page) {
+        return `${prefix}${label}; Page ${c.page}${link(c)}${flag(c)}`;
       }
       return `${prefix}${label}; Page — (page not found)`;
     }
@@ -90,14 +66,13 @@ export function linkifyCitations(modelText, pdfHref = "/mlb/MLB_CBA_2022.pdf") {
   //      3 = the boundary and remaining tail (either " QUOTE: ..." or newline/end)
   //
   text = text.replace(
-    /ARTICLE:\s*(Article\s+[^\|]+)\|\s*PAGE:\s*([^\n]*?)(?=(\s+QUOTE:|$|\n))/gim,
+    /ARTICLE:\s*([^|\n]+?)\s*\|\s*PAGE:\s*([^\n]*?)(?=(\s+QUOTE:|$|\n))/gim,
     (m, label, _oldPage, tail) => {
-      const roman = parseArticleRoman(label);
-      const page = roman && startIndex[roman] ? startIndex[roman] : null;
-      if (page) {
-        return `ARTICLE: ${label}| PAGE: ${page}${makeLink(pdfHref, page)}${tail || ""}`;
+      const c = byLabel(label);
+      if (c?.page) {
+        return `ARTICLE: ${label} | PAGE: ${c.page}${link(c)}${flag(c)}`;
       }
-      return `ARTICLE: ${label}| PAGE: —${tail || ""}`;
+      return `ARTICLE: ${label} | PAGE: —`;
     }
   );
 
@@ -0,0 +1,68 @@
+// lib/llm/__tests__/openaiAssistants.test.js
+// @vitest-environment node
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createAssistantsProvider } from "../openaiAssistants";
+import { errorCategory } from "../../trace";
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// A run that streams its first words and then hangs until the request is aborted.
+function stubHangingRun() {
+  const calls = [];
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url, init = {}) => {
+      calls.push({ url, method: init.method });
+      if (!url.endsWith("/threads/thread_1/runs")) return new Response("{}", { status: 200 });
+      const body = new ReadableStream({
+        start(controller) {
+          const enc = new TextEncoder();
+          controller.enqueue(enc.encode(sse("thread.run.created", { id: "run_1" })));
+          controller.enqueue(enc.encode(sse("thread.message.delta", { delta: { content: [{ text: { value: "Hel" } }] } })));
+          init.signal?.addEventListener("abort", () => controller.error(init.signal.reason));
+        },
+      });
+      return new Response(body, { status: 200, headers: { "content-type": "text/event-stream" } });
+    })
+  );
+  return calls;
+}
+
+async function collect(iterable, onChunk = () => {}) {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(chunk);
+    onChunk(chunk);
+  }
+  return chunks;
+}
+
+describe("assistants stream", () => {
+  it("times out a stalled run and cancels it", async () => {
+    const calls = stubHangingRun();
+    const provider = createAssistantsProvider({ apiKey: "k", assistantId: "asst_1", runTimeoutMs: 50 });
+    const chunks = [];
+    const err = await collect(provider.stream("thread_1"), (c) => chunks.push(c)).catch((e) => e);
+
+    expect(err.message).toBe("Run timed out");
+    expect(errorCategory(err)).toBe("timeout");
+    expect(chunks).toEqual(["Hel"]);
+    expect(calls.at(-1)).toEqual({ url: "https://api.openai.com/v1/threads/thread_1/runs/run_1/cancel", method: "POST" });
+  });
+
+  it("does not report a caller's stop as a timeout", async () => {
+    const calls = stubHangingRun();
+    const provider = createAssistantsProvider({ apiKey: "k", assistantId: "asst_1", runTimeoutMs: 60000 });
+    const controller = new AbortController();
+    const result = await collect(provider.stream("thread_1", { signal: controller.signal }), () => controller.abort()).catch(
+      (e) => e
+    );
+
+    expect(result?.message).not.toBe("Run timed out");
+    expect(calls.at(-1).url).toMatch(/runs\/run_1\/cancel$/);
+  });
+});
@@ -0,0 +1,57 @@
+// lib/llm/__tests__/openaiChat.test.js
+// @vitest-environment node
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { CONVERSATION_TTL_MS, createChatProvider, MAX_CONVERSATIONS } from "../openaiChat";
+import { ThreadNotFoundError } from "../errors";
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("chat provider history", () => {
+  it("sends the whole history and keeps the reply", async () => {
+    const bodies = [];
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return new Response(JSON.stringify({ choices: [{ message: { content: `Reply ${bodies.length}` } }] }), {
+          status: 200,
+          headers: { "content-type": "application/json" },
+        });
+      })
+    );
+    const provider = createChatProvider({ apiKey: "k", systemPrompt: "Be brief." });
+    const id = await provider.createConversation();
+    await provider.sendMessage(id, "One?");
+    expect((await provider.getReply(id)).text).toBe("Reply 1");
+    await provider.sendMessage(id, "Two?");
+    await provider.getReply(id);
+    expect(bodies[1].messages.map((m) => m.content)).toEqual(["Be brief.", "One?", "Reply 1", "Two?"]);
+  });
+
+  it("drops a conversation left idle past the TTL", async () => {
+    vi.useFakeTimers();
+    const provider = createChatProvider({ apiKey: "k" });
+    const id = await provider.createConversation();
+    vi.advanceTimersByTime(CONVERSATION_TTL_MS - 1000);
+    await provider.sendMessage(id, "Still here?");
+    vi.advanceTimersByTime(CONVERSATION_TTL_MS - 1000);
+    await provider.sendMessage(id, "And now?");
+    vi.advanceTimersByTime(CONVERSATION_TTL_MS + 1);
+    await expect(provider.sendMessage(id, "Gone?")).rejects.toThrow(ThreadNotFoundError);
+  });
+
+  it(`holds at most ${MAX_CONVERSATIONS} conversations, dropping the least recently used`, async () => {
+    const provider = createChatProvider({ apiKey: "k" });
+    const oldest = await provider.createConversation();
+    const used = await provider.createConversation();
+    for (let i = 0; i < MAX_CONVERSATIONS - 2; i++) await provider.createConversation();
+    await provider.sendMessage(used, "Hi");
+    await provider.createConversation();
+
+    await expect(provider.sendMessage(oldest, "Hi")).rejects.toThrow(ThreadNotFoundError);
+    await expect(provider.sendMessage(used, "Hi again")).resolves.toBeUndefined();
+  });
+});
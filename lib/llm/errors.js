@@ -0,0 +1,22 @@
+// lib/llm/errors.js
+// Errors the providers throw for the chat route to act on.
+
+// A non-2xx answer from the model API, after any retries. The message keeps the
+// "HTTP <status> …" form that lib/trace.js errorCategory() reads.
+export class ProviderHttpError extends Error {
+  constructor(message, { status } = {}) {
+    super(message);
+    this.name = "ProviderHttpError";
+    this.status = status;
+  }
+}
+
+// The conversation/thread ID is unknown to the provider (expired, deleted, or lost with a
+// server restart). The route starts a new one and carries on.
+export class ThreadNotFoundError extends Error {
+  constructor(threadId) {
+    super(`Thread ${threadId} not found`);
+    this.name = "ThreadNotFoundError";
+    this.threadId = threadId;
+  }
+}
@@ -0,0 +1,46 @@
+// lib/llm/fixture.js
+// Replay provider: answers each question with the text recorded for it in a fixture file,
+// so an evaluation can be re-scored without a model (scripts/eval/run.mjs --record writes them).
+// Fixture: { "provider": "chat", "recordedAt": "…", "answers": { "<question>": "<answer>" } }
+// Questions match case- and whitespace-insensitively; unknown questions get a fixed miss reply.
+
+import fs from "fs";
+import path from "path";
+import { extractQuestion } from "./mock";
+
+export const FIXTURE_MISS = "No recorded answer for this question.";
+
+export function fixtureKey(question) {
+  return String(question || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+export function createFixtureProvider({ path: fixturePath }) {
+  const file = path.resolve(process.cwd(), fixturePath);
+  const { answers = {} } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const byKey = new Map(Object.entries(answers).map(([q, a]) => [fixtureKey(q), a]));
+
+  const asked = new Map();
+  let counter = 0;
+
+  async function createConversation() {
+    counter += 1;
+    return `fixture_${counter}`;
+  }
+
+  async function sendMessage(id, content) {
+    asked.set(id, extractQuestion(content));
+  }
+
+  async function getReply(id) {
+    return { text: byKey.get(fixtureKey(asked.get(id))) ?? FIXTURE_MISS };
+  }
+
+  async function* stream(id, { signal } = {}) {
+    const { text } = await getReply(id);
+    if (!signal?.aborted) yield text;
+  }
+
+  return { name: "fixture", createConversation, sendMessage, getReply, stream };
+}
+
+export default createFixtureProvider;
@@ -0,0 +1,76 @@
+// lib/llm/http.js
+// fetch for the OpenAI providers. Transient failures — 429 rate limits, 5xx and dropped
+// connections — are retried up to `maxRetries` times with exponential backoff and jitter,
+// waiting as long as a Retry-After header asks (within reason). A 429 for an exhausted
+// quota is not transient and fails at once. Other failures throw ProviderHttpError.
+
+import { ProviderHttpError } from "./errors";
+
+export const DEFAULT_MAX_RETRIES = 3;
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+const MAX_RETRY_AFTER_MS = 20000;
+
+// Resolves after `ms`, or rejects with an AbortError when `signal` aborts first.
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason ?? new DOMException("Aborted", "AbortError"));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// How long to wait before retry number `attempt` (0-based).
+export function retryDelay(attempt, headers) {
+  const ms = Number(headers?.get?.("retry-after-ms"));
+  const s = Number(headers?.get?.("retry-after"));
+  const hinted = ms > 0 ? ms : s > 0 ? s * 1000 : 0;
+  if (hinted) return Math.min(hinted, MAX_RETRY_AFTER_MS);
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return cap / 2 + Math.random() * (cap / 2);
+}
+
+/**
+ * A `call(url, opts)` that adds `headers` to every request and returns the ok Response, and
+ * `j(url, opts)` for its JSON. `opts.trace` (lib/trace.js) counts the retries made.
+ */
+export function createHttpClient({ headers, maxRetries = DEFAULT_MAX_RETRIES }) {
+  async function call(url, { trace, ...opts } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let r;
+      try {
+        r = await fetch(url, {
+          ...opts,
+          headers: { ...(opts.headers || {}), "Content-Type": "application/json", ...headers },
+        });
+      } catch (err) {
+        // Connection refused or reset; an abort is final.
+        if (err?.name === "AbortError" || opts.signal?.aborted || attempt >= maxRetries) throw err;
+        trace?.count("retries");
+        await sleep(retryDelay(attempt), opts.signal);
+        continue;
+      }
+      if (r.ok) return r;
+
+      const body = await r.text().catch(() => "");
+      const transient = RETRY_STATUSES.has(r.status) && !/insufficient_quota/.test(body);
+      if (!transient || attempt >= maxRetries) {
+        throw new ProviderHttpError(`HTTP ${r.status} ${r.statusText} — ${body.slice(0, 400)}`, { status: r.status });
+      }
+      trace?.count("retries");
+      await sleep(retryDelay(attempt, r.headers), opts.signal);
+    }
+  }
+
+  const j = async (url, opts) => (await call(url, opts)).json();
+
+  return { call, j };
+}
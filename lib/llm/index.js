@@ -0,0 +1,69 @@
+// lib/llm/index.js
+// Provider selection. LLM_PROVIDER picks the backend:
+//   "assistants" (default) — OpenAI Assistants v2 (OPENAI_API_KEY, OPENAI_ASSISTANT_ID,
+//                            OPENAI_RUN_TIMEOUT_SECONDS: how long a run may take, default 90)
+//   "chat"                 — OpenAI Chat Completions (OPENAI_API_KEY, OPENAI_MODEL)
+//   "mock"                 — deterministic offline answers from cba_pages.json
+//   "fixture"              — replays answers recorded by scripts/eval (LLM_FIXTURE=path.json)
+//
+// Both OpenAI providers retry 429 and 5xx responses with backoff, OPENAI_MAX_RETRIES times
+// (default 3; lib/llm/http.js).
+//
+// Every provider exposes the same interface:
+//   createConversation({ trace }?) -> id
+//   sendMessage(id, content, { documentId, scope, trace }?)  — ThreadNotFoundError for an unknown id
+//   getReply(id, { toolbox, trace, signal }?) -> { text, usage? }
+//   stream(id, { signal, toolbox, trace }) -> async iterable of text chunks (stops when signal aborts)
+// `toolbox` (lib/tools.js createToolbox) answers any function calls the model makes; `trace`
+// (lib/trace.js) collects run status, poll counts, retries, token usage and stage timings where
+// the backend reports them. Aborting `signal` cancels the model call.
+
+import { createAssistantsProvider } from "./openaiAssistants";
+import { createChatProvider } from "./openaiChat";
+import { createMockProvider } from "./mock";
+import { createFixtureProvider } from "./fixture";
+
+export { ProviderHttpError, ThreadNotFoundError } from "./errors";
+
+export class ProviderConfigError extends Error {}
+
+const optionalNumber = (v) => (v === undefined || v === "" || Number.isNaN(Number(v)) ? undefined : Number(v));
+
+export function getProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || "assistants").toLowerCase();
+
+  if (name === "mock") return createMockProvider();
+
+  if (name === "fixture") {
+    if (!env.LLM_FIXTURE) throw new ProviderConfigError("Missing LLM_FIXTURE.");
+    return createFixtureProvider({ path: env.LLM_FIXTURE });
+  }
+
+  if (!env.OPENAI_API_KEY) throw new ProviderConfigError("Missing OPENAI_API_KEY.");
+
+  if (name === "chat") {
+    return createChatProvider({
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL || undefined,
+      systemPrompt: env.OPENAI_SYSTEM_PROMPT || undefined,
+      maxRetries: optionalNumber(env.OPENAI_MAX_RETRIES),
+    });
+  }
+
+  if (name === "assistants") {
+    if (!env.OPENAI_ASSISTANT_ID) {
+      throw new ProviderConfigError("Missing OPENAI_API_KEY or OPENAI_ASSISTANT_ID.");
+    }
+    const runTimeout = optionalNumber(env.OPENAI_RUN_TIMEOUT_SECONDS);
+    return createAssistantsProvider({
+      apiKey: env.OPENAI_API_KEY,
+      assistantId: env.OPENAI_ASSISTANT_ID,
+      maxRetries: optionalNumber(env.OPENAI_MAX_RETRIES),
+      runTimeoutMs: runTimeout > 0 ? runTimeout * 1000 : undefined,
+    });
+  }
+
+  throw new ProviderConfigError(`Unknown LLM_PROVIDER "${name}".`);
+}
+
+export default getProvider;
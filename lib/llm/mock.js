@@ -0,0 +1,131 @@
+// lib/llm/mock.js
+// Deterministic offline provider: answers from the selected agreement's cba_pages.json
+// via local retrieval, in the same LEGAL_EXCERPTS format the Assistant uses.
+// No network; the same question always yields the same answer.
+// With a toolbox, a question naming an Article makes one resolve_article_page call,
+// so the tool-calling path can be exercised offline.
+// Unknown conversation IDs are a ThreadNotFoundError, as with the real providers.
+
+import { searchPages, tokenize, normalizeText } from "../retrieval";
+import { labelForPage } from "../resolvePageNumber";
+import { requireDocument } from "../documents";
+import { ThreadNotFoundError } from "./errors";
+
+const conversations = new Map();
+let counter = 0;
+
+// The route may wrap the question in a CBA_EXCERPTS block; answer the question itself.
+export function extractQuestion(content) {
+  const m = String(content || "").match(/QUESTION:\s*([\s\S]*)$/);
+  return (m ? m[1] : String(content || "")).trim();
+}
+
+// Calculator output the route put in the context, repeated as-is (like a model should).
+function extractCalculation(content) {
+  const m = String(content || "").match(/CALCULATOR_RESULT[^\n]*\n([\s\S]*?)\n\n(?:CBA_EXCERPTS:|QUESTION:)/);
+  return m ? m[1].trim() : "";
+}
+
+// First Article/Attachment/Appendix the question names ("Article XXIII(B)").
+function mentionedLabel(question) {
+  const m = String(question || "").match(/\b(Article|Attachment|Appendix)\s+([IVXLC]+|\d+)((?:\([A-Za-z0-9]+\))*)/i);
+  return m ? `${m[1][0].toUpperCase()}${m[1].slice(1).toLowerCase()} ${m[2].toUpperCase()}${m[3]}` : null;
+}
+
+// The sentence on the page that mentions the most question terms.
+function bestSentence(text, terms) {
+  const sentences = normalizeText(text).split(/(?<=[.;:])\s+/);
+  let best = sentences[0] || "";
+  let bestHits = -1;
+  for (const s of sentences) {
+    const lower = s.toLowerCase();
+    const hits = terms.filter((t) => lower.includes(t)).length;
+    if (hits > bestHits) {
+      bestHits = hits;
+      best = s;
+    }
+  }
+  return best.length > 300 ? best.slice(0, best.lastIndexOf(" ", 300)) : best;
+}
+
+export function answerFromPages(question, { topN = 2, documentId, scope, calculation = "", located = "" } = {}) {
+  const doc = requireDocument(documentId);
+  const passages = searchPages(question, { topN, documentId, scope });
+  if (!passages.length) {
+    return `I could not find anything in the ${doc.title} that addresses that question.`;
+  }
+
+  const terms = tokenize(question);
+  const excerpts = passages.map((p) => ({
+    page: p.page,
+    article: labelForPage(p.page, { documentId }),
+    quote: bestSentence(p.text, terms),
+  }));
+
+  const lead = excerpts[0];
+  const lines = [
+    `The ${doc.shortTitle} addresses this${lead.article ? ` in ${lead.article}` : ""} (PDF page ${lead.page}): ${lead.quote}`,
+    "",
+    ...(located ? [located, ""] : []),
+    ...(calculation ? ["Calculation:", calculation, ""] : []),
+    "AI interpretation: This is an offline answer assembled from the highest-ranked CBA pages.",
+    "",
+    "LEGAL_EXCERPTS:",
+  ];
+  for (const e of excerpts) {
+    lines.push(`ARTICLE: ${e.article || "Article —"} | PAGE: ${e.page}`);
+    lines.push(`QUOTE: "${e.quote}"`);
+  }
+  return lines.join("\n");
+}
+
+export function createMockProvider() {
+  async function createConversation() {
+    counter += 1;
+    const id = `mock_${counter}`;
+    conversations.set(id, []);
+    return id;
+  }
+
+  async function sendMessage(id, content, { documentId, scope } = {}) {
+    if (!conversations.has(id)) throw new ThreadNotFoundError(id);
+    conversations.get(id).push({
+      question: extractQuestion(content),
+      calculation: extractCalculation(content),
+      documentId,
+      scope,
+    });
+  }
+
+  async function locate(question, toolbox) {
+    const label = toolbox && mentionedLabel(question);
+    if (!label) return "";
+    const [{ output }] = await toolbox.execute([
+      { id: "mock_call_1", name: "resolve_article_page", arguments: JSON.stringify({ label }) },
+    ]);
+    const found = JSON.parse(output);
+    if (found.error) return "";
+    const pages = found.start === found.end ? `PDF page ${found.start}` : `PDF pages ${found.start}–${found.end}`;
+    return `${found.label} (${found.title}) is on ${pages}.`;
+  }
+
+  async function getReply(id, { toolbox } = {}) {
+    const asked = conversations.get(id) || [];
+    const { question = "", calculation, documentId, scope } = asked[asked.length - 1] || {};
+    const located = await locate(question, toolbox);
+    return { text: answerFromPages(question, { documentId, scope, calculation, located }) };
+  }
+
+  // Word-by-word so the UI exercises the same incremental rendering as a live model.
+  async function* stream(id, { signal, toolbox } = {}) {
+    const { text } = await getReply(id, { toolbox });
+    for (const chunk of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield chunk;
+    }
+  }
+
+  return { name: "mock", createConversation, sendMessage, getReply, stream };
+}
+
+export default createMockProvider;
@@ -0,0 +1,226 @@
+// lib/llm/openaiAssistants.js
+// OpenAI Assistants v2 provider: a conversation is a thread, a reply is a run.
+// Runs that stop at `requires_action` have their function calls answered from the
+// toolbox (lib/tools.js) and continue, up to MAX_TOOL_ROUNDS times.
+// A run is given `runTimeoutMs`, polled or streamed; one that is abandoned — timed out,
+// aborted by the caller, or broken off by an error — is cancelled so it does not hold the thread.
+
+import { readSSE } from "../sse";
+import { MAX_TOOL_ROUNDS } from "../tools";
+import { nullTrace } from "../trace";
+import { createHttpClient, sleep } from "./http";
+import { ThreadNotFoundError } from "./errors";
+
+const API = "https://api.openai.com/v1";
+
+export const DEFAULT_RUN_TIMEOUT_MS = 90000;
+const FIRST_POLL_MS = 250;
+const MAX_POLL_MS = 1000;
+const FINAL_STATUSES = ["completed", "failed", "cancelled", "expired", "incomplete"];
+
+export function createAssistantsProvider({ apiKey, assistantId, maxRetries, runTimeoutMs = DEFAULT_RUN_TIMEOUT_MS }) {
+  const { call, j } = createHttpClient({
+    headers: { Authorization: `Bearer ${apiKey}`, "OpenAI-Beta": "assistants=v2" },
+    maxRetries,
+  });
+
+  async function createConversation({ trace } = {}) {
+    const thread = await j(`${API}/threads`, { method: "POST", body: "{}", trace });
+    return thread.id;
+  }
+
+  // A thread refuses new messages while a run is active on it, e.g. one left behind by a
+  // request that died mid-answer; that run is cancelled and the message sent again.
+  async function sendMessage(threadId, content, { trace } = {}) {
+    const post = () =>
+      j(`${API}/threads/${threadId}/messages`, {
+        method: "POST",
+        body: JSON.stringify({ role: "user", content }),
+        trace,
+      });
+    try {
+      await post();
+    } catch (err) {
+      if (err.status === 404 || (err.status === 400 && /invalid 'thread_id'/i.test(err.message))) {
+        throw new ThreadNotFoundError(threadId);
+      }
+      const active = err.status === 400 && err.message.match(/while a run (run_\w+) is active/);
+      if (!active) throw err;
+      await cancelRun(threadId, active[1], { wait: true });
+      await post();
+    }
+  }
+
+  // The Assistant's own tools (e.g. file_search) plus the toolbox's functions; a run's
+  // `tools` replaces the Assistant's, so both are sent.
+  let assistantTools = null;
+  async function runTools(toolbox) {
+    if (!toolbox) return {};
+    if (!assistantTools) {
+      const assistant = await j(`${API}/assistants/${assistantId}`, { method: "GET" });
+      assistantTools = assistant.tools || [];
+    }
+    const names = new Set(toolbox.definitions.map((d) => d.function.name));
+    const own = assistantTools.filter((t) => t.type !== "function" || !names.has(t.function?.name));
+    return { tools: [...own, ...toolbox.definitions] };
+  }
+
+  // Tool outputs for a run in `requires_action`.
+  async function toolOutputs(run, toolbox) {
+    const calls = (run.required_action?.submit_tool_outputs?.tool_calls || []).map((c) => ({
+      id: c.id,
+      name: c.function?.name,
+      arguments: c.function?.arguments,
+    }));
+    const outputs = toolbox
+      ? await toolbox.execute(calls)
+      : calls.map((c) => ({ id: c.id, output: JSON.stringify({ error: "Tools are not available." }) }));
+    return outputs.map(({ id, output }) => ({ tool_call_id: id, output }));
+  }
+
+  // Best effort: a run that already finished can't be cancelled, and that's fine. With `wait`,
+  // returns once the run has stopped (briefly), so the thread takes messages again.
+  async function cancelRun(threadId, runId, { wait = false } = {}) {
+    try {
+      await call(`${API}/threads/${threadId}/runs/${runId}/cancel`, { method: "POST", body: "{}" });
+      for (let i = 0; wait && i < 20; i++) {
+        await sleep(FIRST_POLL_MS);
+        const s = await j(`${API}/threads/${threadId}/runs/${runId}`, { method: "GET" });
+        if (FINAL_STATUSES.includes(s.status)) break;
+      }
+    } catch {
+      // Already finished, or the thread is gone.
+    }
+  }
+
+  // Start a run and poll it until it completes, answering tool calls on the way.
+  async function runToCompletion(threadId, { toolbox, trace, signal }) {
+    const run = await j(`${API}/threads/${threadId}/runs`, {
+      method: "POST",
+      body: JSON.stringify({ assistant_id: assistantId, ...(await runTools(toolbox)) }),
+      trace,
+      signal,
+    });
+
+    // Poll quickly at first, then back off to once a second.
+    const deadline = Date.now() + runTimeoutMs;
+    let interval = FIRST_POLL_MS;
+    let settled = false;
+    let rounds = 0;
+    try {
+      while (true) {
+        if (Date.now() > deadline) throw new Error("Run timed out");
+        await sleep(interval, signal);
+        interval = Math.min(interval * 1.5, MAX_POLL_MS);
+        const s = await j(`${API}/threads/${threadId}/runs/${run.id}`, { method: "GET", trace, signal });
+        trace.count("polls");
+        trace.set({ runStatus: s.status });
+        if (s.status === "completed") {
+          settled = true;
+          trace.addUsage(s.usage);
+          return;
+        }
+        if (s.status === "requires_action") {
+          if (++rounds > MAX_TOOL_ROUNDS) throw new Error("Run made too many tool calls");
+          await j(`${API}/threads/${threadId}/runs/${run.id}/submit_tool_outputs`, {
+            method: "POST",
+            body: JSON.stringify({ tool_outputs: await toolOutputs(s, toolbox) }),
+            trace,
+            signal,
+          });
+          interval = FIRST_POLL_MS;
+          continue;
+        }
+        if (FINAL_STATUSES.includes(s.status)) {
+          settled = true;
+          throw new Error(`Run ${s.status}`);
+        }
+      }
+    } finally {
+      if (!settled) await cancelRun(threadId, run.id);
+    }
+  }
+
+  async function getReply(threadId, { toolbox, trace = nullTrace, signal } = {}) {
+    await trace.stage("run", () => runToCompletion(threadId, { toolbox, trace, signal }));
+
+    // Read the latest assistant message.
+    const msgs = await trace.stage("fetch", () =>
+      j(`${API}/threads/${threadId}/messages?order=desc&limit=10`, { method: "GET", trace, signal })
+    );
+    const firstAssistant = (msgs?.data || []).find((m) => m.role === "assistant");
+    const text = (firstAssistant?.content || [])
+      .map((c) => (typeof c?.text?.value === "string" ? c.text.value : ""))
+      .join("\n")
+      .trim();
+    return { text };
+  }
+
+  // Streamed run: yields text deltas as the Assistant writes them. A `requires_action`
+  // event ends the stream; the tool outputs are submitted and the run streams on.
+  // Past `runTimeoutMs` the stream is aborted like a caller's stop, but throws "Run timed out".
+  async function* stream(threadId, { signal, toolbox, trace = nullTrace } = {}) {
+    const deadline = AbortSignal.timeout(runTimeoutMs);
+    const runSignal = signal ? AbortSignal.any([signal, deadline]) : deadline;
+    const timedOut = () => deadline.aborted && !signal?.aborted;
+
+    let runId = null;
+    let settled = false;
+    let rounds = 0;
+    try {
+      let r = await call(`${API}/threads/${threadId}/runs`, {
+        method: "POST",
+        body: JSON.stringify({ assistant_id: assistantId, stream: true, ...(await runTools(toolbox)) }),
+        trace,
+        signal: runSignal,
+      });
+      while (r) {
+        let next = null;
+        for await (const { event, data } of readSSE(r.body, { signal: runSignal })) {
+          if (event === "done" || data === "[DONE]") break;
+          if (/^thread\.run\.[a-z_]+$/.test(event)) {
+            const status = event.slice("thread.run.".length);
+            trace.set({ runStatus: status });
+            runId ||= JSON.parse(data)?.id || null;
+            if (FINAL_STATUSES.includes(status)) settled = true;
+            if (event === "thread.run.completed") trace.addUsage(JSON.parse(data)?.usage);
+          }
+          if (event === "thread.message.delta") {
+            const delta = JSON.parse(data)?.delta;
+            for (const c of delta?.content || []) {
+              if (typeof c?.text?.value === "string" && c.text.value) yield c.text.value;
+            }
+          } else if (event === "thread.run.requires_action") {
+            const run = JSON.parse(data);
+            if (++rounds > MAX_TOOL_ROUNDS) throw new Error("Run made too many tool calls");
+            next = await call(`${API}/threads/${threadId}/runs/${run.id}/submit_tool_outputs`, {
+              method: "POST",
+              body: JSON.stringify({ tool_outputs: await toolOutputs(run, toolbox), stream: true }),
+              trace,
+              signal: runSignal,
+            });
+            break;
+          } else if (
+            ["thread.run.failed", "thread.run.cancelled", "thread.run.expired", "thread.run.incomplete"].includes(event)
+          ) {
+            throw new Error(`Run ${event.split(".").pop()}`);
+          } else if (event === "error") {
+            throw new Error(`Stream error — ${data.slice(0, 400)}`);
+          }
+        }
+        r = next;
+      }
+      // readSSE ends quietly when its signal aborts between reads.
+      if (timedOut()) throw new Error("Run timed out");
+    } catch (err) {
+      throw timedOut() ? new Error("Run timed out") : err;
+    } finally {
+      // Stopped by the caller, past the deadline, or broken off by an error.
+      if (runId && !settled) await cancelRun(threadId, runId);
+    }
+  }
+
+  return { name: "assistants", createConversation, sendMessage, getReply, stream };
+}
+
+export default createAssistantsProvider;
@@ -0,0 +1,139 @@
+// lib/llm/openaiChat.js
+// OpenAI Chat Completions provider. The API is stateless, so conversation
+// history is kept in server memory keyed by a generated conversation ID: at most
+// MAX_CONVERSATIONS of them, each dropped CONVERSATION_TTL_MS after its last message
+// (the least recently used go first when full).
+// With a toolbox (lib/tools.js), replies that call functions get the outputs appended
+// and are requested again; after MAX_TOOL_ROUNDS the model must answer without tools.
+// An ID this process doesn't hold (dropped, or from before a restart) is a ThreadNotFoundError.
+
+import crypto from "crypto";
+import { readSSE } from "../sse";
+import { MAX_TOOL_ROUNDS } from "../tools";
+import { nullTrace } from "../trace";
+import { createMemoryStore } from "../rateLimit";
+import { createHttpClient } from "./http";
+import { ThreadNotFoundError } from "./errors";
+
+const API = "https://api.openai.com/v1";
+
+export const DEFAULT_SYSTEM_PROMPT =
+  "You are an assistant that answers questions about sports collective bargaining agreements. " +
+  "Answer only from the CBA excerpts provided; the excerpts name the agreement they come from. End every answer with a " +
+  'LEGAL_EXCERPTS: block listing each source as `ARTICLE: Article <label> | PAGE: <pdf page>` followed by `QUOTE: "<verbatim text>"`.';
+
+export const MAX_CONVERSATIONS = 500;
+export const CONVERSATION_TTL_MS = 6 * 60 * 60 * 1000;
+
+const conversations = createMemoryStore({ maxKeys: MAX_CONVERSATIONS });
+
+export function createChatProvider({ apiKey, model = "gpt-4o-mini", systemPrompt = DEFAULT_SYSTEM_PROMPT, maxRetries }) {
+  const { call, j } = createHttpClient({ headers: { Authorization: `Bearer ${apiKey}` }, maxRetries });
+
+  // A conversation's messages; using it restarts its TTL and makes it the most recently used.
+  async function history(id) {
+    const messages = await conversations.get(id);
+    if (!messages) throw new ThreadNotFoundError(id);
+    await conversations.set(id, messages, CONVERSATION_TTL_MS);
+    return messages;
+  }
+
+  async function createConversation() {
+    const id = `chat_${crypto.randomUUID()}`;
+    await conversations.set(id, [{ role: "system", content: systemPrompt }], CONVERSATION_TTL_MS);
+    return id;
+  }
+
+  async function sendMessage(id, content) {
+    (await history(id)).push({ role: "user", content });
+  }
+
+  function toolParams(toolbox, round) {
+    if (!toolbox) return {};
+    return { tools: toolbox.definitions, ...(round >= MAX_TOOL_ROUNDS && { tool_choice: "none" }) };
+  }
+
+  // Record the model's tool calls and the outputs in history, ready for the next request.
+  async function answerToolCalls(messages, toolbox, content, toolCalls) {
+    const outputs = await toolbox.execute(
+      toolCalls.map((c) => ({ id: c.id, name: c.function?.name, arguments: c.function?.arguments }))
+    );
+    messages.push({ role: "assistant", content: content || null, tool_calls: toolCalls });
+    for (const { id: toolCallId, output } of outputs) {
+      messages.push({ role: "tool", tool_call_id: toolCallId, content: output });
+    }
+  }
+
+  async function getReply(id, { toolbox, trace = nullTrace, signal } = {}) {
+    const messages = await history(id);
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    for (let round = 0; ; round++) {
+      const data = await j(`${API}/chat/completions`, {
+        method: "POST",
+        body: JSON.stringify({ model, messages, ...toolParams(toolbox, round) }),
+        trace,
+        signal,
+      });
+      for (const k of Object.keys(usage)) usage[k] += data?.usage?.[k] || 0;
+      const message = data?.choices?.[0]?.message;
+      trace.set({ runStatus: data?.choices?.[0]?.finish_reason || null });
+      if (toolbox && message?.tool_calls?.length) {
+        await answerToolCalls(messages, toolbox, message.content, message.tool_calls);
+        continue;
+      }
+      const text = (message?.content || "").trim();
+      messages.push({ role: "assistant", content: text });
+      return { text, usage };
+    }
+  }
+
+  // Streamed completion: yields content deltas; the full reply is kept in history.
+  // Tool call deltas are assembled by index and answered before streaming on.
+  async function* stream(id, { signal, toolbox, trace = nullTrace } = {}) {
+    const messages = await history(id);
+    for (let round = 0; ; round++) {
+      const r = await call(`${API}/chat/completions`, {
+        method: "POST",
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: true,
+          stream_options: { include_usage: true },
+          ...toolParams(toolbox, round),
+        }),
+        trace,
+        signal,
+      });
+
+      let text = "";
+      const toolCalls = [];
+      try {
+        for await (const { data } of readSSE(r.body, { signal })) {
+          if (data === "[DONE]") break;
+          const chunk = JSON.parse(data);
+          trace.addUsage(chunk?.usage); // last chunk, with include_usage
+          if (chunk?.choices?.[0]?.finish_reason) trace.set({ runStatus: chunk.choices[0].finish_reason });
+          const delta = chunk?.choices?.[0]?.delta;
+          for (const c of delta?.tool_calls || []) {
+            const tc = (toolCalls[c.index] ||= { id: "", type: "function", function: { name: "", arguments: "" } });
+            if (c.id) tc.id = c.id;
+            if (c.function?.name) tc.function.name += c.function.name;
+            if (c.function?.arguments) tc.function.arguments += c.function.arguments;
+          }
+          if (typeof delta?.content === "string" && delta.content) {
+            text += delta.content;
+            yield delta.content;
+          }
+        }
+      } finally {
+        if (text && !toolCalls.length) messages.push({ role: "assistant", content: text.trim() });
+      }
+      if (!toolbox || !toolCalls.length || signal?.aborted) return;
+      await answerToolCalls(messages, toolbox, text, toolCalls.filter(Boolean));
+    }
+  }
+
+  return { name: "chat", createConversation, sendMessage, getReply, stream };
+}
+
+export default createChatProvider;
@@ -0,0 +1,121 @@
+// lib/metrics.js
+// Usage and health figures for /admin/metrics, summarized from chat traces (lib/trace.js):
+// request and failure counts, error categories, latency percentiles and per-stage averages,
+// the slowest questions, the most-cited Articles, the citation resolution rate, how often
+// the answer cache served a question, and how often the providers had to retry a call or
+// replace a lost thread.
+
+import { resolveNode } from "./resolvePageNumber";
+
+const round = (n, digits = 0) => (n === null || Number.isNaN(n) ? null : Number(n.toFixed(digits)));
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function tally(values) {
+  const out = {};
+  for (const v of values) out[v] = (out[v] || 0) + 1;
+  return out;
+}
+
+/**
+ * Summarize trace records. `slowest` and `articles` cap those lists.
+ */
+export function summarizeTraces(records, { slowest = 10, articles = 15 } = {}) {
+  const outcomes = { ok: 0, refused: 0, error: 0, aborted: 0, ...tally(records.map((r) => r.outcome)) };
+  const answered = records.filter((r) => r.outcome === "ok" && r.citations);
+  const latencies = answered.map((r) => r.totalMs).sort((a, b) => a - b);
+
+  const stageTotals = {};
+  for (const r of answered) {
+    for (const [name, ms] of Object.entries(r.stages || {})) {
+      stageTotals[name] ||= { sum: 0, n: 0 };
+      stageTotals[name].sum += ms;
+      stageTotals[name].n += 1;
+    }
+  }
+
+  const cited = new Map(); // "documentId|label" -> count
+  for (const r of answered) {
+    for (const label of r.citations.articles || []) {
+      const key = `${r.documentId}|${label}`;
+      cited.set(key, (cited.get(key) || 0) + 1);
+    }
+  }
+
+  const citationTotal = answered.reduce((n, r) => n + r.citations.total, 0);
+  const citationResolved = answered.reduce((n, r) => n + r.citations.resolved, 0);
+  const tokens = answered.reduce((n, r) => n + (r.usage?.total_tokens || 0), 0);
+  const withUsage = answered.filter((r) => r.usage).length;
+  const attempted = outcomes.ok + outcomes.error;
+  const cacheable = answered.filter((r) => r.cache && r.cache !== "skip");
+  const cacheHits = cacheable.filter((r) => r.cache === "exact" || r.cache === "similar").length;
+
+  const days = new Map();
+  for (const r of records) {
+    const day = r.at.slice(0, 10);
+    const d = days.get(day) || { day, requests: 0, errors: 0 };
+    d.requests += 1;
+    if (r.outcome === "error") d.errors += 1;
+    days.set(day, d);
+  }
+
+  return {
+    requests: records.length,
+    outcomes,
+    failureRate: attempted ? round(outcomes.error / attempted, 3) : null,
+    errors: tally(records.filter((r) => r.error && r.outcome === "error").map((r) => r.error.category)),
+    refusals: tally(records.filter((r) => r.outcome === "refused").map((r) => String(r.httpStatus))),
+    latency: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      firstDeltaP50: percentile(
+        answered.map((r) => r.stages?.firstDelta).filter((v) => v !== undefined).sort((a, b) => a - b),
+        50
+      ),
+      stages: Object.fromEntries(Object.entries(stageTotals).map(([k, { sum, n }]) => [k, Math.round(sum / n)])),
+      polls: answered.length ? round(answered.reduce((n, r) => n + (r.polls || 0), 0) / answered.length, 1) : null,
+    },
+    citationResolutionRate: citationTotal ? round(citationResolved / citationTotal, 3) : null,
+    tokens: { total: tokens, perAnswer: withUsage ? Math.round(tokens / withUsage) : null },
+    cache: {
+      hits: cacheHits,
+      lookups: cacheable.length,
+      hitRate: cacheable.length ? round(cacheHits / cacheable.length, 3) : null,
+    },
+    recovery: {
+      retries: records.reduce((n, r) => n + (r.retries || 0), 0),
+      threadsReplaced: records.filter((r) => r.threadReplaced).length,
+    },
+    slowest: [...answered]
+      .sort((a, b) => b.totalMs - a.totalMs)
+      .slice(0, slowest)
+      .map(({ id, at, question, documentId, provider, totalMs, stages, polls, runStatus }) => ({
+        id,
+        at,
+        question,
+        documentId,
+        provider,
+        totalMs,
+        stages,
+        polls,
+        runStatus,
+      })),
+    articles: [...cited.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, articles)
+      .map(([key, count]) => {
+        const [documentId, label] = key.split("|");
+        let title = null;
+        try {
+          title = resolveNode(label, { documentId })?.node.title || null;
+        } catch {
+          // Agreement no longer in the registry.
+        }
+        return { documentId, label, title, count };
+      }),
+    byDay: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)),
+  };
+}
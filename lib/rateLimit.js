@@ -0,0 +1,214 @@
+// lib/rateLimit.js
+// Rate limiting and daily quotas for the public chat API.
+// - Every caller is limited twice: by client IP and by the site embedding the chat
+//   ("origin"), each with a token bucket (burst + steady refill) and a daily quota. The chat's
+//   own pages only count against the IP limits. The origin comes from request headers, so the
+//   per-site limits cap what one site can spend rather than prove who is asking; the IP limits
+//   are checked first, so one caller claiming to be a partner site only gets as far as its own.
+// - Limits come from env (0 turns one off):
+//     RATE_LIMIT_IP_BURST (5)      RATE_LIMIT_IP_PER_MINUTE (5)       RATE_LIMIT_IP_DAILY (100)
+//     RATE_LIMIT_ORIGIN_BURST (30) RATE_LIMIT_ORIGIN_PER_MINUTE (30)  RATE_LIMIT_ORIGIN_DAILY (2000)
+// - State lives in a store: RATE_LIMIT_STORE=memory (default, per server process) or
+//   file (under DATA_DIR/ratelimit, shared by processes on one host). Any object with
+//   async get(key) / set(key, value, ttlMs) can be passed instead.
+// - The client IP is the connection's address. Behind a reverse proxy or load balancer set
+//   TRUST_PROXY to the number of proxies in front of the app (usually 1) so the address they
+//   add to X-Forwarded-For is used; without it X-Forwarded-For is ignored, since callers can
+//   set it to anything, and everyone behind the proxy shares one IP bucket. On Vercel (where
+//   VERCEL is set and its edge writes X-Forwarded-For) it defaults to 1.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { dataPath, readJSON, writeJSON } from "./storage";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_MEMORY_KEYS = 10000;
+
+// Holds at most `maxKeys` keys: expired ones go first, then the least recently set.
+export function createMemoryStore({ maxKeys = MAX_MEMORY_KEYS } = {}) {
+  const entries = new Map(); // least recently set first
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      const now = Date.now();
+      entries.delete(key);
+      if (entries.size >= maxKeys) {
+        for (const [k, e] of entries) if (e.expiresAt <= now) entries.delete(k);
+        for (const k of entries.keys()) {
+          if (entries.size < maxKeys) break;
+          entries.delete(k);
+        }
+      }
+      entries.set(key, { value, expiresAt: now + ttlMs });
+    },
+  };
+}
+
+// One small JSON file per key; file names are hashed so IPs never appear on disk.
+export function createFileStore({ dir = dataPath("ratelimit") } = {}) {
+  const file = (key) => path.join(dir, `${crypto.createHash("sha256").update(key).digest("hex").slice(0, 32)}.json`);
+  return {
+    async get(key) {
+      const e = readJSON(file(key));
+      if (!e) return null;
+      if (e.expiresAt <= Date.now()) {
+        fs.rmSync(file(key), { force: true });
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      writeJSON(file(key), { value, expiresAt: Date.now() + ttlMs });
+    },
+  };
+}
+
+let defaultStore = null;
+
+export function getRateLimitStore(env = process.env) {
+  if (!defaultStore) {
+    defaultStore = (env.RATE_LIMIT_STORE || "memory").toLowerCase() === "file" ? createFileStore() : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+function envNumber(env, name, fallback) {
+  const v = env[name];
+  return v === undefined || v === "" ? fallback : Math.max(0, Number(v) || 0);
+}
+
+export function rateLimitConfig(env = process.env) {
+  return {
+    ip: {
+      burst: envNumber(env, "RATE_LIMIT_IP_BURST", 5),
+      perMinute: envNumber(env, "RATE_LIMIT_IP_PER_MINUTE", 5),
+      daily: envNumber(env, "RATE_LIMIT_IP_DAILY", 100),
+    },
+    origin: {
+      burst: envNumber(env, "RATE_LIMIT_ORIGIN_BURST", 30),
+      perMinute: envNumber(env, "RATE_LIMIT_ORIGIN_PER_MINUTE", 30),
+      daily: envNumber(env, "RATE_LIMIT_ORIGIN_DAILY", 2000),
+    },
+  };
+}
+
+/**
+ * Take one token from a bucket that holds `burst` tokens and refills `perMinute` a minute.
+ * Returns { allowed, remaining, retryAfter } (retryAfter in seconds, when refused).
+ */
+export async function takeToken(store, key, { burst, perMinute }, now = Date.now()) {
+  if (!burst || !perMinute) return { allowed: true, remaining: null, retryAfter: 0 };
+  const perMs = perMinute / 60000;
+  const saved = await store.get(key);
+  const tokens = saved ? Math.min(burst, saved.tokens + (now - saved.at) * perMs) : burst;
+  const ttl = Math.ceil(burst / perMs);
+  if (tokens < 1) {
+    await store.set(key, { tokens, at: now }, ttl);
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - tokens) / perMs / 1000) };
+  }
+  await store.set(key, { tokens: tokens - 1, at: now }, ttl);
+  return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 };
+}
+
+/**
+ * Count one request against a daily quota (UTC days).
+ * Returns { allowed, remaining, retryAfter } (retryAfter: seconds until midnight UTC).
+ */
+export async function countDaily(store, key, limit, now = Date.now()) {
+  if (!limit) return { allowed: true, remaining: null, retryAfter: 0 };
+  const day = new Date(now).toISOString().slice(0, 10);
+  const saved = await store.get(key);
+  const count = saved?.day === day ? saved.count : 0;
+  const untilMidnight = DAY_MS - (now % DAY_MS);
+  if (count >= limit) return { allowed: false, remaining: 0, retryAfter: Math.ceil(untilMidnight / 1000) };
+  await store.set(key, { day, count: count + 1 }, untilMidnight);
+  return { allowed: true, remaining: limit - count - 1, retryAfter: 0 };
+}
+
+/**
+ * The caller's IP. Each of the TRUST_PROXY proxies appends the address it was reached from
+ * to X-Forwarded-For, so the caller is that many hops back from the connection; entries
+ * further left came from the caller and are not trusted.
+ */
+export function clientIp(req, env = process.env) {
+  const connection = req.socket?.remoteAddress || "unknown";
+  const hops = Math.floor(envNumber(env, "TRUST_PROXY", env.VERCEL ? 1 : 0));
+  if (!hops) return connection;
+  const forwarded = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((ip) => ip.trim())
+    .filter(Boolean);
+  const chain = [...forwarded, connection];
+  return chain[Math.max(0, chain.length - 1 - hops)];
+}
+
+/**
+ * The site the chat is embedded on. The embed sends its parent page's origin as
+ * X-Embed-Origin; otherwise the request's own Origin/Referer is used. Only http(s) URLs
+ * count: anything else ("null", file:, garbage) falls through to the next header.
+ */
+export function requestOrigin(req) {
+  for (const raw of [req.headers["x-embed-origin"], req.headers.origin, req.headers.referer]) {
+    try {
+      const url = raw && new URL(String(raw));
+      if (url && (url.protocol === "https:" || url.protocol === "http:")) return url.origin;
+    } catch {
+      // Not a URL; try the next header.
+    }
+  }
+  return "direct";
+}
+
+const waitText = (seconds) =>
+  seconds < 90 ? `${seconds} seconds` : seconds < 5400 ? `${Math.ceil(seconds / 60)} minutes` : `${Math.ceil(seconds / 3600)} hours`;
+
+/**
+ * Check (and count) one chat request against every limit. `self` is the chat's own origin,
+ * which has no per-site limit.
+ * Returns { allowed: true, remaining } or
+ * { allowed: false, retryAfter, reason: "rate" | "daily", result } with a message for the user.
+ */
+export async function checkRateLimit(req, { store = getRateLimitStore(), config = rateLimitConfig(), self } = {}) {
+  const origin = requestOrigin(req);
+  const subjects = [["ip", clientIp(req)], ...(origin === self ? [] : [["origin", origin]])];
+  let remaining = null;
+
+  for (const [kind, id] of subjects) {
+    const bucket = await takeToken(store, `bucket:${kind}:${id}`, config[kind]);
+    if (!bucket.allowed) {
+      return {
+        allowed: false,
+        reason: "rate",
+        retryAfter: bucket.retryAfter,
+        result: `You're asking questions faster than we can answer them. Please wait ${waitText(bucket.retryAfter)} and try again.`,
+      };
+    }
+    if (bucket.remaining !== null) remaining = remaining === null ? bucket.remaining : Math.min(remaining, bucket.remaining);
+  }
+
+  for (const [kind, id] of subjects) {
+    const quota = await countDaily(store, `daily:${kind}:${id}`, config[kind].daily);
+    if (!quota.allowed) {
+      return {
+        allowed: false,
+        reason: "daily",
+        retryAfter: quota.retryAfter,
+        result:
+          kind === "ip"
+            ? "You've reached today's question limit. Please come back tomorrow."
+            : "This site has reached today's question limit. Please come back tomorrow.",
+      };
+    }
+  }
+
+  return { allowed: true, remaining };
+}
@@ -1,22 +1,98 @@
-import pageMap from "../public/mlb/page_map.json";
+// lib/resolvePageNumber.js
+// Page-map lookups over a document's page_map.json (built by scripts/build_page_map.mjs).
+// Resolves labels like "Article XXIII(B)(3)" to the deepest matching node and its PDF page.
 
-/**
- * Look up the real PDF page number for an Article/Section key
- */
-export function resolvePageNumber(articleKey) {
-  // Exact match
-  if (pageMap[articleKey]) {
-    return pageMap[articleKey];
+import fs from "fs";
+import path from "path";
+import { requireDocument, DEFAULT_DOCUMENT_ID } from "./documents";
+
+export function loadPageMap(documentId = DEFAULT_DOCUMENT_ID) {
+  try {
+    const p = path.join(process.cwd(), requireDocument(documentId).pageMapPath);
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch {
+    return {};
   }
+}
+
+const cachedMaps = new Map();
+
+// Load each document's map once per process.
+export function getPageMap(documentId = DEFAULT_DOCUMENT_ID) {
+  if (!cachedMaps.has(documentId)) cachedMaps.set(documentId, loadPageMap(documentId));
+  return cachedMaps.get(documentId);
+}
 
-  // Fuzzy match — find first entry that starts with the requested key
-  const found = Object.entries(pageMap).find(([key]) =>
-    articleKey.startsWith(key)
+/**
+ * Split a label like "Article XXIII(B)(3)" into its parts:
+ * { kind: "Article", id: "XXIII", sectionPath: ["B", "3"], articleLabel: "Article XXIII" }
+ */
+export function parseCitationLabel(label) {
+  const m = String(label || "").match(
+    /\b(article|appendix|attachment)\s+([ivxlcdm]+\b|[a-z]\b|\d+)\s*((?:\([^)]+\))*)/i
   );
-  if (found) {
-    return found[1];
+  if (!m) return { kind: null, id: null, sectionPath: [], articleLabel: null };
+  const kind = m[1][0].toUpperCase() + m[1].slice(1).toLowerCase();
+  const id = m[2].toUpperCase();
+  const sectionPath = [...(m[3] || "").matchAll(/\(([^)]+)\)/g)].map((x) => x[1].trim());
+  return { kind, id, sectionPath, articleLabel: `${kind} ${id}` };
+}
+
+/**
+ * Deepest page-map node for a label.
+ * Returns { key, path, node } where `path` is the part of the section path that matched,
+ * or null when the Article/Appendix/Attachment itself is unknown.
+ */
+export function resolveNode(label, { documentId, pageMap = getPageMap(documentId) } = {}) {
+  const { articleLabel, sectionPath } = parseCitationLabel(label);
+  const top = articleLabel && pageMap[articleLabel];
+  if (!top) return null;
+
+  let node = top;
+  const matched = [];
+  const [section, subsection] = sectionPath;
+  const sec = section && top.sections?.[section.toUpperCase()];
+  if (sec) {
+    node = sec;
+    matched.push(section.toUpperCase());
+    const sub = subsection && sec.subsections?.[subsection];
+    if (sub) {
+      node = sub;
+      matched.push(subsection);
+    }
   }
+  return { key: articleLabel, path: matched, node };
+}
 
-  // Not found
-  return null;
+/**
+ * Look up the real PDF page number for an Article/Section label
+ */
+export function resolvePageNumber(articleKey, options) {
+  const found = resolveNode(articleKey, options);
+  return found ? found.node.start : null;
 }
+
+/**
+ * Most specific label whose page range covers a PDF page, e.g. 146 -> "Article XXIII(E)(2)".
+ * When several headings share the page, the last one to start wins.
+ */
+export function labelForPage(page, { documentId, pageMap = getPageMap(documentId) } = {}) {
+  let best = null;
+  const consider = (label, node, depth) => {
+    if (!(node.start <= page && page <= node.end)) return false;
+    if (!best || depth > best.depth || (depth === best.depth && node.start >= best.start)) {
+      best = { label, depth, start: node.start };
+    }
+    return true;
+  };
+  for (const [key, top] of Object.entries(pageMap)) {
+    if (!consider(key, top, 0)) continue;
+    for (const [sk, sec] of Object.entries(top.sections || {})) {
+      if (!consider(`${key}(${sk})`, sec, 1)) continue;
+      for (const [nk, sub] of Object.entries(sec.subsections || {})) consider(`${key}(${sk})(${nk})`, sub, 2);
+    }
+  }
+  return best ? best.label : null;
+}
+
+export default resolvePageNumber;
@@ -0,0 +1,170 @@
+// lib/retrieval.js
+// BM25 retrieval over a document's cba_pages.json (public/mlb/cba_pages.json by default).
+// - Each document's index is built lazily on first use and kept for the life of the server process.
+// - Pages are the unit of retrieval; page numbers are PDF pages (same as #page=N links).
+
+import fs from "fs";
+import path from "path";
+import { requireDocument, DEFAULT_DOCUMENT_ID } from "./documents";
+import { inScope, describeScope } from "./scope";
+
+const K1 = 1.2;
+const B = 0.75;
+const DEFAULT_TOP_N = 4;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been but by can do does for from has have he his how if in into is it its " +
+    "may no not of on or shall such that the their then there these they this to under was what when " +
+    "where which who will with would any all other than so"
+  ).split(" ")
+);
+
+// Normalize PDF text: smart quotes, NBSP, and line-break hyphenation ("Con- tract").
+export function normalizeText(s) {
+  return String(s || "")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/\u00A0/g, " ")
+    .replace(/([a-z])- ([a-z])/g, "$1$2")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function tokenize(s) {
+  return normalizeText(s)
+    .toLowerCase()
+    .replace(/'s\b/g, "")
+    .split(/[^a-z0-9$%]+/)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+function pagesFile(documentId) {
+  return path.join(process.cwd(), requireDocument(documentId).pagesPath);
+}
+
+// True when the document's pages have been extracted (registered documents may not be yet).
+export function isDocumentAvailable(documentId = DEFAULT_DOCUMENT_ID) {
+  try {
+    return fs.existsSync(pagesFile(documentId));
+  } catch {
+    return false;
+  }
+}
+
+const cachedPages = new Map();
+
+// Page texts for a document, read once per process.
+export function loadPages(documentId = DEFAULT_DOCUMENT_ID) {
+  if (!cachedPages.has(documentId)) {
+    cachedPages.set(documentId, JSON.parse(fs.readFileSync(pagesFile(documentId), "utf8")));
+  }
+  return cachedPages.get(documentId);
+}
+
+// Build an in-memory BM25 index: { docs, df, avgLen }
+export function buildIndex(pages) {
+  const docs = [];
+  const df = new Map();
+  let totalLen = 0;
+
+  for (const pg of pages || []) {
+    const text = normalizeText(pg.text);
+    const tokens = tokenize(text);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    docs.push({ page: Number(pg.page), text, tf, len: tokens.length });
+    totalLen += tokens.length;
+  }
+
+  return { docs, df, avgLen: docs.length ? totalLen / docs.length : 0 };
+}
+
+const cachedIndexes = new Map();
+
+function getIndex(documentId = DEFAULT_DOCUMENT_ID) {
+  if (!cachedIndexes.has(documentId)) cachedIndexes.set(documentId, buildIndex(loadPages(documentId)));
+  return cachedIndexes.get(documentId);
+}
+
+function idf(index, term) {
+  const n = index.docs.length;
+  const d = index.df.get(term) || 0;
+  return Math.log(1 + (n - d + 0.5) / (d + 0.5));
+}
+
+// Pick a short window of the page around the densest cluster of query terms.
+export function makeSnippet(text, terms, width = 320) {
+  if (!text) return "";
+  if (text.length <= width) return text;
+  const lower = text.toLowerCase();
+  let best = 0;
+  let bestHits = -1;
+  for (let start = 0; start < lower.length; start += Math.floor(width / 4)) {
+    const win = lower.slice(start, start + width);
+    let hits = 0;
+    for (const t of terms) if (win.includes(t)) hits++;
+    if (hits > bestHits) {
+      bestHits = hits;
+      best = start;
+    }
+  }
+  const prefix = best > 0 ? "…" : "";
+  const suffix = best + width < text.length ? "…" : "";
+  return `${prefix}${text.slice(best, best + width).trim()}${suffix}`;
+}
+
+/**
+ * Rank CBA pages for a question (only pages inside `scope`, when given).
+ * Returns [{ page, score, text, snippet }] sorted by score, best first.
+ */
+export function searchPages(query, { topN = DEFAULT_TOP_N, index, documentId, scope } = {}) {
+  const idx = index || getIndex(documentId);
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  const scored = [];
+  for (const doc of idx.docs) {
+    if (!inScope(doc.page, scope)) continue;
+    let score = 0;
+    for (const t of terms) {
+      const f = doc.tf.get(t);
+      if (!f) continue;
+      const norm = 1 - B + B * (doc.len / (idx.avgLen || 1));
+      score += idf(idx, t) * ((f * (K1 + 1)) / (f + K1 * norm));
+    }
+    if (score > 0) scored.push({ doc, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score || a.doc.page - b.doc.page);
+  return scored.slice(0, topN).map(({ doc, score }) => ({
+    page: doc.page,
+    score: Number(score.toFixed(4)),
+    text: doc.text,
+    snippet: makeSnippet(doc.text, terms),
+  }));
+}
+
+// Format retrieved pages as a context block to prepend to the user's question.
+// `calculation` is the plain-text output of a deterministic calculator (lib/cbt.js) to quote.
+// `scope` (lib/scope.js) limits the answer to part of the agreement.
+export function buildContext(question, passages, { documentId, calculation, scope } = {}) {
+  if (!passages?.length && !calculation && !scope) return question;
+  const doc = requireDocument(documentId);
+  const blocks = (passages || []).map((p) => `[PDF page ${p.page}]\n${p.text}`).join("\n\n");
+  return (
+    `Use the following excerpts from the ${doc.title} as your primary source. ` +
+    "Cite the PDF page numbers shown.\n\n" +
+    (scope
+      ? `SCOPE: Answer only from ${describeScope(scope)}. If the excerpts from it do not answer the ` +
+        "question, say that it is not addressed there instead of citing other parts of the agreement.\n\n"
+      : "") +
+    (calculation
+      ? "CALCULATOR_RESULT (computed exactly from the agreement; use these figures instead of doing the arithmetic):\n" +
+        `${calculation}\n\n`
+      : "") +
+    (blocks ? `CBA_EXCERPTS:\n${blocks}\n\n` : "") +
+    `QUESTION: ${question}`
+  );
+}
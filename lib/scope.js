@@ -0,0 +1,82 @@
+// lib/scope.js
+// Scoped questions: an answer limited to chosen Articles, Sections or PDF page ranges.
+// /api/chat takes `scope` as a list (or one comma/semicolon-separated string) of
+//   "Article XXIII(B)", "Attachment 46", "XXIII" (an Article), "pp. 120–130", "120-130", "131"
+// resolved here against the document's page map to inclusive PDF page ranges:
+//   { label: "Article XXIII(B), PDF pages 120–130", items: [{ label, title, start, end }] }
+// Retrieval, tools and citation checks then only accept pages inside one of the items.
+
+import { requireDocument } from "./documents";
+import { getPageMap, parseCitationLabel, resolveNode } from "./resolvePageNumber";
+
+export class ScopeError extends Error {}
+
+export const MAX_SCOPE_ITEMS = 10;
+
+const pagesLabel = (start, end) => (start === end ? `PDF page ${start}` : `PDF pages ${start}–${end}`);
+
+function lastPage(pageMap) {
+  return Math.max(0, ...Object.values(pageMap).map((n) => n.end));
+}
+
+function parseItem(raw, { doc, pageMap }) {
+  const s = String(raw).trim();
+
+  const pages = s.match(/^(?:pp?\.?\s*|pages?\s+)?(\d+)(?:\s*[-–—]\s*(\d+))?$/i);
+  if (pages) {
+    const start = Number(pages[1]);
+    const end = Number(pages[2] || pages[1]);
+    const last = lastPage(pageMap);
+    if (start < 1 || end < start || (last && end > last)) {
+      throw new ScopeError(`"${s}" is not a page range in the ${doc.shortTitle}${last ? ` (pages 1–${last})` : ""}.`);
+    }
+    return { label: pagesLabel(start, end), title: null, start, end };
+  }
+
+  const label = /^[IVXLC]+\b/i.test(s) ? `Article ${s}` : s;
+  const { articleLabel, sectionPath } = parseCitationLabel(label);
+  const found = articleLabel && resolveNode(label, { pageMap });
+  if (!found || found.path.length !== sectionPath.length) {
+    throw new ScopeError(`"${s}" is not an Article, Section or page range in the ${doc.shortTitle}.`);
+  }
+  const full = `${found.key}${found.path.map((p) => `(${p})`).join("")}`;
+  return { label: full, title: found.node.title, start: found.node.start, end: found.node.end };
+}
+
+/**
+ * Resolve a requested scope against `documentId`. Returns null for no scope (missing or empty);
+ * throws ScopeError for anything that can't be resolved.
+ */
+export function parseScope(raw, { documentId } = {}) {
+  if (raw === undefined || raw === null) return null;
+  const list = (Array.isArray(raw) ? raw : [raw])
+    .flatMap((r) => String(r ?? "").split(/[,;]/))
+    .map((r) => r.trim())
+    .filter(Boolean);
+  if (!list.length) return null;
+  if (list.length > MAX_SCOPE_ITEMS) throw new ScopeError(`A scope can name at most ${MAX_SCOPE_ITEMS} parts.`);
+
+  const doc = requireDocument(documentId);
+  const pageMap = getPageMap(doc.id);
+  const items = [];
+  for (const r of list) {
+    const item = parseItem(r, { doc, pageMap });
+    if (!items.some((i) => i.label === item.label)) items.push(item);
+  }
+  return { label: items.map((i) => i.label).join(", "), items };
+}
+
+// True when there is no scope, or `page` is inside one of its items.
+export function inScope(page, scope) {
+  if (!scope) return true;
+  const n = Number(page);
+  return scope.items.some((i) => n >= i.start && n <= i.end);
+}
+
+// "Article XXIII(B) (PDF pages 131–136)" — for prompts and "not found" replies.
+export function describeScope(scope) {
+  if (!scope) return "";
+  return scope.items
+    .map((i) => (i.title ? `${i.label} (${i.title}, ${pagesLabel(i.start, i.end)})` : i.label))
+    .join("; ");
+}
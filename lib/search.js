@@ -0,0 +1,151 @@
+// lib/search.js
+// Full-text search over an agreement's cba_pages.json — no model involved.
+//
+// Query syntax:
+//   luxury tax              both words (AND is the default)
+//   "qualifying offer"      exact phrase
+//   tender AND "non-tender" explicit AND
+//   arbitration OR "super two"  either side of OR (AND binds tighter than OR)
+// Words match at word starts, so "tax" also finds "taxes"/"taxable".
+
+import { loadPages, normalizeText } from "./retrieval";
+import { labelForPage, resolveNode } from "./resolvePageNumber";
+import { DEFAULT_DOCUMENT_ID } from "./documents";
+import { inScope } from "./scope";
+
+export class SearchQueryError extends Error {}
+
+const SNIPPET_WIDTH = 260;
+
+const cachedDocs = new Map();
+
+function getDocs(documentId) {
+  if (!cachedDocs.has(documentId)) {
+    cachedDocs.set(
+      documentId,
+      loadPages(documentId).map((p) => {
+        const text = normalizeText(p.text);
+        return { page: Number(p.page), text, lower: text.toLowerCase() };
+      })
+    );
+  }
+  return cachedDocs.get(documentId);
+}
+
+const escapeRx = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parse a query into OR-ed clauses of AND-ed terms:
+ * 'a "b c" OR d' -> [[{ text: "a", phrase: false }, { text: "b c", phrase: true }], [{ text: "d", phrase: false }]]
+ */
+export function parseQuery(query) {
+  const q = normalizeText(query);
+  if (!q) throw new SearchQueryError("Empty query.");
+  if ((q.match(/"/g) || []).length % 2) throw new SearchQueryError("Unbalanced quotes in query.");
+
+  const clauses = [[]];
+  const rx = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = rx.exec(q))) {
+    if (m[1] !== undefined) {
+      const text = m[1].trim().toLowerCase();
+      if (text) clauses[clauses.length - 1].push({ text, phrase: true });
+    } else if (m[2] === "OR") {
+      clauses.push([]);
+    } else if (m[2] !== "AND") {
+      const text = m[2].toLowerCase().replace(/^[^a-z0-9$%]+|[^a-z0-9$%]+$/g, "");
+      if (text) clauses[clauses.length - 1].push({ text, phrase: false });
+    }
+  }
+
+  const out = clauses.filter((c) => c.length);
+  if (!out.length) throw new SearchQueryError("Query has no search terms.");
+  return out;
+}
+
+function termRegex(term) {
+  const body = escapeRx(term.text).replace(/\s+/g, "\\s+");
+  return term.phrase ? new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`, "g") : new RegExp(`(?<![a-z0-9])${body}`, "g");
+}
+
+// All [start, end] match ranges of a term on a page.
+function findAll(lower, term) {
+  const out = [];
+  const rx = termRegex(term);
+  let m;
+  while ((m = rx.exec(lower))) {
+    out.push([m.index, m.index + m[0].length]);
+    if (m[0].length === 0) rx.lastIndex++;
+  }
+  return out;
+}
+
+// Window around the first hit, with highlight ranges relative to the snippet.
+function makeSnippet(text, ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const first = sorted[0]?.[0] ?? 0;
+  let start = Math.max(0, first - Math.floor(SNIPPET_WIDTH / 3));
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  let end = Math.min(text.length, start + SNIPPET_WIDTH);
+  if (end < text.length) end = text.lastIndexOf(" ", end) > start ? text.lastIndexOf(" ", end) : end;
+
+  const prefix = start > 0 ? "…" : "";
+  const highlights = sorted
+    .filter(([a, b]) => a >= start && b <= end)
+    .map(([a, b]) => [a - start + prefix.length, b - start + prefix.length]);
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`,
+    highlights,
+  };
+}
+
+/**
+ * Search the agreement.
+ * Options: { article: "XXIII" | "Article XXIII(B)" | "Attachment 45", scope (lib/scope.js), documentId, limit, offset }
+ * Returns { total, results: [{ page, label, snippet, highlights, hits }] }
+ */
+export function searchCba(query, { article, scope, documentId = DEFAULT_DOCUMENT_ID, limit = 20, offset = 0 } = {}) {
+  const clauses = parseQuery(query);
+
+  let range = null;
+  if (article) {
+    const label = /^(article|appendix|attachment)\b/i.test(article) ? article : `Article ${article}`;
+    const found = resolveNode(label, { documentId });
+    if (!found) throw new SearchQueryError(`Unknown article "${article}".`);
+    range = [found.node.start, found.node.end];
+  }
+
+  const results = [];
+  for (const doc of getDocs(documentId)) {
+    if (range && (doc.page < range[0] || doc.page > range[1])) continue;
+    if (!inScope(doc.page, scope)) continue;
+
+    let matched = null;
+    for (const clause of clauses) {
+      const ranges = [];
+      let ok = true;
+      for (const term of clause) {
+        const hits = findAll(doc.lower, term);
+        if (!hits.length) {
+          ok = false;
+          break;
+        }
+        ranges.push(...hits);
+      }
+      if (ok && (!matched || ranges.length > matched.length)) matched = ranges;
+    }
+    if (!matched) continue;
+
+    results.push({
+      page: doc.page,
+      label: labelForPage(doc.page, { documentId }),
+      hits: matched.length,
+      ...makeSnippet(doc.text, matched),
+    });
+  }
+
+  results.sort((a, b) => b.hits - a.hits || a.page - b.page);
+  return { total: results.length, results: results.slice(offset, offset + limit) };
+}
+
+export default searchCba;
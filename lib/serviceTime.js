@@ -0,0 +1,250 @@
+// lib/serviceTime.js
+// Deterministic Major League service time calculator for the 2022–2026 Basic Agreement:
+// credited service (Article XXI), salary arbitration and "Super Two" eligibility
+// (Article VI(E)(1)) and free agency (Article XX(B)(1)). Like lib/cbt.js, every figure
+// carries the verbatim sentence it comes from, so its PDF page is looked up rather than
+// hardcoded.
+//
+// Input is the days a Player spent on the Active List or Injured List each season; output
+// is service in the usual years.days form ("2.130"), the offseason status after each
+// season, and projected arbitration and free agency years. The Super Two cutoff changes
+// every year (it is wherever the top 22% of the class falls), so it is an input.
+// Not modelled: Rookie of the Year/prospect service awards, grievance settlements and
+// whether the Player's contract runs past the year he reaches six years.
+
+import { quoteSource } from "./citations";
+
+export const SERVICE_TIME_DOCUMENT_ID = "mlb-2022";
+
+export class ServiceTimeInputError extends Error {}
+
+// { value, label, quote } — `quote` must appear verbatim (after normalization) in the CBA.
+const RULES = {
+  serviceDay: {
+    label: "Article XXI(A)(1)",
+    quote:
+      "One full day of Major League service will be credited for each day of the championship season a Player is on a Major League Club's Active List",
+    value: 1,
+  },
+  fullYear: {
+    label: "Article XXI(A)(1)",
+    quote: "A total of 172 days of Major League credited service will constitute one full year of credited service",
+    value: 172,
+  },
+  injuredList: {
+    label: "Article XXI(A)(2)",
+    quote: "placed on a disciplinary suspension by a Club, the Chief Baseball Officer or the Commissioner, or on the Injured List",
+  },
+  optionalAssignment: {
+    label: "Article XXI(B)",
+    quote:
+      "If a Player is optionally assigned for a total of less than 20 days in one championship season, the Player shall be credited with Major League service",
+    value: 20,
+  },
+  arbitration: {
+    label: "Article VI(E)(1)",
+    quote:
+      "Any Player with a total of three or more years of Major League service, however accumulated, but with less than six years of Major League service",
+    value: 3,
+  },
+  superTwo: {
+    label: "Article VI(E)(1)",
+    quote: "a Player with at least two but less than three years of Major League service shall be eligible for salary arbitration",
+    value: 2,
+  },
+  superTwoDays: {
+    label: "Article VI(E)(1)",
+    quote: "he has accumulated at least 86 days of service during the immediately preceding season",
+    value: 86,
+  },
+  superTwoShare: {
+    label: "Article VI(E)(1)",
+    quote: "he ranks in the top 22% (rounded to the nearest whole number) in total service",
+    value: 0.22,
+  },
+  freeAgency: {
+    label: "Article XX(B)(1)",
+    quote: "any Player with 6 or more years of Major League service who has not executed a contract for the next succeeding season shall become a free agent",
+    value: 6,
+  },
+};
+
+const YEAR_DAYS = RULES.fullYear.value;
+// A championship season is scheduled over about 186 days; anything past this is a typo.
+const MAX_SEASON_DAYS = 200;
+// Projected full seasons stop here even if six years are never reached.
+const MAX_PROJECTED_SEASONS = 10;
+
+const cachedSources = new Map();
+
+// Where a rule comes from: { label, page, quote, href }.
+export function ruleSource(name) {
+  if (cachedSources.has(name)) return cachedSources.get(name);
+  const rule = RULES[name];
+  if (!rule) throw new Error(`Unknown service time rule "${name}".`);
+  const source = quoteSource(rule, { documentId: SERVICE_TIME_DOCUMENT_ID });
+  cachedSources.set(name, source);
+  return source;
+}
+
+// 474 days -> "2.130" (years.days, 172 days to the year).
+export function formatService(totalDays) {
+  const years = Math.floor(totalDays / YEAR_DAYS);
+  return `${years}.${String(totalDays - years * YEAR_DAYS).padStart(3, "0")}`;
+}
+
+// "2.130" (or 474 days) -> 474.
+export function parseService(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value >= 0) return value;
+  const m = String(value ?? "").trim().match(/^(\d+)\.(\d{1,3})$/);
+  if (!m || Number(m[2]) >= YEAR_DAYS) {
+    throw new ServiceTimeInputError(`"${value}" is not service time in years.days form (e.g. 2.130).`);
+  }
+  return Number(m[1]) * YEAR_DAYS + Number(m[2]);
+}
+
+function dayCount(n, name) {
+  const v = Number(n ?? 0);
+  if (!Number.isInteger(v) || v < 0 || v > MAX_SEASON_DAYS) {
+    throw new ServiceTimeInputError(`${name} must be a whole number of days between 0 and ${MAX_SEASON_DAYS}.`);
+  }
+  return v;
+}
+
+function cutoffFor(superTwoCutoff, year) {
+  if (superTwoCutoff == null || superTwoCutoff === "") return null;
+  const raw = typeof superTwoCutoff === "object" ? superTwoCutoff[year] : superTwoCutoff;
+  if (raw == null || raw === "") return null;
+  const days = parseService(raw);
+  if (days < 2 * YEAR_DAYS || days >= 3 * YEAR_DAYS) {
+    throw new ServiceTimeInputError("The Super Two cutoff must be between 2.000 and 2.171.");
+  }
+  return days;
+}
+
+/**
+ * input: {
+ *   seasons: [{ year, days, optionedDays = 0 }],  // days on the Active List or Injured List
+ *   superTwoCutoff,       // "2.116", or { "2024": "2.116", ... } for a different cutoff per year
+ *   projectFullSeasons = true
+ * }
+ *
+ * Returns {
+ *   documentId, service: { totalDays, years, days, label },
+ *   seasons: [{ year, days, optionedDays, credited, totalDays, service, projected, status, superTwo }],
+ *   superTwo, arbitrationYears, freeAgency, sources, notes
+ * }
+ * `superTwo` is the first season between two and three years of service that qualifies for
+ * Super Two, else the latest one. `status` is the Player's standing in the offseason after that season:
+ * "pre-arbitration", "super-two", "super-two-candidate", "arbitration" or "free-agency".
+ */
+export function calculateServiceTime(input = {}) {
+  if (!Array.isArray(input.seasons) || !input.seasons.length) {
+    throw new ServiceTimeInputError("Enter at least one season.");
+  }
+  const entered = input.seasons.map((s) => {
+    const year = Number(s?.year);
+    if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+      throw new ServiceTimeInputError("Every season needs a year.");
+    }
+    return {
+      year,
+      days: dayCount(s.days, `${year} days`),
+      optionedDays: dayCount(s.optionedDays, `${year} optioned days`),
+      projected: false,
+    };
+  });
+  entered.sort((a, b) => a.year - b.year);
+  for (let i = 1; i < entered.length; i++) {
+    if (entered[i].year === entered[i - 1].year) throw new ServiceTimeInputError(`${entered[i].year} is listed twice.`);
+  }
+
+  const used = new Set(["serviceDay", "fullYear", "injuredList"]);
+  const notes = [];
+  const rows = [];
+  let total = 0;
+  let superTwo = null;
+  let freeAgency = null;
+  const arbitrationYears = [];
+
+  const addSeason = (s) => {
+    let credited = s.days;
+    if (s.optionedDays) {
+      used.add("optionalAssignment");
+      if (s.optionedDays < RULES.optionalAssignment.value) credited += s.optionedDays;
+    }
+    credited = Math.min(credited, YEAR_DAYS);
+    total += credited;
+
+    const row = { ...s, credited, totalDays: total, service: formatService(total), superTwo: null };
+    if (total >= RULES.freeAgency.value * YEAR_DAYS) {
+      used.add("freeAgency");
+      row.status = "free-agency";
+      if (!freeAgency) freeAgency = { afterSeason: s.year, year: s.year + 1, service: row.service };
+    } else if (total >= RULES.arbitration.value * YEAR_DAYS) {
+      used.add("arbitration");
+      row.status = "arbitration";
+    } else if (total >= RULES.superTwo.value * YEAR_DAYS) {
+      used.add("superTwo");
+      used.add("superTwoDays");
+      const cutoff = cutoffFor(input.superTwoCutoff, s.year);
+      let eligible;
+      let reason;
+      if (credited < RULES.superTwoDays.value) {
+        eligible = false;
+        reason = `Only ${credited} days of service in ${s.year}; Super Two needs at least ${RULES.superTwoDays.value}.`;
+      } else if (cutoff == null) {
+        used.add("superTwoShare");
+        eligible = null;
+        reason = `Eligible only if ${row.service} ranks in the top 22% of Players with 2–3 years of service; enter that year's cutoff to check.`;
+      } else {
+        eligible = total >= cutoff;
+        reason = `${row.service} is ${eligible ? "at or above" : "below"} the ${formatService(cutoff)} cutoff.`;
+      }
+      row.superTwo = { eligible, cutoff: cutoff == null ? null : formatService(cutoff), reason };
+      row.status = eligible ? "super-two" : eligible === null ? "super-two-candidate" : "pre-arbitration";
+      // The summary follows the first season that qualifies, else the latest one checked.
+      if (superTwo?.eligible !== true) superTwo = { afterSeason: s.year, service: row.service, ...row.superTwo };
+    } else {
+      row.status = "pre-arbitration";
+    }
+    if (row.status === "arbitration" || row.status === "super-two") arbitrationYears.push(s.year + 1);
+    rows.push(row);
+  };
+
+  for (const s of entered) addSeason(s);
+  const service = {
+    totalDays: total,
+    years: Math.floor(total / YEAR_DAYS),
+    days: total % YEAR_DAYS,
+    label: formatService(total),
+  };
+
+  if (input.projectFullSeasons !== false && !freeAgency) {
+    const last = entered[entered.length - 1].year;
+    for (let i = 1; i <= MAX_PROJECTED_SEASONS && !freeAgency; i++) {
+      addSeason({ year: last + i, days: YEAR_DAYS, optionedDays: 0, projected: true });
+    }
+    notes.push(`Seasons after ${last} are projected as full seasons (${YEAR_DAYS} days).`);
+  }
+  if (superTwo?.eligible === null) {
+    notes.push("Super Two status depends on where the top 22% of that year's class falls; arbitration years assume it is not reached.");
+  }
+  if (freeAgency) {
+    notes.push("Free agency also requires that the Player's contract does not cover the next season.");
+  }
+
+  const sources = {};
+  for (const name of used) sources[name] = ruleSource(name);
+
+  return {
+    documentId: SERVICE_TIME_DOCUMENT_ID,
+    service,
+    seasons: rows,
+    superTwo,
+    arbitrationYears,
+    freeAgency,
+    sources,
+    notes,
+  };
+}
@@ -0,0 +1,60 @@
+// lib/sse.js
+// Server-Sent Events helpers shared by the API routes, the providers and the browser.
+// readSSE works on any WHATWG ReadableStream (browser fetch and Node 18+ fetch).
+
+// Parse an SSE byte stream into { event, data } records. `data` is the raw string.
+export async function* readSSE(body, { signal } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+
+  const parse = (block) => {
+    let event = "message";
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (!line || line.startsWith(":")) continue;
+      const i = line.indexOf(":");
+      const field = i === -1 ? line : line.slice(0, i);
+      const value = i === -1 ? "" : line.slice(i + 1).replace(/^ /, "");
+      if (field === "event") event = value;
+      else if (field === "data") data.push(value);
+    }
+    return data.length ? { event, data: data.join("\n") } : null;
+  };
+
+  try {
+    while (true) {
+      if (signal?.aborted) return;
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buf.search(/\r?\n\r?\n/)) !== -1) {
+        const block = buf.slice(0, sep);
+        buf = buf.slice(buf.slice(sep).match(/^\r?\n\r?\n/)[0].length + sep);
+        const rec = parse(block);
+        if (rec) yield rec;
+      }
+    }
+    const rec = parse(buf);
+    if (rec) yield rec;
+  } finally {
+    // Frees the underlying connection if the consumer stopped early.
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Start an SSE response on a Node/Next `res`.
+export function openSSE(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+}
+
+export function sendSSE(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
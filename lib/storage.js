@@ -0,0 +1,37 @@
+// lib/storage.js
+// Local file storage for server-side state (conversations and other records).
+// Everything lives under DATA_DIR (default: ./.data). On serverless hosts point
+// DATA_DIR at a writable volume (e.g. /tmp) or swap in another store. /api/chat still
+// answers when DATA_DIR can't be written; the conversation just isn't saved.
+
+import fs from "fs";
+import path from "path";
+
+export function dataDir() {
+  return path.resolve(process.cwd(), process.env.DATA_DIR || ".data");
+}
+
+export function dataPath(...parts) {
+  return path.join(dataDir(), ...parts);
+}
+
+export function readJSON(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// Write via a temp file + rename so readers never see a half-written file.
+export function writeJSON(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+export function appendLine(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(value)}\n`, "utf-8");
+}
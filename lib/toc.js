@@ -0,0 +1,82 @@
+// lib/toc.js
+// Table of contents of a document, from its page_map.json: every Article, Appendix and
+// Attachment with its sections and subsections, titles and PDF page ranges, plus the text
+// of any one node (cut at its heading and the next one, as in lib/diff.js).
+
+import { requireDocument } from "./documents";
+import { isDocumentAvailable, loadPages } from "./retrieval";
+import { getPageMap, parseCitationLabel, resolveNode } from "./resolvePageNumber";
+import { sectionText } from "./diff";
+
+export class TocError extends Error {}
+
+// Longer texts (whole Articles run to 30 pages) are cut here and marked `truncated`.
+export const MAX_TOC_TEXT = 60000;
+
+function requireMap(documentId) {
+  const doc = requireDocument(documentId);
+  const pageMap = getPageMap(doc.id);
+  if (!Object.keys(pageMap).length) throw new TocError(`The ${doc.title} has no page map yet.`);
+  return { doc, pageMap };
+}
+
+const entry = (label, node, extra = {}) => ({ label, title: node.title, start: node.start, end: node.end, ...extra });
+
+/**
+ * Returns { documentId, items: [{ label, kind, title, start, end, sections: [{ key, label, title,
+ * start, end, subsections: [{ key, label, title, start, end }] }] }] } in document order.
+ */
+export function tableOfContents({ documentId } = {}) {
+  const { doc, pageMap } = requireMap(documentId);
+  const items = Object.entries(pageMap).map(([key, top]) =>
+    entry(key, top, {
+      kind: parseCitationLabel(key).kind,
+      sections: Object.entries(top.sections || {}).map(([sk, sec]) =>
+        entry(`${key}(${sk})`, sec, {
+          key: sk,
+          subsections: Object.entries(sec.subsections || {}).map(([nk, sub]) =>
+            entry(`${key}(${sk})(${nk})`, sub, { key: nk })
+          ),
+        })
+      ),
+    })
+  );
+  return { documentId: doc.id, items };
+}
+
+/**
+ * One node by label ("Article XXIII(B)(3)"): { documentId, label, title, start, end, href,
+ * trail: [{ label, title }] (its ancestors), text, truncated }.
+ * Throws TocError for labels that are not in the page map.
+ */
+export function tocNode(label, { documentId } = {}) {
+  const { doc, pageMap } = requireMap(documentId);
+  const { sectionPath } = parseCitationLabel(label);
+  const found = resolveNode(label, { pageMap });
+  if (!found || found.path.length !== sectionPath.length) {
+    throw new TocError(`"${label}" is not in the ${doc.shortTitle} table of contents.`);
+  }
+
+  // Ancestors, outermost first.
+  const top = pageMap[found.key];
+  const trail = [];
+  if (found.path.length) trail.push({ label: found.key, title: top.title });
+  if (found.path.length > 1) {
+    trail.push({ label: `${found.key}(${found.path[0]})`, title: top.sections[found.path[0]].title });
+  }
+  const full = `${found.key}${found.path.map((p) => `(${p})`).join("")}`;
+
+  let text = "";
+  if (isDocumentAvailable(doc.id)) text = sectionText(loadPages(doc.id), pageMap, found.node);
+  const truncated = text.length > MAX_TOC_TEXT;
+  if (truncated) text = `${text.slice(0, text.lastIndexOf(" ", MAX_TOC_TEXT))}…`;
+
+  return {
+    documentId: doc.id,
+    ...entry(full, found.node),
+    href: `${doc.pdfHref}#page=${found.node.start}`,
+    trail,
+    text,
+    truncated,
+  };
+}
@@ -0,0 +1,248 @@
+// lib/tools.js
+// Tools the model can call during a reply (OpenAI function calling). Each tool is a
+// deterministic server-side function over the agreement on disk — search, page text, page
+// map lookups and the calculators — so precise answers don't depend on the prompt.
+//
+// The chat route makes one toolbox per reply with createToolbox({ documentId, scope }); providers
+// send `toolbox.definitions` with the run and hand tool calls to `toolbox.execute()`, which
+// returns the outputs to submit and records every call in `toolbox.used`. With a `scope`
+// (lib/scope.js), search only returns pages inside it and get_page refuses the rest.
+
+import { searchCba, SearchQueryError } from "./search";
+import { loadPages, normalizeText, searchPages } from "./retrieval";
+import { labelForPage, resolveNode } from "./resolvePageNumber";
+import { requireDocument } from "./documents";
+import { describeScope, inScope } from "./scope";
+import { calculateCbt, CbtInputError, CBT_DOCUMENT_ID } from "./cbt";
+import { calculateServiceTime, ServiceTimeInputError, SERVICE_TIME_DOCUMENT_ID } from "./serviceTime";
+
+// Thrown by a tool for bad arguments; the message goes back to the model as the output.
+export class ToolInputError extends Error {}
+
+// Providers stop answering tool calls after this many rounds in one reply.
+export const MAX_TOOL_ROUNDS = 5;
+
+const MAX_PAGE_CHARS = 8000;
+const MAX_OUTPUT_CHARS = 16000;
+
+function requirePdfDocument(documentId, supported, name) {
+  if (documentId !== supported) {
+    throw new ToolInputError(`${name} only applies to the ${requireDocument(supported).title}.`);
+  }
+}
+
+const TOOLS = {
+  search_cba: {
+    description:
+      "Full-text search of the agreement. Returns matching PDF pages with their Article label and a snippet. " +
+      'Query syntax: words are AND-ed, "quoted phrases" match exactly, OR separates alternatives.',
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: 'e.g. "qualifying offer" OR "compensation pick"' },
+        article: { type: "string", description: 'Optional Article to search within, e.g. "XXIII" or "Attachment 45"' },
+        limit: { type: "integer", description: "Maximum results (default 8)" },
+      },
+      required: ["query"],
+    },
+    run({ query, article, limit = 8 }, { documentId, scope }) {
+      if (!String(query || "").trim()) throw new ToolInputError("query is required.");
+      const n = Math.min(Math.max(Number(limit) || 8, 1), 20);
+      const found = searchCba(String(query), { article, scope, documentId, limit: n });
+      if (found.total) {
+        return {
+          total: found.total,
+          results: found.results.map(({ page, label, snippet }) => ({ page, label, snippet })),
+        };
+      }
+      // Nothing matched every word: fall back to ranked retrieval.
+      const ranked = searchPages(String(query), { topN: n, documentId, scope });
+      return {
+        total: 0,
+        related: ranked.map(({ page, snippet }) => ({ page, label: labelForPage(page, { documentId }), snippet })),
+      };
+    },
+  },
+
+  get_page: {
+    description: "Full text of one PDF page of the agreement, with the Article it belongs to.",
+    parameters: {
+      type: "object",
+      properties: { page: { type: "integer", description: "PDF page number" } },
+      required: ["page"],
+    },
+    run({ page }, { documentId, scope }) {
+      const n = Number(page);
+      const found = loadPages(documentId).find((p) => Number(p.page) === n);
+      if (!found) throw new ToolInputError(`There is no PDF page ${page}.`);
+      if (!inScope(n, scope)) {
+        throw new ToolInputError(`PDF page ${n} is outside the question's scope (${describeScope(scope)}).`);
+      }
+      const text = normalizeText(found.text);
+      return {
+        page: n,
+        label: labelForPage(n, { documentId }),
+        text: text.length > MAX_PAGE_CHARS ? `${text.slice(0, MAX_PAGE_CHARS)}…` : text,
+      };
+    },
+  },
+
+  resolve_article_page: {
+    description:
+      "Look up where an Article, Section or Attachment is in the PDF, e.g. \"Article XXIII(B)(2)\" or \"Attachment 45\".",
+    parameters: {
+      type: "object",
+      properties: { label: { type: "string", description: 'e.g. "Article VI(E)(1)"' } },
+      required: ["label"],
+    },
+    run({ label }, { documentId }) {
+      const found = resolveNode(String(label || ""), { documentId });
+      if (!found) throw new ToolInputError(`"${label}" is not in the page map.`);
+      const doc = requireDocument(documentId);
+      const { title, start, end } = found.node;
+      const matched = found.path.length ? `${found.key}(${found.path.join(")(")})` : found.key;
+      return { label: matched, title, start, end, href: `${doc.pdfHref}#page=${start}` };
+    },
+  },
+
+  calculate_cbt: {
+    description:
+      "Competitive Balance Tax calculator (2022–2026 MLB agreement, Article XXIII). Give the Club's contracts " +
+      "and/or other payroll; returns Actual Club Payroll, tax tier, tax owed and draft penalty per Contract Year.",
+    parameters: {
+      type: "object",
+      properties: {
+        contracts: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              player: { type: "string" },
+              seasons: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    year: { type: "integer" },
+                    baseSalary: { type: "number" },
+                    guaranteed: { type: "boolean" },
+                    earnedBonus: { type: "number" },
+                  },
+                  required: ["year", "baseSalary"],
+                },
+              },
+              signingBonus: { type: "number" },
+              optionBuyout: { type: "number" },
+            },
+            required: ["seasons"],
+          },
+        },
+        years: { type: "array", items: { type: "integer" } },
+        otherPayroll: { type: "object", description: 'Other payroll in dollars by year, e.g. {"2024": 150000000}' },
+        priorYearsOverBase: { type: "integer", description: "Consecutive years over the Base Tax Threshold before the first year" },
+        includeBenefits: { type: "boolean" },
+      },
+    },
+    run(args, { documentId }) {
+      requirePdfDocument(documentId, CBT_DOCUMENT_ID, "The CBT calculator");
+      return calculateCbt({ contracts: [], ...args });
+    },
+  },
+
+  calculate_service_time: {
+    description:
+      "Major League service time calculator (2022–2026 MLB agreement, Articles VI, XX and XXI). Give days on the " +
+      "Active List or Injured List per season; returns credited service, Super Two status and projected " +
+      "arbitration and free agency years.",
+    parameters: {
+      type: "object",
+      properties: {
+        seasons: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              year: { type: "integer" },
+              days: { type: "integer" },
+              optionedDays: { type: "integer" },
+            },
+            required: ["year", "days"],
+          },
+        },
+        superTwoCutoff: { type: "string", description: 'Super Two cutoff in years.days form, e.g. "2.116"' },
+        projectFullSeasons: { type: "boolean" },
+      },
+      required: ["seasons"],
+    },
+    run(args, { documentId }) {
+      requirePdfDocument(documentId, SERVICE_TIME_DOCUMENT_ID, "The service time calculator");
+      return calculateServiceTime(args);
+    },
+  },
+};
+
+export const TOOL_NAMES = Object.keys(TOOLS);
+
+// Chat Completions / Assistants function tool definitions.
+export function toolDefinitions() {
+  return TOOL_NAMES.map((name) => ({
+    type: "function",
+    function: { name, description: TOOLS[name].description, parameters: TOOLS[name].parameters },
+  }));
+}
+
+const INPUT_ERRORS = [ToolInputError, SearchQueryError, CbtInputError, ServiceTimeInputError];
+
+/**
+ * Run one tool. Never throws for the model's mistakes: unknown tools, unparseable arguments
+ * and input errors come back as { error } so the model can correct itself.
+ * Returns { output (JSON string to submit), ok, error? }.
+ */
+export function runTool(name, rawArgs, { documentId, scope } = {}) {
+  const tool = Object.hasOwn(TOOLS, name) ? TOOLS[name] : null;
+  const fail = (error) => ({ output: JSON.stringify({ error }), ok: false, error });
+  if (!tool) return fail(`Unknown tool "${name}".`);
+
+  let args;
+  try {
+    args = typeof rawArgs === "string" ? JSON.parse(rawArgs || "{}") : rawArgs || {};
+  } catch {
+    return fail("Arguments are not valid JSON.");
+  }
+  try {
+    const output = JSON.stringify(tool.run(args, { documentId: requireDocument(documentId).id, scope }));
+    return {
+      output: output.length > MAX_OUTPUT_CHARS ? `${output.slice(0, MAX_OUTPUT_CHARS)}…(truncated)` : output,
+      ok: true,
+    };
+  } catch (err) {
+    if (INPUT_ERRORS.some((E) => err instanceof E)) return fail(err.message);
+    console.error(`tool ${name} failed:`, err);
+    return fail("The tool failed.");
+  }
+}
+
+/**
+ * Tools for one reply. execute([{ id, name, arguments }]) -> [{ id, output }];
+ * `used` lists every call made: [{ name, arguments, ok, error? }].
+ */
+export function createToolbox({ documentId, scope } = {}) {
+  const used = [];
+  return {
+    definitions: toolDefinitions(),
+    used,
+    async execute(calls) {
+      return calls.map(({ id, name, arguments: args }) => {
+        const { output, ok, error } = runTool(name, args, { documentId, scope });
+        let parsed = args;
+        try {
+          if (typeof args === "string") parsed = JSON.parse(args || "{}");
+        } catch {
+          // Recorded as sent.
+        }
+        used.push({ name, arguments: parsed, ok, ...(error && { error }) });
+        return { id, output };
+      });
+    },
+  };
+}
@@ -0,0 +1,199 @@
+// lib/trace.js
+// Per-request traces for the chat pipeline. /api/chat opens one trace per request and passes
+// it to the provider; each records what happened and is written to a sink when it finishes:
+//   { id, route, at, provider, documentId, scope, stream, question, outcome, httpStatus, totalMs,
+//     stages: { cache, retrieval, thread, message, reply, run, fetch, firstDelta }, polls, retries,
+//     runStatus, threadReplaced,
+//     cache: "exact" | "similar" | "miss" | "skip",
+//     usage: { prompt_tokens, completion_tokens, total_tokens }, tools,
+//     citations: { total, resolved, verified, articles }, resolutionRate, error: { category, message } }
+// Stages are milliseconds (repeated stages add up). `reply` is the whole model call; providers
+// that can tell break it down into `run` (create and poll) and `fetch` (read the answer back).
+// `firstDelta` is the time to the first streamed text. `outcome` is "ok", "refused" (4xx),
+// "error" or "aborted".
+//
+// TRACE_SINK picks where traces go: "jsonl" (default, one file per day under DATA_DIR/traces),
+// "console" or "none". Any object with write(record) can be plugged in with setTraceSink().
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { appendLine, dataPath } from "./storage";
+import { CITATION_STATUS } from "./citations";
+
+const MAX_QUESTION_CHARS = 200;
+const MAX_ERROR_CHARS = 300;
+
+export function createJsonlSink({ dir = dataPath("traces") } = {}) {
+  return {
+    write(record) {
+      appendLine(path.join(dir, `${record.at.slice(0, 10)}.jsonl`), record);
+    },
+    // Records from the last `days` days (today included), oldest first.
+    read({ days = 7 } = {}) {
+      const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+      let names = [];
+      try {
+        names = fs.readdirSync(dir).filter((n) => n.endsWith(".jsonl") && n.slice(0, 10) >= since);
+      } catch {
+        return [];
+      }
+      return names.sort().flatMap((n) =>
+        fs
+          .readFileSync(path.join(dir, n), "utf8")
+          .split("\n")
+          .filter(Boolean)
+          .flatMap((line) => {
+            try {
+              return [JSON.parse(line)];
+            } catch {
+              return []; // a line cut short by a crash
+            }
+          })
+      );
+    },
+  };
+}
+
+export function createConsoleSink() {
+  return { write: (record) => console.log(`trace ${JSON.stringify(record)}`) };
+}
+
+let sink = null;
+
+export function getTraceSink(env = process.env) {
+  if (!sink) {
+    const name = (env.TRACE_SINK || "jsonl").toLowerCase();
+    sink = name === "none" ? { write() {} } : name === "console" ? createConsoleSink() : createJsonlSink();
+  }
+  return sink;
+}
+
+export function setTraceSink(next) {
+  sink = next;
+}
+
+/**
+ * What went wrong, in a word the metrics can count: "aborted", "rate_limited", "quota", "auth",
+ * "upstream" (provider 5xx), "upstream_request" (other provider 4xx), "timeout", "run_failed",
+ * "tools", "network" or "internal". (The chat route files provider setup errors as "config".)
+ */
+export function errorCategory(err) {
+  if (err?.name === "AbortError") return "aborted";
+  const msg = String(err?.message || "");
+  const http = msg.match(/^HTTP (\d{3})/);
+  if (http) {
+    const code = Number(http[1]);
+    if (code === 429) return /insufficient_quota/.test(msg) ? "quota" : "rate_limited";
+    if (code === 401 || code === 403) return "auth";
+    return code >= 500 ? "upstream" : "upstream_request";
+  }
+  if (/timed out/i.test(msg)) return "timeout";
+  if (/^Run (failed|cancelled|expired|incomplete)/.test(msg)) return "run_failed";
+  if (/too many tool calls/i.test(msg)) return "tools";
+  if (err instanceof TypeError && /fetch failed|network/i.test(msg)) return "network";
+  return "internal";
+}
+
+// Citation counts for a reply's verified citations (lib/citations.js).
+export function citationStats(citations = []) {
+  const resolved = citations.filter((c) => c.page).length;
+  return {
+    total: citations.length,
+    resolved,
+    verified: citations.filter((c) => c.status === CITATION_STATUS.VERIFIED).length,
+    articles: [...new Set(citations.map((c) => c.articleLabel).filter(Boolean))],
+  };
+}
+
+// Stands in when no trace is given, so providers can always call trace.stage() and friends.
+export const nullTrace = {
+  stage: (name, fn) => fn(),
+  mark() {},
+  count() {},
+  set() {},
+  addUsage() {},
+  fail() {},
+};
+
+export function createTrace({ route, provider = null } = {}) {
+  const started = performance.now();
+  const record = {
+    id: crypto.randomUUID(),
+    route,
+    at: new Date().toISOString(),
+    provider,
+    stages: {},
+    polls: 0,
+    usage: null,
+  };
+  let finished = false;
+
+  const addStage = (name, ms) => {
+    record.stages[name] = Math.round((record.stages[name] || 0) + ms);
+  };
+
+  return {
+    id: record.id,
+    record,
+
+    // Time an async step under `name`.
+    async stage(name, fn) {
+      const t0 = performance.now();
+      try {
+        return await fn();
+      } finally {
+        addStage(name, performance.now() - t0);
+      }
+    },
+
+    // Milliseconds since the request started, once (e.g. the first streamed token).
+    mark(name) {
+      if (record.stages[name] === undefined) addStage(name, performance.now() - started);
+    },
+
+    count(name, n = 1) {
+      record[name] = (record[name] || 0) + n;
+    },
+
+    set(fields) {
+      Object.assign(record, fields);
+    },
+
+    addUsage(usage) {
+      if (!usage) return;
+      record.usage ||= { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+      for (const k of Object.keys(record.usage)) record.usage[k] += usage[k] || 0;
+    },
+
+    fail(err, category = errorCategory(err)) {
+      record.error = { category, message: String(err?.message || err).slice(0, MAX_ERROR_CHARS) };
+    },
+
+    // Write the trace once; a broken sink never fails the request.
+    finish({ httpStatus } = {}) {
+      if (finished) return record;
+      finished = true;
+      record.totalMs = Math.round(performance.now() - started);
+      record.httpStatus = httpStatus ?? null;
+      if (typeof record.question === "string") record.question = record.question.slice(0, MAX_QUESTION_CHARS);
+      if (record.citations) {
+        record.resolutionRate = record.citations.total ? record.citations.resolved / record.citations.total : null;
+      }
+      record.outcome =
+        record.error?.category === "aborted"
+          ? "aborted"
+          : record.error
+          ? "error"
+          : httpStatus >= 400
+          ? "refused"
+          : "ok";
+      try {
+        getTraceSink().write(record);
+      } catch (err) {
+        console.error("trace sink failed:", err);
+      }
+      return record;
+    },
+  };
+}
@@ -0,0 +1,30 @@
+// lib/viewerLinks.js
+// Citation links point at an agreement's PDF ("/mlb/MLB_CBA_2022.pdf#page=N"); the UI opens
+// them in the in-app viewer instead so the quoted passage can be highlighted.
+
+import { DEFAULT_DOCUMENT_ID, documentForHref, getDocument } from "./documents";
+
+export const PDF_HREF = getDocument(DEFAULT_DOCUMENT_ID).pdfHref;
+
+// PDF page number from a citation href, or null for any other link.
+export function pdfPageFromHref(href) {
+  const m = String(href || "").match(/\.pdf#page=(\d+)/i);
+  return m ? Number(m[1]) : null;
+}
+
+// Registry id of the agreement a citation href points at (the default for unknown PDFs).
+export function documentIdFromHref(href) {
+  return documentForHref(href)?.id || DEFAULT_DOCUMENT_ID;
+}
+
+export function viewerHref(page, quote, documentId) {
+  const params = new URLSearchParams({ page: String(page) });
+  if (quote) params.set("q", quote);
+  if (documentId && documentId !== DEFAULT_DOCUMENT_ID) params.set("doc", documentId);
+  return `/viewer?${params.toString()}`;
+}
+
+// Quote for a cited page from the structured citations payload.
+export function quoteForPage(citations, page) {
+  return (citations || []).find((c) => c.page === page && c.quote)?.quote || "";
+}
@@ -0,0 +1,43 @@
+// middleware.js
+// Embed pages may only be framed by the sites in EMBED_ALLOWED_ORIGINS (lib/embedOrigins.js).
+// The admin area (/admin, /api/admin) asks for ADMIN_PASSWORD (lib/adminAuth.js) and is
+// not found at all when no password is set.
+
+import { NextResponse } from "next/server";
+import { allowedEmbedOrigins, frameAncestors } from "./lib/embedOrigins";
+import { checkAdminAuth, ADMIN_REALM } from "./lib/adminAuth";
+
+// Middleware only sees the environment variables it names as `process.env.NAME`.
+const env = {
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
+  EMBED_ALLOWED_ORIGINS: process.env.EMBED_ALLOWED_ORIGINS,
+};
+
+function adminGate(req) {
+  const status = checkAdminAuth(req.headers.get("authorization"), env);
+  if (status === "ok") return null;
+  if (status === "disabled") return new NextResponse("Not found", { status: 404 });
+  return new NextResponse("Admin password required.", {
+    status: 401,
+    headers: { "WWW-Authenticate": `Basic realm="${ADMIN_REALM}", charset="UTF-8"` },
+  });
+}
+
+export function middleware(req) {
+  const { pathname } = req.nextUrl;
+  if (pathname === "/admin" || pathname.startsWith("/admin/") || pathname.startsWith("/api/admin/")) {
+    const refused = adminGate(req);
+    if (refused) return refused;
+    const res = NextResponse.next();
+    res.headers.set("X-Robots-Tag", "noindex");
+    return res;
+  }
+
+  const res = NextResponse.next();
+  res.headers.set("Content-Security-Policy", `frame-ancestors ${frameAncestors(allowedEmbedOrigins(env))}`);
+  return res;
+}
+
+export const config = {
+  matcher: ["/embed", "/embed-iframe", "/embed.html", "/admin", "/admin/:path*", "/api/admin/:path*"],
+};
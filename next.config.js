@@ -1,3 +1,7 @@
 module.exports = {
   reactStrictMode: true,
-}
\ No newline at end of file
+  // Older embeds point at /embed-iframe; framing rules live in middleware.js.
+  async rewrites() {
+    return [{ source: "/embed-iframe", destination: "/embed" }];
+  },
+}
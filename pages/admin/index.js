@@ -0,0 +1,219 @@
+// pages/admin/index.js
+// Review answer feedback: filter by rating, agreement, citation problems and text, read the
+// flagged answer next to its correction note, and export the selection (CSV, JSON, or eval
+// cases for scripts/eval). Behind ADMIN_PASSWORD (middleware.js).
+
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import { DOCUMENTS, getDocument } from "../../lib/documents";
+
+const RATINGS = [
+  ["", "All ratings"],
+  ["down", "👎 Not helpful"],
+  ["up", "👍 Helpful"],
+];
+
+const ISSUES = [
+  ["", "Any citations"],
+  ["unresolved", "Page not found"],
+  ["unverified", "Quote not verified"],
+  ["outOfScope", "Outside the scope"],
+];
+
+const FILTERS = ["rating", "documentId", "issue", "hasNote", "q"];
+
+function issueText({ unresolved, unverified, outOfScope }) {
+  return [
+    unresolved && `${unresolved} page not found`,
+    unverified && `${unverified} quote not verified`,
+    outOfScope && `${outOfScope} outside scope`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function FeedbackRow({ item }) {
+  const [open, setOpen] = useState(false);
+  const issues = issueText(item.issues);
+  return (
+    <li style={{ listStyle: "none", borderTop: "1px solid #e5e7eb", padding: "10px 0" }}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        style={{ display: "block", width: "100%", textAlign: "left", border: "none", background: "none", cursor: "pointer", padding: 0 }}
+      >
+        <div style={{ fontSize: 15 }}>
+          {item.rating === "down" ? "👎" : "👍"} <b>{item.question || "(no question)"}</b>
+        </div>
+        <div style={{ fontSize: 12, color: "#6b7280", marginTop: 2 }}>
+          {new Date(item.updatedAt).toLocaleString()} · {getDocument(item.documentId)?.shortTitle || item.documentId}
+          {item.scope && ` · only ${item.scope}`}
+          {issues && <span style={{ color: "#b45309" }}> · {issues}</span>}
+        </div>
+        {item.note && (
+          <div style={{ fontSize: 14, marginTop: 4, padding: "4px 8px", background: "#fff8dc", borderRadius: 6 }}>
+            {item.note}
+          </div>
+        )}
+      </button>
+      {open && (
+        <div style={{ marginTop: 8, fontSize: 14 }}>
+          <div style={{ whiteSpace: "pre-wrap", background: "#f3f4f6", borderRadius: 8, padding: 10, lineHeight: 1.5 }}>
+            {item.answer}
+          </div>
+          {item.citations.length > 0 && (
+            <ul style={{ fontSize: 13, paddingLeft: 18 }}>
+              {item.citations.map((c, i) => (
+                <li key={i}>
+                  {c.label} — {c.page ? `PDF page ${c.page}` : "page not found"}{" "}
+                  <span style={{ color: c.status === "verified" ? "#15803d" : "#b45309" }}>({c.status})</span>
+                  {c.outOfScope && <span style={{ color: "#b45309" }}> (outside the scope)</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div style={{ fontSize: 12, color: "#6b7280" }}>
+            {item.shareId && (
+              <>
+                <a href={`/c/${item.shareId}`} target="_blank" rel="noopener noreferrer">
+                  Open conversation
+                </a>{" "}
+                ·{" "}
+              </>
+            )}
+            answer #{item.messageIndex} · thread {item.threadId || "—"}
+          </div>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function AdminFeedback() {
+  const router = useRouter();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [q, setQ] = useState("");
+
+  const filters = Object.fromEntries(FILTERS.map((k) => [k, typeof router.query[k] === "string" ? router.query[k] : ""]));
+  const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+
+  useEffect(() => {
+    if (router.isReady) setQ(filters.q);
+  }, [router.isReady]);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    const controller = new AbortController();
+    setError("");
+    fetch(`/api/admin/feedback?${params}`, { signal: controller.signal })
+      .then(async (r) => {
+        const body = await r.json();
+        if (!r.ok) throw new Error(body.result || `HTTP ${r.status}`);
+        setData(body);
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      });
+    return () => controller.abort();
+  }, [router.isReady, params.toString()]);
+
+  const setFilter = (key, value) => {
+    const next = { ...filters, [key]: value };
+    Object.keys(next).forEach((k) => next[k] || delete next[k]);
+    router.replace({ pathname: "/admin", query: next }, undefined, { shallow: true });
+  };
+
+  const exportHref = (format) => `/api/admin/feedback?${new URLSearchParams([...params, ["format", format]])}`;
+  const select = { fontSize: 14, padding: 6 };
+
+  return (
+    <>
+      <Head>
+        <title>Answer feedback — Admin</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="robots" content="noindex" />
+      </Head>
+      <div style={{ maxWidth: 1000, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <p style={{ fontSize: 14 }}>
+          <b>Answer feedback</b> · <a href="/admin/metrics">Metrics</a>
+        </p>
+        <h1>Answer feedback</h1>
+
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+          <select value={filters.rating} onChange={(e) => setFilter("rating", e.target.value)} aria-label="Rating" style={select}>
+            {RATINGS.map(([v, label]) => (
+              <option key={v} value={v}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={filters.documentId}
+            onChange={(e) => setFilter("documentId", e.target.value)}
+            aria-label="Agreement"
+            style={select}
+          >
+            <option value="">All agreements</option>
+            {DOCUMENTS.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.shortTitle}
+              </option>
+            ))}
+          </select>
+          <select value={filters.issue} onChange={(e) => setFilter("issue", e.target.value)} aria-label="Citations" style={select}>
+            {ISSUES.map(([v, label]) => (
+              <option key={v} value={v}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <label style={{ fontSize: 14 }}>
+            <input
+              type="checkbox"
+              checked={filters.hasNote === "1"}
+              onChange={(e) => setFilter("hasNote", e.target.checked ? "1" : "")}
+            />{" "}
+            With a note
+          </label>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setFilter("q", q.trim());
+            }}
+            style={{ flex: 1, minWidth: 200 }}
+          >
+            <input
+              value={q}
+              onChange={(e) => setQ(e.target.value)}
+              placeholder="Search questions, answers and notes"
+              aria-label="Search"
+              style={{ width: "100%", boxSizing: "border-box", fontSize: 14, padding: 6 }}
+            />
+          </form>
+        </div>
+
+        <p style={{ fontSize: 14, color: "#555" }}>
+          {data ? `${data.total} answer${data.total === 1 ? "" : "s"}.` : ""} Export:{" "}
+          <a href={exportHref("csv")}>CSV</a> · <a href={exportHref("json")}>JSON</a> ·{" "}
+          <a href={exportHref("golden")} title="A question set for scripts/eval (pick one agreement)">
+            Eval cases
+          </a>
+        </p>
+
+        {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+        {!data && !error && <p style={{ color: "#6b7280" }}>Loading…</p>}
+        {data && !data.feedback.length && <p style={{ color: "#6b7280" }}>No feedback matches.</p>}
+        {data && (
+          <ul style={{ margin: 0, padding: 0 }}>
+            {data.feedback.map((item) => (
+              <FeedbackRow key={item.id} item={item} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </>
+  );
+}
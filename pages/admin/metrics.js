@@ -0,0 +1,235 @@
+// pages/admin/metrics.js
+// Chat usage and health from the request traces: volume and failure rates, latency by stage,
+// the slowest questions and the most-cited Articles. Behind ADMIN_PASSWORD (middleware.js).
+
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import { getDocument } from "../../lib/documents";
+
+const RANGES = [1, 7, 30, 90];
+
+const STAGE_LABELS = {
+  cache: "Cache lookup",
+  retrieval: "Retrieval",
+  thread: "Thread create",
+  message: "Add message",
+  reply: "Model reply",
+  run: "Run (create + poll)",
+  fetch: "Message fetch",
+  firstDelta: "First streamed text",
+};
+
+const pct = (v) => (v === null || v === undefined ? "—" : `${(v * 100).toFixed(1)}%`);
+const ms = (v) => (v === null || v === undefined ? "—" : v >= 1000 ? `${(v / 1000).toFixed(1)} s` : `${v} ms`);
+
+function Stat({ label, value }) {
+  return (
+    <div style={{ border: "1px solid #e5e7eb", borderRadius: 8, padding: "10px 14px", minWidth: 130 }}>
+      <div style={{ fontSize: 12, color: "#6b7280" }}>{label}</div>
+      <div style={{ fontSize: 22, fontWeight: 700 }}>{value}</div>
+    </div>
+  );
+}
+
+function Counts({ title, counts, empty }) {
+  const rows = Object.entries(counts || {}).sort((a, b) => b[1] - a[1]);
+  return (
+    <section style={{ flex: "1 1 220px" }}>
+      <h3 style={{ fontSize: 15 }}>{title}</h3>
+      {rows.length ? (
+        <table style={{ fontSize: 14, borderCollapse: "collapse" }}>
+          <tbody>
+            {rows.map(([k, n]) => (
+              <tr key={k}>
+                <td style={{ padding: "2px 12px 2px 0" }}>{k}</td>
+                <td style={{ textAlign: "right" }}>{n}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p style={{ fontSize: 14, color: "#6b7280" }}>{empty}</p>
+      )}
+    </section>
+  );
+}
+
+const th = { textAlign: "left", padding: "4px 8px", borderBottom: "2px solid #ffe066", fontSize: 13 };
+const td = { padding: "4px 8px", borderBottom: "1px solid #e5e7eb", fontSize: 14, verticalAlign: "top" };
+
+export default function AdminMetrics() {
+  const [days, setDays] = useState(7);
+  const [m, setM] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setM(null);
+    setError("");
+    fetch(`/api/admin/metrics?days=${days}`, { signal: controller.signal })
+      .then(async (r) => {
+        const body = await r.json();
+        if (!r.ok) throw new Error(body.result || `HTTP ${r.status}`);
+        setM(body);
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      });
+    return () => controller.abort();
+  }, [days]);
+
+  return (
+    <>
+      <Head>
+        <title>Metrics — Admin</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="robots" content="noindex" />
+      </Head>
+      <div style={{ maxWidth: 1100, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <p style={{ fontSize: 14 }}>
+          <a href="/admin">Answer feedback</a> · <b>Metrics</b>
+        </p>
+        <h1>Chat metrics</h1>
+        <label style={{ fontSize: 14 }}>
+          Last{" "}
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} style={{ fontSize: 14, padding: 4 }}>
+            {RANGES.map((d) => (
+              <option key={d} value={d}>
+                {d === 1 ? "day" : `${d} days`}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+        {!m && !error && <p style={{ color: "#6b7280" }}>Loading…</p>}
+        {m && (
+          <>
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap", margin: "16px 0" }}>
+              <Stat label="Requests" value={m.requests} />
+              <Stat label="Answered" value={m.outcomes.ok} />
+              <Stat label="Failure rate" value={pct(m.failureRate)} />
+              <Stat label="Refused (4xx)" value={m.outcomes.refused} />
+              <Stat label="Stopped by user" value={m.outcomes.aborted} />
+              <Stat label="Latency p50 / p95" value={`${ms(m.latency.p50)} / ${ms(m.latency.p95)}`} />
+              <Stat label="Citations resolved" value={pct(m.citationResolutionRate)} />
+              <Stat label="Tokens per answer" value={m.tokens.perAnswer ?? "—"} />
+              <Stat label="Cache hit rate" value={pct(m.cache.hitRate)} />
+              <Stat label="Model call retries" value={m.recovery.retries} />
+              <Stat label="Threads replaced" value={m.recovery.threadsReplaced} />
+            </div>
+
+            <div style={{ display: "flex", gap: 24, flexWrap: "wrap" }}>
+              <Counts title="Failures by category" counts={m.errors} empty="No failures." />
+              <Counts title="Refusals by status" counts={m.refusals} empty="No refusals." />
+              <section style={{ flex: "1 1 260px" }}>
+                <h3 style={{ fontSize: 15 }}>Average stage latency</h3>
+                <table style={{ fontSize: 14, borderCollapse: "collapse" }}>
+                  <tbody>
+                    {Object.entries(m.latency.stages).map(([k, v]) => (
+                      <tr key={k}>
+                        <td style={{ padding: "2px 12px 2px 0" }}>{STAGE_LABELS[k] || k}</td>
+                        <td style={{ textAlign: "right" }}>{ms(v)}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td style={{ padding: "2px 12px 2px 0" }}>Polls per run</td>
+                      <td style={{ textAlign: "right" }}>{m.latency.polls ?? "—"}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </section>
+            </div>
+
+            <h2 style={{ fontSize: 18 }}>Most-cited Articles</h2>
+            {m.articles.length ? (
+              <table style={{ borderCollapse: "collapse", width: "100%" }}>
+                <thead>
+                  <tr>
+                    <th style={th}>Article</th>
+                    <th style={th}>Agreement</th>
+                    <th style={{ ...th, textAlign: "right" }}>Answers</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {m.articles.map((a) => (
+                    <tr key={`${a.documentId}|${a.label}`}>
+                      <td style={td}>
+                        <a href={`/toc?${new URLSearchParams({ doc: a.documentId, node: a.label })}`}>{a.label}</a>
+                        {a.title && ` — ${a.title}`}
+                      </td>
+                      <td style={td}>{getDocument(a.documentId)?.shortTitle || a.documentId}</td>
+                      <td style={{ ...td, textAlign: "right" }}>{a.count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p style={{ fontSize: 14, color: "#6b7280" }}>No cited answers yet.</p>
+            )}
+
+            <h2 style={{ fontSize: 18 }}>Slowest questions</h2>
+            {m.slowest.length ? (
+              <table style={{ borderCollapse: "collapse", width: "100%" }}>
+                <thead>
+                  <tr>
+                    <th style={th}>Question</th>
+                    <th style={th}>When</th>
+                    <th style={th}>Provider</th>
+                    <th style={{ ...th, textAlign: "right" }}>Total</th>
+                    <th style={th}>Stages</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {m.slowest.map((s) => (
+                    <tr key={s.id}>
+                      <td style={td}>{s.question}</td>
+                      <td style={{ ...td, whiteSpace: "nowrap" }}>{new Date(s.at).toLocaleString()}</td>
+                      <td style={td}>
+                        {s.provider}
+                        {s.runStatus && ` (${s.runStatus})`}
+                      </td>
+                      <td style={{ ...td, textAlign: "right", whiteSpace: "nowrap" }}>{ms(s.totalMs)}</td>
+                      <td style={{ ...td, fontSize: 12, color: "#555" }}>
+                        {Object.entries(s.stages || {})
+                          .map(([k, v]) => `${STAGE_LABELS[k] || k} ${ms(v)}`)
+                          .join(" · ")}
+                        {s.polls > 0 && ` · ${s.polls} polls`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p style={{ fontSize: 14, color: "#6b7280" }}>No answered questions yet.</p>
+            )}
+
+            {m.byDay.length > 1 && (
+              <>
+                <h2 style={{ fontSize: 18 }}>By day</h2>
+                <table style={{ borderCollapse: "collapse" }}>
+                  <thead>
+                    <tr>
+                      <th style={th}>Day</th>
+                      <th style={{ ...th, textAlign: "right" }}>Requests</th>
+                      <th style={{ ...th, textAlign: "right" }}>Failures</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {m.byDay.map((d) => (
+                      <tr key={d.day}>
+                        <td style={td}>{d.day}</td>
+                        <td style={{ ...td, textAlign: "right" }}>{d.requests}</td>
+                        <td style={{ ...td, textAlign: "right" }}>{d.errors}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,24 @@
+// pages/api/admin/cache.js
+// GET    /api/admin/cache -> { mode, ttlHours, similarity } (lib/answerCache.js settings)
+// DELETE /api/admin/cache -> drops every cached answer, e.g. after fixing a bad one.
+// Rebuilding an agreement's pages or page map already retires its cached answers. Admin only.
+
+import { requireAdmin } from "../../../lib/adminAuth";
+import { answerCacheConfig, clearAnswerCache } from "../../../lib/answerCache";
+
+export default async function handler(req, res) {
+  try {
+    if (!["GET", "DELETE"].includes(req.method)) return res.status(405).json({ result: "Method not allowed" });
+    if (!requireAdmin(req, res)) return;
+
+    if (req.method === "DELETE") {
+      await clearAnswerCache();
+      return res.status(200).json({ result: "Answer cache cleared." });
+    }
+    const { mode, ttlMs, similarity } = answerCacheConfig();
+    return res.status(200).json({ mode, ttlHours: ttlMs / 3600000, similarity });
+  } catch (err) {
+    console.error("/api/admin/cache error:", err);
+    return res.status(500).json({ result: "Sorry—the cache request failed." });
+  }
+}
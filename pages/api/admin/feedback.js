@@ -0,0 +1,57 @@
+// pages/api/admin/feedback.js
+// GET /api/admin/feedback?rating=down&documentId=mlb-2022&issue=unresolved&hasNote=1&q=text&format=json|csv|golden
+// Answer feedback for review (lib/feedback.js), newest first. `format=csv` downloads a spreadsheet;
+// `format=golden` downloads the records as a scripts/eval question set (one agreement at a time).
+// Admin only (ADMIN_PASSWORD, lib/adminAuth.js).
+
+import { requireAdmin } from "../../../lib/adminAuth";
+import {
+  listFeedback,
+  feedbackToCsv,
+  feedbackToGolden,
+  FeedbackError,
+  FEEDBACK_ISSUES,
+  FEEDBACK_RATINGS,
+} from "../../../lib/feedback";
+
+const one = (v) => (Array.isArray(v) ? v[0] : v) || undefined;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+    if (!requireAdmin(req, res)) return;
+
+    const rating = one(req.query.rating);
+    const issue = one(req.query.issue);
+    if (rating && !FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ result: `Unknown rating "${rating}".` });
+    }
+    if (issue && !FEEDBACK_ISSUES.includes(issue)) return res.status(400).json({ result: `Unknown issue "${issue}".` });
+
+    const records = listFeedback({
+      rating,
+      issue,
+      documentId: one(req.query.documentId),
+      hasNote: ["1", "true"].includes(one(req.query.hasNote)),
+      q: one(req.query.q),
+    });
+
+    const format = String(one(req.query.format) || "json").toLowerCase();
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="cba-feedback-${stamp}.csv"`);
+      return res.status(200).send(feedbackToCsv(records));
+    }
+    if (format === "golden") {
+      res.setHeader("Content-Disposition", `attachment; filename="feedback-golden-${stamp}.json"`);
+      return res.status(200).json(feedbackToGolden(records));
+    }
+    if (format !== "json") return res.status(400).json({ result: `Unsupported format "${format}".` });
+    return res.status(200).json({ total: records.length, feedback: records });
+  } catch (err) {
+    if (err instanceof FeedbackError) return res.status(400).json({ result: err.message });
+    console.error("/api/admin/feedback error:", err);
+    return res.status(500).json({ result: "Sorry—could not load feedback." });
+  }
+}
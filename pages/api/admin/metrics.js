@@ -0,0 +1,26 @@
+// pages/api/admin/metrics.js
+// GET /api/admin/metrics?days=7 -> usage and health summary of /api/chat traces (lib/metrics.js).
+// Reads the JSON lines trace sink (TRACE_SINK=jsonl, the default). Admin only.
+
+import { requireAdmin } from "../../../lib/adminAuth";
+import { getTraceSink } from "../../../lib/trace";
+import { summarizeTraces } from "../../../lib/metrics";
+
+const MAX_DAYS = 90;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+    if (!requireAdmin(req, res)) return;
+
+    const days = Math.min(Math.max(Number(req.query.days) || 7, 1), MAX_DAYS);
+    const sink = getTraceSink();
+    if (typeof sink.read !== "function") {
+      return res.status(400).json({ result: "Metrics read the trace files: set TRACE_SINK=jsonl (the default)." });
+    }
+    return res.status(200).json({ days, ...summarizeTraces(sink.read({ days })) });
+  } catch (err) {
+    console.error("/api/admin/metrics error:", err);
+    return res.status(500).json({ result: "Sorry—could not load metrics." });
+  }
+}
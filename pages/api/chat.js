@@ -1,88 +1,346 @@
 // pages/api/chat.js
-// Minimal Assistants v2 passthrough — no linkify, reuses thread, tighter polling.
+// Minimal chat passthrough — reuses conversation, provider chosen by LLM_PROVIDER.
+// Top-N CBA pages are retrieved locally and sent as context; matched pages are returned.
+// Citations in the answer are verified against cba_pages.json and returned as `citations`.
+// Each exchange is saved to the conversation named by `conversationId` (created when absent);
+// its `shareId` makes the read-only /c/<shareId> link. Saving is best-effort: when DATA_DIR
+// can't be written the question is still answered, with `conversationId` and `shareId` null.
+// `documentId` picks the agreement (lib/documents.json); it defaults to the conversation's
+// last agreement, then the registry default.
+// Competitive Balance Tax questions with figures in them are run through lib/cbt.js first;
+// the result goes to the model as CALCULATOR_RESULT and comes back as `calculation`.
+// The model may also call the tools in lib/tools.js (search, page text, page map, calculators)
+// while it answers; the calls it made come back as `tools`: [{ name, arguments, ok, error? }].
+//
+// Send { stream: true } to receive Server-Sent Events instead of one JSON body:
+//   event: meta   data: { conversationId, shareId, threadId, documentId, scope, pages }
+//   event: delta  data: { text }
+//   event: done   data: { result, conversationId, shareId, threadId, documentId, scope, foundInScope, pages, citations,
+//                         calculation, tools, cached, messageIndex }
+//   event: error  data: { result, code, status, retryable }
+// Closing the connection aborts the model call (and cancels the provider's run).
+//
+// `scope` limits the answer to Articles, Sections or PDF page ranges (lib/scope.js), e.g.
+// ["Article XXIII(B)", "pp. 120–130"]; an unresolvable scope gets a 400. Retrieval and tools stay
+// inside it, citations outside it are flagged, and when nothing in the scope matches the question
+// the reply says so without calling the model. The resolved scope comes back as
+// `scope: { label, items } | null`, with `foundInScope` false when the answer cites nothing inside it.
+//
+// Failures follow lib/chatErrors.js: an HTTP status and { result, code, retryable }.
+// Questions over MAX_MESSAGE_CHARS get a 400. Callers over a rate limit or daily quota
+// (lib/rateLimit.js, per IP and per embedding site) get a 429 with Retry-After and
+// { result, code, retryable, reason: "rate" | "daily", retryAfter }. An X-Embed-Origin or a
+// browser Origin outside EMBED_ALLOWED_ORIGINS (lib/embedOrigins.js) gets a 403. Model failures are 5xx (after the
+// provider's own retries; lib/llm/http.js), e.g. 503 model_busy or 504 model_timeout.
+//
+// A `threadId` the provider no longer knows (expired, or lost with a restart) is replaced by
+// a new thread; the new id comes back in `threadId` as usual.
+//
+// The first question of a conversation is answered from the answer cache (lib/answerCache.js)
+// when the same question, or a near-duplicate, was answered for the same agreement version and
+// scope; no model call is made and the reply carries `cached: { at, match, similarity, question }`
+// (null for fresh answers).
+//
+// Every request leaves a trace (lib/trace.js): stage latencies, run status, polls, token usage,
+// citation resolution and, when it fails, an error category. Its id is sent as X-Trace-Id.
+
+import { searchPages, buildContext, isDocumentAvailable } from "../../lib/retrieval";
+import { requireDocument, UnknownDocumentError, DEFAULT_DOCUMENT_ID } from "../../lib/documents";
+import { getProvider, ProviderConfigError, ThreadNotFoundError } from "../../lib/llm";
+import { openSSE, sendSSE } from "../../lib/sse";
+import { verifyCitations } from "../../lib/citations";
+import { parseScope, describeScope, ScopeError } from "../../lib/scope";
+import { linkifyCitations } from "../../lib/linkifyCitations";
+import { getConversation, createConversation, appendMessage } from "../../lib/conversations";
+import { calculateForQuestion, CBT_DOCUMENT_ID } from "../../lib/cbt";
+import { createToolbox } from "../../lib/tools";
+import { checkRateLimit } from "../../lib/rateLimit";
+import { MAX_MESSAGE_CHARS } from "../../lib/limits";
+import { isEmbedRequestAllowed } from "../../lib/embedOrigins";
+import { createTrace, citationStats, errorCategory } from "../../lib/trace";
+import { lookupAnswer, storeAnswer } from "../../lib/answerCache";
+import { chatError, chatErrorCode } from "../../lib/chatErrors";
+
+const NO_RESPONSE = "No response from assistant.";
+
+// Verified citations + the answer text with resolved page links.
+function finalize(raw, documentId, scope) {
+  const citations = verifyCitations(raw, { documentId, scope });
+  const located = citations.filter((c) => c.page);
+  const foundInScope = !scope || !located.length || located.some((c) => !c.outOfScope);
+  let result = linkifyCitations(raw, { documentId, citations });
+  if (!foundInScope) {
+    result += `\n\nNote: none of the passages cited above are within ${describeScope(scope)}, so the answer may not be found there.`;
+  }
+  return { result, citations, foundInScope };
+}
+
+function notFoundInScope(scope) {
+  return {
+    result: `I couldn't find anything about that within ${describeScope(scope)}. Try a wider scope, or ask without one.`,
+    citations: [],
+    foundInScope: false,
+  };
+}
+
+function sendError(res, code, message, extra) {
+  const { status, body } = chatError(code, message, extra);
+  return res.status(status).json(body);
+}
+
+// The chat's own origin as the browser sees it (through a proxy, from its X-Forwarded-* headers).
+function selfOrigin(req) {
+  const first = (name) => String(req.headers[name] || "").split(",")[0].trim();
+  const host = first("x-forwarded-host") || req.headers.host;
+  return host ? `${first("x-forwarded-proto") || "http"}://${host}` : null;
+}
 
 export default async function handler(req, res) {
+  const trace = createTrace({ route: "/api/chat" });
+  res.setHeader("X-Trace-Id", trace.id);
   try {
-    if (req.method !== "POST") return res.status(405).json({ result: "Method not allowed" });
+    await handleChat(req, res, trace);
+  } finally {
+    trace.finish({ httpStatus: res.statusCode });
+  }
+}
 
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    const assistant_id = process.env.OPENAI_ASSISTANT_ID;
-    if (!OPENAI_API_KEY || !assistant_id) {
-      return res.status(500).json({ result: "Missing OPENAI_API_KEY or OPENAI_ASSISTANT_ID." });
+async function handleChat(req, res, trace) {
+  let streaming = false;
+  try {
+    if (req.method !== "POST") return sendError(res, "method_not_allowed");
+
+    let provider;
+    try {
+      provider = getProvider();
+    } catch (err) {
+      if (err instanceof ProviderConfigError) {
+        trace.fail(err, "config");
+        return sendError(res, "not_configured", err.message);
+      }
+      throw err;
     }
+    trace.set({ provider: provider.name });
 
-    const { message, threadId: existingThreadId } = req.body ?? {};
+    const {
+      message,
+      threadId: existingThreadId,
+      conversationId: existingConversationId,
+      documentId: requestedDocumentId,
+      scope: requestedScope,
+      stream,
+    } = req.body ?? {};
     const text = (message ?? "").toString().trim();
-    if (!text) return res.status(200).json({ result: "No question provided." });
-
-    const j = async (url, opts) => {
-      const r = await fetch(url, {
-        ...opts,
-        headers: {
-          ...(opts?.headers || {}),
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "OpenAI-Beta": "assistants=v2",
-        },
+    trace.set({ question: text, stream: Boolean(stream) });
+    if (!text) return sendError(res, "empty_question");
+    if (text.length > MAX_MESSAGE_CHARS) {
+      return sendError(
+        res,
+        "question_too_long",
+        `Questions are limited to ${MAX_MESSAGE_CHARS.toLocaleString("en-US")} characters.`
+      );
+    }
+
+    if (!isEmbedRequestAllowed(req.headers, undefined, { self: selfOrigin(req) })) {
+      return sendError(res, "origin_not_allowed");
+    }
+
+    // Every question costs a model run, so limits apply before anything else happens.
+    const limit = await checkRateLimit(req, { self: selfOrigin(req) });
+    if (!limit.allowed) {
+      res.setHeader("Retry-After", String(limit.retryAfter));
+      return sendError(res, "rate_limited", limit.result, {
+        reason: limit.reason,
+        retryAfter: limit.retryAfter,
+        retryable: limit.reason === "rate",
       });
-      if (!r.ok) {
-        const body = await r.text().catch(() => "");
-        throw new Error(`HTTP ${r.status} ${r.statusText} — ${body.slice(0, 400)}`);
+    }
+    if (limit.remaining !== null) res.setHeader("RateLimit-Remaining", String(limit.remaining));
+
+    // Saved conversation (for history and share links), and the provider thread behind it.
+    const existing = getConversation(existingConversationId);
+    const documentId = requestedDocumentId || existing?.documentId || DEFAULT_DOCUMENT_ID;
+    let doc;
+    try {
+      doc = requireDocument(documentId);
+    } catch (err) {
+      if (err instanceof UnknownDocumentError) return sendError(res, "unknown_document", err.message);
+      throw err;
+    }
+    if (!isDocumentAvailable(documentId)) {
+      return sendError(res, "document_unavailable", `The ${doc.title} has not been loaded yet.`);
+    }
+    let scope;
+    try {
+      scope = parseScope(requestedScope, { documentId });
+    } catch (err) {
+      if (err instanceof ScopeError) return sendError(res, "invalid_scope", err.message);
+      throw err;
+    }
+    trace.set({ documentId, scope: scope?.label || null });
+
+    // History, share links, exports and feedback need the conversation on disk, but a question
+    // is answered even when it can't be saved (e.g. a read-only filesystem).
+    const persist = (fn) => {
+      try {
+        return fn();
+      } catch (err) {
+        console.error("/api/chat could not save the conversation:", err);
+        trace.set({ saved: false });
+        return null;
       }
-      return r.json();
+    };
+    const convo = existing || persist(() => createConversation({ documentId }));
+    const conversationId = convo?.id ?? null;
+    let shareId = convo?.shareId ?? null;
+    let threadId = existingThreadId || convo?.threadId || null;
+    const record = (message) => {
+      const saved = conversationId && persist(() => appendMessage(conversationId, message, { threadId }));
+      if (saved) shareId = saved.shareId;
+      return saved;
+    };
+
+    const save = (answer, { tools = [], cached = null } = {}) => {
+      trace.set({
+        citations: citationStats(answer.citations),
+        tools: tools.map((t) => t.name),
+        ...(scope && { foundInScope: answer.foundInScope }),
+      });
+      const saved = record({
+        role: "assistant",
+        content: answer.result,
+        documentId,
+        citations: answer.citations,
+        pages: answer.pages,
+        ...(answer.calculation && { calculation: answer.calculation }),
+        ...(tools.length && { tools }),
+        ...(cached && { cached: cached.at }),
+      });
+      return {
+        ...answer,
+        conversationId,
+        shareId,
+        threadId,
+        documentId,
+        scope,
+        tools,
+        cached,
+        messageIndex: saved ? saved.messages.length - 1 : undefined,
+      };
     };
 
-    // Reuse thread if provided; otherwise create once.
-    let threadId = existingThreadId;
-    if (!threadId) {
-      const thread = await j("https://api.openai.com/v1/threads", { method: "POST", body: "{}" });
-      threadId = thread.id;
+    // Replies that need no model call go out whole: as JSON, or as a stream of one delta.
+    const sendWhole = (payload) => {
+      if (!stream) return res.status(200).json(payload);
+      streaming = true;
+      openSSE(res);
+      sendSSE(res, "meta", { conversationId, shareId, threadId, documentId, scope, pages: payload.pages });
+      sendSSE(res, "delta", { text: payload.result });
+      sendSSE(res, "done", payload);
+      return res.end();
+    };
+
+    const userMessage = { role: "user", content: text, documentId, ...(scope && { scope: scope.label }) };
+
+    // A conversation's first question may have been answered before (lib/answerCache.js).
+    const cacheable = convo ? !convo.messages.length : !threadId;
+    const hit = cacheable ? await trace.stage("cache", () => lookupAnswer(text, { documentId, scope })) : null;
+    trace.set({ cache: !cacheable ? "skip" : hit ? hit.match : "miss" });
+    if (hit) {
+      trace.set({ conversationId, threadId });
+      record(userMessage);
+      const { at, match, similarity, question } = hit;
+      return sendWhole(save(hit.answer, { cached: { at, match, similarity, question } }));
     }
 
+    // Ground the question in the agreement text we already have on disk.
+    const passages = await trace.stage("retrieval", async () => searchPages(text, { documentId, scope }));
+    const pages = passages.map(({ page, score, snippet }) => ({ page, score, snippet }));
+
+    // CBT math is done here, not by the model.
+    const calc = documentId === CBT_DOCUMENT_ID ? calculateForQuestion(text) : null;
+    const calculation = calc ? { request: calc.request, result: calc.result } : null;
+
+    // Nothing in the scope matches: say so rather than let the model answer from elsewhere.
+    if (scope && !passages.length) {
+      trace.set({ conversationId, threadId });
+      record(userMessage);
+      return sendWhole(save({ ...notFoundInScope(scope), pages, calculation }));
+    }
+
+    // Reuse conversation if provided; otherwise create once.
+    const newThread = () => trace.stage("thread", () => provider.createConversation({ trace }));
+    if (!threadId) threadId = await newThread();
+
     // Add only the new user message (no re-sending the entire history).
-    await j(`https://api.openai.com/v1/threads/${threadId}/messages`, {
-      method: "POST",
-      body: JSON.stringify({ role: "user", content: text }),
-    });
+    const context = buildContext(text, passages, { documentId, scope, calculation: calc?.summary });
+    const send = () =>
+      trace.stage("message", () => provider.sendMessage(threadId, context, { documentId, scope, trace }));
+    try {
+      await send();
+    } catch (err) {
+      if (!(err instanceof ThreadNotFoundError)) throw err;
+      // The provider lost the thread: start over on a new one rather than fail the question.
+      threadId = await newThread();
+      trace.set({ threadReplaced: true });
+      await send();
+    }
+    trace.set({ conversationId, threadId });
+    record(userMessage);
+    const toolbox = createToolbox({ documentId, scope });
+
+    // The finished answer; a conversation's first one is cached for the next person to ask.
+    const complete = async (raw) => {
+      const answer = { ...finalize(raw || NO_RESPONSE, documentId, scope), pages, calculation };
+      if (cacheable && raw) {
+        await storeAnswer(text, { documentId, scope }, answer).catch((err) => console.error("answer cache:", err));
+      }
+      return save(answer, { tools: toolbox.used });
+    };
 
-    // Run the assistant.
-    const run = await j(`https://api.openai.com/v1/threads/${threadId}/runs`, {
-      method: "POST",
-      body: JSON.stringify({ assistant_id }),
+    // A caller that hangs up stops the model call (and its run) too.
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
     });
 
-    // Poll faster (every 250ms, up to ~30s).
-    let status = null;
-    for (let i = 0; i < 120; i++) {
-      await new Promise((r) => setTimeout(r, 250));
-      const s = await j(
-        `https://api.openai.com/v1/threads/${threadId}/runs/${run.id}`,
-        { method: "GET" }
-      );
-      status = s.status;
-      if (status === "completed") break;
-      if (["failed", "cancelled", "expired"].includes(status)) {
-        throw new Error(`Run ${status}`);
+    if (stream) {
+      streaming = true;
+      openSSE(res);
+      sendSSE(res, "meta", { conversationId, shareId, threadId, documentId, scope, pages });
+
+      let full = "";
+      await trace.stage("reply", async () => {
+        for await (const delta of provider.stream(threadId, { signal: controller.signal, toolbox, trace })) {
+          trace.mark("firstDelta");
+          full += delta;
+          sendSSE(res, "delta", { text: delta });
+        }
+      });
+      if (controller.signal.aborted) {
+        trace.fail("The client closed the connection.", "aborted");
+        return;
       }
+
+      sendSSE(res, "done", await complete(full.trim()));
+      return res.end();
     }
-    if (status !== "completed") throw new Error("Run timed out");
 
-    // Read the latest assistant message.
-    const msgs = await j(
-      `https://api.openai.com/v1/threads/${threadId}/messages?order=desc&limit=10`,
-      { method: "GET" }
+    const reply = await trace.stage("reply", () =>
+      provider.getReply(threadId, { toolbox, trace, signal: controller.signal })
     );
-    const firstAssistant = (msgs?.data || []).find((m) => m.role === "assistant");
-    const textOut =
-      (firstAssistant?.content || [])
-        .map((c) => (typeof c?.text?.value === "string" ? c.text.value : ""))
-        .join("\n")
-        .trim() || "No response from assistant.";
-
-    // Return raw Assistant output — no linkification.
-    return res.status(200).json({ result: textOut, threadId });
+    trace.addUsage(reply.usage);
+    return res.status(200).json(await complete(reply.text));
   } catch (err) {
+    const category = errorCategory(err);
+    trace.fail(err, category);
+    if (category === "aborted") return;
     console.error("/api/chat error:", err);
-    return res.status(200).json({ result: "Sorry—something went wrong. Please try again." });
+    const { status, body } = chatError(chatErrorCode(category));
+    if (streaming) {
+      sendSSE(res, "error", { ...body, status });
+      return res.end();
+    }
+    return res.status(status).json(body);
   }
 }
@@ -0,0 +1,17 @@
+// pages/api/conversations/[id].js
+// GET /api/conversations/<id> -> a saved conversation for the browser that started it
+// (ownerView: with its shareId, without the provider thread).
+
+import { getConversation, ownerView } from "../../../lib/conversations";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+    const convo = getConversation(req.query.id);
+    if (!convo) return res.status(404).json({ result: "Conversation not found." });
+    return res.status(200).json(ownerView(convo));
+  } catch (err) {
+    console.error("/api/conversations/[id] error:", err);
+    return res.status(500).json({ result: "Sorry—could not load the conversation." });
+  }
+}
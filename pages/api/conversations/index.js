@@ -0,0 +1,20 @@
+// pages/api/conversations/index.js
+// GET /api/conversations?ids=a,b,c -> sidebar summaries for conversations this browser owns.
+// There is deliberately no "list everything" endpoint: IDs are the only key to a transcript.
+
+import { summarizeConversations, isConversationId } from "../../../lib/conversations";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+    const ids = String(req.query.ids || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(isConversationId)
+      .slice(0, 100);
+    return res.status(200).json({ conversations: summarizeConversations(ids) });
+  } catch (err) {
+    console.error("/api/conversations error:", err);
+    return res.status(500).json({ result: "Sorry—could not load conversations." });
+  }
+}
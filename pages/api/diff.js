@@ -0,0 +1,32 @@
+// pages/api/diff.js
+// What changed between two agreements:
+//   GET /api/diff                       every Article/Appendix/Attachment with its status
+//   GET /api/diff?article=XXIII         section-by-section, side-by-side text diff
+// Optional &from=<id>&to=<id> pick the versions from lib/documents.json; by default the newest
+// loaded agreement is compared with the one before it. With no such pair loaded the answer is
+// 404 { result, code: "diff_unavailable" }.
+
+import { diffArticle, diffSummary, DiffError, DiffUnavailableError } from "../../lib/diff";
+import { UnknownDocumentError } from "../../lib/documents";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+
+    const from = req.query.from ? String(req.query.from) : undefined;
+    const to = req.query.to ? String(req.query.to) : undefined;
+
+    const { article } = req.query;
+    const body = article ? diffArticle(String(article), { from, to }) : diffSummary({ from, to });
+    return res.status(200).json(body);
+  } catch (err) {
+    if (err instanceof DiffUnavailableError) {
+      return res.status(404).json({ result: err.message, code: "diff_unavailable" });
+    }
+    if (err instanceof DiffError || err instanceof UnknownDocumentError) {
+      return res.status(400).json({ result: err.message });
+    }
+    console.error("/api/diff error:", err);
+    return res.status(500).json({ result: "Sorry—the comparison failed. Please try again." });
+  }
+}
@@ -0,0 +1,20 @@
+// pages/api/documents.js
+// GET /api/documents — the agreements in lib/documents.json, and whether each has been ingested.
+
+import { DOCUMENTS, DEFAULT_DOCUMENT_ID } from "../../lib/documents";
+import { isDocumentAvailable } from "../../lib/retrieval";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+
+  const documents = DOCUMENTS.map(({ id, title, shortTitle, league, termYears, pdfHref }) => ({
+    id,
+    title,
+    shortTitle,
+    league,
+    termYears,
+    pdfHref,
+    available: isDocumentAvailable(id),
+  }));
+  return res.status(200).json({ defaultDocumentId: DEFAULT_DOCUMENT_ID, documents });
+}
@@ -0,0 +1,46 @@
+// pages/api/export.js
+// GET /api/export?conversationId=<id>&format=md|pdf|docx[&message=<index>]
+// Downloads a saved conversation (or a single answer) as a memo.
+
+import { getConversation } from "../../lib/conversations";
+import { buildMemo, renderMemo, EXPORT_FORMATS, ExportError } from "../../lib/exporters";
+
+function fileName(title, ext) {
+  const slug = String(title || "cba-answer")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 60);
+  return `${slug || "cba-answer"}.${ext}`;
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+
+    const format = String(req.query.format || "md").toLowerCase();
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) return res.status(400).json({ result: `Unsupported format "${format}".` });
+
+    const convo = getConversation(req.query.conversationId);
+    if (!convo) return res.status(404).json({ result: "Conversation not found." });
+
+    const messageIndex = req.query.message !== undefined ? Number(req.query.message) : undefined;
+    if (messageIndex !== undefined && !Number.isInteger(messageIndex)) {
+      return res.status(400).json({ result: "message must be a message index." });
+    }
+
+    const proto = req.headers["x-forwarded-proto"] || "http";
+    const origin = req.headers.host ? `${proto}://${req.headers.host}` : "";
+    const memo = buildMemo(convo, { messageIndex, origin });
+    const body = await renderMemo(memo, format);
+
+    res.setHeader("Content-Type", spec.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName(memo.title, spec.extension)}"`);
+    return res.status(200).send(body);
+  } catch (err) {
+    if (err instanceof ExportError) return res.status(400).json({ result: err.message });
+    console.error("/api/export error:", err);
+    return res.status(500).json({ result: "Sorry—export failed. Please try again." });
+  }
+}
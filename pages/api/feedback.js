@@ -0,0 +1,19 @@
+// pages/api/feedback.js
+// POST { conversationId, messageIndex, rating: "up" | "down", note? } -> { feedback: { id, rating, note } }
+// Rates one answer of a saved conversation (lib/feedback.js); rating it again replaces the
+// earlier rating. Reviewed at /admin.
+
+import { saveFeedback, FeedbackError } from "../../lib/feedback";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return res.status(405).json({ result: "Method not allowed" });
+    const { conversationId, messageIndex, rating, note } = req.body ?? {};
+    const saved = saveFeedback({ conversationId, messageIndex, rating, note });
+    return res.status(200).json({ feedback: { id: saved.id, rating: saved.rating, note: saved.note } });
+  } catch (err) {
+    if (err instanceof FeedbackError) return res.status(400).json({ result: err.message });
+    console.error("/api/feedback error:", err);
+    return res.status(500).json({ result: "Sorry—could not save your feedback." });
+  }
+}
@@ -0,0 +1,25 @@
+// pages/api/glossary.js
+// Defined terms: GET /api/glossary?documentId=mlb-2022&q=payroll
+// -> { documentId, total, terms: [{ term, aliases, definition, page, label, href }] }
+
+import { requireDocument, UnknownDocumentError, DEFAULT_DOCUMENT_ID } from "../../lib/documents";
+import { isGlossaryAvailable, searchGlossary } from "../../lib/glossary";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+
+    const documentId = String(req.query.documentId || DEFAULT_DOCUMENT_ID);
+    const doc = requireDocument(documentId);
+    if (!isGlossaryAvailable(documentId)) {
+      return res.status(400).json({ result: `The glossary for the ${doc.title} has not been built yet.` });
+    }
+
+    const terms = searchGlossary(req.query.q, { documentId });
+    return res.status(200).json({ documentId, total: terms.length, terms });
+  } catch (err) {
+    if (err instanceof UnknownDocumentError) return res.status(400).json({ result: err.message });
+    console.error("/api/glossary error:", err);
+    return res.status(500).json({ result: "Sorry—the glossary could not be loaded." });
+  }
+}
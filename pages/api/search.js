@@ -0,0 +1,35 @@
+// pages/api/search.js
+// Full-text CBA search: GET /api/search?q=...&article=XXIII&documentId=mlb-2022&limit=20&offset=0
+
+import { searchCba, SearchQueryError } from "../../lib/search";
+import { requireDocument, UnknownDocumentError, DEFAULT_DOCUMENT_ID } from "../../lib/documents";
+import { isDocumentAvailable } from "../../lib/retrieval";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+
+    const { q, article } = req.query;
+    const documentId = String(req.query.documentId || DEFAULT_DOCUMENT_ID);
+    const doc = requireDocument(documentId);
+    if (!isDocumentAvailable(documentId)) {
+      return res.status(400).json({ result: `The ${doc.title} has not been loaded yet.` });
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const { total, results } = searchCba(String(q || ""), {
+      article: article || undefined,
+      documentId,
+      limit,
+      offset,
+    });
+    return res
+      .status(200)
+      .json({ query: q, article: article || null, documentId, total, limit, offset, results });
+  } catch (err) {
+    if (err instanceof SearchQueryError || err instanceof UnknownDocumentError) return res.status(400).json({ result: err.message });
+    console.error("/api/search error:", err);
+    return res.status(500).json({ result: "Sorry—search failed. Please try again." });
+  }
+}
@@ -0,0 +1,25 @@
+// pages/api/toc.js
+// Table of contents from the page map:
+//   GET /api/toc                                  every Article/Appendix/Attachment with sections
+//   GET /api/toc?node=Article%20XXIII(B)          one node with the text of its page range
+// Optional &documentId=mlb-2022 (the default).
+
+import { tableOfContents, tocNode, TocError } from "../../lib/toc";
+import { UnknownDocumentError, DEFAULT_DOCUMENT_ID } from "../../lib/documents";
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") return res.status(405).json({ result: "Method not allowed" });
+
+    const documentId = String(req.query.documentId || DEFAULT_DOCUMENT_ID);
+    const { node } = req.query;
+    const body = node ? tocNode(String(node), { documentId }) : tableOfContents({ documentId });
+    return res.status(200).json(body);
+  } catch (err) {
+    if (err instanceof TocError || err instanceof UnknownDocumentError) {
+      return res.status(400).json({ result: err.message });
+    }
+    console.error("/api/toc error:", err);
+    return res.status(500).json({ result: "Sorry—the table of contents could not be loaded." });
+  }
+}
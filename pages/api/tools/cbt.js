@@ -0,0 +1,32 @@
+// pages/api/tools/cbt.js
+// Competitive Balance Tax calculator (lib/cbt.js): POST a payroll, get tax per Contract Year.
+//
+// POST { contracts: [{ player, seasons: [{ year, baseSalary, guaranteed?, exercised?, earnedBonus? }],
+//                      signingBonus?, optionBuyout?, deferrals?: [{ amount, paidIn, year?, interestRate? }] }],
+//        years?, otherPayroll?: { "2024": 150000000 }, includeBenefits?, priorYearsOverBase?,
+//        imputedLoanInterestRate? }
+// -> { years: [{ year, actualClubPayroll, components, tier, payorStatus, taxOwed, brackets,
+//      thresholds, draftPenalty }], contracts, sources, notes }
+// Every threshold and rate carries { label, page, quote, href } into the 2022–2026 Basic Agreement.
+
+import { calculateCbt, CbtInputError } from "../../../lib/cbt";
+
+const MAX_CONTRACTS = 60;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return res.status(405).json({ result: "Method not allowed" });
+
+    const body = req.body ?? {};
+    if (!Array.isArray(body.contracts)) return res.status(400).json({ result: "contracts must be an array." });
+    if (body.contracts.length > MAX_CONTRACTS) {
+      return res.status(400).json({ result: `At most ${MAX_CONTRACTS} contracts per calculation.` });
+    }
+
+    return res.status(200).json(calculateCbt(body));
+  } catch (err) {
+    if (err instanceof CbtInputError) return res.status(400).json({ result: err.message });
+    console.error("/api/tools/cbt error:", err);
+    return res.status(500).json({ result: "Sorry—the calculation failed. Please try again." });
+  }
+}
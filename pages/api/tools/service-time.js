@@ -0,0 +1,31 @@
+// pages/api/tools/service-time.js
+// Service time calculator (lib/serviceTime.js): POST days per season, get credited service,
+// Super Two status and projected arbitration / free agency years.
+//
+// POST { seasons: [{ year, days, optionedDays? }], superTwoCutoff?: "2.116" | { "2024": "2.116" },
+//        projectFullSeasons? }
+// -> { service: { totalDays, years, days, label }, seasons: [{ year, credited, service, status, superTwo,
+//      projected }], superTwo, arbitrationYears, freeAgency, sources, notes }
+// Every rule applied carries { label, page, quote, href } into the 2022–2026 Basic Agreement.
+
+import { calculateServiceTime, ServiceTimeInputError } from "../../../lib/serviceTime";
+
+const MAX_SEASONS = 30;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return res.status(405).json({ result: "Method not allowed" });
+
+    const body = req.body ?? {};
+    if (!Array.isArray(body.seasons)) return res.status(400).json({ result: "seasons must be an array." });
+    if (body.seasons.length > MAX_SEASONS) {
+      return res.status(400).json({ result: `At most ${MAX_SEASONS} seasons per calculation.` });
+    }
+
+    return res.status(200).json(calculateServiceTime(body));
+  } catch (err) {
+    if (err instanceof ServiceTimeInputError) return res.status(400).json({ result: err.message });
+    console.error("/api/tools/service-time error:", err);
+    return res.status(500).json({ result: "Sorry—the calculation failed. Please try again." });
+  }
+}
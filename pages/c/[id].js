@@ -0,0 +1,107 @@
+// pages/c/[id].js
+// Read-only shared transcript of a saved conversation, citations intact. The link's ID is the
+// conversation's shareId, which can't be used to add to it.
+
+import Head from "next/head";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { getSharedConversation, sharedView } from "../../lib/conversations";
+import { documentIdFromHref, pdfPageFromHref, quoteForPage, viewerHref } from "../../lib/viewerLinks";
+import { getDocument } from "../../lib/documents";
+
+export async function getServerSideProps({ params }) {
+  const convo = getSharedConversation(params.id);
+  if (!convo) return { notFound: true };
+  return { props: { convo: sharedView(convo) } };
+}
+
+const STATUS_LABEL = {
+  verified: "quote verified",
+  wrong_page: "quote found on a different page",
+  not_found: "quote not found in the CBA",
+  no_quote: "no quote",
+};
+
+export default function SharedConversation({ convo }) {
+  const doc = getDocument(convo.documentId);
+  return (
+    <>
+      <Head>
+        <title>{convo.title || "MLB CBA conversation"} — MLB CBA Assistant</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="robots" content="noindex" />
+      </Head>
+      <div style={{ maxWidth: 820, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <h1 style={{ fontSize: 22 }}>{convo.title || "MLB CBA conversation"}</h1>
+        <p style={{ color: "#6b7280", fontSize: 13 }}>
+          Shared transcript · {doc?.title} · started {new Date(convo.createdAt).toLocaleString()} · read-only
+        </p>
+
+        {convo.messages.map((m, i) => (
+          <div
+            key={i}
+            style={{
+              margin: "14px 0",
+              padding: "12px 14px",
+              borderRadius: 12,
+              background: m.role === "user" ? "#2563eb" : "#f3f4f6",
+              color: m.role === "user" ? "#fff" : "#111827",
+              fontSize: 14,
+              lineHeight: 1.5,
+              wordBreak: "break-word",
+            }}
+          >
+            {m.role === "assistant" ? (
+              <>
+                <ReactMarkdown
+                  remarkPlugins={[remarkGfm]}
+                  components={{
+                    a: ({ node, href, ...props }) => {
+                      const page = pdfPageFromHref(href);
+                      const to = page
+                        ? viewerHref(page, quoteForPage(m.citations, page), documentIdFromHref(href))
+                        : href;
+                      return <a {...props} href={to} target="_blank" rel="noopener noreferrer" />;
+                    },
+                  }}
+                >
+                  {m.content}
+                </ReactMarkdown>
+                {m.citations?.length > 0 && (
+                  <ul style={{ fontSize: 13, color: "#374151", paddingLeft: 18 }}>
+                    {m.citations.map((c, j) => (
+                      <li key={j}>
+                        {c.label}
+                        {c.page ? (
+                          <>
+                            {" "}
+                            — <a href={viewerHref(c.page, c.quote, m.documentId)}>PDF page {c.page}</a>
+                          </>
+                        ) : (
+                          " — page not found"
+                        )}{" "}
+                        <span style={{ color: c.status === "verified" ? "#15803d" : "#b45309" }}>
+                          ({STATUS_LABEL[c.status] || c.status})
+                        </span>
+                        {c.outOfScope && <span style={{ color: "#b45309" }}> (outside the question’s scope)</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            ) : (
+              <>
+                {m.content}
+                {m.scope && <div style={{ fontSize: 12, opacity: 0.85, marginTop: 4 }}>Only: {m.scope}</div>}
+              </>
+            )}
+          </div>
+        ))}
+
+        <p style={{ color: "#aaa", fontSize: 13, marginTop: 24 }}>
+          For informational purposes only. Always consult the official <b>MLB CBA</b> for legal certainty.
+        </p>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,281 @@
+// pages/diff.js
+// What changed between two agreements: every article's status, and a side-by-side
+// section diff of one article (/diff?article=XXIII&from=<id>&to=<id>; /api/diff picks the
+// versions when they are left out). Says so instead when no two versions are loaded.
+
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { viewerHref } from "../lib/viewerLinks";
+import { getDocument } from "../lib/documents";
+import DocumentSelect from "../components/DocumentSelect";
+
+const STATUS_STYLE = {
+  added: { background: "#dcfce7", color: "#166534" },
+  removed: { background: "#fee2e2", color: "#991b1b" },
+  modified: { background: "#fef3c7", color: "#92400e" },
+  unchanged: { background: "#f3f4f6", color: "#4b5563" },
+};
+
+// Unchanged text longer than this is shortened to its start and end.
+const EQUAL_PREVIEW = 240;
+
+function Status({ status }) {
+  return (
+    <span style={{ ...STATUS_STYLE[status], borderRadius: 6, padding: "1px 8px", fontSize: 12, fontWeight: 600 }}>
+      {status}
+    </span>
+  );
+}
+
+function PageLink({ side, documentId }) {
+  if (!side) return <span style={{ color: "#9ca3af" }}>not in this version</span>;
+  const doc = getDocument(documentId);
+  const pages = side.start === side.end ? `p. ${side.start}` : `pp. ${side.start}–${side.end}`;
+  return (
+    <span>
+      <a href={viewerHref(side.start, "", documentId)}>{pages}</a>{" "}
+      <a href={`${doc.pdfHref}#page=${side.start}`} target="_blank" rel="noopener noreferrer" style={{ fontSize: 12 }}>
+        PDF
+      </a>
+    </span>
+  );
+}
+
+function Parts({ parts, mark }) {
+  return parts.map((p, i) => (
+    <span key={i}>
+      {i > 0 && " "}
+      {p.changed ? <span style={mark}>{p.text}</span> : p.text}
+    </span>
+  ));
+}
+
+function shorten(text) {
+  if (text.length <= EQUAL_PREVIEW) return text;
+  const half = Math.floor(EQUAL_PREVIEW / 2);
+  return `${text.slice(0, half)} … ${text.slice(-half)}`;
+}
+
+const cell = { padding: "6px 10px", fontSize: 13, lineHeight: 1.5, verticalAlign: "top", width: "50%" };
+const removedMark = { background: "#fecaca", textDecoration: "line-through" };
+const addedMark = { background: "#bbf7d0" };
+
+function Rows({ rows }) {
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", tableLayout: "fixed" }}>
+      <tbody>
+        {rows.map((r, i) =>
+          r.type === "equal" ? (
+            <tr key={i} style={{ color: "#6b7280" }}>
+              <td style={cell}>{shorten(r.text)}</td>
+              <td style={cell}>{shorten(r.text)}</td>
+            </tr>
+          ) : (
+            <tr key={i}>
+              <td style={{ ...cell, background: r.removed ? "#fef2f2" : "transparent" }}>
+                <Parts parts={r.removedParts} mark={removedMark} />
+              </td>
+              <td style={{ ...cell, background: r.added ? "#f0fdf4" : "transparent" }}>
+                <Parts parts={r.addedParts} mark={addedMark} />
+              </td>
+            </tr>
+          )
+        )}
+      </tbody>
+    </table>
+  );
+}
+
+function sectionTitle(s) {
+  const title = s.to?.title || s.from?.title;
+  if (!s.key) return "Opening text";
+  const moved = s.from && s.to && s.from.key !== s.to.key ? ` (was ${s.from.key}.)` : "";
+  return `${s.key}. ${title}${moved}`;
+}
+
+export default function DiffPage() {
+  const router = useRouter();
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [article, setArticle] = useState("");
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [unavailable, setUnavailable] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Load the comparison in the URL so it can be linked to.
+  useEffect(() => {
+    if (!router.isReady) return;
+    const pick = (id) => (typeof id === "string" && getDocument(id)?.id) || "";
+    const f = pick(router.query.from);
+    const t = pick(router.query.to);
+    const art = typeof router.query.article === "string" ? router.query.article : "";
+    if (f) setFrom(f);
+    if (t) setTo(t);
+    setArticle(art);
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError("");
+    setUnavailable("");
+    setData(null);
+    const params = new URLSearchParams();
+    if (f) params.set("from", f);
+    if (t) params.set("to", t);
+    if (art) params.set("article", art);
+    fetch(`/api/diff?${params}`, { signal: controller.signal })
+      .then(async (r) => {
+        const body = await r.json();
+        if (body.code === "diff_unavailable") return setUnavailable(body.result);
+        if (!r.ok) throw new Error(body.result || `HTTP ${r.status}`);
+        setData(body);
+        setFrom(body.from);
+        setTo(body.to);
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [router.isReady, router.query.from, router.query.to, router.query.article]);
+
+  const query = (extra) => ({ ...(from && { from }), ...(to && { to }), ...extra });
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    router.push({ pathname: "/diff", query: query(article.trim() ? { article: article.trim() } : {}) });
+  };
+
+  const fromDoc = from ? getDocument(from) : null;
+  const toDoc = to ? getDocument(to) : null;
+  const sections = data?.sections?.filter((s) => showUnchanged || s.status !== "unchanged") || [];
+  const articles = data?.articles?.filter((a) => showUnchanged || a.status !== "unchanged") || [];
+
+  return (
+    <>
+      <Head>
+        <title>
+          {fromDoc && toDoc ? `What changed — ${fromDoc.shortTitle} vs ${toDoc.shortTitle}` : "What changed"}
+        </title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <div style={{ maxWidth: 1100, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <h1>What changed?</h1>
+        <p style={{ color: "#555", fontSize: 14 }}>
+          Compare two agreements article by article. Removed text is struck through on the left, added text is
+          highlighted on the right.
+        </p>
+        {unavailable ? (
+          <p style={{ background: "#f3f4f6", borderRadius: 8, padding: "12px 14px", color: "#374151" }}>
+            {unavailable}
+          </p>
+        ) : (
+          <>
+            <form onSubmit={onSubmit} style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              <DocumentSelect value={from} onChange={setFrom} style={{ fontSize: 15, padding: 8 }} />
+              <span>→</span>
+              <DocumentSelect value={to} onChange={setTo} style={{ fontSize: 15, padding: 8 }} />
+              <input
+                value={article}
+                onChange={(e) => setArticle(e.target.value)}
+                placeholder="Article, e.g. XXIII (blank for all)"
+                style={{ flex: 1, minWidth: 200, padding: 8, fontSize: 15 }}
+              />
+              <button type="submit" style={{ padding: "8px 16px", fontSize: 15 }}>
+                Compare
+              </button>
+            </form>
+            <label style={{ display: "block", fontSize: 13, color: "#555", margin: "10px 0" }}>
+              <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />{" "}
+              Show unchanged
+            </label>
+          </>
+        )}
+
+        {loading && <p style={{ color: "#6b7280" }}>Comparing…</p>}
+        {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+
+        {data?.articles && (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ textAlign: "left", borderBottom: "2px solid #e5e7eb" }}>
+                <th style={{ padding: 6 }}>Article</th>
+                <th style={{ padding: 6 }}>Status</th>
+                <th style={{ padding: 6 }}>{fromDoc.shortTitle}</th>
+                <th style={{ padding: 6 }}>{toDoc.shortTitle}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {articles.map((a) => (
+                <tr key={`${a.from?.key}|${a.to?.key}`} style={{ borderBottom: "1px solid #f3f4f6" }}>
+                  <td style={{ padding: 6 }}>
+                    <Link href={{ pathname: "/diff", query: query({ article: a.to?.key || a.from.key }) }}>
+                      {a.key} — {a.to?.title || a.from?.title}
+                    </Link>
+                    {a.from && a.to && a.from.key !== a.to.key && (
+                      <span style={{ color: "#6b7280" }}> (was {a.from.key})</span>
+                    )}
+                  </td>
+                  <td style={{ padding: 6 }}>
+                    <Status status={a.status} />
+                  </td>
+                  <td style={{ padding: 6 }}>
+                    <PageLink side={a.from} documentId={data.from} />
+                  </td>
+                  <td style={{ padding: 6 }}>
+                    <PageLink side={a.to} documentId={data.to} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {data?.sections && (
+          <>
+            <p style={{ fontSize: 14 }}>
+              <Link href={{ pathname: "/diff", query: query({}) }}>← All articles</Link>
+            </p>
+            <h2 style={{ marginBottom: 4 }}>
+              {data.article.key} — {data.article.to?.title || data.article.from?.title}{" "}
+              <Status status={data.article.status} />
+            </h2>
+            <p style={{ fontSize: 13, color: "#555", marginTop: 0 }}>
+              {fromDoc.shortTitle}: <PageLink side={data.article.from} documentId={data.from} /> · {toDoc.shortTitle}:{" "}
+              <PageLink side={data.article.to} documentId={data.to} />
+            </p>
+            {!sections.length && <p style={{ color: "#6b7280" }}>No text changes in this article.</p>}
+            {sections.map((s) => (
+              <section
+                key={`${s.from?.key}|${s.to?.key}`}
+                style={{ border: "1px solid #e5e7eb", borderRadius: 8, margin: "14px 0", overflow: "hidden" }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    flexWrap: "wrap",
+                    gap: 8,
+                    alignItems: "center",
+                    background: "#f9fafb",
+                    padding: "8px 10px",
+                    fontSize: 14,
+                  }}
+                >
+                  <b>{sectionTitle(s)}</b>
+                  <Status status={s.status} />
+                  <span style={{ marginLeft: "auto", fontSize: 13 }}>
+                    <PageLink side={s.from} documentId={data.from} /> → <PageLink side={s.to} documentId={data.to} />
+                  </span>
+                </div>
+                <Rows rows={s.rows} />
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
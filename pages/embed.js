@@ -1,73 +1,140 @@
-import { useState, useRef, useEffect } from "react";
+// pages/embed.js
+// The embeddable chat (iframed directly, via /embed-iframe, or by public/widget.js).
+// Title, colors, default document, starter questions and locale come from the query
+// string (lib/embedConfig.js); replies are announced to the host page (lib/embedHost.js).
+// The transcript, question box and conversation state come from components/chat.
+
+import { useState, useEffect, useMemo } from "react";
 import Head from "next/head";
-import ReactMarkdown from "react-markdown";
-import remarkGfm from "remark-gfm";
+import { useRouter } from "next/router";
+import dynamic from "next/dynamic";
+import { getDocument } from "../lib/documents";
+import { parseEmbedConfig, embedStrings } from "../lib/embedConfig";
+import { postToHost } from "../lib/embedHost";
+import {
+  listConversationIds,
+  rememberConversation,
+  forgetCurrentConversation,
+  currentConversationId,
+  shareUrl,
+} from "../lib/conversationHistory";
+
+import ExportMenu from "../components/ExportMenu";
+import DocumentSelect from "../components/DocumentSelect";
+import ServiceTimeForm from "../components/ServiceTimeForm";
+import { useChat, MessageList, ChatInput, chatThemeStyle } from "../components/chat";
+
+const PdfViewer = dynamic(() => import("../components/PdfViewer"), { ssr: false });
+
+const toolButton = {
+  background: "transparent",
+  color: "var(--cba-ink)",
+  border: "1px solid #d1d5db",
+  borderRadius: 6,
+  padding: "3px 10px",
+  fontSize: 13,
+  cursor: "pointer",
+};
 
 export default function EmbedChat() {
-  const [messages, setMessages] = useState([]);
-  const [threadId, setThreadId] = useState(null);
-  const [input, setInput] = useState("");
-  const [isTyping, setIsTyping] = useState(false);
-  const [error, setError] = useState("");
-  const messagesEndRef = useRef(null);
+  const router = useRouter();
+  const config = useMemo(() => parseEmbedConfig(router.query), [router.query]);
+  const t = useMemo(() => embedStrings(config.locale), [config.locale]);
+  const [history, setHistory] = useState(null); // sidebar rows while the history drawer is open
+  const [showServiceTime, setShowServiceTime] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [viewer, setViewer] = useState(null); // { page, quote, documentId } while the PDF panel is open
+  const [scope, setScope] = useState(""); // "Article XXIII(B)", "pp. 120–130", … — answers stay inside it
+  const [scopeDraft, setScopeDraft] = useState(null); // text of the "Limit to…" field while it is open
+  const chat = useChat({
+    scope,
+    onMeta: (meta) => meta?.conversationId && rememberConversation(meta.conversationId),
+    onAnswer: ({ question, data }) =>
+      postToHost("answer", {
+        question,
+        answer: data.result,
+        citations: data.citations || [],
+        conversationId: data.conversationId,
+        documentId: data.documentId,
+      }),
+  });
+  const { documentId, conversationId, shareId, isTyping } = chat;
 
+  const loadConversation = async (id) => {
+    const r = await fetch(`/api/conversations/${encodeURIComponent(id)}`);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const convo = await r.json();
+    chat.restore(convo);
+    rememberConversation(convo.id);
+  };
+
+  // Restore the conversation that was open before a reload.
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, isTyping]);
+    const id = currentConversationId();
+    if (id) loadConversation(id).catch(() => forgetCurrentConversation());
+    postToHost("ready");
+  }, []);
 
-  const submit = async (text) => {
-    const userMessage = { role: "user", content: text };
-    setMessages((prev) => [...prev, userMessage]);
-    setInput("");
-    setIsTyping(true);
-    setError("");
+  // The embedding site's default agreement, unless a restored conversation picked one.
+  useEffect(() => {
+    if (router.isReady && !currentConversationId()) chat.setDocumentId(config.documentId);
+  }, [router.isReady, config.documentId]);
 
-    try {
-      const res = await fetch("/api/chat", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message: text, threadId }),
-      });
+  // Opened from /toc: limited to that section, with a question about it ready to edit or send.
+  useEffect(() => {
+    if (!config.scope) return;
+    setScope(config.scope);
+    chat.setInput((v) => v || t("askAboutScope", { scope: config.scope }));
+  }, [config.scope]);
 
-      if (!res.ok) {
-        const body = await res.text();
-        throw new Error(body || `HTTP ${res.status}`);
-      }
+  const changeDocument = (id) => {
+    chat.setDocumentId(id);
+    setScope(""); // scope labels and page ranges belong to one agreement
+  };
 
-      const data = await res.json();
-      if (data?.threadId && !threadId) setThreadId(data.threadId);
+  const applyScope = (e) => {
+    e.preventDefault();
+    setScope((scopeDraft || "").trim());
+    setScopeDraft(null);
+  };
 
-      const assistantMessage = {
-        role: "assistant",
-        content: data.result || "No response from assistant.",
-      };
-      setMessages((prev) => [...prev, assistantMessage]);
+  const openHistory = async () => {
+    setHistory([]);
+    const ids = listConversationIds();
+    if (!ids.length) return;
+    try {
+      const r = await fetch(`/api/conversations?ids=${ids.map(encodeURIComponent).join(",")}`);
+      const data = await r.json();
+      setHistory(data.conversations || []);
     } catch (e) {
       console.error(e);
-      setError("Sorry—something went wrong. Please try again.");
-    } finally {
-      setIsTyping(false);
     }
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!input.trim() || isTyping) return;
-    submit(input.trim());
+  const startNewChat = () => {
+    chat.reset();
+    setHistory(null);
+    forgetCurrentConversation();
   };
 
-  const handleKeyDown = (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
-      e.preventDefault();
-      if (!input.trim() || isTyping) return;
-      submit(input.trim());
+  const share = async () => {
+    if (!shareId) return;
+    const url = shareUrl(shareId);
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice(t("shareCopied"));
+    } catch {
+      setNotice(url);
     }
+    setTimeout(() => setNotice(""), 4000);
   };
 
+  const doc = getDocument(documentId);
+
   return (
     <>
       <Head>
-        <title>MLB CBA Assistant</title>
+        <title>{config.title}</title>
         <meta name="viewport" content="width=device-width, initial-scale=1" />
         <link
           href="https://fonts.googleapis.com/css2?family=Instrument+Sans:wght@400;700&display=swap"
@@ -80,15 +147,21 @@ export default function EmbedChat() {
           @media (max-width: 640px) {
             .card { max-width: 100vw !important; border-left: none !important; border-right: none !important; box-shadow: none !important; }
           }
-          a { color: #2563eb; }
+          a { color: var(--cba-primary); }
+          .viewer-panel { position: fixed; inset: 0; z-index: 10; background: #fff; display: flex; flex-direction: column; }
+          @media (min-width: 1100px) {
+            .viewer-panel { position: static; width: min(640px, 48vw); border: 3px solid var(--cba-ink); border-left: none; box-sizing: border-box; }
+          }
         `}</style>
       </Head>
 
       <div
         className="vh"
+        lang={config.locale}
         style={{
-          background: "#ffe066",
-          fontFamily: "'Instrument Sans', sans-serif",
+          ...chatThemeStyle({ ...config.colors, font: "'Instrument Sans', sans-serif" }),
+          background: "var(--cba-accent)",
+          fontFamily: "var(--cba-font)",
           width: "100vw",
           boxSizing: "border-box",
           display: "flex",
@@ -98,6 +171,7 @@ export default function EmbedChat() {
         <div
           className="card vh"
           style={{
+            position: "relative",
             background: "#fff",
             width: "100vw",
             maxWidth: 520,
@@ -106,40 +180,64 @@ export default function EmbedChat() {
             boxShadow: "0 2px 24px rgba(0,0,0,0.10)",
             display: "flex",
             flexDirection: "column",
-            border: "3px solid #222",
+            border: "3px solid var(--cba-ink)",
             boxSizing: "border-box",
           }}
         >
           <div
             style={{
-              background: "#222",
-              color: "#ffe066",
+              position: "relative",
+              background: "var(--cba-ink)",
+              color: "var(--cba-accent)",
               padding: "10px 0 6px 0",
               textAlign: "center",
               fontWeight: 700,
               fontSize: "clamp(1.05rem, 2vw, 1.1rem)",
               letterSpacing: "0.3px",
-              borderBottom: "2px solid #222",
+              borderBottom: "2px solid var(--cba-ink)",
               flexShrink: 0,
             }}
           >
-            MLB CBA Assistant
-            <div
-              style={{
-                fontWeight: 400,
-                fontSize: "clamp(0.9rem, 1.8vw, 0.98rem)",
-                color: "#fff7cc",
-                marginTop: 1,
-              }}
-            >
-              by Mitch Leblanc
-            </div>
+            {config.title}
+            {config.subtitle && (
+              <div
+                style={{
+                  fontWeight: 400,
+                  fontSize: "clamp(0.9rem, 1.8vw, 0.98rem)",
+                  color: "var(--cba-accent)",
+                  opacity: 0.85,
+                  marginTop: 1,
+                }}
+              >
+                {config.subtitle}
+              </div>
+            )}
+            {config.widget && (
+              <button
+                type="button"
+                onClick={() => postToHost("request-close")}
+                aria-label={t("closeChat")}
+                style={{
+                  position: "absolute",
+                  top: 8,
+                  right: 10,
+                  background: "transparent",
+                  color: "var(--cba-accent)",
+                  border: "none",
+                  fontSize: 20,
+                  lineHeight: 1,
+                  cursor: "pointer",
+                }}
+              >
+                ×
+              </button>
+            )}
           </div>
 
           <div
             style={{
-              background: "#fff8dc",
-              borderBottom: "1.5px solid #f1c40f",
+              background: "var(--cba-soft)",
+              borderBottom: "1.5px solid var(--cba-accent)",
               padding: "min(10px, 2vw) min(6vw, 20px)",
               fontSize: "clamp(0.97rem, 2vw, 1rem)",
               color: "#333",
@@ -147,128 +245,302 @@ export default function EmbedChat() {
               flexShrink: 0,
             }}
           >
-            <b>Ask anything about the 2022 MLB CBA.</b>
-            <div style={{ marginTop: 10 }}>
-              <a
-                href="https://mitchleblanc.xyz"
-                target="_blank"
-                rel="noopener noreferrer"
-                style={{
-                  background: "#222",
-                  color: "#ffe066",
-                  border: "none",
-                  borderRadius: 8,
-                  padding: "8px 18px",
-                  textDecoration: "none",
-                  fontWeight: 600,
-                  fontSize: "clamp(0.95rem, 2vw, 1rem)",
-                  marginTop: 8,
-                  display: "inline-block",
-                  width: "100%",
-                  maxWidth: 250,
-                }}
-              >
-                ← Back to Website
-              </a>
-            </div>
+            <b>{t("askAnything", { title: doc.title })}</b>
+            {config.backUrl && (
+              <div style={{ marginTop: 10 }}>
+                <a
+                  href={config.backUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{
+                    background: "var(--cba-ink)",
+                    color: "var(--cba-accent)",
+                    border: "none",
+                    borderRadius: 8,
+                    padding: "8px 18px",
+                    textDecoration: "none",
+                    fontWeight: 600,
+                    fontSize: "clamp(0.95rem, 2vw, 1rem)",
+                    marginTop: 8,
+                    display: "inline-block",
+                    width: "100%",
+                    maxWidth: 250,
+                  }}
+                >
+                  {config.backLabel || t("back")}
+                </a>
+              </div>
+            )}
           </div>
 
           <div
-            role="log"
-            aria-live="polite"
-            aria-relevant="additions"
             style={{
-              flex: 1,
-              minHeight: 0,
-              padding: "min(16px, 3vw)",
-              overflowY: "auto",
               display: "flex",
-              flexDirection: "column",
-              gap: 10,
-              background: "#fff",
+              flexWrap: "wrap",
+              gap: 6,
+              alignItems: "center",
+              padding: "6px 10px",
+              borderBottom: "1px solid #e5e7eb",
+              fontSize: 13,
+              flexShrink: 0,
             }}
           >
-            {messages.map((msg, i) => (
+            <DocumentSelect value={documentId} onChange={changeDocument} disabled={isTyping} />
+            <button type="button" onClick={openHistory} style={toolButton}>
+              {t("history")}
+            </button>
+            <button type="button" onClick={startNewChat} disabled={isTyping} style={toolButton}>
+              {t("newChat")}
+            </button>
+            {shareId && (
+              <button type="button" onClick={share} style={toolButton}>
+                {t("share")}
+              </button>
+            )}
+            <button type="button" onClick={() => setShowServiceTime(true)} style={toolButton}>
+              {t("serviceTime")}
+            </button>
+            <ExportMenu conversationId={conversationId} style={{ marginLeft: 4 }} />
+            {notice && <span style={{ color: "#6b7280", marginLeft: 4, wordBreak: "break-all" }}>{notice}</span>}
+          </div>
+
+          {history && (
+            <div
+              role="dialog"
+              aria-label={t("pastConversations")}
+              style={{
+                position: "absolute",
+                inset: 0,
+                zIndex: 5,
+                background: "#fff",
+                display: "flex",
+                flexDirection: "column",
+              }}
+            >
               <div
-                key={i}
                 style={{
-                  alignSelf: msg.role === "user" ? "flex-end" : "flex-start",
-                  background: msg.role === "user" ? "#2563eb" : "#e5e7eb",
-                  color: msg.role === "user" ? "white" : "#111827",
-                  padding: "12px 14px",
-                  borderRadius: 12,
-                  maxWidth: "90vw",
-                  fontSize: 14,
-                  lineHeight: 1.4,
-                  wordBreak: "break-word",
+                  background: "var(--cba-ink)",
+                  color: "var(--cba-accent)",
+                  padding: "8px 12px",
+                  display: "flex",
+                  alignItems: "center",
+                  fontWeight: 700,
                 }}
               >
-                {msg.role === "assistant" ? (
-                  <ReactMarkdown remarkPlugins={[remarkGfm]} linkTarget="_blank">
-                    {msg.content}
-                  </ReactMarkdown>
-                ) : (
-                  <ReactMarkdown>{msg.content}</ReactMarkdown>
+                {t("pastConversations")}
+                <button
+                  type="button"
+                  onClick={() => setHistory(null)}
+                  style={{
+                    ...toolButton,
+                    marginLeft: "auto",
+                    color: "var(--cba-accent)",
+                    borderColor: "var(--cba-accent)",
+                  }}
+                >
+                  {t("close")}
+                </button>
+              </div>
+              <div style={{ flex: 1, overflowY: "auto" }}>
+                {!history.length && (
+                  <div style={{ padding: 16, color: "#6b7280", fontSize: 14 }}>{t("noConversations")}</div>
                 )}
+                {history.map((c) => (
+                  <button
+                    key={c.id}
+                    type="button"
+                    onClick={() => {
+                      setHistory(null);
+                      loadConversation(c.id).catch(() => chat.setFailure({ message: t("loadError") }));
+                    }}
+                    style={{
+                      display: "block",
+                      width: "100%",
+                      textAlign: "left",
+                      background: c.id === conversationId ? "var(--cba-soft)" : "#fff",
+                      border: "none",
+                      borderBottom: "1px solid #f3f4f6",
+                      padding: "10px 14px",
+                      cursor: "pointer",
+                      fontSize: 14,
+                    }}
+                  >
+                    <div style={{ fontWeight: 600, color: "#111827" }}>{c.title}</div>
+                    <div style={{ fontSize: 12, color: "#6b7280" }}>
+                      {new Date(c.updatedAt).toLocaleString()} · {c.messageCount} {t("messages")}
+                    </div>
+                  </button>
+                ))}
               </div>
-            ))}
-            {isTyping && (
-              <div style={{ fontSize: 12, color: "#6b7280", fontStyle: "italic" }}>
-                Assistant is reviewing the CBA… One moment.
+            </div>
+          )}
+
+          {showServiceTime && (
+            <div
+              role="dialog"
+              aria-label={t("serviceTimeTitle")}
+              style={{
+                position: "absolute",
+                inset: 0,
+                zIndex: 5,
+                background: "#fff",
+                display: "flex",
+                flexDirection: "column",
+              }}
+            >
+              <div
+                style={{
+                  background: "var(--cba-ink)",
+                  color: "var(--cba-accent)",
+                  padding: "8px 12px",
+                  display: "flex",
+                  alignItems: "center",
+                  fontWeight: 700,
+                }}
+              >
+                {t("serviceTimeTitle")}
+                <button
+                  type="button"
+                  onClick={() => setShowServiceTime(false)}
+                  style={{
+                    ...toolButton,
+                    marginLeft: "auto",
+                    color: "var(--cba-accent)",
+                    borderColor: "var(--cba-accent)",
+                  }}
+                >
+                  {t("close")}
+                </button>
               </div>
-            )}
-            {error && (
-              <div style={{ fontSize: 12, color: "#b91c1c" }}>{error}</div>
-            )}
-            <div ref={messagesEndRef} />
-          </div>
+              <div style={{ flex: 1, overflowY: "auto" }}>
+                <ServiceTimeForm onOpenSource={setViewer} />
+              </div>
+            </div>
+          )}
+
+          <MessageList
+            messages={chat.messages}
+            isTyping={isTyping}
+            failure={chat.failure}
+            onRetry={chat.retry}
+            conversationId={conversationId}
+            documentId={documentId}
+            onOpenCitation={setViewer}
+            t={t}
+            style={{ padding: "min(16px, 3vw)", background: "#fff" }}
+            empty={
+              config.questions.length > 0 && (
+                <div style={{ fontSize: 13, color: "#6b7280" }}>
+                  {t("tryAsking")}
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
+                    {config.questions.map((q) => (
+                      <button
+                        key={q}
+                        type="button"
+                        onClick={() => chat.send(q)}
+                        style={{
+                          background: "var(--cba-soft)",
+                          border: "1px solid var(--cba-accent)",
+                          borderRadius: 14,
+                          padding: "5px 12px",
+                          fontSize: 13,
+                          color: "#111827",
+                          cursor: "pointer",
+                          textAlign: "left",
+                        }}
+                      >
+                        {q}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )
+            }
+          />
 
-          <form
-            onSubmit={handleSubmit}
+          <div
             style={{
               display: "flex",
-              padding: "min(12px, 2.2vw)",
-              borderTop: "1px solid #e5e7eb",
+              alignItems: "center",
+              gap: 6,
+              padding: "6px min(12px, 2.2vw) 0",
               background: "#fafafa",
-              gap: 8,
+              borderTop: "1px solid #e5e7eb",
+              fontSize: 12,
               flexShrink: 0,
             }}
           >
-            <textarea
-              rows={1}
-              onKeyDown={handleKeyDown}
-              style={{
-                flex: 1,
-                padding: "10px 14px",
-                border: "1px solid #d1d5db",
-                borderRadius: 8,
-                fontSize: 14,
-                resize: "none",
-                width: 0,
-                minWidth: 0,
-              }}
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              placeholder="Ask me about the MLB CBA…"
-            />
-            <button
-              type="submit"
-              disabled={isTyping || !input.trim()}
-              style={{
-                background: isTyping ? "#9ca3af" : "#2563eb",
-                color: "white",
-                border: "none",
-                padding: "10px 16px",
-                borderRadius: 8,
-                cursor: isTyping ? "not-allowed" : "pointer",
-                fontSize: "1rem",
-                opacity: isTyping ? 0.8 : 1,
-              }}
-              aria-disabled={isTyping}
-            >
-              Send
-            </button>
-          </form>
+            {scope ? (
+              <span
+                style={{
+                  display: "inline-flex",
+                  alignItems: "center",
+                  gap: 4,
+                  background: "var(--cba-soft)",
+                  border: "1px solid var(--cba-accent)",
+                  borderRadius: 999,
+                  padding: "2px 4px 2px 10px",
+                }}
+              >
+                {t("scopeOnly", { scope })}
+                <button
+                  type="button"
+                  onClick={() => setScope("")}
+                  aria-label={t("clearScope")}
+                  title={t("clearScope")}
+                  disabled={isTyping}
+                  style={{ border: "none", background: "none", cursor: "pointer", fontSize: 14, lineHeight: 1 }}
+                >
+                  ×
+                </button>
+              </span>
+            ) : scopeDraft !== null ? (
+              <form onSubmit={applyScope} style={{ display: "flex", gap: 4, flex: 1 }}>
+                <input
+                  autoFocus
+                  value={scopeDraft}
+                  onChange={(e) => setScopeDraft(e.target.value)}
+                  onKeyDown={(e) => e.key === "Escape" && setScopeDraft(null)}
+                  placeholder={t("scopePlaceholder")}
+                  aria-label={t("limitTo")}
+                  style={{ flex: 1, minWidth: 0, padding: "3px 8px", fontSize: 12 }}
+                />
+                <button type="submit" disabled={!scopeDraft.trim()} style={{ fontSize: 12 }}>
+                  {t("apply")}
+                </button>
+                <button type="button" onClick={() => setScopeDraft(null)} style={{ fontSize: 12 }}>
+                  {t("close")}
+                </button>
+              </form>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setScopeDraft("")}
+                style={{
+                  border: "1px dashed #d1d5db",
+                  background: "none",
+                  borderRadius: 999,
+                  padding: "2px 10px",
+                  cursor: "pointer",
+                  fontSize: 12,
+                  color: "#555",
+                }}
+              >
+                {t("limitTo")}
+              </button>
+            )}
+          </div>
+
+          <ChatInput
+            value={chat.input}
+            onChange={chat.setInput}
+            onSend={chat.send}
+            onStop={chat.stop}
+            isTyping={isTyping}
+            placeholder={t("placeholder", { doc: doc.shortTitle })}
+            t={t}
+            style={{ padding: "min(12px, 2.2vw)", flexShrink: 0 }}
+          />
 
           <div
             style={{
@@ -277,17 +549,65 @@ export default function EmbedChat() {
               fontSize: "clamp(0.86rem, 1.5vw, 0.93rem)",
               textAlign: "center",
               padding: "7px 0 9px 0",
-              borderTop: "1px solid #f3e0a8",
+              borderTop: "1px solid var(--cba-accent)",
               wordBreak: "break-word",
               flexShrink: 0,
             }}
           >
-            &copy; {new Date().getFullYear()} Mitch Leblanc.<br />
-            <span style={{ color: "#aaa" }}>
-              For informational purposes only. Always consult the official <b>MLB CBA</b> for legal certainty.
-            </span>
+            &copy; {new Date().getFullYear()} {config.owner}.<br />
+            <span style={{ color: "#aaa" }}>{t("disclaimer", { doc: doc.shortTitle })}</span>
           </div>
         </div>
+
+        {viewer && (
+          <aside className="viewer-panel vh" aria-label="CBA page viewer">
+            <div
+              style={{
+                background: "var(--cba-ink)",
+                color: "var(--cba-accent)",
+                padding: "8px 12px",
+                display: "flex",
+                alignItems: "center",
+                fontWeight: 700,
+                flexShrink: 0,
+              }}
+            >
+              {getDocument(viewer.documentId).shortTitle} — {t("pdfPage")} {viewer.page}
+              <button
+                type="button"
+                onClick={() => setViewer(null)}
+                aria-label={t("close")}
+                style={{
+                  marginLeft: "auto",
+                  background: "transparent",
+                  color: "var(--cba-accent)",
+                  border: "1px solid var(--cba-accent)",
+                  borderRadius: 6,
+                  padding: "2px 10px",
+                  cursor: "pointer",
+                }}
+              >
+                {t("close")}
+              </button>
+            </div>
+            {viewer.quote && (
+              <div
+                style={{
+                  background: "var(--cba-soft)",
+                  borderBottom: "1.5px solid var(--cba-accent)",
+                  padding: "6px 12px",
+                  fontSize: 13,
+                  flexShrink: 0,
+                }}
+              >
+                <b>{t("quoted")}</b> “{viewer.quote}”
+              </div>
+            )}
+            <div style={{ flex: 1, minHeight: 0 }}>
+              <PdfViewer page={viewer.page} quote={viewer.quote} src={getDocument(viewer.documentId).pdfHref} />
+            </div>
+          </aside>
+        )}
       </div>
     </>
   );
@@ -0,0 +1,141 @@
+// pages/glossary.js
+// Defined terms of the agreement, A–Z, each with its definition and a link to where it is defined.
+
+import { useEffect, useMemo, useState } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import { viewerHref } from "../lib/viewerLinks";
+import { DEFAULT_DOCUMENT_ID, getDocument } from "../lib/documents";
+import DocumentSelect from "../components/DocumentSelect";
+
+const initial = (term) => (/^[a-z]/i.test(term) ? term[0].toUpperCase() : "#");
+
+export default function GlossaryPage() {
+  const router = useRouter();
+  const [documentId, setDocumentId] = useState(DEFAULT_DOCUMENT_ID);
+  const [filter, setFilter] = useState("");
+  const [terms, setTerms] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    setDocumentId(getDocument(router.query.doc)?.id || DEFAULT_DOCUMENT_ID);
+    if (typeof router.query.q === "string") setFilter(router.query.q);
+  }, [router.isReady, router.query.doc]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setTerms(null);
+    setError("");
+    fetch(`/api/glossary?documentId=${encodeURIComponent(documentId)}`, { signal: controller.signal })
+      .then(async (r) => {
+        const body = await r.json();
+        if (!r.ok) throw new Error(body.result || `HTTP ${r.status}`);
+        setTerms(body.terms);
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      });
+    return () => controller.abort();
+  }, [documentId]);
+
+  const shown = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    if (!terms || !needle) return terms || [];
+    return terms.filter(
+      (t) =>
+        t.term.toLowerCase().includes(needle) ||
+        t.aliases.some((a) => a.toLowerCase().includes(needle)) ||
+        t.definition.toLowerCase().includes(needle)
+    );
+  }, [terms, filter]);
+
+  const groups = useMemo(() => {
+    const out = new Map();
+    for (const t of shown) {
+      const key = initial(t.term);
+      if (!out.has(key)) out.set(key, []);
+      out.get(key).push(t);
+    }
+    return [...out.entries()];
+  }, [shown]);
+
+  const changeDocument = (id) => {
+    setDocumentId(id);
+    const query = id !== DEFAULT_DOCUMENT_ID ? { doc: id } : {};
+    router.replace({ pathname: "/glossary", query }, undefined, { shallow: true });
+  };
+
+  const doc = getDocument(documentId);
+
+  return (
+    <>
+      <Head>
+        <title>Glossary — {doc.shortTitle}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <div style={{ maxWidth: 900, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <h1>Defined terms in the {doc.title}</h1>
+        <p style={{ color: "#555", fontSize: 14 }}>
+          Terms the agreement defines, with the sentence that defines them. The same definitions appear when
+          you hover an underlined term in a chat answer.
+        </p>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <DocumentSelect value={documentId} onChange={changeDocument} style={{ fontSize: 15, padding: 10 }} />
+          <input
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter terms, e.g. payroll"
+            aria-label="Filter terms"
+            style={{ flex: 1, minWidth: 240, padding: 10, fontSize: 15 }}
+          />
+        </div>
+
+        {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+        {!terms && !error && <p style={{ color: "#6b7280" }}>Loading…</p>}
+        {terms && (
+          <p style={{ color: "#555", fontSize: 14 }}>
+            {shown.length} of {terms.length} term{terms.length === 1 ? "" : "s"}.
+          </p>
+        )}
+        {groups.length > 1 && (
+          <nav aria-label="Jump to letter" style={{ fontSize: 14, marginBottom: 8 }}>
+            {groups.map(([letter]) => (
+              <a key={letter} href={`#letter-${letter}`} style={{ marginRight: 8 }}>
+                {letter}
+              </a>
+            ))}
+          </nav>
+        )}
+
+        {groups.map(([letter, list]) => (
+          <section key={letter} id={`letter-${letter}`}>
+            <h2 style={{ borderBottom: "2px solid #ffe066", paddingBottom: 2 }}>{letter}</h2>
+            <dl style={{ margin: 0 }}>
+              {list.map((t) => (
+                <div key={t.term} style={{ borderTop: "1px solid #e5e7eb", padding: "10px 0" }}>
+                  <dt style={{ fontWeight: 700 }}>
+                    {t.term}
+                    {t.aliases.length > 0 && (
+                      <span style={{ fontWeight: 400, color: "#6b7280" }}> (also “{t.aliases.join("”, “")}”)</span>
+                    )}
+                  </dt>
+                  <dd style={{ margin: "4px 0 0 0", fontSize: 14, lineHeight: 1.5, color: "#222" }}>
+                    {t.definition}
+                    <div style={{ marginTop: 4, fontSize: 13 }}>
+                      {t.label ? `${t.label} — ` : ""}PDF page {t.page}{" "}
+                      <a href={viewerHref(t.page, t.term, documentId)}>View</a>{" "}
+                      <a href={t.href} target="_blank" rel="noopener noreferrer">
+                        Open PDF
+                      </a>
+                    </div>
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -1,14 +1,18 @@
 import Head from 'next/head';
 import ChatWindow from '../components/ChatWindow';
+import { DOCUMENTS } from '../lib/documents';
 
 export default function Home() {
   return (
     <>
       <Head>
-        <title>NBA CBA Assistant</title>
+        <title>CBA Assistant</title>
       </Head>
       <main>
-        <h1 style={{ textAlign: 'center' }}>Ask the NBA CBA Assistant</h1>
+        <h1 style={{ textAlign: 'center' }}>Ask the CBA Assistant</h1>
+        <p style={{ textAlign: 'center', color: '#6b7280' }}>
+          Ask about {DOCUMENTS.map((d) => `the ${d.title}`).join(' or ')}.
+        </p>
         <ChatWindow />
       </main>
     </>
@@ -0,0 +1,136 @@
+// pages/search.js
+// Search the agreement directly: phrases, AND/OR, and an article filter. No model involved.
+
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import { viewerHref } from "../lib/viewerLinks";
+import { DEFAULT_DOCUMENT_ID, getDocument } from "../lib/documents";
+import DocumentSelect from "../components/DocumentSelect";
+
+function Highlighted({ text, ranges }) {
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([a, b], i) => {
+    if (a > at) parts.push(text.slice(at, a));
+    parts.push(<mark key={i}>{text.slice(a, b)}</mark>);
+    at = b;
+  });
+  parts.push(text.slice(at));
+  return <>{parts}</>;
+}
+
+export default function SearchPage() {
+  const router = useRouter();
+  const [q, setQ] = useState("");
+  const [article, setArticle] = useState("");
+  const [documentId, setDocumentId] = useState(DEFAULT_DOCUMENT_ID);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Run the search in the URL so results can be linked to.
+  useEffect(() => {
+    if (!router.isReady) return;
+    const query = typeof router.query.q === "string" ? router.query.q : "";
+    const art = typeof router.query.article === "string" ? router.query.article : "";
+    const docId = getDocument(router.query.doc)?.id || DEFAULT_DOCUMENT_ID;
+    setQ(query);
+    setArticle(art);
+    setDocumentId(docId);
+    if (!query.trim()) {
+      setData(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError("");
+    const params = new URLSearchParams({ q: query });
+    if (art) params.set("article", art);
+    if (docId !== DEFAULT_DOCUMENT_ID) params.set("documentId", docId);
+    fetch(`/api/search?${params}`, { signal: controller.signal })
+      .then(async (r) => {
+        const body = await r.json();
+        if (!r.ok) throw new Error(body.result || `HTTP ${r.status}`);
+        setData(body);
+      })
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [router.isReady, router.query.q, router.query.article, router.query.doc]);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const query = { q: q.trim() };
+    if (article.trim()) query.article = article.trim();
+    if (documentId !== DEFAULT_DOCUMENT_ID) query.doc = documentId;
+    router.push({ pathname: "/search", query });
+  };
+
+  const doc = getDocument(documentId);
+
+  return (
+    <>
+      <Head>
+        <title>Search the {doc.shortTitle}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <div style={{ maxWidth: 900, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <h1>Search the {doc.title}</h1>
+        <p style={{ color: "#555", fontSize: 14 }}>
+          Use <code>"quotes"</code> for phrases, <code>AND</code>/<code>OR</code> to combine terms, and an
+          article filter like <code>XXIII</code> or <code>Attachment 45</code>.
+        </p>
+        <form onSubmit={onSubmit} style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <DocumentSelect value={documentId} onChange={setDocumentId} style={{ fontSize: 15, padding: 10 }} />
+          <input
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+            placeholder='e.g. "qualifying offer" OR "draft pick"'
+            style={{ flex: 3, minWidth: 240, padding: 10, fontSize: 15 }}
+          />
+          <input
+            value={article}
+            onChange={(e) => setArticle(e.target.value)}
+            placeholder="Article (optional)"
+            style={{ flex: 1, minWidth: 140, padding: 10, fontSize: 15 }}
+          />
+          <button type="submit" disabled={!q.trim()} style={{ padding: "8px 16px", fontSize: 15 }}>
+            Search
+          </button>
+        </form>
+
+        {loading && <p style={{ color: "#6b7280" }}>Searching…</p>}
+        {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+        {data && !loading && (
+          <p style={{ color: "#555", fontSize: 14 }}>
+            {data.total} page{data.total === 1 ? "" : "s"} match.
+            {data.total > data.results.length ? ` Showing the top ${data.results.length}.` : ""}
+          </p>
+        )}
+
+        {data?.results.map((r) => {
+          const first = r.highlights[0];
+          const term = first ? r.snippet.slice(first[0], first[1]) : "";
+          return (
+            <div key={r.page} style={{ borderTop: "1px solid #e5e7eb", padding: "12px 0" }}>
+              <div style={{ fontSize: 14, marginBottom: 4 }}>
+                <b>{r.label || "Table of Contents"}</b> — PDF page {r.page}{" "}
+                <a href={viewerHref(r.page, term, data.documentId)}>View</a>{" "}
+                <a href={`${getDocument(data.documentId).pdfHref}#page=${r.page}`} target="_blank" rel="noopener noreferrer">
+                  Open PDF
+                </a>
+              </div>
+              <div style={{ fontSize: 14, lineHeight: 1.5, color: "#222" }}>
+                <Highlighted text={r.snippet} ranges={r.highlights} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
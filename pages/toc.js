@@ -0,0 +1,240 @@
+// pages/toc.js
+// Browse the agreement's structure: Articles, Appendices and Attachments with their sections,
+// the text of whichever one is selected (/toc?node=Article%20XXIII(B)), and a way to ask about it.
+
+import { useEffect, useState } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import { viewerHref } from "../lib/viewerLinks";
+import { DEFAULT_DOCUMENT_ID, getDocument } from "../lib/documents";
+import DocumentSelect from "../components/DocumentSelect";
+
+const GROUPS = [
+  ["Article", "Articles"],
+  ["Appendix", "Appendices"],
+  ["Attachment", "Attachments"],
+];
+
+const pagesLabel = ({ start, end }) => (start === end ? `p. ${start}` : `pp. ${start}–${end}`);
+
+function getJSON(url, signal) {
+  return fetch(url, { signal }).then(async (r) => {
+    const body = await r.json();
+    if (!r.ok) throw new Error(body.result || `HTTP ${r.status}`);
+    return body;
+  });
+}
+
+function NodeRow({ item, depth, selected, onSelect }) {
+  const children = item.sections || item.subsections || [];
+  const inside = selected === item.label || selected.startsWith(`${item.label}(`);
+  const [open, setOpen] = useState(inside);
+  useEffect(() => {
+    if (inside) setOpen(true);
+  }, [inside]);
+
+  return (
+    <li style={{ listStyle: "none" }}>
+      <div style={{ display: "flex", alignItems: "baseline", gap: 4, paddingLeft: depth * 16 }}>
+        {children.length ? (
+          <button
+            type="button"
+            onClick={() => setOpen((v) => !v)}
+            aria-expanded={open}
+            aria-label={`${open ? "Collapse" : "Expand"} ${item.label}`}
+            style={{ width: 20, border: "none", background: "none", cursor: "pointer", padding: 0 }}
+          >
+            {open ? "▾" : "▸"}
+          </button>
+        ) : (
+          <span style={{ width: 20 }} />
+        )}
+        <button
+          type="button"
+          onClick={() => onSelect(item.label)}
+          aria-current={selected === item.label ? "true" : undefined}
+          style={{
+            flex: 1,
+            textAlign: "left",
+            border: "none",
+            borderRadius: 4,
+            background: selected === item.label ? "#fff8dc" : "none",
+            padding: "3px 4px",
+            cursor: "pointer",
+            fontSize: 14,
+          }}
+        >
+          <b>{depth ? `(${item.key})` : item.label}</b> {item.title}{" "}
+          <span style={{ color: "#6b7280", fontSize: 12 }}>{pagesLabel(item)}</span>
+        </button>
+      </div>
+      {open && children.length > 0 && (
+        <ul style={{ margin: 0, padding: 0 }}>
+          {children.map((c) => (
+            <NodeRow key={c.label} item={c} depth={depth + 1} selected={selected} onSelect={onSelect} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function TocPage() {
+  const router = useRouter();
+  const [documentId, setDocumentId] = useState(DEFAULT_DOCUMENT_ID);
+  const [toc, setToc] = useState(null);
+  const [node, setNode] = useState(null);
+  const [error, setError] = useState("");
+  const [loadingNode, setLoadingNode] = useState(false);
+
+  const selected = typeof router.query.node === "string" ? router.query.node : "";
+
+  useEffect(() => {
+    if (router.isReady) setDocumentId(getDocument(router.query.doc)?.id || DEFAULT_DOCUMENT_ID);
+  }, [router.isReady, router.query.doc]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setToc(null);
+    setError("");
+    getJSON(`/api/toc?documentId=${encodeURIComponent(documentId)}`, controller.signal)
+      .then(setToc)
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      });
+    return () => controller.abort();
+  }, [documentId]);
+
+  useEffect(() => {
+    if (!router.isReady || !selected) {
+      setNode(null);
+      return;
+    }
+    const controller = new AbortController();
+    setLoadingNode(true);
+    const params = new URLSearchParams({ node: selected, documentId });
+    getJSON(`/api/toc?${params}`, controller.signal)
+      .then(setNode)
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      })
+      .finally(() => setLoadingNode(false));
+    return () => controller.abort();
+  }, [router.isReady, selected, documentId]);
+
+  const navigate = (query) => {
+    const next = { ...query };
+    if (documentId !== DEFAULT_DOCUMENT_ID && !("doc" in next)) next.doc = documentId;
+    Object.keys(next).forEach((k) => next[k] || delete next[k]);
+    router.push({ pathname: "/toc", query: next }, undefined, { shallow: true });
+  };
+
+  const select = (label) => navigate({ node: label });
+  const changeDocument = (id) => navigate({ doc: id !== DEFAULT_DOCUMENT_ID ? id : "" });
+
+  const askHref = (n) => `/embed?${new URLSearchParams({ doc: n.documentId, scope: n.label })}`;
+  const doc = getDocument(documentId);
+
+  return (
+    <>
+      <Head>
+        <title>Contents — {doc.shortTitle}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <div style={{ maxWidth: 1200, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <h1>Contents of the {doc.title}</h1>
+        <div style={{ marginBottom: 12 }}>
+          <DocumentSelect value={documentId} onChange={changeDocument} style={{ fontSize: 15, padding: 8 }} />
+        </div>
+        {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+
+        <div style={{ display: "flex", gap: 24, alignItems: "flex-start", flexWrap: "wrap" }}>
+          <nav aria-label="Table of contents" style={{ flex: "1 1 360px", minWidth: 0 }}>
+            {!toc && !error && <p style={{ color: "#6b7280" }}>Loading…</p>}
+            {toc &&
+              GROUPS.map(([kind, heading]) => {
+                const items = toc.items.filter((i) => i.kind === kind);
+                if (!items.length) return null;
+                return (
+                  <section key={kind}>
+                    <h2 style={{ fontSize: 18, borderBottom: "2px solid #ffe066", paddingBottom: 2 }}>{heading}</h2>
+                    <ul style={{ margin: 0, padding: 0 }}>
+                      {items.map((item) => (
+                        <NodeRow key={item.label} item={item} depth={0} selected={selected} onSelect={select} />
+                      ))}
+                    </ul>
+                  </section>
+                );
+              })}
+          </nav>
+
+          <article
+            aria-live="polite"
+            style={{ flex: "2 1 480px", minWidth: 0, position: "sticky", top: 16, maxHeight: "calc(100vh - 32px)", overflowY: "auto" }}
+          >
+            {!selected && <p style={{ color: "#6b7280" }}>Pick an Article, Appendix or Attachment to read it.</p>}
+            {selected && loadingNode && <p style={{ color: "#6b7280" }}>Loading…</p>}
+            {node && !loadingNode && (
+              <>
+                {node.trail.length > 0 && (
+                  <div style={{ fontSize: 13, color: "#6b7280" }}>
+                    {node.trail.map((t) => (
+                      <span key={t.label}>
+                        <a href="#" onClick={(e) => { e.preventDefault(); select(t.label); }}>
+                          {t.label}
+                        </a>{" "}
+                        {t.title} ›{" "}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <h2 style={{ margin: "4px 0" }}>
+                  {node.label} — {node.title}
+                </h2>
+                <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+                  <span>PDF {pagesLabel(node)}</span>
+                  <a href={viewerHref(node.start, "", node.documentId)}>View</a>
+                  <a href={node.href} target="_blank" rel="noopener noreferrer">
+                    Open PDF
+                  </a>
+                  <a
+                    href={askHref(node)}
+                    style={{
+                      background: "#222",
+                      color: "#ffe066",
+                      borderRadius: 6,
+                      padding: "6px 12px",
+                      textDecoration: "none",
+                      fontWeight: 600,
+                    }}
+                  >
+                    Ask about this section
+                  </a>
+                </div>
+                <div
+                  style={{
+                    marginTop: 12,
+                    padding: 12,
+                    background: "#fafafa",
+                    border: "1px solid #e5e7eb",
+                    borderRadius: 8,
+                    fontSize: 14,
+                    lineHeight: 1.6,
+                    whiteSpace: "pre-wrap",
+                  }}
+                >
+                  {node.text || "The text of this agreement has not been loaded yet."}
+                </div>
+                {node.truncated && (
+                  <p style={{ fontSize: 13, color: "#6b7280" }}>
+                    Shortened here — open the PDF or pick a section for the rest.
+                  </p>
+                )}
+              </>
+            )}
+          </article>
+        </div>
+      </div>
+    </>
+  );
+}
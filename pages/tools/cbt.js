@@ -0,0 +1,306 @@
+// pages/tools/cbt.js
+// Competitive Balance Tax calculator: enter contracts, get Actual Club Payroll, tier, tax and
+// draft penalties per Contract Year. Every threshold and rate links to its CBA page.
+
+import { useState } from "react";
+import Head from "next/head";
+import { viewerHref } from "../../lib/viewerLinks";
+
+const YEARS = [2022, 2023, 2024, 2025, 2026];
+
+const TIER_LABEL = {
+  below: "Below the Base Tax Threshold",
+  base: "Over the Base Tax Threshold",
+  first: "Over the First Surcharge Threshold",
+  second: "Over the Second Surcharge Threshold",
+  third: "Over the Third Surcharge Threshold",
+};
+
+const emptyContract = () => ({
+  player: "",
+  startYear: "2024",
+  salaries: "",
+  clubOption: false,
+  optionExercised: true,
+  signingBonus: "",
+  optionBuyout: "",
+  deferral: "",
+  deferralPaidIn: "",
+});
+
+const usd = (n) => `$${Math.round(n).toLocaleString("en-US")}`;
+const pct = (r) => `${Math.round(r * 1000) / 10}%`;
+const millions = (s) => (String(s).trim() ? Number(String(s).replace(/[$,\s]/g, "")) * 1e6 : 0);
+
+function Source({ source }) {
+  if (!source?.page) return <span>{source?.label}</span>;
+  return (
+    <a href={viewerHref(source.page, source.quote)} target="_blank" rel="noopener noreferrer" title={source.quote}>
+      {source.label}, p. {source.page}
+    </a>
+  );
+}
+
+// Form rows -> the API's contract shape (amounts are entered in $ millions).
+function toContract(c, i) {
+  const amounts = c.salaries
+    .split(/[,;\s]+/)
+    .filter(Boolean)
+    .map((s) => millions(s));
+  const start = Number(c.startYear);
+  const seasons = amounts.map((baseSalary, k) => ({ year: start + k, baseSalary }));
+  if (c.clubOption && seasons.length) {
+    seasons[seasons.length - 1] = { ...seasons[seasons.length - 1], guaranteed: false, exercised: c.optionExercised };
+  }
+  const deferrals = millions(c.deferral)
+    ? [{ amount: millions(c.deferral), paidIn: Number(c.deferralPaidIn) }]
+    : [];
+  return {
+    player: c.player.trim() || `Contract ${i + 1}`,
+    seasons,
+    signingBonus: millions(c.signingBonus),
+    optionBuyout: millions(c.optionBuyout),
+    deferrals,
+  };
+}
+
+const input = { padding: 6, fontSize: 14, border: "1px solid #d1d5db", borderRadius: 6 };
+const th = { textAlign: "left", padding: 6, borderBottom: "2px solid #e5e7eb", fontSize: 13 };
+const td = { padding: 6, borderBottom: "1px solid #f3f4f6", fontSize: 13, verticalAlign: "top" };
+
+export default function CbtCalculator() {
+  const [contracts, setContracts] = useState([emptyContract()]);
+  const [otherPayroll, setOtherPayroll] = useState({});
+  const [priorYearsOverBase, setPriorYearsOverBase] = useState("0");
+  const [includeBenefits, setIncludeBenefits] = useState(true);
+  const [imputedRate, setImputedRate] = useState("");
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const update = (i, patch) => setContracts((prev) => prev.map((c, k) => (k === i ? { ...c, ...patch } : c)));
+
+  async function calculate(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+    try {
+      const other = {};
+      for (const y of YEARS) if (millions(otherPayroll[y] || "")) other[y] = millions(otherPayroll[y]);
+      const body = {
+        contracts: contracts.filter((c) => c.salaries.trim()).map(toContract),
+        otherPayroll: other,
+        includeBenefits,
+        priorYearsOverBase: Number(priorYearsOverBase),
+        ...(imputedRate.trim() && { imputedLoanInterestRate: Number(imputedRate) / 100 }),
+      };
+      const r = await fetch("/api/tools/cbt", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const json = await r.json();
+      if (!r.ok) throw new Error(json.result || `HTTP ${r.status}`);
+      setData(json);
+    } catch (err) {
+      setData(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <>
+      <Head>
+        <title>CBT Calculator — MLB CBA 2022–2026</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <div style={{ maxWidth: 1000, margin: "32px auto", padding: "0 16px", fontFamily: "system-ui" }}>
+        <h1>Competitive Balance Tax calculator</h1>
+        <p style={{ color: "#555", fontSize: 14 }}>
+          Article XXIII of the 2022–2026 Basic Agreement, applied exactly. Enter amounts in $ millions; salaries are
+          Base Salary per season starting from the first year, separated by commas.
+        </p>
+
+        <form onSubmit={calculate}>
+          {contracts.map((c, i) => (
+            <fieldset key={i} style={{ border: "1px solid #e5e7eb", borderRadius: 8, margin: "10px 0", padding: 10 }}>
+              <legend style={{ fontSize: 13, color: "#6b7280" }}>Contract {i + 1}</legend>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                <input style={{ ...input, flex: 1, minWidth: 140 }} placeholder="Player" value={c.player}
+                  onChange={(e) => update(i, { player: e.target.value })} />
+                <select style={input} value={c.startYear} onChange={(e) => update(i, { startYear: e.target.value })}
+                  aria-label="First season">
+                  {[2018, 2019, 2020, 2021, ...YEARS].map((y) => <option key={y} value={y}>{y}</option>)}
+                </select>
+                <input style={{ ...input, flex: 2, minWidth: 200 }} placeholder="Base Salaries, e.g. 25, 30, 35"
+                  value={c.salaries} onChange={(e) => update(i, { salaries: e.target.value })} />
+                <input style={{ ...input, width: 110 }} placeholder="Signing bonus" value={c.signingBonus}
+                  onChange={(e) => update(i, { signingBonus: e.target.value })} />
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 8, alignItems: "center", fontSize: 13 }}>
+                <label>
+                  <input type="checkbox" checked={c.clubOption} onChange={(e) => update(i, { clubOption: e.target.checked })} />{" "}
+                  Last season is a Club Option
+                </label>
+                {c.clubOption && (
+                  <>
+                    <label>
+                      <input type="checkbox" checked={c.optionExercised}
+                        onChange={(e) => update(i, { optionExercised: e.target.checked })} /> exercised
+                    </label>
+                    <input style={{ ...input, width: 110 }} placeholder="Buyout" value={c.optionBuyout}
+                      onChange={(e) => update(i, { optionBuyout: e.target.value })} />
+                  </>
+                )}
+                <input style={{ ...input, width: 120 }} placeholder="Deferred total" value={c.deferral}
+                  onChange={(e) => update(i, { deferral: e.target.value })} />
+                <input style={{ ...input, width: 110 }} placeholder="Paid in (year)" value={c.deferralPaidIn}
+                  onChange={(e) => update(i, { deferralPaidIn: e.target.value })} />
+                {contracts.length > 1 && (
+                  <button type="button" onClick={() => setContracts((prev) => prev.filter((_, k) => k !== i))}
+                    style={{ marginLeft: "auto" }}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </fieldset>
+          ))}
+          <button type="button" onClick={() => setContracts((prev) => [...prev, emptyContract()])}>
+            + Add contract
+          </button>
+
+          <h3 style={{ marginBottom: 6 }}>Rest of the payroll</h3>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, fontSize: 13, alignItems: "center" }}>
+            {YEARS.map((y) => (
+              <label key={y}>
+                {y}{" "}
+                <input style={{ ...input, width: 90 }} placeholder="$M" value={otherPayroll[y] || ""}
+                  onChange={(e) => setOtherPayroll((prev) => ({ ...prev, [y]: e.target.value }))} />
+              </label>
+            ))}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 16, fontSize: 13, alignItems: "center", marginTop: 10 }}>
+            <label>
+              Consecutive prior years over the Base Tax Threshold{" "}
+              <select style={input} value={priorYearsOverBase} onChange={(e) => setPriorYearsOverBase(e.target.value)}>
+                <option value="0">0</option>
+                <option value="1">1</option>
+                <option value="2">2 or more</option>
+              </select>
+            </label>
+            <label>
+              <input type="checkbox" checked={includeBenefits} onChange={(e) => setIncludeBenefits(e.target.checked)} />{" "}
+              Include Player Benefit Costs
+            </label>
+            <label>
+              Imputed Loan Interest Rate{" "}
+              <input style={{ ...input, width: 70 }} placeholder="%" value={imputedRate}
+                onChange={(e) => setImputedRate(e.target.value)} /> (for deferrals)
+            </label>
+          </div>
+          <button type="submit" disabled={loading} style={{ marginTop: 14, padding: "8px 16px", fontSize: 15 }}>
+            {loading ? "Calculating…" : "Calculate"}
+          </button>
+        </form>
+
+        {error && <p style={{ color: "#b91c1c" }}>{error}</p>}
+
+        {data && (
+          <>
+            <h2>Results</h2>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th style={th}>Contract Year</th>
+                  <th style={th}>Actual Club Payroll</th>
+                  <th style={th}>Tier</th>
+                  <th style={th}>Tax owed</th>
+                  <th style={th}>Draft penalty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.years.map((y) => (
+                  <tr key={y.year}>
+                    <td style={td}><b>{y.year}</b></td>
+                    <td style={td}>{usd(y.actualClubPayroll)}</td>
+                    <td style={td}>
+                      {TIER_LABEL[y.tier]}
+                      {y.payorStatus && <div style={{ color: "#6b7280" }}>{y.payorStatus}</div>}
+                      <div style={{ color: "#6b7280" }}>
+                        Threshold {usd(y.thresholds[0].amount)} (<Source source={y.thresholds[0].source} />)
+                      </div>
+                    </td>
+                    <td style={td}>
+                      <b>{usd(y.taxOwed)}</b>
+                      {y.brackets.map((b, k) => (
+                        <div key={k} style={{ color: "#374151" }}>
+                          {usd(b.amount)} over {usd(b.from)} × {pct(b.rate)} = {usd(b.tax)}{" "}
+                          <span style={{ fontSize: 12 }}>
+                            ({b.sources.map((s, j) => <span key={j}>{j > 0 && "; "}<Source source={s} /></span>)})
+                          </span>
+                        </div>
+                      ))}
+                    </td>
+                    <td style={td}>
+                      {y.draftPenalty ? (
+                        <>
+                          {y.draftPenalty.text} (<Source source={y.draftPenalty.sources[0]} />)
+                        </>
+                      ) : (
+                        "None"
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h3>Salary attributed to each contract</h3>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                <tr>
+                  <th style={th}>Player</th>
+                  <th style={th}>AAV</th>
+                  <th style={th}>By season</th>
+                  <th style={th}>Rules applied</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.contracts.map((c, i) => (
+                  <tr key={i}>
+                    <td style={td}>{c.player}</td>
+                    <td style={td}>{c.aav !== null ? usd(c.aav) : "—"}</td>
+                    <td style={td}>
+                      {c.seasons.map((s) => (
+                        <div key={s.year}>
+                          {s.year}: {usd(s.salary)} <span style={{ color: "#6b7280" }}>({s.basis})</span>
+                        </div>
+                      ))}
+                    </td>
+                    <td style={td}>
+                      {c.sources.map((s, j) => (
+                        <div key={j}><Source source={s} /></div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {data.sources.length > 0 && (
+              <p style={{ fontSize: 13, color: "#555" }}>
+                Actual Club Payroll includes Player Benefit Costs and the Pre-Arbitration Bonus Pool share:{" "}
+                {data.sources.map((s, j) => <span key={j}>{j > 0 && "; "}<Source source={s} /></span>)}.
+              </p>
+            )}
+            {data.notes.map((n, j) => (
+              <p key={j} style={{ fontSize: 13, color: "#6b7280" }}>{n}</p>
+            ))}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
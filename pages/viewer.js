@@ -0,0 +1,37 @@
+// pages/viewer.js
+// In-app CBA viewer: /viewer?page=158&q=<quote>[&doc=<documentId>] jumps to the page and
+// highlights the quote.
+
+import Head from "next/head";
+import { useRouter } from "next/router";
+import dynamic from "next/dynamic";
+import { DEFAULT_DOCUMENT_ID, getDocument } from "../lib/documents";
+
+const PdfViewer = dynamic(() => import("../components/PdfViewer"), { ssr: false });
+
+export default function Viewer() {
+  const router = useRouter();
+  const page = Number(router.query.page) || 1;
+  const quote = typeof router.query.q === "string" ? router.query.q : "";
+  const doc = getDocument(router.query.doc) || getDocument(DEFAULT_DOCUMENT_ID);
+
+  return (
+    <>
+      <Head>
+        <title>{`${doc.shortTitle} — Page ${page}`}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <style>{`html, body, #__next { height: 100%; margin: 0; padding: 0; }`}</style>
+      </Head>
+      <div style={{ height: "100%", display: "flex", flexDirection: "column", fontFamily: "system-ui" }}>
+        {quote && (
+          <div style={{ background: "#fff8dc", borderBottom: "1.5px solid #f1c40f", padding: "8px 12px", fontSize: 13 }}>
+            <b>Quoted:</b> “{quote}”
+          </div>
+        )}
+        <div style={{ flex: 1, minHeight: 0 }}>
+          {router.isReady && <PdfViewer page={page} quote={quote} src={doc.pdfHref} />}
+        </div>
+      </div>
+    </>
+  );
+}
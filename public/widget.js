@@ -0,0 +1,165 @@
+// public/widget.js
+// Drop-in chat launcher for other sites:
+//   <script src="https://<chat host>/widget.js" data-title="CBA Help" data-accent="#0b5"
+//           data-document="mlb-2022" data-questions="What is a Super Two?|How is the CBT computed?"
+//           data-locale="en" async></script>
+// Options come from data-attributes or the script's own query string (?accent=...):
+//   title, subtitle, accent, ink, primary, soft, document, questions ("|"-separated),
+//   locale, back, back-label, position ("right" | "left"), open ("1" to start open), label.
+// The panel is an iframe of /embed?widget=1 created on first open. Events are posted to
+// the page as { source: "cba-chat", type } — "open", "close", "ready", "answer" — and can
+// also be handled with window.CbaChat.on(type, fn). CbaChat.open/close/toggle control it.
+// The embedding site must be in EMBED_ALLOWED_ORIGINS on the chat host.
+(function () {
+  "use strict";
+  if (window.CbaChat) return;
+
+  var SOURCE = "cba-chat";
+  var script = document.currentScript;
+  if (!script) return;
+  var base = new URL(script.src, location.href);
+  var chatOrigin = base.origin;
+
+  function option(name) {
+    var attr = script.getAttribute("data-" + name);
+    if (attr !== null) return attr;
+    return base.searchParams.get(name.replace(/-(\w)/g, function (m, c) { return c.toUpperCase(); }));
+  }
+
+  var accent = option("accent") || "#ffe066";
+  var ink = option("ink") || "#222";
+  var position = option("position") === "left" ? "left" : "right";
+
+  function embedUrl() {
+    var url = new URL("/embed", chatOrigin);
+    var q = url.searchParams;
+    q.set("widget", "1");
+    q.set("host", location.origin);
+    ["title", "subtitle", "accent", "ink", "primary", "soft", "locale", "back"].forEach(function (name) {
+      var value = option(name);
+      if (value !== null) q.set(name, value);
+    });
+    if (option("back-label") !== null) q.set("backLabel", option("back-label"));
+    if (option("document")) q.set("doc", option("document"));
+    if (option("questions")) q.set("q", option("questions"));
+    return url.href;
+  }
+
+  var listeners = {};
+  function emit(type, data) {
+    var message = Object.assign({ source: SOURCE, type: type }, data || {});
+    (listeners[type] || []).forEach(function (fn) {
+      try {
+        fn(message);
+      } catch (e) {
+        console.error(e);
+      }
+    });
+    window.postMessage(message, location.origin);
+  }
+
+  var launcher = document.createElement("button");
+  launcher.type = "button";
+  launcher.textContent = option("label") || "Ask the CBA";
+  launcher.setAttribute("aria-expanded", "false");
+  launcher.style.cssText = [
+    "position:fixed",
+    "bottom:20px",
+    position + ":20px",
+    "z-index:2147483000",
+    "background:" + ink,
+    "color:" + accent,
+    "border:2px solid " + accent,
+    "border-radius:24px",
+    "padding:10px 18px",
+    "font:600 15px/1.2 system-ui,sans-serif",
+    "cursor:pointer",
+    "box-shadow:0 4px 14px rgba(0,0,0,.25)",
+  ].join(";");
+
+  var panel = document.createElement("div");
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", option("title") || "CBA Assistant");
+  panel.style.cssText = [
+    "position:fixed",
+    "bottom:76px",
+    position + ":20px",
+    "z-index:2147483000",
+    "width:min(400px,calc(100vw - 40px))",
+    "height:min(640px,calc(100vh - 100px))",
+    "border-radius:12px",
+    "overflow:hidden",
+    "box-shadow:0 8px 30px rgba(0,0,0,.3)",
+    "background:#fff",
+    "display:none",
+  ].join(";");
+
+  var frame = null;
+  var isOpen = false;
+
+  function open() {
+    if (isOpen) return;
+    if (!frame) {
+      frame = document.createElement("iframe");
+      frame.src = embedUrl();
+      frame.title = option("title") || "CBA Assistant";
+      frame.allow = "clipboard-write";
+      frame.style.cssText = "border:0;width:100%;height:100%;display:block";
+      panel.appendChild(frame);
+    }
+    isOpen = true;
+    panel.style.display = "block";
+    launcher.setAttribute("aria-expanded", "true");
+    emit("open");
+  }
+
+  function close() {
+    if (!isOpen) return;
+    isOpen = false;
+    panel.style.display = "none";
+    launcher.setAttribute("aria-expanded", "false");
+    launcher.focus();
+    emit("close");
+  }
+
+  function toggle() {
+    if (isOpen) close();
+    else open();
+  }
+
+  launcher.addEventListener("click", toggle);
+  document.addEventListener("keydown", function (e) {
+    if (e.key === "Escape" && isOpen) close();
+  });
+
+  // Events from the chat iframe (lib/embedHost.js).
+  window.addEventListener("message", function (e) {
+    if (e.origin !== chatOrigin || !frame || e.source !== frame.contentWindow) return;
+    var data = e.data;
+    if (!data || data.source !== SOURCE) return;
+    if (data.type === "request-close") close();
+    else emit(data.type, data);
+  });
+
+  window.CbaChat = {
+    open: open,
+    close: close,
+    toggle: toggle,
+    on: function (type, fn) {
+      (listeners[type] = listeners[type] || []).push(fn);
+      return function off() {
+        listeners[type] = (listeners[type] || []).filter(function (f) {
+          return f !== fn;
+        });
+      };
+    },
+  };
+
+  function mount() {
+    document.body.appendChild(panel);
+    document.body.appendChild(launcher);
+    if (["1", "true"].indexOf(option("open")) !== -1) open();
+  }
+  if (document.body) mount();
+  else document.addEventListener("DOMContentLoaded", mount);
+})();
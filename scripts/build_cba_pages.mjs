@@ -1,5 +1,7 @@
 // scripts/build_cba_pages.mjs
-// One-time builder: reads public/mlb/MLB_CBA_2022.pdf -> writes public/mlb/cba_pages.json
+// One-time builder: reads an agreement's PDF -> writes its cba_pages.json
+// `node scripts/build_cba_pages.mjs [documentId]` (ids and paths come from lib/documents.json;
+// defaults to mlb-2022: public/mlb/MLB_CBA_2022.pdf -> public/mlb/cba_pages.json)
 // Output shape: [{ "page": 1, "text": "..." }, ...]
 // We run this in GitHub Actions so you never have to run anything locally.
 
@@ -11,11 +13,20 @@ import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf.mjs";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PDF_PATH = path.resolve(process.cwd(), "public/mlb/MLB_CBA_2022.pdf");
-const OUT_PATH = path.resolve(process.cwd(), "public/mlb/cba_pages.json");
+const DOCUMENTS = JSON.parse(fs.readFileSync(path.resolve(__dirname, "../lib/documents.json"), "utf8"));
+const DOCUMENT_ID = process.argv[2] || "mlb-2022";
+const DOC = DOCUMENTS.find((d) => d.id === DOCUMENT_ID);
+
+if (!DOC) {
+  console.error(`Unknown document "${DOCUMENT_ID}". Known: ${DOCUMENTS.map((d) => d.id).join(", ")}.`);
+  process.exit(1);
+}
+
+const PDF_PATH = path.resolve(process.cwd(), "public" + DOC.pdfHref);
+const OUT_PATH = path.resolve(process.cwd(), DOC.pagesPath);
 
 if (!fs.existsSync(PDF_PATH)) {
-  console.error(`PDF not found at ${PDF_PATH}. Put MLB_CBA_2022.pdf there first.`);
+  console.error(`PDF not found at ${PDF_PATH}. Put ${path.basename(PDF_PATH)} there first.`);
   process.exit(1);
 }
 
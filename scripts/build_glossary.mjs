@@ -0,0 +1,130 @@
+// scripts/build_glossary.mjs
+// Builder: reads an agreement's cba_pages.json -> writes its glossary.json
+// Run after scripts/build_cba_pages.mjs: `node scripts/build_glossary.mjs [documentId]`
+// (paths come from lib/documents.json; defaults to mlb-2022 in public/mlb/)
+//
+// The agreement defines terms two ways, and both are picked up:
+//   "Actual Club Payroll" of a Club … shall be the sum of …   (explicit definition)
+//   … until the Reserve List date (the "Acceptance Period").   (parenthetical definition)
+// The definition is the sentence the term is defined in. A term defined more than once keeps
+// its explicit definition, else its first one. One-word terms that are not acronyms
+// ("Clubs", "Policy") are left out: they are too common in answers to be worth underlining.
+//
+// [
+//   { "term": "Acceptance Period", "definition": "A Qualified Free Agent may accept …",
+//     "page": 118, "aliases": [] },
+//   ...
+// ]
+// Sorted by term; "page" is a PDF page (what #page=N links use).
+
+import fs from "fs";
+import path from "path";
+
+const DOCUMENTS = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), "lib/documents.json"), "utf8"));
+const DOCUMENT_ID = process.argv[2] || "mlb-2022";
+const DOC = DOCUMENTS.find((d) => d.id === DOCUMENT_ID);
+
+if (!DOC) {
+  console.error(`Unknown document "${DOCUMENT_ID}". Known: ${DOCUMENTS.map((d) => d.id).join(", ")}.`);
+  process.exit(1);
+}
+
+const PAGES_PATH = path.resolve(process.cwd(), DOC.pagesPath);
+const OUT_PATH = path.resolve(process.cwd(), DOC.glossaryPath);
+
+if (!fs.existsSync(PAGES_PATH)) {
+  console.error(`Pages not found at ${PAGES_PATH}. Run scripts/build_cba_pages.mjs first.`);
+  process.exit(1);
+}
+
+const MAX_DEFINITION = 420;
+const MAX_TERM = 60;
+
+// Same cleanup as lib/retrieval.js normalizeText, including line-break hyphenation.
+const norm = (s) =>
+  String(s || "")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/\u00A0/g, " ")
+    .replace(/([a-z])- ([a-z])/g, "$1$2")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const EXPLICIT =
+  /"([A-Z][^"]{1,60}?),?"\s+(?:of\s+[a-z][^".;]{0,40}?\s+)?(?:(?:shall\s+)?(?:means?|refers?\s+to)|is\s+defined\s+as|shall\s+have\s+the\s+meaning|shall\s+be\s+(?:the|a|an)\s)/g;
+const PARENTHETICAL =
+  /\((?:the |a |an |each,? a |collectively,? (?:the )?|hereinafter(?: referred to as)?,? (?:the )?|individually,? (?:a |an |the )?)?"([A-Z][^"]{1,60}?)"(?:\s+or\s+"([A-Z][^"]{1,40}?)")?\)/g;
+
+function keepTerm(term) {
+  if (term.length > MAX_TERM || /[.;:]$/.test(term)) return false;
+  if (/^[A-Z0-9]{2,8}s?$/.test(term)) return true; // acronyms: AAV, UPC, COLAs
+  return /\s/.test(term);
+}
+
+// The sentence around position `at`: back to the previous sentence end (or from `at` itself
+// when the sentence starts with the term), on to the next sentence end.
+function sentenceAround(text, at, length, { fromTerm = false } = {}) {
+  const before = text.slice(0, at);
+  const starts = [...before.matchAll(/[.;:]\s+(?:and\s+|or\s+)?(?=["(A-Z0-9])/g)];
+  const last = starts[starts.length - 1];
+  let start = fromTerm ? at : last ? last.index + last[0].length : 0;
+  const endMatch = /[.;](?=\s+["(A-Z0-9]|$)/.exec(text.slice(at + length));
+  let end = endMatch ? at + length + endMatch.index + 1 : text.length;
+
+  // Long sentences are cut to a window that keeps the term in view.
+  let lead = "";
+  let tail = "";
+  if (end - start > MAX_DEFINITION) {
+    const from = Math.max(start, at + length - MAX_DEFINITION / 2);
+    if (from > start) {
+      start = text.indexOf(" ", from) + 1;
+      lead = "…";
+    }
+    if (end - start > MAX_DEFINITION) {
+      end = text.lastIndexOf(" ", start + MAX_DEFINITION);
+      tail = "…";
+    }
+  }
+  // Leading list markers from the PDF ("(b) ", "2. ") are not part of the definition.
+  const sentence = text
+    .slice(start, end)
+    .trim()
+    .replace(/^(?:\([a-z0-9]{1,4}\)\s*|\d{1,2}\.\s+)+/i, "");
+  // A definition that runs on into a list ends at the first item.
+  return `${lead}${sentence.replace(/;$/, "…")}${tail}`;
+}
+
+const pages = JSON.parse(fs.readFileSync(PAGES_PATH, "utf8"));
+const found = new Map(); // term -> { term, definition, page, explicit, aliases }
+
+function add(term, alias, { text, at, length, page, explicit }) {
+  term = term.trim();
+  if (!keepTerm(term)) return;
+  const prev = found.get(term);
+  if (prev && (prev.explicit || !explicit)) return;
+  const aliases = prev?.aliases || [];
+  if (alias && keepTerm(alias.trim()) && !aliases.includes(alias.trim())) aliases.push(alias.trim());
+  const definition = sentenceAround(text, at, length, { fromTerm: explicit });
+  found.set(term, { term, definition, page, explicit, aliases });
+}
+
+for (const pg of pages) {
+  const text = norm(pg.text);
+  const page = Number(pg.page);
+  // Table-of-contents pages list headings, not definitions.
+  if (/(\.\s){4,}/.test(pg.text)) continue;
+  for (const m of text.matchAll(EXPLICIT)) {
+    add(m[1], null, { text, at: m.index, length: m[0].length, page, explicit: true });
+  }
+  for (const m of text.matchAll(PARENTHETICAL)) {
+    add(m[1], m[2], { text, at: m.index, length: m[0].length, page, explicit: false });
+  }
+}
+
+const glossary = [...found.values()]
+  .map(({ term, definition, page, aliases }) => ({ term, definition, page, aliases }))
+  .sort((a, b) => a.term.localeCompare(b.term));
+
+fs.mkdirSync(path.dirname(OUT_PATH), { recursive: true });
+fs.writeFileSync(OUT_PATH, JSON.stringify(glossary, null, 2), "utf8");
+console.log(`Wrote ${glossary.length} terms to ${path.relative(process.cwd(), OUT_PATH)}`);
@@ -0,0 +1,163 @@
+// scripts/build_page_map.mjs
+// Builder: reads an agreement's cba_pages.json -> writes its page_map.json
+// Run after scripts/build_cba_pages.mjs: `node scripts/build_page_map.mjs [documentId]`
+// (paths come from lib/documents.json; defaults to mlb-2022 in public/mlb/)
+//
+// The agreement's own table of contents (the first PDF pages) lists every Article,
+// Section letter and numbered subsection with its printed page number. We parse it,
+// translate printed page numbers to PDF pages using the page footers, confirm each
+// heading against the body text, and write a hierarchical map:
+//
+// {
+//   "Article XXIII": {
+//     "title": "Competitive Balance Tax", "start": 129, "end": 159,
+//     "sections": {
+//       "B": { "title": "Determination of Competitive Balance Tax", "start": 131, "end": 136,
+//              "subsections": { "3": { "title": "Base Tax Rates", "start": 132, "end": 133 } } }
+//     }
+//   },
+//   "Attachment 45": { "title": "Qualifying Offers", "start": 327, "end": 332, "sections": {} },
+//   ...
+// }
+//
+// "start"/"end" are PDF pages (what #page=N links use); ranges are inclusive, and a
+// node ends on the page where the next heading at the same or a higher level begins.
+
+import fs from "fs";
+import path from "path";
+
+const DOCUMENTS = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), "lib/documents.json"), "utf8"));
+const DOCUMENT_ID = process.argv[2] || "mlb-2022";
+const DOC = DOCUMENTS.find((d) => d.id === DOCUMENT_ID);
+
+if (!DOC) {
+  console.error(`Unknown document "${DOCUMENT_ID}". Known: ${DOCUMENTS.map((d) => d.id).join(", ")}.`);
+  process.exit(1);
+}
+
+const PAGES_PATH = path.resolve(process.cwd(), DOC.pagesPath);
+const OUT_PATH = path.resolve(process.cwd(), DOC.pageMapPath);
+
+if (!fs.existsSync(PAGES_PATH)) {
+  console.error(`Pages not found at ${PAGES_PATH}. Run scripts/build_cba_pages.mjs first.`);
+  process.exit(1);
+}
+
+const pages = JSON.parse(fs.readFileSync(PAGES_PATH, "utf8"));
+const lastPage = pages[pages.length - 1].page;
+
+const norm = (s) =>
+  String(s || "")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/\u00A0/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// 1) Table of contents: leading pages with dot leaders.
+const tocPages = [];
+for (const pg of pages) {
+  if (!/(\.\s){4,}/.test(pg.text)) break;
+  tocPages.push(pg);
+}
+const bodyPages = pages.slice(tocPages.length);
+
+const tocText = tocPages
+  .map((pg) => pg.text)
+  .join(" ")
+  .replace(/^.*?TABLE OF CONTENTS/, "")
+  .replace(/\b[ivxl]+\s+Page\b/g, " ");
+
+const entries = [];
+const entryRx = /(.+?)\s*(?:\.\s*){3,}\s*(\d+)/g;
+let m;
+while ((m = entryRx.exec(tocText))) {
+  entries.push({ raw: norm(m[1]), printed: Number(m[2]) });
+}
+
+// 2) Printed page -> PDF page, from the page number printed at the bottom of body pages.
+const printedToPdf = new Map();
+for (const pg of bodyPages) {
+  const f = pg.text.match(/(\d+)\s*$/);
+  if (!f) continue;
+  const printed = Number(f[1]);
+  const offset = pg.page - printed;
+  if (offset < 0 || offset > tocPages.length + 10) continue; // table cells, not footers
+  if (!printedToPdf.has(printed)) printedToPdf.set(printed, pg.page);
+}
+const known = [...printedToPdf.keys()].sort((a, b) => a - b);
+
+function toPdfPage(printed) {
+  if (printedToPdf.has(printed)) return printedToPdf.get(printed);
+  let below = null;
+  for (const k of known) {
+    if (k > printed) break;
+    below = k;
+  }
+  const pdf = below === null ? printed + tocPages.length : printedToPdf.get(below) + (printed - below);
+  return Math.min(Math.max(pdf, 1), lastPage);
+}
+
+// 3) Classify TOC entries into the hierarchy.
+function classify(raw) {
+  let x;
+  if ((x = raw.match(/^(ARTICLE|APPENDIX|ATTACHMENT)\s+([IVXLC]+|[A-Z]|\d+)\s*—\s*(.+)$/))) {
+    const kind = x[1][0] + x[1].slice(1).toLowerCase();
+    return { level: 0, key: `${kind} ${x[2]}`, title: x[3], heading: `${x[1]} ${x[2]}` };
+  }
+  if ((x = raw.match(/^([A-Z])\.\s*(.+)$/))) return { level: 1, key: x[1], title: x[2], heading: x[2] };
+  if ((x = raw.match(/^\((\d+)\)\s*(.+)$/))) return { level: 2, key: x[1], title: x[2], heading: x[2] };
+  return null;
+}
+
+// Confirm the heading text is on the computed page; headings are sometimes one page off.
+function locate(pdfPage, heading) {
+  const needle = norm(heading).toLowerCase().slice(0, 30);
+  for (const candidate of [pdfPage, pdfPage + 1, pdfPage - 1, pdfPage + 2]) {
+    const pg = pages[candidate - 1];
+    if (pg && candidate > tocPages.length && norm(pg.text).toLowerCase().includes(needle)) return candidate;
+  }
+  return pdfPage;
+}
+
+const map = {};
+const flat = [];
+let article = null;
+let section = null;
+let skipped = 0;
+
+for (const e of entries) {
+  const c = classify(e.raw);
+  if (!c || (c.level > 0 && !article) || (c.level === 2 && !section)) {
+    skipped++;
+    continue;
+  }
+  const node = { title: c.title, start: locate(toPdfPage(e.printed), c.heading), end: null };
+
+  if (c.level === 0) {
+    node.sections = {};
+    map[c.key] = node;
+    article = node;
+    section = null;
+  } else if (c.level === 1) {
+    node.subsections = {};
+    article.sections[c.key] = node;
+    section = node;
+  } else {
+    section.subsections[c.key] = node;
+  }
+  flat.push({ level: c.level, node });
+}
+
+// 4) Inclusive end pages.
+for (let i = 0; i < flat.length; i++) {
+  const { level, node } = flat[i];
+  const next = flat.slice(i + 1).find((f) => f.level <= level);
+  node.end = next ? Math.max(node.start, next.node.start) : lastPage;
+}
+
+fs.writeFileSync(OUT_PATH, JSON.stringify(map, null, 2), "utf-8");
+console.log(
+  `Wrote ${OUT_PATH} with ${Object.keys(map).length} top-level entries and ${flat.length} nodes` +
+    (skipped ? ` (${skipped} table-of-contents lines not classified).` : ".")
+);
@@ -0,0 +1,40 @@
+// scripts/eval/hooks.mjs
+// Module hooks so plain Node can load the app's modules the way Next bundles them:
+// extensionless relative imports ("./documents"), JSON default imports, and the app's own
+// .js files as ES modules (package.json has no "type", so Node 18 would load them as CommonJS).
+// Registered by scripts/eval/run.mjs; not used by the app itself.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// The repo's .js sources, not its dependencies.
+function isAppModule(file) {
+  const rel = path.relative(ROOT, file);
+  return !rel.startsWith("..") && !path.isAbsolute(rel) && !rel.split(path.sep).includes("node_modules");
+}
+
+export async function resolve(specifier, context, next) {
+  if (specifier.startsWith(".") && context.parentURL?.startsWith("file:")) {
+    const base = path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier);
+    for (const candidate of [base, `${base}.js`, path.join(base, "index.js")]) {
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return next(pathToFileURL(candidate).href, context);
+      }
+    }
+  }
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith("file:") && url.endsWith(".json")) {
+    const source = `export default ${fs.readFileSync(fileURLToPath(url), "utf8")};`;
+    return { format: "module", source, shortCircuit: true };
+  }
+  if (url.startsWith("file:") && url.endsWith(".js") && isAppModule(fileURLToPath(url))) {
+    return { format: "module", source: fs.readFileSync(fileURLToPath(url), "utf8"), shortCircuit: true };
+  }
+  return next(url, context);
+}
@@ -0,0 +1,355 @@
+// scripts/eval/run.mjs
+// Answer evaluation: runs the golden questions (scripts/eval/golden.json) through the
+// /api/chat handler and scores each answer, then writes a JSON and an HTML report.
+//
+//   node scripts/eval/run.mjs                               # mock provider (default)
+//   node scripts/eval/run.mjs --provider chat --record scripts/eval/fixtures/chat.json
+//   node scripts/eval/run.mjs --fixture scripts/eval/fixtures/chat.json
+//   node scripts/eval/run.mjs --baseline scripts/eval/reports/previous.json --min-score 0.6
+//
+// Options:
+//   --provider <name>   LLM_PROVIDER for the run (mock, chat, assistants, fixture)
+//   --fixture <path>    replay recorded answers (implies --provider fixture)
+//   --record <path>     save every answer as a fixture for later replays
+//   --golden <path>     question set (default scripts/eval/golden.json)
+//   --only <id,id>      run only these question ids
+//   --out <path>        report path without extension (default scripts/eval/reports/<provider>)
+//   --baseline <path>   earlier JSON report to compare scores against
+//   --min-score <n>     exit 1 when the overall score is below n (0–1)
+//
+// Scores per question (each 0–1; a question's score is the mean of those that apply):
+//   citations — an expected citation ("Article XXIII(B)(3)") counts as hit when an answer
+//               citation resolves to a page inside its page-map range; precision is the share
+//               of answer citations that land inside some expected range. Scored as F1.
+//   quotes    — share of quoted citations found verbatim on the cited page (cba_pages.json).
+//   facts     — share of key facts present in the answer; a fact may list alternatives.
+// A question may carry a `scope` ("Article XXIII(B)"), sent to /api/chat as is. Cases exported
+// from answer feedback (/admin) arrive in this format with their citations and facts to fill in.
+// Apart from meta.runAt the JSON report is the same for the same answers, so reports diff cleanly.
+
+import { register } from "node:module";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+register("./hooks.mjs", import.meta.url);
+
+const HERE = path.dirname(new URL(import.meta.url).pathname);
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) continue;
+    args[m[1]] = m[2] ?? (argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : "true");
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const provider = args.fixture ? "fixture" : args.provider || "mock";
+const goldenPath = path.resolve(args.golden || path.join(HERE, "golden.json"));
+const outBase = path.resolve(args.out || path.join(HERE, "reports", provider));
+
+// The handler reads its configuration from the environment: pick the provider, keep the
+// conversations it saves out of .data, and switch off rate limits for the batch.
+process.env.LLM_PROVIDER = provider;
+if (args.fixture) process.env.LLM_FIXTURE = path.resolve(args.fixture);
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cba-eval-"));
+process.env.DATA_DIR = dataDir;
+for (const key of ["IP", "ORIGIN"]) {
+  process.env[`RATE_LIMIT_${key}_BURST`] = "0";
+  process.env[`RATE_LIMIT_${key}_DAILY`] = "0";
+}
+
+const { default: chatHandler } = await import("../../pages/api/chat.js");
+const { resolveNode } = await import("../../lib/resolvePageNumber.js");
+const { CITATION_STATUS } = await import("../../lib/citations.js");
+const { requireDocument } = await import("../../lib/documents.js");
+
+// Call the route the way Next would, without the JSON body going over HTTP.
+async function ask(body) {
+  const req = { method: "POST", headers: {}, body, socket: { remoteAddress: "127.0.0.1" } };
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      writableEnded: false,
+      setHeader() {},
+      on() {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        this.writableEnded = true;
+        resolve({ status: this.statusCode, body: payload });
+        return this;
+      },
+    };
+    chatHandler(req, res).catch(reject);
+  });
+}
+
+const normalize = (s) =>
+  String(s || "")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+const round = (n) => (n === null ? null : Math.round(n * 1000) / 1000);
+const mean = (xs) => {
+  const list = xs.filter((x) => x !== null);
+  return list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+};
+
+function scoreCitations(expected, citations, documentId) {
+  const ranges = expected.map((label) => {
+    const found = resolveNode(label, { documentId });
+    return { label, start: found?.node.start ?? null, end: found?.node.end ?? null };
+  });
+  const inside = (page, r) => page && r.start !== null && page >= r.start && page <= r.end;
+  const hits = ranges.map((r) => ({ ...r, hit: citations.some((c) => inside(c.page, r)) }));
+  const onTarget = citations.filter((c) => ranges.some((r) => inside(c.page, r))).length;
+
+  const recall = ranges.length ? hits.filter((h) => h.hit).length / ranges.length : null;
+  const precision = citations.length ? onTarget / citations.length : ranges.length ? 0 : null;
+  const f1 =
+    recall === null ? null : recall + precision > 0 ? (2 * recall * precision) / (recall + precision) : 0;
+  return { expected: hits, recall: round(recall), precision: round(precision), score: round(f1) };
+}
+
+function scoreQuotes(citations) {
+  const quoted = citations.filter((c) => c.quote);
+  const verified = quoted.filter((c) => c.status === CITATION_STATUS.VERIFIED).length;
+  const wrongPage = quoted.filter((c) => c.status === CITATION_STATUS.WRONG_PAGE).length;
+  return {
+    quoted: quoted.length,
+    verified,
+    wrongPage,
+    notFound: quoted.length - verified - wrongPage,
+    score: round(quoted.length ? verified / quoted.length : null),
+  };
+}
+
+function scoreFacts(facts, answer) {
+  const text = normalize(answer);
+  const results = facts.map((fact) => {
+    const options = [].concat(fact);
+    return { fact: options[0], found: options.some((o) => text.includes(normalize(o))) };
+  });
+  return { results, score: round(results.length ? results.filter((r) => r.found).length / results.length : null) };
+}
+
+async function evaluate(item, documentId) {
+  let status = 0;
+  let body = {};
+  try {
+    ({ status, body } = await ask({ message: item.question, documentId, scope: item.scope }));
+  } catch (err) {
+    body = { result: `Handler error: ${err.message}` };
+  }
+  const answer = String(body.result || "");
+  const citations = (body.citations || []).map(({ label, page, quote, status: s }) => ({
+    label,
+    page,
+    quote,
+    status: s,
+  }));
+
+  const scores = {
+    citations: scoreCitations(item.citations || [], citations, documentId),
+    quotes: scoreQuotes(citations),
+    facts: scoreFacts(item.facts || [], answer),
+  };
+  return {
+    id: item.id,
+    question: item.question,
+    status,
+    score: round(mean([scores.citations.score, scores.quotes.score, scores.facts.score])),
+    scores,
+    citations,
+    tools: (body.tools || []).map((t) => t.name),
+    answer,
+  };
+}
+
+function summarize(results) {
+  const pick = (fn) => round(mean(results.map(fn)));
+  return {
+    questions: results.length,
+    score: pick((r) => r.score),
+    citationRecall: pick((r) => r.scores.citations.recall),
+    citationPrecision: pick((r) => r.scores.citations.precision),
+    quoteVerbatim: pick((r) => r.scores.quotes.score),
+    factRecall: pick((r) => r.scores.facts.score),
+  };
+}
+
+function compare(results, baseline) {
+  const before = new Map(baseline.results.map((r) => [r.id, r]));
+  const delta = (a, b) => (a === null || b === null || b === undefined ? null : round(a - b));
+  // Only questions both runs answered count, so --only runs compare like with like.
+  const shared = results.filter((r) => before.has(r.id));
+  const now = summarize(shared);
+  const then = summarize(shared.map((r) => before.get(r.id)));
+  return {
+    report: baseline.meta?.file || null,
+    summary: Object.fromEntries(
+      Object.keys(now)
+        .filter((k) => k !== "questions")
+        .map((k) => [k, delta(now[k], then[k])])
+    ),
+    questions: results
+      .filter((r) => before.has(r.id))
+      .map((r) => ({ id: r.id, before: before.get(r.id).score, after: r.score, delta: delta(r.score, before.get(r.id).score) }))
+      .filter((q) => q.delta),
+  };
+}
+
+const esc = (s) =>
+  String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+const pct = (n) => (n === null || n === undefined ? "—" : `${Math.round(n * 100)}%`);
+
+function renderHtml(report) {
+  const { meta, summary, comparison, results } = report;
+  const rows = results
+    .map((r) => {
+      const c = r.scores.citations;
+      const expected = c.expected
+        .map((e) => `<span class="${e.hit ? "ok" : "miss"}">${esc(e.label)}${e.start ? ` (pp. ${e.start}–${e.end})` : " (not in page map)"}</span>`)
+        .join("<br>");
+      const cited = r.citations
+        .map((x) => `<span class="${x.status === "verified" ? "ok" : x.quote ? "miss" : ""}">${esc(x.label)} · p. ${esc(x.page ?? "—")}</span>`)
+        .join("<br>");
+      const facts = r.scores.facts.results
+        .map((f) => `<span class="${f.found ? "ok" : "miss"}">${esc(f.fact)}</span>`)
+        .join("<br>");
+      return `<tr>
+  <td><b>${esc(r.id)}</b><br>${esc(r.question)}<details><summary>Answer</summary><pre>${esc(r.answer)}</pre></details></td>
+  <td class="n">${pct(r.score)}</td>
+  <td>${expected}<div class="sub">recall ${pct(c.recall)} · precision ${pct(c.precision)}</div></td>
+  <td>${cited || "—"}<div class="sub">${r.scores.quotes.verified}/${r.scores.quotes.quoted} verbatim</div></td>
+  <td>${facts || "—"}</td>
+</tr>`;
+    })
+    .join("\n");
+  const changes = comparison
+    ? `<h2>Compared with ${esc(comparison.report || "baseline")}</h2>
+<p>${Object.entries(comparison.summary)
+        .map(([k, v]) => `${esc(k)}: ${v === null ? "—" : `${v > 0 ? "+" : ""}${Math.round(v * 100)} pts`}`)
+        .join(" · ")}</p>
+<ul>${comparison.questions.map((q) => `<li>${esc(q.id)}: ${pct(q.before)} → ${pct(q.after)}</li>`).join("") || "<li>No question changed.</li>"}</ul>`
+    : "";
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>CBA answer evaluation — ${esc(meta.provider)}</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #111827; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 8px; vertical-align: top; text-align: left; }
+  th { background: #222; color: #ffe066; }
+  .n { text-align: right; font-weight: 700; }
+  .ok { color: #15803d; }
+  .miss { color: #b91c1c; }
+  .sub { color: #6b7280; font-size: 12px; margin-top: 4px; }
+  pre { white-space: pre-wrap; font-size: 12px; background: #f9fafb; padding: 6px; }
+</style>
+</head>
+<body>
+<h1>CBA answer evaluation</h1>
+<p>${esc(meta.document)} · provider <b>${esc(meta.provider)}</b>${meta.fixture ? ` (${esc(meta.fixture)})` : ""} · ${esc(meta.runAt)}</p>
+<p><b>Overall ${pct(summary.score)}</b> · citation recall ${pct(summary.citationRecall)} · citation precision ${pct(summary.citationPrecision)} · quotes verbatim ${pct(summary.quoteVerbatim)} · fact recall ${pct(summary.factRecall)} (${summary.questions} questions)</p>
+${changes}
+<table>
+<thead><tr><th>Question</th><th>Score</th><th>Expected citations</th><th>Answer citations</th><th>Facts</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+async function main() {
+  const golden = JSON.parse(fs.readFileSync(goldenPath, "utf8"));
+  const documentId = requireDocument(golden.documentId).id;
+  const only = args.only ? new Set(args.only.split(",").map((s) => s.trim())) : null;
+  const items = golden.questions.filter((q) => !only || only.has(q.id));
+  if (!items.length) throw new Error("No questions to run.");
+
+  for (const q of items) {
+    for (const label of q.citations || []) {
+      if (!resolveNode(label, { documentId })) console.warn(`${q.id}: "${label}" is not in the page map.`);
+    }
+  }
+
+  const results = [];
+  for (const item of items) {
+    const result = await evaluate(item, documentId);
+    results.push(result);
+    console.log(`${pct(result.score).padStart(5)}  ${item.id}${result.status !== 200 ? ` (HTTP ${result.status})` : ""}`);
+  }
+
+  const summary = summarize(results);
+  const report = {
+    meta: {
+      file: path.relative(process.cwd(), `${outBase}.json`),
+      golden: path.relative(process.cwd(), goldenPath),
+      document: documentId,
+      provider,
+      fixture: args.fixture ? path.relative(process.cwd(), path.resolve(args.fixture)) : null,
+      runAt: new Date().toISOString(),
+    },
+    summary,
+    comparison: null,
+    results,
+  };
+  if (args.baseline) {
+    report.comparison = compare(results, JSON.parse(fs.readFileSync(path.resolve(args.baseline), "utf8")));
+  }
+
+  fs.mkdirSync(path.dirname(outBase), { recursive: true });
+  fs.writeFileSync(`${outBase}.json`, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(`${outBase}.html`, renderHtml(report));
+
+  if (args.record) {
+    const fixture = {
+      provider,
+      recordedAt: report.meta.runAt,
+      answers: Object.fromEntries(results.map((r) => [r.question, r.answer])),
+    };
+    fs.mkdirSync(path.dirname(path.resolve(args.record)), { recursive: true });
+    fs.writeFileSync(path.resolve(args.record), JSON.stringify(fixture, null, 2) + "\n");
+    console.log(`Recorded ${results.length} answers to ${args.record}`);
+  }
+
+  console.log(
+    `\nOverall ${pct(summary.score)} · citations ${pct(summary.citationRecall)} recall / ${pct(summary.citationPrecision)} precision` +
+      ` · quotes ${pct(summary.quoteVerbatim)} · facts ${pct(summary.factRecall)}`
+  );
+  if (report.comparison) {
+    const d = report.comparison.summary.score;
+    console.log(`Change since baseline: ${d === null ? "—" : `${d > 0 ? "+" : ""}${Math.round(d * 100)} pts`}`);
+  }
+  console.log(`Report: ${report.meta.file} (+ .html)`);
+
+  const minScore = args["min-score"] !== undefined ? Number(args["min-score"]) : null;
+  if (minScore !== null && (summary.score ?? 0) < minScore) {
+    console.error(`Overall score ${pct(summary.score)} is below --min-score ${pct(minScore)}.`);
+    process.exitCode = 1;
+  }
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
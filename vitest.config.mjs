@@ -0,0 +1,12 @@
+// vitest.config.mjs
+// `npm test`. Components are .js files with JSX (React's automatic runtime, as in Next).
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  esbuild: { loader: "jsx", include: /\.js$/, exclude: [], jsx: "automatic" },
+  test: {
+    environment: "jsdom",
+    include: ["**/__tests__/**/*.test.{js,mjs}"],
+    exclude: ["node_modules/**", ".next/**"],
+  },
+});